@@ -1,10 +1,10 @@
-const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const config = require('../config');
 const profilingConfig = require('../config/profiling');
-const { safeWriteJson } = require('../utils/atomicFS');
 const loggingService = require('../services/LoggingService');
+const stepRegistry = require('./stepRegistry');
+const storage = require('./storageService');
 
 class DomainProfiler {
   constructor() {
@@ -25,11 +25,11 @@ class DomainProfiler {
     if (this.initialized) return;
     
     try {
-      await fs.access(profilingConfig.PROFILES_DIR);
-      loggingService.log('cache', `Profiles directory exists: ${profilingConfig.PROFILES_DIR}`);
+      const adapter = await storage.ready();
+      loggingService.log('cache', `Profile storage ready (${adapter.name})`);
     } catch (error) {
-      loggingService.log('cache', `Creating profiles directory: ${profilingConfig.PROFILES_DIR}`);
-      await fs.mkdir(profilingConfig.PROFILES_DIR, { recursive: true });
+      loggingService.log('fail', `Error initializing profile storage: ${error.message}`);
+      return;
     }
     
     this.initialized = true;
@@ -85,7 +85,6 @@ class DomainProfiler {
   }
 
   async loadProfile(url) {
-    const filepath = this.getProfilePath(url);
     const id = this.getProfileId(url);
 
     if (this.profilesCache.has(id)) {
@@ -94,25 +93,23 @@ class DomainProfiler {
     }
 
     try {
-      const data = await fs.readFile(filepath, 'utf8');
-      const profile = JSON.parse(data);
+      const profile = await storage.get('profiles', id);
+      if (!profile) {
+        loggingService.log('cache', `Profile not found: ${id}`);
+        return null;
+      }
       
       this.profilesCache.set(id, profile);
-      loggingService.log('cache', `Profile loaded from disk: ${id}`);
+      loggingService.log('cache', `Profile loaded from storage: ${id}`);
       
       return profile;
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        loggingService.log('cache', `Profile not found: ${id}`);
-        return null;
-      }
       loggingService.log('fail', `Error loading profile ${id}: ${error.message}`);
       return null;
     }
   }
 
   async saveProfile(url, profileData) {
-    const filepath = this.getProfilePath(url);
     const id = this.getProfileId(url);
     
     if (this.writeLock.has(id)) {
@@ -121,7 +118,7 @@ class DomainProfiler {
       return true;
     }
 
-    const writePromise = this._performSaveProfile(filepath, id, profileData);
+    const writePromise = this._performSaveProfile(id, profileData);
     this.writeLock.set(id, writePromise);
 
     try {
@@ -132,7 +129,7 @@ class DomainProfiler {
     }
   }
 
-  async _performSaveProfile(filepath, id, profileData) {
+  async _performSaveProfile(id, profileData) {
     try {
       await this.ensureProfilesDir();
       
@@ -142,7 +139,7 @@ class DomainProfiler {
         _lastUpdate: new Date().toISOString()
       };
 
-      await safeWriteJson(filepath, dataToSave);
+      await storage.set('profiles', id, dataToSave);
       
       this.profilesCache.set(id, dataToSave);
       
@@ -155,47 +152,28 @@ class DomainProfiler {
   }
 
   async deleteProfile(url) {
-    const filepath = this.getProfilePath(url);
     const id = this.getProfileId(url);
 
     try {
-      await fs.unlink(filepath);
+      const deleted = await storage.delete('profiles', id);
       this.profilesCache.delete(id);
-      loggingService.log('cache', `Profile deleted: ${id}`);
+      loggingService.log('cache', deleted ? `Profile deleted: ${id}` : `Profile already deleted: ${id}`);
       return true;
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        loggingService.log('cache', `Profile already deleted: ${id}`);
-        return true;
-      }
       loggingService.log('fail', `Error deleting profile ${id}: ${error.message}`);
       return false;
     }
   }
 
   async listProfiles(options = {}) {
-    const { limit = 100, offset = 0 } = options;
+    const { limit = 100, offset = 0, domain = null, platform = null } = options;
 
     try {
       await this.ensureProfilesDir();
-      const files = await fs.readdir(profilingConfig.PROFILES_DIR);
-      const profileFiles = files.filter(f => f.endsWith('.json'));
-
-      const profiles = [];
-      const filesToProcess = profileFiles.slice(offset, offset + limit);
+      const profiles = await storage.list('profiles', { limit, offset, where: { domain, platform } });
+      const total = await storage.count('profiles');
 
-      for (const file of filesToProcess) {
-        try {
-          const filepath = path.join(profilingConfig.PROFILES_DIR, file);
-          const data = await fs.readFile(filepath, 'utf8');
-          const profile = JSON.parse(data);
-          profiles.push(profile);
-        } catch (error) {
-          loggingService.log('fail', `Error reading profile ${file}: ${error.message}`);
-        }
-      }
-
-      loggingService.log('cache', `Listed ${profiles.length} profiles (total: ${profileFiles.length})`);
+      loggingService.log('cache', `Listed ${profiles.length} profiles (total: ${total})`);
       return profiles;
     } catch (error) {
       loggingService.log('fail', `Error listing profiles: ${error.message}`);
@@ -205,39 +183,21 @@ class DomainProfiler {
 
   async cleanupOldProfiles(daysOld = null) {
     const configDaysOld = daysOld || profilingConfig.TTL_DAYS;
-    const cutoffTime = Date.now() - (configDaysOld * 24 * 60 * 60 * 1000);
+    const cutoff = new Date(Date.now() - (configDaysOld * 24 * 60 * 60 * 1000)).toISOString();
 
     loggingService.log('cache', `Starting cleanup of profiles older than ${configDaysOld} days`);
 
     try {
       await this.ensureProfilesDir();
-      const files = await fs.readdir(profilingConfig.PROFILES_DIR);
-      const profileFiles = files.filter(f => f.endsWith('.json'));
-
-      let deletedCount = 0;
+      const deletedIds = await storage.deleteOlderThan('profiles', cutoff);
 
-      for (const file of profileFiles) {
-        try {
-          const filepath = path.join(profilingConfig.PROFILES_DIR, file);
-          const data = await fs.readFile(filepath, 'utf8');
-          const profile = JSON.parse(data);
-
-          const lastSeen = profile.lastSeen || profile._lastUpdate;
-          if (lastSeen) {
-            const lastSeenTime = new Date(lastSeen).getTime();
-            if (lastSeenTime < cutoffTime) {
-              await fs.unlink(filepath);
-              deletedCount++;
-              loggingService.log('cache', `Deleted old profile: ${file}`);
-            }
-          }
-        } catch (error) {
-          loggingService.log('fail', `Error processing profile ${file}: ${error.message}`);
-        }
+      for (const id of deletedIds) {
+        this.profilesCache.delete(id);
+        loggingService.log('cache', `Deleted old profile: ${id}`);
       }
 
-      loggingService.log('win', `Cleanup completed: ${deletedCount} profiles deleted`);
-      return deletedCount;
+      loggingService.log('win', `Cleanup completed: ${deletedIds.length} profiles deleted`);
+      return deletedIds.length;
     } catch (error) {
       loggingService.log('fail', `Error during cleanup: ${error.message}`);
       return 0;
@@ -296,15 +256,66 @@ class DomainProfiler {
       scrapingHits: 0,
       lastHit: null,
       lastJobs: 0,
+      totalAvailable: null,
+      fetched: null,
+      truncated: false,
+      truncatedAt: null,
       lastSuccessfulScraping: null,
       needsReprofiling: false,
       reprofilingReason: null,
       reprofilingTriggeredAt: null,
       lastScrapingAttempt: null,
-      activeScrapeCount: 0
+      activeScrapeCount: 0,
+      lastBlock: null,
+      blockCounts: {},
+      consecutiveBlocks: 0,
+      egressProxy: require('./egressService').getAssignment(url)
     };
   }
 
+  async recordBlock(url, classification) {
+    const existingProfile = await this.loadProfile(url) || this.createNewProfile(this.getDomainFromUrl(url), url);
+    
+    existingProfile.lastBlock = {
+      type: classification.type,
+      provider: classification.provider || null,
+      confidence: classification.confidence,
+      status: classification.status || null,
+      evidence: (classification.evidence || []).slice(0, 5),
+      detectedAt: new Date().toISOString()
+    };
+    existingProfile.blockCounts = existingProfile.blockCounts || {};
+    existingProfile.blockCounts[classification.type] = (existingProfile.blockCounts[classification.type] || 0) + 1;
+    existingProfile.consecutiveBlocks = (existingProfile.consecutiveBlocks || 0) + 1;
+    existingProfile.lastSeen = new Date().toISOString();
+    
+    await this.saveProfile(url, existingProfile);
+    
+    loggingService.log('domain-profile', `Block recorded for ${existingProfile.domain}: ${classification.type} (${existingProfile.consecutiveBlocks} consecutive)`);
+    return existingProfile;
+  }
+
+  async recordEgressProxy(url, proxyId, reason) {
+    const existingProfile = await this.loadProfile(url);
+    if (!existingProfile) return null;
+    
+    if (existingProfile.egressProxy && existingProfile.egressProxy.id === proxyId) {
+      return existingProfile;
+    }
+    
+    existingProfile.egressProxy = {
+      id: proxyId,
+      reason,
+      previous: existingProfile.egressProxy ? existingProfile.egressProxy.id : null,
+      assignedAt: new Date().toISOString()
+    };
+    
+    await this.saveProfile(url, existingProfile);
+    
+    loggingService.log('domain-profile', `Egress proxy for ${existingProfile.domain} set to ${proxyId} (${reason})`);
+    return existingProfile;
+  }
+
   async recordHit(url, source = 'scraping') {
     const existingProfile = await this.loadProfile(url) || this.createNewProfile(this.getDomainFromUrl(url), url);
 
@@ -409,21 +420,8 @@ class DomainProfiler {
     if (!stepName) return null;
     
     if (stepName === 'StepBasedScraper' && platform) {
-      const platformLower = platform.toLowerCase();
-      
-      if (platformLower.includes('recruitee')) return 'recruitee-step';
-      if (platformLower.includes('bamboo')) return 'bamboohr-step';
-      if (platformLower.includes('workable')) return 'workable-step';
-      if (platformLower.includes('greenhouse')) return 'greenhouse-step';
-      if (platformLower.includes('lever')) return 'lever-step';
-      if (platformLower.includes('smart')) return 'smartrecruiters-step';
-      if (platformLower.includes('workday')) return 'workday-step';
-      if (platformLower.includes('icims')) return 'icims-step';
-      if (platformLower.includes('jazz')) return 'jazzhr-step';
-      if (platformLower.includes('adp')) return 'adp-step';
-      if (platformLower.includes('brass')) return 'brassring-step';
-      if (platformLower.includes('power')) return 'powershift-step';
-      if (platformLower.includes('zoho')) return 'zoho-recruit-step';
+      const platformStepName = stepRegistry.getStepNameForPlatform(platform);
+      if (platformStepName) return platformStepName;
     }
     
     const stepNameLower = stepName.toLowerCase();
@@ -453,6 +451,9 @@ class DomainProfiler {
   isStepHeadless(stepName) {
     if (!stepName) return false;
     
+    const registeredHeadless = stepRegistry.isStepHeadless(stepName);
+    if (registeredHeadless !== null) return registeredHeadless;
+    
     const headlessSteps = [
       'headless-rendering', 'iframe-aware-rendering', 'adaptive-fallback',
       'bamboohr-step', 'workday-step', 'workable-step', 'greenhouse-step',
@@ -480,6 +481,7 @@ class DomainProfiler {
   selectBestStep(currentStep, normalizedStepName, originalStepUsed) {
     const STEP_PRIORITY = {
       'axios-simple': 8,
+      'structured-data-lightweight': 8,
       'playwright-basic': 7,
       'playwright-enhanced': 6,
       'headless-rendering': 5,
@@ -533,7 +535,8 @@ class DomainProfiler {
       platform = null,
       cacheCreated = false,
       scraperId = null,
-      isMinimumCache = false
+      isMinimumCache = false,
+      pagination = null
     } = sessionData;
 
     const processingTime = endTime && startTime ? endTime - startTime : 0;
@@ -563,6 +566,7 @@ class DomainProfiler {
       if (isEffectiveSuccess) {
         existingProfile.successes++;
         existingProfile.lastSuccessfulScraping = new Date().toISOString();
+        existingProfile.consecutiveBlocks = 0;
         
         if (existingProfile.needsReprofiling) {
           existingProfile.needsReprofiling = false;
@@ -598,6 +602,8 @@ class DomainProfiler {
         if (jobsFound > 0) {
           existingProfile.lastJobs = jobsFound;
         }
+        
+        this.updatePaginationCoverage(existingProfile, pagination);
       } else {
         existingProfile.failures++;
         
@@ -623,6 +629,21 @@ class DomainProfiler {
     return existingProfile;
   }
 
+  updatePaginationCoverage(profile, pagination) {
+    if (!pagination) return;
+    
+    profile.totalAvailable = pagination.totalAvailable;
+    profile.fetched = pagination.fetched;
+    profile.truncated = pagination.truncated === true;
+    
+    if (profile.truncated) {
+      profile.truncatedAt = new Date().toISOString();
+      loggingService.log('cache', `Profile ${profile.domain} flagged as truncated: ${pagination.fetched}/${pagination.totalAvailable !== null ? pagination.totalAvailable : 'unknown'} jobs fetched`);
+    } else {
+      profile.truncatedAt = null;
+    }
+  }
+
   async updateProfileFromCache(url, cacheData) {
     if (!cacheData) return;
     
@@ -689,11 +710,11 @@ class DomainProfiler {
   async getProfileStats() {
     try {
       await this.ensureProfilesDir();
-      const files = await fs.readdir(profilingConfig.PROFILES_DIR);
-      const profileFiles = files.filter(f => f.endsWith('.json'));
+      const totalDomains = await storage.count('profiles');
+      const profiles = await storage.list('profiles', { limit: storage.isIndexed() ? null : 1000 });
 
       const stats = {
-        totalDomains: profileFiles.length,
+        totalDomains,
         lambdaRecommended: 0,
         fargateRecommended: 0,
         headlessRequired: 0,
@@ -702,6 +723,7 @@ class DomainProfiler {
         totalCacheHits: 0,
         totalScrapingHits: 0,
         needsReprofiling: 0,
+        truncatedProfiles: 0,
         monthlyReprofilingRequired: 0,
         languageDistribution: {},
         stepDistribution: {},
@@ -710,16 +732,13 @@ class DomainProfiler {
 
       let totalSuccessRate = 0;
 
-      for (const file of profileFiles.slice(0, 1000)) {
+      for (const profile of profiles) {
         try {
-          const filepath = path.join(profilingConfig.PROFILES_DIR, file);
-          const data = await fs.readFile(filepath, 'utf8');
-          const profile = JSON.parse(data);
-
           if (profile.aws === 'lambda') stats.lambdaRecommended++;
           if (profile.aws === 'fargate') stats.fargateRecommended++;
           if (profile.headless) stats.headlessRequired++;
           if (profile.needsReprofiling) stats.needsReprofiling++;
+          if (profile.truncated) stats.truncatedProfiles++;
           if (this.isProfileExpiredMonthly(profile)) stats.monthlyReprofilingRequired++;
           
           totalSuccessRate += profile.successRate || 0;
@@ -739,7 +758,7 @@ class DomainProfiler {
             stats.platformDistribution[profile.platform] = (stats.platformDistribution[profile.platform] || 0) + 1;
           }
         } catch (error) {
-          loggingService.log('fail', `Error reading profile ${file}: ${error.message}`);
+          loggingService.log('fail', `Error reading profile ${profile._profileId}: ${error.message}`);
         }
       }
 
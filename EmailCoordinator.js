@@ -1,6 +1,8 @@
 const DomainProfiler = require('./DomainProfiler');
 const EmailQueueManager = require('./EmailQueueManager');
 const EmailExplorer = require('./EmailExplorer');
+const { pickBestRecruitingContact } = require('./emailContactClassifier');
+const emailVerificationService = require('./emailVerificationService');
 const config = require('../config');
 
 class EmailCoordinator {
@@ -37,29 +39,42 @@ class EmailCoordinator {
           if (cacheData && !this.isCacheStale(cacheData)) {
             config.smartLog('cache', `Fresh email cache hit for ${url}`);
             await this.profiler.recordHit(url, 'cache');
-            resolve({
+            const data = emailVerificationService.isEnabled(options)
+              ? await this.explorer.verifyCachedResults(cacheData, options)
+              : cacheData;
+            resolve(this.attachRequestedContacts({
               success: true,
               source: 'cache',
-              data: cacheData,
+              data,
               emailsFound: cacheData.stats?.uniqueEmails || 0,
               timestamp: Date.now()
-            });
+            }, options));
             return;
           }
         }
         
-        const callback = (result) => {
+        const callback = async (result) => {
           if (result.source === 'cache-notification') {
             config.smartLog('queue', `User ${userId} received email cache notification for ${domain}`);
-            resolve({
+            const data = result.data || (result.cacheKey ? await this.explorer.getCachedResults(result.cacheKey) : null);
+            if (!data) {
+              resolve({
+                success: false,
+                source: 'buffered-error',
+                error: 'Shared exploration result not found in cache',
+                timestamp: Date.now()
+              });
+              return;
+            }
+            resolve(this.attachRequestedContacts({
               success: true,
               source: 'cache-shared',
-              data: result.data,
-              emailsFound: result.data.stats?.uniqueEmails || 0,
+              data,
+              emailsFound: data.stats?.uniqueEmails || 0,
               notifiedAt: result.notifiedAt,
               notificationReceived: true,
               timestamp: Date.now()
-            });
+            }, options));
           } else if (result.success === false) {
             config.smartLog('fail', `User ${userId} email callback error for ${domain}: ${result.error}`);
             resolve({
@@ -92,7 +107,7 @@ class EmailCoordinator {
         }
         
         const result = await this.executeExploration(url, explorationSlot, userId, options);
-        resolve(result);
+        resolve(this.attachRequestedContacts(result, options));
         
       } catch (error) {
         config.smartLog('fail', `Coordinated email exploration failed for ${url}: ${error.message}`, { stackTrace: error.stack });
@@ -143,11 +158,12 @@ class EmailCoordinator {
     try {
       await this.profiler.recordHit(url, 'email-exploration');
       
-      explorationResult = await this.explorer.exploreDomain(url, {
+      explorationResult = await EmailQueueManager.runWhileLeaseOwned(this.getDomainFromUrl(url), explorationSlot.explorerId, () => this.explorer.exploreDomain(url, {
         maxDepth: options.maxDepth || 2,
         useCache: false,
-        userId: userId
-      });
+        userId: userId,
+        verifyEmails: options.verifyEmails
+      }));
       
       sessionData.endTime = Date.now();
       sessionData.success = true;
@@ -192,6 +208,21 @@ class EmailCoordinator {
     }
   }
 
+  attachRequestedContacts(response, options = {}) {
+    if (!options.bestRecruitingContact || !response.success || !response.data) {
+      return response;
+    }
+    
+    const bestRecruitingContact = response.data.bestRecruitingContact !== undefined
+      ? response.data.bestRecruitingContact
+      : pickBestRecruitingContact(response.data.emails || []);
+    
+    return {
+      ...response,
+      bestRecruitingContact
+    };
+  }
+
   getDomainFromUrl(url) {
     try {
       const urlObj = new URL(url);
@@ -1,11 +1,15 @@
 const EmailScraper = require('./EmailScraper');
-const axios = require('axios');
+const axios = require('./scrapeHttpClient');
 const cheerio = require('cheerio');
 const { URL } = require('url');
 const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const config = require('../config');
+const domainLockService = require('./domainLockService');
+const crawlPolicy = require('./crawlPolicyService');
+const emailVerificationService = require('./emailVerificationService');
+const { classifyEmail, extractContactPerson, pickBestRecruitingContact } = require('./emailContactClassifier');
 
 class EmailExplorer {
   constructor() {
@@ -20,6 +24,15 @@ class EmailExplorer {
       '/mentions-legales', '/privacy', '/support', '/help',
       '/sales', '/partners', '/careers', '/jobs', '/recruitment'
     ];
+    this.pageTypePatterns = [
+      { type: 'contact', pattern: /(?<![a-z])(contact\w*|kontakt\w*|contacto|contatti|contato|nous-contacter|get-in-touch|reach-us)(?![a-z])/i },
+      { type: 'careers', pattern: /(?<![a-z])(careers?|jobs?|recruit\w*|recrutement|emplois?|offres?-d-emploi|karriere|stellen\w*|jobsuche|empleo|trabaja-con-nosotros|lavora-con-noi|vacatures?|werken-bij|join-us|rejoignez-nous|hiring)(?![a-z])/i },
+      { type: 'team', pattern: /(?<![a-z])(team|teams|equipe|notre-equipe|our-team|unser-team|people|leadership|management|equipo|squadra)(?![a-z])/i },
+      { type: 'about', pattern: /(?<![a-z])(about|about-us|qui-sommes-nous|a-propos|ueber-uns|uber-uns|chi-siamo|quienes-somos|sobre-nos|over-ons|company)(?![a-z])/i },
+      { type: 'legal', pattern: /(?<![a-z])(legal|impressum|mentions-legales|mentions|privacy|datenschutz|aviso-legal|note-legali|terms|cgu|cgv)(?![a-z])/i }
+    ];
+    this.contactContainerSelector = 'li, tr, dd, address, article, section, p, div';
+    this.maxContactContainerLength = 400;
   }
 
   async exploreDomain(startUrl, options = {}) {
@@ -28,6 +41,9 @@ class EmailExplorer {
     const cached = await this.getCachedResults(startUrl);
     if (cached && !options.forceRefresh) {
         config.smartLog('cache', `Using cached results for ${startUrl}`);
+        if (emailVerificationService.isEnabled(options)) {
+            return this.verifyCachedResults(cached, options);
+        }
         return cached;
     }
     
@@ -49,6 +65,8 @@ class EmailExplorer {
             contactPages: 0,
             emailsFound: 0,
             uniqueEmails: 0,
+            policySkips: 0,
+            decoders: {},
             errors: []
         }
     };
@@ -64,6 +82,7 @@ class EmailExplorer {
         }];
         
         while (queue.length > 0 && this.visitedUrls.size < this.maxPagesPerDomain) {
+            domainLockService.throwIfLeaseLost();
             const current = queue.shift();
             
             if (this.visitedUrls.has(current.url)) continue;
@@ -77,6 +96,11 @@ class EmailExplorer {
             try {
                 const pageResult = await this.explorePage(current.url, baseDomain);
                 
+                if (pageResult.skippedByPolicy) {
+                    results.stats.policySkips++;
+                    continue;
+                }
+                
                 results.pagesExplored.push({
                     url: current.url,
                     depth: current.depth,
@@ -89,13 +113,18 @@ class EmailExplorer {
                 pageResult.emails.forEach(email => {
                     if (!this.foundEmails.has(email)) {
                         this.foundEmails.add(email);
-                        results.emails.push({
-                            email: email,
-                            foundOn: current.url,
-                            pageType: current.type,
-                            depth: current.depth
-                        });
+                        const decoder = pageResult.decoders ? pageResult.decoders[email] : null;
+                        if (decoder) {
+                            results.stats.decoders[decoder] = (results.stats.decoders[decoder] || 0) + 1;
+                        }
                     }
+                    results.emails.push({
+                        email: email,
+                        foundOn: current.url,
+                        pageType: current.type,
+                        depth: current.depth,
+                        context: pageResult.contexts ? pageResult.contexts[email] || null : null
+                    });
                 });
                 
                 if (current.type === 'contact' || current.url.includes('contact')) {
@@ -127,6 +156,7 @@ class EmailExplorer {
         }
         
     } catch (error) {
+        if (error.code === 'LEASE_LOST') throw error;
         config.smartLog('fail', `Fatal error: ${error.message}`, { stackTrace: error.stack });
         results.stats.errors.push({
             url: startUrl,
@@ -139,7 +169,11 @@ class EmailExplorer {
     results.completedAt = new Date().toISOString();
     results.stats.emailsFound = results.emails.length;
     results.stats.uniqueEmails = this.foundEmails.size;
-    results.emails = this.consolidateEmails(results.emails);
+    results.emails = this.consolidateEmails(results.emails, results.domain);
+    if (emailVerificationService.isEnabled(options)) {
+        await this.applyEmailVerification(results, options);
+    }
+    results.bestRecruitingContact = pickBestRecruitingContact(results.emails);
     
     if (results.stats.totalPages > 0 || results.stats.errors.length > 0) {
         await this.saveExplorationResults(results);
@@ -168,6 +202,15 @@ class EmailExplorer {
   }
 
   async explorePage(url, baseDomain) {
+    const policy = await crawlPolicy.canFetch(url, 'email-explorer');
+    if (!policy.allowed) {
+        return {
+            emails: [],
+            links: [],
+            skippedByPolicy: policy.reason
+        };
+    }
+    
     try {
         const response = await axios.get(url, {
             timeout: 10000,
@@ -187,7 +230,8 @@ class EmailExplorer {
         const html = response.data;
         const $ = cheerio.load(html);
         
-        const emails = this.emailScraper.extractEmailsFromHTML(html);
+        const { emails, decoders } = this.emailScraper.extractEmailsWithDecoders(html);
+        const contexts = this.extractEmailContexts($, emails);
         
         const links = [];
         $('a[href]').each((i, el) => {
@@ -223,6 +267,8 @@ class EmailExplorer {
         
         return {
             emails: emails,
+            decoders: decoders,
+            contexts: contexts,
             links: this.prioritizeLinks(links)
         };
         
@@ -236,18 +282,121 @@ class EmailExplorer {
   }
 
   classifyPageType(url, text) {
-    const urlLower = url.toLowerCase();
-    const textLower = text.toLowerCase();
+    let pathname = url;
+    try {
+      pathname = new URL(url).pathname;
+    } catch (e) {}
     
-    if (urlLower.includes('contact') || textLower.includes('contact')) return 'contact';
-    if (urlLower.includes('about') || textLower.includes('about')) return 'about';
-    if (urlLower.includes('team') || textLower.includes('equipe')) return 'team';
-    if (urlLower.includes('legal') || urlLower.includes('mentions')) return 'legal';
-    if (urlLower.includes('career') || urlLower.includes('job')) return 'careers';
+    const segments = decodeURIComponent(pathname).toLowerCase().split('/').filter(Boolean);
+    const candidates = [
+      segments[segments.length - 1] || '',
+      segments.join('/'),
+      (text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '-')
+    ];
+    
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      const match = this.pageTypePatterns.find(({ pattern }) => pattern.test(candidate));
+      if (match) return match.type;
+    }
     
     return 'general';
   }
 
+  extractEmailContexts($, emails) {
+    const contexts = {};
+    if (emails.length === 0) return contexts;
+    
+    const wanted = new Set(emails);
+    const setContext = (email, context) => {
+      if (!wanted.has(email)) return;
+      const existing = contexts[email];
+      if (!existing || (!existing.person && context.person)) {
+        contexts[email] = context;
+      }
+    };
+    
+    $('script[type="application/ld+json"]').each((i, el) => {
+      let data;
+      try {
+        data = JSON.parse($(el).html());
+      } catch (e) {
+        return;
+      }
+      
+      const stack = [data];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (!node || typeof node !== 'object') continue;
+        if (Array.isArray(node)) {
+          stack.push(...node);
+          continue;
+        }
+        
+        if (typeof node.email === 'string') {
+          const email = this.emailScraper.normalizeEmail(node.email.replace(/^mailto:/i, ''));
+          const name = typeof node.name === 'string' ? node.name.trim() : null;
+          const title = typeof node.jobTitle === 'string' ? node.jobTitle.trim() : null;
+          setContext(email, {
+            text: [name, title, node.description].filter(value => typeof value === 'string').join(' | ').substring(0, 300),
+            source: 'json-ld',
+            person: name || title ? { name, title } : null
+          });
+        }
+        
+        Object.values(node).forEach(value => {
+          if (value && typeof value === 'object') stack.push(value);
+        });
+      }
+    });
+    
+    const findContainer = (element) => {
+      const container = element.closest(this.contactContainerSelector);
+      if (container.length > 0 && container.text().length <= this.maxContactContainerLength) return container;
+      const parent = element.parent();
+      return parent.length > 0 && parent.text().length <= this.maxContactContainerLength ? parent : element;
+    };
+    
+    const describeContainer = (email, container, source, linkText = '') => {
+      const text = container.text().replace(/\s+/g, ' ').trim().substring(0, 300);
+      const cardName = container.find('.p-name, .fn, [itemprop="name"]').first().text().trim();
+      const cardTitle = container.find('.p-job-title, .title, .job-title, [itemprop="jobTitle"]').first().text().trim();
+      const lines = container.find('*').addBack().contents()
+        .filter((i, node) => node.type === 'text')
+        .map((i, node) => $(node).text())
+        .get()
+        .join('\n');
+      const extracted = extractContactPerson(lines, email);
+      const name = cardName || (extracted && extracted.name) || null;
+      const title = cardTitle || (extracted && extracted.title) || null;
+      
+      setContext(email, {
+        text,
+        linkText: linkText || null,
+        source,
+        person: name || title ? { name, title } : null
+      });
+    };
+    
+    $('a[href^="mailto:"]').each((i, el) => {
+      const email = this.emailScraper.normalizeEmail(($(el).attr('href') || '').replace(/^mailto:/i, '').split('?')[0]);
+      if (!wanted.has(email)) return;
+      
+      describeContainer(email, findContainer($(el)), 'mailto', $(el).text().trim());
+    });
+    
+    for (const email of emails) {
+      if (contexts[email]) continue;
+      
+      const leaf = $('body *').filter((i, el) => $(el).children().length === 0 && $(el).text().toLowerCase().includes(email)).first();
+      if (leaf.length === 0) continue;
+      
+      describeContainer(email, findContainer(leaf), 'text');
+    }
+    
+    return contexts;
+  }
+
   prioritizeLinks(links) {
     const priority = {
       'contact': 1,
@@ -263,7 +412,7 @@ class EmailExplorer {
       .slice(0, 10);
   }
 
-  consolidateEmails(emailList) {
+  consolidateEmails(emailList, domain = null) {
     const emailMap = new Map();
     
     for (const item of emailList) {
@@ -273,18 +422,65 @@ class EmailExplorer {
           foundOn: [item.foundOn],
           pageTypes: [item.pageType],
           firstSeen: item.foundOn,
-          occurrences: 1
+          occurrences: 1,
+          contexts: item.context ? [item.context] : []
         });
       } else {
         const existing = emailMap.get(item.email);
         existing.foundOn.push(item.foundOn);
         existing.pageTypes.push(item.pageType);
         existing.occurrences++;
+        if (item.context && existing.contexts.length < 5) {
+          existing.contexts.push(item.context);
+        }
       }
     }
     
     return Array.from(emailMap.values())
-      .sort((a, b) => b.occurrences - a.occurrences);
+      .map(({ contexts, ...entry }) => {
+        const withPerson = contexts.find(context => context.person && context.person.name) ||
+          contexts.find(context => context.person);
+        
+        return {
+          ...entry,
+          ...classifyEmail(entry.email, {
+            pageTypes: entry.pageTypes,
+            texts: contexts.map(context => [context.linkText, context.text].filter(Boolean).join(' ')),
+            person: withPerson ? withPerson.person : null,
+            domain
+          }),
+          context: contexts.length > 0 ? contexts[0].text : null
+        };
+      })
+      .sort((a, b) => b.occurrences - a.occurrences || b.confidence - a.confidence);
+  }
+
+  async applyEmailVerification(results, options = {}) {
+    const pending = (results.emails || []).filter(entry => emailVerificationService.isStale(entry.verification));
+    if (pending.length === 0) return false;
+    
+    const verifications = await emailVerificationService.verifyEmails(pending.map(entry => entry.email), options);
+    for (const entry of pending) {
+      const verification = verifications.get(entry.email.toLowerCase());
+      if (verification) entry.verification = verification;
+    }
+    
+    results.stats = results.stats || {};
+    results.stats.verifiedEmails = results.emails.filter(entry => entry.verification).length;
+    results.stats.deliverableEmails = results.emails.filter(entry => entry.verification && entry.verification.status === 'deliverable').length;
+    return true;
+  }
+
+  async verifyCachedResults(results, options = {}) {
+    try {
+      if (await this.applyEmailVerification(results, options)) {
+        results.bestRecruitingContact = pickBestRecruitingContact(results.emails);
+        await this.saveExplorationResults(results);
+      }
+    } catch (error) {
+      config.smartLog('fail', `Email verification failed for ${results.domain}: ${error.message}`);
+    }
+    return results;
   }
 
   async saveExplorationResults(results) {
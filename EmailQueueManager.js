@@ -1,7 +1,7 @@
 const EventEmitter = require('events');
-const fs = require('fs').promises;
-const path = require('path');
 const config = require('../config');
+const storage = require('./storageService');
+const domainLockService = require('./domainLockService');
 
 class EmailQueueManager extends EventEmitter {
   constructor() {
@@ -14,14 +14,18 @@ class EmailQueueManager extends EventEmitter {
     this.isProcessing = false;
     this.SAVE_INTERVAL_MS = 30000;
     this.QUEUE_CLEANUP_INTERVAL_MS = 120000;
-    this.bufferFilePath = null;
-    this.globalQueueFilePath = null;
+    this.bufferKey = null;
+    this.globalQueueKey = null;
     this.initialized = false;
     this.MAX_CONCURRENT_DOMAIN_EXPLORERS = 1;
     this.pendingRequests = new Map();
     this.domainCallbacks = new Map();
     this.isSavingGlobalQueue = false;
     this.pendingGlobalSave = false;
+    this.LOCK_NAMESPACE = 'email';
+    this.unsubscribeLockEvents = null;
+    this.lostLeases = new Map();
+    this.onLeaseLost = event => this.handleLeaseLost(event);
   }
 
   async requestExplorationSlot(domain, requesterId = null, callback = null) {
@@ -38,9 +42,11 @@ class EmailQueueManager extends EventEmitter {
     };
     
     const now = Date.now();
+    const explorerId = `${domain}_${now}_${reqId}`;
+    const lease = await this.acquireDomainLease(domain, explorerId, queueInfo);
     
-    if (queueInfo.activeExploreCount >= this.MAX_CONCURRENT_DOMAIN_EXPLORERS) {
-      config.smartLog('queue', `Domain ${domain} at max email exploration capacity: ${queueInfo.activeExploreCount} explorers - User ${reqId} added to buffer`);
+    if (!lease.acquired) {
+      config.smartLog('queue', `Domain ${domain} at max email exploration capacity: ${lease.activeCount} explorers - User ${reqId} added to buffer`);
       
       const waitingRequests = this.pendingRequests.get(domain) || [];
       const request = {
@@ -61,14 +67,13 @@ class EmailQueueManager extends EventEmitter {
       return {
         allowed: false,
         reason: 'buffered',
-        activeExploreCount: queueInfo.activeExploreCount,
+        activeExploreCount: lease.activeCount,
         queuePosition: waitingRequests.length,
         requesterId: reqId,
         message: 'Added to intelligent email buffer - will receive results when exploration completes'
       };
     }
     
-    const explorerId = `${domain}_${now}_${reqId}`;
     queueInfo.activeExploreCount++;
     queueInfo.lastStartTime = now;
     queueInfo.explorerIds.add(explorerId);
@@ -89,8 +94,98 @@ class EmailQueueManager extends EventEmitter {
     };
   }
 
+  async acquireDomainLease(domain, explorerId, queueInfo) {
+    try {
+      return await domainLockService.acquire(this.LOCK_NAMESPACE, domain, explorerId, this.MAX_CONCURRENT_DOMAIN_EXPLORERS);
+    } catch (error) {
+      config.smartLog('fail', `Email domain lease unavailable for ${domain}, using local slot count: ${error.message}`);
+      return {
+        acquired: queueInfo.activeExploreCount < this.MAX_CONCURRENT_DOMAIN_EXPLORERS,
+        activeCount: queueInfo.activeExploreCount
+      };
+    }
+  }
+
+  async releaseDomainLease(domain, explorerId, cacheData) {
+    const owned = !this.lostLeases.has(explorerId);
+    this.lostLeases.delete(explorerId);
+    
+    try {
+      await domainLockService.release(this.LOCK_NAMESPACE, domain, explorerId);
+      if (!owned) return;
+      
+      await domainLockService.publish(this.LOCK_NAMESPACE, {
+        type: 'released',
+        domain,
+        explorerId,
+        status: cacheData ? 'success' : 'failed',
+        cacheKey: cacheData && cacheData.startUrl ? cacheData.startUrl : null
+      });
+    } catch (error) {
+      config.smartLog('fail', `Failed to release email domain lease for ${domain}: ${error.message}`);
+    }
+  }
+
+  handleLockEvent(event) {
+    if (event.type !== 'released' || !event.domain) return;
+    
+    config.smartLog('queue', `Email slot for ${event.domain} released by ${event.origin} (${event.status || 'unknown'})`);
+    
+    if (event.status === 'success' && event.cacheKey) {
+      this.notifyWaitingRequests(event.domain, null, event.cacheKey);
+    } else {
+      this.notifyExplorationFailure(event.domain);
+    }
+  }
+
+  handleLeaseLost(event) {
+    if (event.namespace !== this.LOCK_NAMESPACE) return;
+    
+    const queueInfo = this.globalExplorationQueue.get(event.domain);
+    if (!queueInfo || !queueInfo.explorerIds.has(event.holderId)) return;
+    
+    this.lostLeases.set(event.holderId, event.domain);
+    config.smartLog('fail', `Explorer ${event.holderId} no longer owns ${event.domain}, aborting its exploration`);
+    this.emit('leaseLost', { domain: event.domain, explorerId: event.holderId });
+  }
+
+  isLeaseOwned(explorerId) {
+    return !this.lostLeases.has(explorerId);
+  }
+
+  createLeaseLostError(domain) {
+    const error = new Error(`Email exploration lease for ${domain} was lost`);
+    error.code = 'LEASE_LOST';
+    return error;
+  }
+
+  async runWhileLeaseOwned(domain, explorerId, task) {
+    if (!this.isLeaseOwned(explorerId)) {
+      throw this.createLeaseLostError(domain);
+    }
+    
+    const controller = new AbortController();
+    const onLost = event => {
+      if (event.explorerId !== explorerId || controller.signal.aborted) return;
+      config.smartLog('queue', `Aborting work on ${domain} after losing lease (${explorerId})`);
+      controller.abort(this.createLeaseLostError(domain));
+    };
+    this.on('leaseLost', onLost);
+    
+    try {
+      const value = await domainLockService.runWithSignal(controller.signal, task);
+      if (controller.signal.aborted) throw controller.signal.reason;
+      return value;
+    } catch (error) {
+      if (controller.signal.aborted) throw controller.signal.reason;
+      throw error;
+    } finally {
+      this.off('leaseLost', onLost);
+    }
+  }
+
   async saveBufferFile() {
-    if (!this.bufferFilePath) return;
+    if (!this.bufferKey) return;
     
     const bufferData = {
       updates: Object.fromEntries(this.updateQueue),
@@ -100,51 +195,15 @@ class EmailQueueManager extends EventEmitter {
     };
     
     try {
-      const dir = path.dirname(this.bufferFilePath);
-      await fs.mkdir(dir, { recursive: true });
-      
-      const tempPath = path.join(dir, `email-queue-buffer.tmp.${Date.now()}.${Math.random().toString(36).substr(2, 9)}.json`);
-      await fs.writeFile(tempPath, JSON.stringify(bufferData, null, 2), { encoding: 'utf8' });
-      
-      try {
-        const tempStats = await fs.stat(tempPath);
-        if (tempStats.size < 10) {
-          await fs.unlink(tempPath);
-          throw new Error('Email buffer temp file too small');
-        }
-      } catch (statError) {
-        if (statError.code !== 'ENOENT') {
-          await fs.unlink(tempPath).catch(() => {});
-          throw new Error(`Email buffer temp file validation failed: ${statError.message}`);
-        }
-      }
-      
-      try {
-        await fs.access(this.bufferFilePath);
-        await fs.unlink(this.bufferFilePath);
-      } catch (error) {
-      }
-      
-      await fs.rename(tempPath, this.bufferFilePath);
+      await storage.set('state', this.bufferKey, bufferData);
       config.smartLog('queue', `Saved ${this.updateQueue.size} email updates to buffer file`);
     } catch (error) {
       config.smartLog('fail', `Failed to save email buffer file: ${error.message}`, { stackTrace: error.stack });
-      
-      const dir = path.dirname(this.bufferFilePath);
-      try {
-        const tempFiles = await fs.readdir(dir);
-        for (const file of tempFiles) {
-          if (file.startsWith('email-queue-buffer.tmp.')) {
-            await fs.unlink(path.join(dir, file)).catch(() => {});
-          }
-        }
-      } catch (cleanupError) {
-      }
     }
   }
 
   async saveGlobalQueueFile() {
-    if (!this.globalQueueFilePath) return;
+    if (!this.globalQueueKey) return;
     
     if (this.isSavingGlobalQueue) {
       this.pendingGlobalSave = true;
@@ -154,9 +213,6 @@ class EmailQueueManager extends EventEmitter {
     this.isSavingGlobalQueue = true;
     
     try {
-      const dir = path.dirname(this.globalQueueFilePath);
-      await fs.mkdir(dir, { recursive: true });
-      
       const globalQueueData = {};
       for (const [domain, info] of this.globalExplorationQueue.entries()) {
         globalQueueData[domain] = {
@@ -172,44 +228,11 @@ class EmailQueueManager extends EventEmitter {
         queueSize: this.globalExplorationQueue.size
       };
       
-      const tempPath = path.join(dir, `global-email-queue.tmp.${Date.now()}.${Math.random().toString(36).substr(2, 9)}.json`);
-      await fs.writeFile(tempPath, JSON.stringify(queueData, null, 2), { encoding: 'utf8' });
-      
-      try {
-        const tempStats = await fs.stat(tempPath);
-        if (tempStats.size < 10) {
-          await fs.unlink(tempPath);
-          throw new Error('Global email queue temp file too small');
-        }
-      } catch (statError) {
-        if (statError.code !== 'ENOENT') {
-          await fs.unlink(tempPath).catch(() => {});
-          throw new Error(`Global email queue temp file validation failed: ${statError.message}`);
-        }
-      }
-      
-      try {
-        await fs.access(this.globalQueueFilePath);
-        await fs.unlink(this.globalQueueFilePath);
-      } catch (error) {
-      }
-      
-      await fs.rename(tempPath, this.globalQueueFilePath);
+      await storage.set('state', this.globalQueueKey, queueData);
       config.smartLog('queue', `Saved ${this.globalExplorationQueue.size} email domains to global queue file`);
       
     } catch (error) {
       config.smartLog('fail', `Failed to save global email queue file: ${error.message}`, { stackTrace: error.stack });
-      
-      const dir = path.dirname(this.globalQueueFilePath);
-      try {
-        const tempFiles = await fs.readdir(dir);
-        for (const file of tempFiles) {
-          if (file.startsWith('global-email-queue.tmp.')) {
-            await fs.unlink(path.join(dir, file)).catch(() => {});
-          }
-        }
-      } catch (cleanupError) {
-      }
     } finally {
       this.isSavingGlobalQueue = false;
       
@@ -220,7 +243,7 @@ class EmailQueueManager extends EventEmitter {
     }
   }
 
-  notifyWaitingRequests(domain, cacheData) {
+  notifyWaitingRequests(domain, cacheData, cacheKey = null) {
     const callbacks = this.domainCallbacks.get(domain);
     if (!callbacks || callbacks.length === 0) {
       config.smartLog('queue', `No email callbacks to notify for ${domain}`);
@@ -238,6 +261,7 @@ class EmailQueueManager extends EventEmitter {
             success: true,
             source: 'cache-notification',
             data: cacheData,
+            cacheKey,
             requesterId,
             notifiedAt: Date.now()
           });
@@ -254,6 +278,30 @@ class EmailQueueManager extends EventEmitter {
     config.smartLog('queue', `Cleaned up pending email requests for ${domain} (notified: ${notifiedCallbacks.length})`);
   }
   
+  notifyExplorationFailure(domain) {
+    const callbacks = this.domainCallbacks.get(domain);
+    if (!callbacks || callbacks.length === 0) return;
+    
+    config.smartLog('alert', `Notifying ${callbacks.length} waiting email requests about exploration failure`);
+    for (const { requesterId, callback } of callbacks) {
+      if (callback && typeof callback === 'function') {
+        try {
+          callback({
+            success: false,
+            error: 'Email exploration failed',
+            source: 'exploration-failure',
+            requesterId,
+            notifiedAt: Date.now()
+          });
+        } catch (error) {
+          config.smartLog('fail', `Error notifying email failure to ${requesterId}: ${error.message}`, { stackTrace: error.stack });
+        }
+      }
+    }
+    this.domainCallbacks.delete(domain);
+    this.pendingRequests.delete(domain);
+  }
+  
   async releaseExplorationSlot(domain, explorerId, cacheData = null) {
     await this.init();
     
@@ -267,32 +315,14 @@ class EmailQueueManager extends EventEmitter {
     queueInfo.explorerIds.delete(explorerId);
     queueInfo.lastEndTime = Date.now();
     
+    await this.releaseDomainLease(domain, explorerId, cacheData);
+    
     if (cacheData) {
       config.smartLog('queue', `Releasing email slot for ${domain} with cache data - triggering notifications`);
       this.notifyWaitingRequests(domain, cacheData);
     } else {
       config.smartLog('queue', `Releasing email slot for ${domain} without cache data`);
-      const callbacks = this.domainCallbacks.get(domain);
-      if (callbacks && callbacks.length > 0) {
-        config.smartLog('alert', `Notifying ${callbacks.length} waiting email requests about exploration failure`);
-        for (const { requesterId, callback } of callbacks) {
-          if (callback && typeof callback === 'function') {
-            try {
-              callback({
-                success: false,
-                error: 'Email exploration failed',
-                source: 'exploration-failure',
-                requesterId,
-                notifiedAt: Date.now()
-              });
-            } catch (error) {
-              config.smartLog('fail', `Error notifying email failure to ${requesterId}: ${error.message}`, { stackTrace: error.stack });
-            }
-          }
-        }
-        this.domainCallbacks.delete(domain);
-        this.pendingRequests.delete(domain);
-      }
+      this.notifyExplorationFailure(domain);
     }
     
     if (queueInfo.activeExploreCount === 0) {
@@ -309,26 +339,34 @@ class EmailQueueManager extends EventEmitter {
   async init() {
     if (this.initialized) return;
     
-    const profilesDir = path.join(__dirname, '../profiles');
-    try {
-      await fs.access(profilesDir);
-    } catch (error) {
-      await fs.mkdir(profilesDir, { recursive: true });
-    }
+    await storage.ready();
     
-    this.bufferFilePath = path.join(profilesDir, 'email-queue-buffer.json');
-    this.globalQueueFilePath = path.join(profilesDir, 'global-email-queue.json');
+    this.bufferKey = 'email-queue-buffer';
+    this.globalQueueKey = 'global-email-queue';
     
     await this.loadBufferFile();
     await this.loadGlobalQueueFile();
+    
+    try {
+      this.unsubscribeLockEvents = await domainLockService.subscribe(this.LOCK_NAMESPACE, event => this.handleLockEvent(event));
+    } catch (error) {
+      config.smartLog('fail', `Cross-process email slot notifications unavailable: ${error.message}`);
+    }
+    domainLockService.on('leaseLost', this.onLeaseLost);
+    
     this.initialized = true;
     config.smartLog('service', 'EmailQueueManager initialized');
   }
 
   async loadBufferFile() {
     try {
-      const data = await fs.readFile(this.bufferFilePath, 'utf-8');
-      const bufferData = JSON.parse(data);
+      const bufferData = await storage.get('state', this.bufferKey);
+      
+      if (!bufferData) {
+        config.smartLog('service', `Email buffer file not found, creating: state/${this.bufferKey}`);
+        await this.createEmptyBufferFile();
+        return;
+      }
       
       if (bufferData.updates && typeof bufferData.updates === 'object') {
         this.updateQueue = new Map(Object.entries(bufferData.updates));
@@ -337,27 +375,20 @@ class EmailQueueManager extends EventEmitter {
       
       await this.clearBufferFile();
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        config.smartLog('service', `Email buffer file not found, creating: ${this.bufferFilePath}`);
-        await this.createEmptyBufferFile();
-      } else if (error.name === 'SyntaxError') {
-        config.smartLog('fail', 'Corrupted email buffer file detected, creating backup and new file', { stackTrace: error.stack });
-        const backupPath = `${this.bufferFilePath}.corrupted.${Date.now()}`;
-        try {
-          await fs.copyFile(this.bufferFilePath, backupPath);
-          config.smartLog('service', `Email buffer backup saved to: ${backupPath}`);
-        } catch (backupError) {
-          config.smartLog('fail', `Failed to create email buffer backup: ${backupError.message}`, { stackTrace: backupError.stack });
-        }
-        await this.createEmptyBufferFile();
-      }
+      config.smartLog('fail', `Failed to load email buffer file: ${error.message}`, { stackTrace: error.stack });
+      await this.createEmptyBufferFile();
     }
   }
 
   async loadGlobalQueueFile() {
     try {
-      const data = await fs.readFile(this.globalQueueFilePath, 'utf-8');
-      const queueData = JSON.parse(data);
+      const queueData = await storage.get('state', this.globalQueueKey);
+      
+      if (!queueData) {
+        config.smartLog('service', `Global email queue file not found, creating: state/${this.globalQueueKey}`);
+        await this.createEmptyGlobalQueueFile();
+        return;
+      }
       
       if (queueData.globalEmailQueue && typeof queueData.globalEmailQueue === 'object') {
         for (const [domain, info] of Object.entries(queueData.globalEmailQueue)) {
@@ -371,20 +402,8 @@ class EmailQueueManager extends EventEmitter {
       
       await this.clearGlobalQueueFile();
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        config.smartLog('service', `Global email queue file not found, creating: ${this.globalQueueFilePath}`);
-        await this.createEmptyGlobalQueueFile();
-      } else if (error.name === 'SyntaxError') {
-        config.smartLog('fail', 'Corrupted global email queue file detected, creating backup and new file', { stackTrace: error.stack });
-        const backupPath = `${this.globalQueueFilePath}.corrupted.${Date.now()}`;
-        try {
-          await fs.copyFile(this.globalQueueFilePath, backupPath);
-          config.smartLog('service', `Global email queue backup saved to: ${backupPath}`);
-        } catch (backupError) {
-          config.smartLog('fail', `Failed to create global email queue backup: ${backupError.message}`, { stackTrace: backupError.stack });
-        }
-        await this.createEmptyGlobalQueueFile();
-      }
+      config.smartLog('fail', `Failed to load global email queue file: ${error.message}`, { stackTrace: error.stack });
+      await this.createEmptyGlobalQueueFile();
     }
   }
 
@@ -396,10 +415,8 @@ class EmailQueueManager extends EventEmitter {
     };
     
     try {
-      const dir = path.dirname(this.bufferFilePath);
-      await fs.mkdir(dir, { recursive: true });
-      await fs.writeFile(this.bufferFilePath, JSON.stringify(emptyBuffer, null, 2), { encoding: 'utf8' });
-      config.smartLog('service', `Created empty email buffer file: ${this.bufferFilePath}`);
+      await storage.set('state', this.bufferKey, emptyBuffer);
+      config.smartLog('service', `Created empty email buffer file: state/${this.bufferKey}`);
     } catch (error) {
       config.smartLog('fail', `Failed to create email buffer file: ${error.message}`, { stackTrace: error.stack });
     }
@@ -413,10 +430,8 @@ class EmailQueueManager extends EventEmitter {
     };
     
     try {
-      const dir = path.dirname(this.globalQueueFilePath);
-      await fs.mkdir(dir, { recursive: true });
-      await fs.writeFile(this.globalQueueFilePath, JSON.stringify(emptyQueue, null, 2), { encoding: 'utf8' });
-      config.smartLog('service', `Created empty global email queue file: ${this.globalQueueFilePath}`);
+      await storage.set('state', this.globalQueueKey, emptyQueue);
+      config.smartLog('service', `Created empty global email queue file: state/${this.globalQueueKey}`);
     } catch (error) {
       config.smartLog('fail', `Failed to create global email queue file: ${error.message}`, { stackTrace: error.stack });
     }
@@ -628,6 +643,15 @@ class EmailQueueManager extends EventEmitter {
     
     this.pendingRequests.clear();
     this.domainCallbacks.clear();
+    
+    if (this.unsubscribeLockEvents) {
+      await this.unsubscribeLockEvents();
+      this.unsubscribeLockEvents = null;
+    }
+    domainLockService.off('leaseLost', this.onLeaseLost);
+    await domainLockService.releaseAll(this.LOCK_NAMESPACE);
+    this.lostLeases.clear();
+    
     this.initialized = false;
     
     config.smartLog('service', 'EmailQueueManager stopped');
@@ -658,8 +682,12 @@ class EmailQueueManager extends EventEmitter {
       domainLocksCount: this.domainLocks.size,
       isProcessing: this.isProcessing,
       saveIntervalMs: this.SAVE_INTERVAL_MS,
-      bufferFilePath: this.bufferFilePath,
-      globalQueueFilePath: this.globalQueueFilePath,
+      storageBackend: storage.adapter ? storage.adapter.name : null,
+      bufferKey: this.bufferKey,
+      globalQueueKey: this.globalQueueKey,
+      bufferFilePath: this.bufferKey ? storage.getFilePath('state', this.bufferKey) : null,
+      globalQueueFilePath: this.globalQueueKey ? storage.getFilePath('state', this.globalQueueKey) : null,
+      locks: domainLockService.getStats(),
       initialized: this.initialized,
       globalQueueDetails,
       config: {
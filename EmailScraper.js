@@ -1,13 +1,16 @@
-const { chromium } = require('playwright');
-const axios = require('axios');
+const axios = require('./scrapeHttpClient');
 const cheerio = require('cheerio');
 const path = require('path');
 const fs = require('fs').promises;
 const crypto = require('crypto');
 const config = require('../config');
+const browserPool = require('./browserPool');
+const egressService = require('./egressService');
 
 class EmailScraper {
   constructor() {
+    egressService.install();
+
     this.emailPatterns = [
       /([a-zA-Z0-9._-]+@[a-zA-Z0-9._-]+\.[a-zA-Z0-9_-]+)/gi,
       /([a-zA-Z0-9._-]+\s*\[at\]\s*[a-zA-Z0-9._-]+\s*\[dot\]\s*[a-zA-Z0-9_-]+)/gi,
@@ -69,31 +72,300 @@ class EmailScraper {
     return Array.from(emails);
   }
 
-  extractEmailsFromHTML(html) {
-    const $ = cheerio.load(html);
-    const emails = new Set();
+  decodeCloudflareEmail(encoded) {
+    if (!encoded || !/^[0-9a-f]+$/i.test(encoded) || encoded.length < 4 || encoded.length % 2 !== 0) return null;
+    
+    const key = parseInt(encoded.substr(0, 2), 16);
+    const bytes = [];
+    for (let i = 2; i < encoded.length; i += 2) {
+      bytes.push(parseInt(encoded.substr(i, 2), 16) ^ key);
+    }
+    
+    return Buffer.from(bytes).toString('utf8');
+  }
+
+  decodeHtmlEntities(text) {
+    const namedEntities = {
+      commat: '@', period: '.', amp: '&', nbsp: ' ', lowbar: '_', hyphen: '-', dash: '-', plus: '+', quot: '"', apos: "'"
+    };
+    const fromCodePoint = (value, radix) => {
+      const codePoint = parseInt(value, radix);
+      return codePoint > 0 && codePoint < 0x110000 ? String.fromCodePoint(codePoint) : '';
+    };
+    
+    let decoded = text;
+    for (let pass = 0; pass < 2 && decoded.includes('&'); pass++) {
+      decoded = decoded
+        .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => fromCodePoint(hex, 16))
+        .replace(/&#(\d+);?/g, (match, dec) => fromCodePoint(dec, 10))
+        .replace(/&([a-z]+);/gi, (match, name) => namedEntities[name.toLowerCase()] !== undefined ? namedEntities[name.toLowerCase()] : match);
+    }
+    return decoded;
+  }
+
+  unescapeJsString(value) {
+    return value
+      .replace(/\\x([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/\\u\{([0-9a-f]{1,6})\}/gi, (match, hex) => String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10ffff)))
+      .replace(/\\u([0-9a-f]{4})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+      .replace(/\\(.)/g, '$1');
+  }
+
+  decodeCharCodes(list) {
+    return list.split(',')
+      .map(code => parseInt(code.trim(), 10))
+      .filter(code => code > 0 && code < 0x10000)
+      .map(code => String.fromCharCode(code))
+      .join('');
+  }
+
+  extractEmailsFromDecoded(values) {
+    const candidates = values.filter(value => value && /@|\[at\]|\(at\)/i.test(value));
+    return this.extractEmailsFromText(candidates.join(' '));
+  }
+
+  extractCloudflareEmails($) {
+    const decoded = [];
+    
+    $('[data-cfemail]').each((i, el) => {
+      decoded.push(this.decodeCloudflareEmail($(el).attr('data-cfemail')));
+    });
+    
+    $('a[href*="/cdn-cgi/l/email-protection#"]').each((i, el) => {
+      decoded.push(this.decodeCloudflareEmail(($(el).attr('href') || '').split('#')[1]));
+    });
+    
+    return this.extractEmailsFromDecoded(decoded);
+  }
+
+  extractReversedEmails($) {
+    const rtlStyle = /direction\s*:\s*rtl|unicode-bidi\s*:\s*bidi-override/i;
+    const rtlScript = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+    const rtlClasses = new Set();
+    
+    $('style').each((i, el) => {
+      const css = $(el).html() || '';
+      const rulePattern = /([^{}]+)\{([^}]*)\}/g;
+      let rule;
+      while ((rule = rulePattern.exec(css)) !== null) {
+        if (!rtlStyle.test(rule[2])) continue;
+        (rule[1].match(/\.[a-zA-Z_-][\w-]*/g) || []).forEach(className => rtlClasses.add(className.substring(1)));
+      }
+    });
+    
+    const selectors = ['bdo[dir="rtl"]', '[style]', ...Array.from(rtlClasses).map(className => `.${className}`)];
+    const reversed = [];
+    
+    $(selectors.join(', ')).each((i, el) => {
+      const isRtl = el.tagName === 'bdo' ||
+        rtlStyle.test($(el).attr('style') || '') ||
+        Array.from(rtlClasses).some(className => $(el).hasClass(className));
+      if (!isRtl) return;
+      
+      const text = $(el).text().trim();
+      if (!text || text.length > 120 || rtlScript.test(text)) return;
+      
+      reversed.push(text.split('').reverse().join(''));
+    });
+    
+    return this.extractEmailsFromDecoded(reversed);
+  }
+
+  extractFormEmails($) {
+    const values = [];
+    const recipientField = /^(recipients?|to|mail_?to|email_?to|send_?to|sendto|contact_?email|destinataire|empfaenger|destinatario)$/i;
+    
+    $('form[action]').each((i, el) => {
+      const action = $(el).attr('action') || '';
+      if (/^mailto:/i.test(action)) {
+        values.push(action.replace(/^mailto:/i, '').split('?')[0]);
+      }
+    });
+    
+    $('form input[type="hidden"]').each((i, el) => {
+      if (recipientField.test($(el).attr('name') || '')) {
+        values.push($(el).attr('value') || '');
+      }
+    });
+    
+    return this.extractEmailsFromDecoded(values.map(value => this.safeDecodeURIComponent(value)));
+  }
+
+  extractDataAttributeEmails($) {
+    const values = [];
+    
+    $('[data-user][data-domain], [data-name][data-domain]').each((i, el) => {
+      const user = $(el).attr('data-user') || $(el).attr('data-name');
+      const domain = $(el).attr('data-domain');
+      const tld = $(el).attr('data-tld');
+      values.push(`${user}@${domain}${tld ? `.${tld}` : ''}`);
+    });
+    
+    $('[data-email], [data-mail]').each((i, el) => {
+      values.push($(el).attr('data-email') || $(el).attr('data-mail'));
+    });
+    
+    return this.extractEmailsFromDecoded(values.filter(Boolean).map(value => this.decodeHtmlEntities(value)));
+  }
+
+  evaluateStringExpressions(code) {
+    const literal = String.raw`'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"`;
+    const identifier = String.raw`(?<![\w$.])[A-Za-z_$][\w$]*`;
+    const token = String.raw`(?:${literal}|String\.fromCharCode\([\d\s,]+\)|${identifier})`;
+    const expression = String.raw`${token}(?:\s*\+\s*${token})*`;
+    const variables = new Map();
+    const strings = [];
+    
+    const evaluate = source => {
+      const values = (source.match(new RegExp(token, 'g')) || []).map(part => {
+        if (/^['"]/.test(part)) return this.unescapeJsString(part.slice(1, -1));
+        const charCodes = part.match(/^String\.fromCharCode\(([\d\s,]+)\)$/);
+        if (charCodes) return this.decodeCharCodes(charCodes[1]);
+        return variables.has(part) ? variables.get(part) : null;
+      });
+      return values.length > 0 && values.every(value => value !== null) ? values.join('') : null;
+    };
     
-    $('a[href^="mailto:"]').each((i, el) => {
+    const assignmentPattern = new RegExp(String.raw`(${identifier})\s*=\s*(${expression})\s*[;,\n]`, 'g');
+    let assignment;
+    while ((assignment = assignmentPattern.exec(code)) !== null) {
+      const value = evaluate(assignment[2]);
+      if (value !== null) variables.set(assignment[1], value);
+    }
+    
+    for (const match of code.match(new RegExp(String.raw`${token}(?:\s*\+\s*${token})+`, 'g')) || []) {
+      const value = evaluate(match);
+      if (value !== null) strings.push(value);
+    }
+    
+    const joinPattern = new RegExp(String.raw`\[\s*((?:${literal})(?:\s*,\s*(?:${literal}))*)\s*\]((?:\s*\.reverse\(\))?)\s*\.join\(\s*(${literal})\s*\)`, 'g');
+    let joined;
+    while ((joined = joinPattern.exec(code)) !== null) {
+      const items = (joined[1].match(new RegExp(literal, 'g')) || []).map(item => this.unescapeJsString(item.slice(1, -1)));
+      if (joined[2]) items.reverse();
+      strings.push(items.join(this.unescapeJsString(joined[3].slice(1, -1))));
+    }
+    
+    const reversePattern = new RegExp(String.raw`(${literal})\s*\.split\(\s*(?:''|"")\s*\)\s*\.reverse\(\)\s*\.join\(\s*(?:''|"")\s*\)`, 'g');
+    let reversed;
+    while ((reversed = reversePattern.exec(code)) !== null) {
+      strings.push(this.unescapeJsString(reversed[1].slice(1, -1)).split('').reverse().join(''));
+    }
+    
+    for (const match of code.match(/String\.fromCharCode\(([\d\s,]+)\)/g) || []) {
+      strings.push(this.decodeCharCodes(match.replace(/^String\.fromCharCode\(|\)$/g, '')));
+    }
+    
+    for (const match of code.match(new RegExp(literal, 'g')) || []) {
+      if (match.includes('\\')) strings.push(this.unescapeJsString(match.slice(1, -1)));
+    }
+    
+    return strings;
+  }
+
+  extractScriptConcatEmails($) {
+    const sources = [];
+    
+    $('script').each((i, el) => {
+      const content = $(el).html();
+      if (content) sources.push(content);
+    });
+    
+    $('[onclick], [onmouseover], [onfocus], a[href^="javascript:"]').each((i, el) => {
+      ['onclick', 'onmouseover', 'onfocus', 'href'].forEach(attribute => {
+        const value = $(el).attr(attribute);
+        if (value && (attribute !== 'href' || /^javascript:/i.test(value))) sources.push(value);
+      });
+    });
+    
+    const strings = sources.flatMap(source => this.evaluateStringExpressions(source));
+    return this.extractEmailsFromDecoded(strings.map(value => this.decodeHtmlEntities(value)));
+  }
+
+  extractEntityEncodedEmails(html) {
+    const runs = (html.match(/(?:&(?:amp;)?#x[0-9a-f]+;?|&(?:amp;)?#\d+;?|&(?:commat|period|amp|lowbar|hyphen);|[a-z0-9._%+@-])+/gi) || [])
+      .filter(run => run.length >= 6 && run.length <= 2000 && /&(?:amp;)?#|&commat;|&period;/i.test(run));
+    
+    return this.extractEmailsFromDecoded(runs.map(run => this.decodeHtmlEntities(run)));
+  }
+
+  extractMailtoEmails($) {
+    const emails = [];
+    
+    $('a[href^="mailto:"], a[href^="MAILTO:"]').each((i, el) => {
       const href = $(el).attr('href');
-      const email = href.replace('mailto:', '').split('?')[0];
+      const email = this.safeDecodeURIComponent(href.replace(/^mailto:/i, '').split('?')[0]);
       if (this.isValidEmail(email)) {
-        emails.add(this.normalizeEmail(email));
+        emails.push(this.normalizeEmail(email));
       }
     });
     
-    const textContent = $.text();
-    const textEmails = this.extractEmailsFromText(textContent);
-    textEmails.forEach(email => emails.add(email));
+    return emails;
+  }
+
+  extractPlainScriptEmails($) {
+    const emails = [];
     
     $('script').each((i, el) => {
       const scriptContent = $(el).html();
       if (scriptContent) {
-        const scriptEmails = this.extractEmailsFromText(scriptContent);
-        scriptEmails.forEach(email => emails.add(email));
+        emails.push(...this.extractEmailsFromText(scriptContent));
       }
     });
     
-    return Array.from(emails);
+    return emails;
+  }
+
+  safeDecodeURIComponent(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (e) {
+      return value;
+    }
+  }
+
+  extractEmailsWithDecoders(html) {
+    const $ = cheerio.load(html);
+    const emails = new Set();
+    const suppressed = new Set();
+    const decoders = {};
+    
+    const collect = (decoder, extract) => {
+      let found = [];
+      try {
+        found = extract();
+      } catch (error) {
+        config.smartLog('fail', `Email decoder ${decoder} failed: ${error.message}`);
+      }
+      
+      for (const email of found) {
+        if (emails.has(email) || suppressed.has(email)) continue;
+        emails.add(email);
+        decoders[email] = decoder;
+        if (decoder === 'rtl') {
+          suppressed.add(email.split('').reverse().join(''));
+        }
+      }
+    };
+    
+    collect('cloudflare', () => this.extractCloudflareEmails($));
+    collect('rtl', () => this.extractReversedEmails($));
+    collect('form', () => this.extractFormEmails($));
+    collect('dataAttributes', () => this.extractDataAttributeEmails($));
+    collect('jsConcat', () => this.extractScriptConcatEmails($));
+    collect('entities', () => this.extractEntityEncodedEmails(html));
+    collect('mailto', () => this.extractMailtoEmails($));
+    collect('script', () => this.extractPlainScriptEmails($));
+    collect('text', () => this.extractEmailsFromText($.text()));
+    
+    return {
+      emails: Array.from(emails),
+      decoders
+    };
+  }
+
+  extractEmailsFromHTML(html) {
+    return this.extractEmailsWithDecoders(html).emails;
   }
 
   async findContactPages(baseUrl, html) {
@@ -184,16 +456,11 @@ class EmailScraper {
   }
 
   async scrapeWithPlaywright(url, options = {}) {
-    let browser;
+    let context;
     try {
-      browser = await chromium.launch({
-        headless: true,
-        args: ['--no-sandbox', '--disable-setuid-sandbox']
-      });
-      
-      const context = await browser.newContext({
+      context = await browserPool.acquireContext({
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      });
+      }, { owner: 'email-scraper', url, extraArgs: ['--no-sandbox', '--disable-setuid-sandbox'] });
       
       const page = await context.newPage();
       await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
@@ -219,7 +486,7 @@ class EmailScraper {
       const validEmails = emails.filter(email => this.isValidEmail(email))
                                 .map(email => this.normalizeEmail(email));
       
-      await browser.close();
+      await browserPool.releaseContext(context);
       
       return {
         emails: [...new Set(validEmails)],
@@ -227,7 +494,7 @@ class EmailScraper {
       };
       
     } catch (error) {
-      if (browser) await browser.close();
+      if (context) await browserPool.releaseContext(context);
       throw error;
     }
   }
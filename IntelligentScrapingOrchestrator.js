@@ -44,12 +44,13 @@ class IntelligentScrapingOrchestrator {
         return this.handleQueuedRequest(url, jobTitle, scrapingSlot, userId);
       }
 
-      const scrapingResult = await this.executeScrapingWithProfile(url, jobTitle, scrapingSlot);
-      
-      await this.queueManager.releaseScrapingSlot(
-        this.profiler.getDomainFromUrl(url), 
-        scrapingSlot.scraperId
-      );
+      const domain = this.profiler.getDomainFromUrl(url);
+      let scrapingResult;
+      try {
+        scrapingResult = await this.queueManager.runWhileLeaseOwned(domain, scrapingSlot.scraperId, () => this.executeScrapingWithProfile(url, jobTitle, scrapingSlot));
+      } finally {
+        await this.queueManager.releaseScrapingSlot(domain, scrapingSlot.scraperId);
+      }
 
       return scrapingResult;
 
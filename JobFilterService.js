@@ -2,10 +2,24 @@ const path = require('path');
 const fs = require('fs').promises;
 const dictionaries = require('../dictionaries');
 const config = require('../config');
+const { meetsMinimumSalary } = require('./salaryParser');
+const {
+  resolveLocation,
+  parseLocationQuery,
+  matchLocation,
+  textMentionsLocation,
+  resolveCountryScope,
+  isWithinCountries,
+  parseTimezoneBand,
+  isRemoteInTimezoneBand
+} = require('./locationResolver');
+const { normalizeTitle, scoreTitleMatch, findTitleInText } = require('./jobTitleNormalizer');
 
 class JobFilterService {
   constructor() {
     this.cacheDir = path.join(__dirname, '../cache');
+    this.MIN_TITLE_SCORE = 0.6;
+    this.MIN_RELAXED_TITLE_SCORE = 0.35;
   }
 
   async filterCachedResults(companies, jobTitles, locations = [], options = {}) {
@@ -94,6 +108,34 @@ class JobFilterService {
   }
 
   applyJobFilters(pageData, jobTitles, locations, options = {}) {
+    pageData = this.excludeClosedPostings(pageData);
+
+    const hasJobs = !!pageData && Array.isArray(pageData.jobs) && pageData.jobs.length > 0;
+    if (hasJobs && pageData.jobsSource === 'structured') {
+      return this.applyStructuredJobFilters(pageData, jobTitles, locations, options);
+    }
+
+    const textMatches = this.applyTextJobFilters(pageData, jobTitles, locations, options);
+    if (!hasJobs) return textMatches;
+
+    return this.mergeJobFilterResults(this.applyStructuredJobFilters(pageData, jobTitles, locations, options), textMatches, pageData);
+  }
+
+  mergeJobFilterResults(structuredMatches, textMatches, pageData) {
+    const judgedUrls = new Set(pageData.jobs.map(job => job.url).filter(Boolean));
+    const textLinks = textMatches.links.filter(link => !judgedUrls.has(link.url));
+
+    return {
+      ...structuredMatches,
+      jobTitles: [...new Set([...structuredMatches.jobTitles, ...textMatches.jobTitles])],
+      locations: [...new Set([...structuredMatches.locations, ...textMatches.locations])],
+      links: this.deduplicateAndSortLinks([...structuredMatches.links, ...textLinks]),
+      priority: Math.max(structuredMatches.priority, textMatches.priority),
+      pageInfo: textMatches.pageInfo || structuredMatches.pageInfo
+    };
+  }
+
+  applyTextJobFilters(pageData, jobTitles, locations, options = {}) {
     if (!pageData || !pageData.text) {
       return { jobTitles: [], locations: [], links: [], priority: 0, pageInfo: null };
     }
@@ -124,6 +166,7 @@ class JobFilterService {
       
       if (jobTitleWords.length === 0) continue;
 
+      const titleQuery = normalizeTitle(jobTitle);
       let hasValidMatch = false;
       let matchType = null;
       let matchingLinks = [];
@@ -169,15 +212,26 @@ class JobFilterService {
         }
       }
 
+      if (!hasValidMatch) {
+        const semanticMatch = findTitleInText(pageTitleLower, titleQuery) || findTitleInText(pageTextLower, titleQuery);
+        const minScore = strictMode ? this.MIN_TITLE_SCORE : this.MIN_RELAXED_TITLE_SCORE;
+
+        if (semanticMatch && semanticMatch.score >= minScore && !(strictMode && semanticMatch.seniorityMismatch)) {
+          hasValidMatch = true;
+          matchType = semanticMatch.matchType;
+          config.smartLog('win', `${matchType} match found for "${jobTitle}" via "${semanticMatch.alias}"`);
+        }
+      }
+
       if (hasValidMatch) {
         matches.jobTitles.push(jobTitle);
         
-        const relevantLinks = this.filterRelevantLinks(pageData.links, jobTitle, jobTitleWords, strictMode);
+        const relevantLinks = this.filterRelevantLinks(pageData.links, jobTitle, jobTitleWords, strictMode, titleQuery);
         matchingLinks = relevantLinks.map(link => ({
           ...link,
           matchedJobTitle: jobTitle,
           matchType: matchType,
-          matchConfidence: this.calculateMatchConfidence(matchType, relevantLinks.length)
+          ...this.scoreLinkMatch(link, titleQuery)
         }));
 
         matches.links.push(...matchingLinks);
@@ -188,7 +242,7 @@ class JobFilterService {
       }
     }
 
-    matches.links = this.deduplicateAndSortLinks(matches.links);
+    matches.links = this.applySalaryFilter(this.applyWorkplaceFilters(this.deduplicateAndSortLinks(matches.links), options), options);
     
     if (matches.jobTitles.length > 0) {
       matches.priority = this.calculatePriority(matches, pageData);
@@ -203,6 +257,186 @@ class JobFilterService {
     return matches;
   }
 
+  applyStructuredJobFilters(pageData, jobTitles, locations, options = {}) {
+    config.smartLog('steps', `Applying filters to ${pageData.jobs.length} structured jobs for terms: ${jobTitles.join(', ')}`);
+
+    const matches = {
+      jobTitles: [],
+      locations: [],
+      links: [],
+      jobs: [],
+      priority: 0,
+      pageInfo: {
+        pageType: pageData.pageType,
+        platform: pageData.platform || pageData.detectedPlatform,
+        hasJobListings: true
+      }
+    };
+
+    const strictMode = options.strictMode !== false;
+    const minWordLength = options.minWordLength || 2;
+    const locationQueries = (locations || [])
+      .filter(location => location && location.trim())
+      .map(location => ({ location, query: parseLocationQuery(location) }));
+
+    let candidateJobs = pageData.jobs;
+    if (locationQueries.length > 0) {
+      candidateJobs = pageData.jobs.filter(job => {
+        const matchedLocation = this.findJobLocationMatch(job, locationQueries);
+        if (!matchedLocation) return false;
+
+        if (!matches.locations.includes(matchedLocation)) {
+          matches.locations.push(matchedLocation);
+        }
+        return true;
+      });
+    }
+
+    candidateJobs = this.applyWorkplaceFilters(candidateJobs, options);
+    candidateJobs = this.applySalaryFilter(candidateJobs, options);
+
+    for (const jobTitle of jobTitles) {
+      const jobTitleLower = jobTitle.toLowerCase().trim();
+      const jobTitleWords = jobTitleLower.split(/\s+/).filter(word => word.length > minWordLength);
+
+      if (jobTitleWords.length === 0) continue;
+
+      const titleQuery = normalizeTitle(jobTitle);
+      const matchedJobs = [];
+
+      for (const job of candidateJobs) {
+        const titleMatch = this.matchJobPostingTitle(job, titleQuery, jobTitleWords, strictMode);
+        if (titleMatch) {
+          matchedJobs.push({ job, ...titleMatch });
+        }
+      }
+
+      matchedJobs.sort((a, b) => b.matchScore - a.matchScore);
+
+      if (matchedJobs.length === 0) {
+        config.smartLog('steps', `No structured job matched "${jobTitle}"`);
+        continue;
+      }
+
+      matches.jobTitles.push(jobTitle);
+
+      for (const { job, matchType, matchScore: matchConfidence, occupation, seniority } of matchedJobs) {
+        matches.jobs.push({ ...job, occupation, seniority, matchedJobTitle: jobTitle, matchType, matchConfidence });
+        matches.links.push({
+          url: job.url,
+          text: job.title,
+          isJobPosting: true,
+          linkType: 'job_posting',
+          jobId: job.id,
+          location: job.location,
+          department: job.department,
+          employmentType: job.employmentType,
+          remote: job.remote,
+          workplace: job.workplace || null,
+          postedAt: job.postedAt,
+          salary: job.salary || null,
+          occupation,
+          seniority,
+          matchedJobTitle: jobTitle,
+          matchType,
+          matchConfidence
+        });
+      }
+
+      config.smartLog('win', `Found ${matchedJobs.length} structured jobs for "${jobTitle}"`);
+    }
+
+    matches.links = this.deduplicateAndSortLinks(matches.links);
+
+    if (matches.jobTitles.length > 0) {
+      matches.priority = this.calculatePriority(matches, pageData) + matches.locations.length * 0.2;
+    }
+
+    config.smartLog('win', `Filter results: ${matches.jobTitles.length} job title matches, ${matches.jobs.length} structured jobs`);
+
+    return matches;
+  }
+
+  matchJobPostingTitle(job, titleQuery, jobTitleWords, strictMode) {
+    if (!job.title) return null;
+
+    const { score, matchType, seniorityMismatch, occupation, seniority } = scoreTitleMatch(titleQuery, job.title);
+    const minScore = strictMode ? this.MIN_TITLE_SCORE : this.MIN_RELAXED_TITLE_SCORE;
+
+    if (score >= minScore && !(strictMode && seniorityMismatch)) {
+      return { matchType, matchScore: score, occupation, seniority };
+    }
+
+    if (!strictMode && jobTitleWords.length === 1) {
+      const singleWord = jobTitleWords[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const wordBoundaryRegex = new RegExp(`\\b${singleWord}\\b`, 'i');
+
+      if (wordBoundaryRegex.test((job.department || '').toLowerCase())) {
+        return { matchType: 'isolated', matchScore: this.MIN_RELAXED_TITLE_SCORE, occupation, seniority };
+      }
+    }
+
+    return null;
+  }
+
+  findJobLocationMatch(job, locationQueries) {
+    if (!job.location && job.remote !== true) return null;
+
+    const resolved = resolveLocation(job.location, { remote: job.remote, workplace: job.workplace });
+
+    for (const { location, query } of locationQueries) {
+      if (matchLocation(resolved, query)) return location;
+    }
+
+    return false;
+  }
+
+  applyWorkplaceFilters(items, options = {}) {
+    if (!Array.isArray(items) || (!options.withinCountry && !options.remoteTimezoneBand)) return items;
+
+    const countryCodes = options.withinCountry ? resolveCountryScope(options.withinCountry) : null;
+    const timezoneBand = options.remoteTimezoneBand ? parseTimezoneBand(options.remoteTimezoneBand) : null;
+
+    if (options.withinCountry && !countryCodes) {
+      config.smartLog('fail', `Unknown country for withinCountry filter: ${options.withinCountry}`);
+    }
+    if (options.remoteTimezoneBand && !timezoneBand) {
+      config.smartLog('fail', `Unknown timezone band for remoteTimezoneBand filter: ${options.remoteTimezoneBand}`);
+    }
+    if (!countryCodes && !timezoneBand) return items;
+
+    const kept = items.filter(item => {
+      const resolved = resolveLocation(item.location, { remote: item.remote, workplace: item.workplace });
+      if (countryCodes && isWithinCountries(resolved, countryCodes) === false) return false;
+      if (timezoneBand && isRemoteInTimezoneBand(resolved, timezoneBand) === false) return false;
+      return true;
+    });
+
+    if (kept.length < items.length) {
+      const criteria = [
+        countryCodes ? `within ${countryCodes.join('/')}` : null,
+        timezoneBand ? `remote within UTC ${timezoneBand.join('..')}` : null
+      ].filter(Boolean).join(', ');
+      config.smartLog('steps', `Workplace filter (${criteria}) excluded ${items.length - kept.length} of ${items.length} jobs`);
+    }
+
+    return kept;
+  }
+
+  applySalaryFilter(items, options = {}) {
+    const minSalary = parseFloat(options.minSalary);
+    if (!minSalary || !Array.isArray(items)) return items;
+
+    const currency = options.currency || config.SALARY_BASE_CURRENCY || 'EUR';
+    const kept = items.filter(item => meetsMinimumSalary(item.salary, minSalary, currency) !== false);
+
+    if (kept.length < items.length) {
+      config.smartLog('steps', `Salary filter (>= ${minSalary} ${currency}/year) excluded ${items.length - kept.length} of ${items.length} jobs`);
+    }
+
+    return kept;
+  }
+
   checkProximity(text, words, maxDistance) {
     for (let i = 0; i < words.length - 1; i++) {
       const word1 = words[i];
@@ -233,7 +467,7 @@ class JobFilterService {
     return contextPatterns.some(pattern => new RegExp(pattern, 'i').test(text));
   }
 
-  filterRelevantLinks(links, jobTitle, jobTitleWords, strictMode) {
+  filterRelevantLinks(links, jobTitle, jobTitleWords, strictMode, titleQuery = normalizeTitle(jobTitle)) {
     if (!links || !Array.isArray(links)) return [];
 
     const jobTitleLower = jobTitle.toLowerCase();
@@ -249,6 +483,9 @@ class JobFilterService {
       if (isGenericLink) return false;
       
       if (linkTextLower.includes(jobTitleLower)) return true;
+
+      const titleMatch = scoreTitleMatch(titleQuery, link.text);
+      if (titleMatch.score >= this.MIN_TITLE_SCORE && !(strictMode && titleMatch.seniorityMismatch)) return true;
       
       const urlVariations = [
         jobTitleLower.replace(/\s+/g, '-'),
@@ -277,19 +514,14 @@ class JobFilterService {
     });
   }
 
-  calculateMatchConfidence(matchType, linksCount) {
-    const baseConfidence = {
-      'exact': 0.9,
-      'proximity': 0.7,
-      'contextual': 0.6,
-      'partial': 0.5,
-      'isolated': 0.3
+  scoreLinkMatch(link, titleQuery) {
+    const { score, occupation, seniority } = scoreTitleMatch(titleQuery, link.text);
+
+    return {
+      matchConfidence: score > 0 ? score : this.MIN_RELAXED_TITLE_SCORE,
+      occupation,
+      seniority
     };
-    
-    const confidence = baseConfidence[matchType] || 0.3;
-    const linkBonus = Math.min(linksCount * 0.05, 0.1);
-    
-    return Math.min(confidence + linkBonus, 1.0);
   }
 
   calculatePriority(matches, pageData) {
@@ -303,10 +535,17 @@ class JobFilterService {
   }
 
   applyLocationFilter(matches, pageTextLower, pageTitleLower, locations) {
+    const locationQueries = locations
+      .filter(location => location && location.trim())
+      .map(location => ({ location, query: parseLocationQuery(location) }));
+    if (locationQueries.length > 0) {
+      matches.links = matches.links.filter(link => !link.location || this.findJobLocationMatch(link, locationQueries) !== false);
+    }
+
     for (const location of locations) {
-      const locationLower = location.toLowerCase();
-      
-      if (pageTextLower.includes(locationLower) || pageTitleLower.includes(locationLower)) {
+      const query = parseLocationQuery(location);
+
+      if (textMentionsLocation(pageTitleLower, query) || textMentionsLocation(pageTextLower, query)) {
         matches.locations.push(location);
         matches.priority += 0.2;
       }
@@ -324,10 +563,23 @@ class JobFilterService {
       }
     }
     
-    return uniqueLinks.sort((a, b) => {
-      const confidenceOrder = { 'high': 3, 'medium': 2, 'low': 1 };
-      return (confidenceOrder[b.matchConfidence] || 0) - (confidenceOrder[a.matchConfidence] || 0);
-    });
+    const confidenceOrder = { 'high': 0.9, 'medium': 0.6, 'low': 0.3 };
+    const rank = confidence => (typeof confidence === 'number' ? confidence : confidenceOrder[confidence] || 0);
+
+    return uniqueLinks.sort((a, b) => rank(b.matchConfidence) - rank(a.matchConfidence));
+  }
+
+  excludeClosedPostings(pageData) {
+    if (!pageData) return pageData;
+
+    const links = Array.isArray(pageData.links) ? pageData.links.filter(link => !link.closed) : pageData.links;
+    const jobs = Array.isArray(pageData.jobs) ? pageData.jobs.filter(job => !job.closed) : pageData.jobs;
+    const excluded = (pageData.links?.length || 0) - (links?.length || 0) + (pageData.jobs?.length || 0) - (jobs?.length || 0);
+
+    if (excluded === 0) return pageData;
+
+    config.smartLog('cache', `Excluded ${excluded} closed postings from ${pageData.url}`);
+    return { ...pageData, links, jobs };
   }
 
   isValidCacheData(data) {
@@ -1,11 +1,10 @@
-const fs = require('fs').promises;
-const path = require('path');
 const config = require('../config');
+const storage = require('./storageService');
 
 class LanguageBuffer {
   constructor() {
     this.buffer = new Map();
-    this.bufferFile = path.join(__dirname, '../profiles/language-buffer.json');
+    this.bufferKey = 'language-buffer';
     this.expiry = 365 * 24 * 60 * 60 * 1000;
     this.saveScheduled = false;
     this.loadBuffer();
@@ -13,8 +12,7 @@ class LanguageBuffer {
 
   async loadBuffer() {
     try {
-      const data = await fs.readFile(this.bufferFile, 'utf8');
-      const parsed = JSON.parse(data);
+      const parsed = await storage.loadEntries('state', this.bufferKey);
       
       for (const [domain, entry] of Object.entries(parsed)) {
         if (this.isValidEntry(entry)) {
@@ -88,7 +86,7 @@ class LanguageBuffer {
   async flushToDisk() {
     try {
       const obj = Object.fromEntries(this.buffer);
-      await fs.writeFile(this.bufferFile, JSON.stringify(obj, null, 2));
+      await storage.saveEntries('state', this.bufferKey, obj);
       config.smartLog('buffer', `Flushed ${Object.keys(obj).length} entries to disk`);
     } catch (error) {
       config.smartLog('fail', `Failed to flush language buffer: ${error.message}`);
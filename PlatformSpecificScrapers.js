@@ -23,25 +23,25 @@ class PlatformSpecificScrapers {
     };
   }
 
-  async scrape(url, platform, browser, options = {}) {
+  async scrape(url, platform, browserContext, options = {}) {
     const platformLower = platform ? platform.toLowerCase() : null;
     
     if (!platformLower || !this.scrapers[platformLower]) {
       config.smartLog('platform', `Using universal strategy for unknown platform: ${platform}`);
-      return await this.universalStrategy(url, browser, options, platform);
+      return await this.universalStrategy(url, browserContext, options, platform);
     }
     
     try {
       config.smartLog('platform', `Using specialized strategy for ${platform}`);
-      return await this.scrapers[platformLower].call(this, url, browser, options, platform);
+      return await this.scrapers[platformLower].call(this, url, browserContext, options, platform);
     } catch (error) {
       config.smartLog('fail', `Error with ${platform} scraper: ${error.message}`);
       return null;
     }
   }
 
-  async universalStrategy(url, browser, options = {}, platformName = null) {
-    const page = await browser.newPage();
+  async universalStrategy(url, browserContext, options = {}, platformName = null) {
+    const page = await browserContext.newPage();
     try {
       await this.setupPage(page);
       
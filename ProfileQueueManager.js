@@ -2,6 +2,9 @@ const EventEmitter = require('events');
 const path = require('path');
 const config = require('../config');
 const fsSafe = require('../utils/fsSafe');
+const storage = require('./storageService');
+const domainLockService = require('./domainLockService');
+const { getCachedData } = require('../cacheManager');
 
 class ProfileQueueManager extends EventEmitter {
   constructor() {
@@ -16,14 +19,120 @@ class ProfileQueueManager extends EventEmitter {
     this.SAVE_INTERVAL_MS = 30000;
     this.QUEUE_CLEANUP_INTERVAL_MS = 120000;
     this.CALLBACK_TTL_MS = 15 * 60 * 1000;
-    this.bufferFilePath = null;
-    this.globalQueueFilePath = null;
+    this.bufferKey = null;
+    this.globalQueueKey = null;
     this.initialized = false;
     this.MAX_CONCURRENT_DOMAIN_SCRAPERS = 1;
     this.pendingRequests = new Map();
     this.domainCallbacks = new Map();
     this.isSavingGlobalQueue = false;
     this.saveQueuePromises = [];
+    this.LOCK_NAMESPACE = 'scraping';
+    this.unsubscribeLockEvents = null;
+    this.lostLeases = new Map();
+    this.onLeaseLost = event => this.handleLeaseLost(event);
+    this.crawlPacing = new Map();
+    this.MAX_CRAWL_DELAY_WAIT_MS = 60000;
+    this.blockCooldowns = new Map();
+    this.BLOCK_COOLDOWN_BASE_MS = {
+      'rate-limit': 5 * 60 * 1000,
+      'cloudflare': 15 * 60 * 1000,
+      'captcha': 30 * 60 * 1000,
+      'geo-block': 6 * 60 * 60 * 1000,
+      'unknown-block': 10 * 60 * 1000
+    };
+    this.MAX_BLOCK_COOLDOWN_MS = config.MAX_BLOCK_COOLDOWN_MS || 24 * 60 * 60 * 1000;
+    this.BLOCK_LEVEL_RESET_MS = 24 * 60 * 60 * 1000;
+  }
+
+  registerBlock(domain, classification) {
+    const now = Date.now();
+    const previous = this.blockCooldowns.get(domain);
+    const type = classification.type || 'unknown-block';
+    
+    const level = previous && now - previous.lastBlockedAt < this.BLOCK_LEVEL_RESET_MS
+      ? previous.level + 1
+      : 1;
+    
+    const baseMs = this.BLOCK_COOLDOWN_BASE_MS[type] || this.BLOCK_COOLDOWN_BASE_MS['unknown-block'];
+    const durationMs = Math.min(
+      this.MAX_BLOCK_COOLDOWN_MS,
+      Math.max(baseMs * Math.pow(2, level - 1), classification.retryAfterMs || 0)
+    );
+    
+    const cooldown = {
+      type,
+      provider: classification.provider || null,
+      level,
+      durationMs,
+      lastBlockedAt: now,
+      until: now + durationMs
+    };
+    
+    this.blockCooldowns.set(domain, cooldown);
+    config.smartLog('queue', `Domain ${domain} blocked (${type}), cooldown level ${level}: ${Math.round(durationMs / 1000)}s`);
+    
+    this.saveGlobalQueueFile().catch(error => {
+      config.smartLog('fail', `Failed to persist cooldown for ${domain}: ${error.message}`);
+    });
+    
+    return cooldown;
+  }
+
+  getBlockCooldown(domain) {
+    const cooldown = this.blockCooldowns.get(domain);
+    if (!cooldown || cooldown.until <= Date.now()) return null;
+    return cooldown;
+  }
+
+  clearBlockCooldown(domain) {
+    if (this.blockCooldowns.delete(domain)) {
+      config.smartLog('queue', `Block cooldown cleared for ${domain} after successful scrape`);
+    }
+  }
+
+  isSuccessfulScrape(cacheData) {
+    return !!(cacheData &&
+      !cacheData._scrapeStatus &&
+      cacheData.method !== 'blocked' &&
+      Array.isArray(cacheData.links) &&
+      cacheData.links.length > 0);
+  }
+
+  async acquireCrawlDelaySlot(domain, crawlDelayMs, requesterId = null) {
+    if (!crawlDelayMs || crawlDelayMs <= 0) {
+      return { allowed: true, waitMs: 0 };
+    }
+    
+    const now = Date.now();
+    const pacing = this.crawlPacing.get(domain) || {
+      crawlDelayMs,
+      nextAllowedTime: 0,
+      lastRequestTime: 0,
+      waitingCount: 0
+    };
+    
+    const waitMs = Math.max(0, pacing.nextAllowedTime - now);
+    
+    if (waitMs > this.MAX_CRAWL_DELAY_WAIT_MS) {
+      config.smartLog('queue', `Crawl-delay slot refused for ${domain}: wait ${waitMs}ms exceeds ${this.MAX_CRAWL_DELAY_WAIT_MS}ms (${requesterId || 'anonymous'})`);
+      return { allowed: false, waitMs, reason: 'crawl_delay_wait_exceeded' };
+    }
+    
+    pacing.crawlDelayMs = crawlDelayMs;
+    pacing.nextAllowedTime = Math.max(now, pacing.nextAllowedTime) + crawlDelayMs;
+    pacing.waitingCount++;
+    this.crawlPacing.set(domain, pacing);
+    
+    if (waitMs > 0) {
+      config.smartLog('queue', `Crawl-delay for ${domain}: waiting ${waitMs}ms (${requesterId || 'anonymous'})`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+    
+    pacing.waitingCount = Math.max(0, pacing.waitingCount - 1);
+    pacing.lastRequestTime = Date.now();
+    
+    return { allowed: true, waitMs };
   }
 
   async requestScrapingSlot(domain, requesterId = null, callback = null) {
@@ -31,6 +140,21 @@ class ProfileQueueManager extends EventEmitter {
     
     const reqId = requesterId || `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
     
+    const cooldown = this.getBlockCooldown(domain);
+    if (cooldown) {
+      const waitMs = cooldown.until - Date.now();
+      config.smartLog('queue', `Domain ${domain} cooling down after ${cooldown.type} block, ${reqId} refused for ${Math.ceil(waitMs / 1000)}s`);
+      return {
+        allowed: false,
+        reason: 'cooldown',
+        blockType: cooldown.type,
+        cooldownLevel: cooldown.level,
+        retryAt: new Date(cooldown.until).toISOString(),
+        waitTime: Math.ceil(waitMs / 1000),
+        requesterId: reqId
+      };
+    }
+    
     const queueInfo = this.globalScrapingQueue.get(domain) || {
       activeScrapeCount: 0,
       lastStartTime: 0,
@@ -40,9 +164,11 @@ class ProfileQueueManager extends EventEmitter {
     };
     
     const now = Date.now();
+    const scraperId = `${domain}_${now}_${reqId}`;
+    const lease = await this.acquireDomainLease(domain, scraperId, queueInfo);
     
-    if (queueInfo.activeScrapeCount >= this.MAX_CONCURRENT_DOMAIN_SCRAPERS) {
-      config.smartLog('queue', `Domain ${domain} at max capacity: ${queueInfo.activeScrapeCount} scrapers - User ${reqId} added to buffer`);
+    if (!lease.acquired) {
+      config.smartLog('queue', `Domain ${domain} at max capacity: ${lease.activeCount} scrapers - User ${reqId} added to buffer`);
       
       const waitingRequests = this.pendingRequests.get(domain) || [];
       const request = {
@@ -63,14 +189,13 @@ class ProfileQueueManager extends EventEmitter {
       return {
         allowed: false,
         reason: 'buffered',
-        activeScrapeCount: queueInfo.activeScrapeCount,
+        activeScrapeCount: lease.activeCount,
         queuePosition: waitingRequests.length,
         requesterId: reqId,
         message: 'Added to intelligent buffer - will receive results when scraping completes'
       };
     }
     
-    const scraperId = `${domain}_${now}_${reqId}`;
     queueInfo.activeScrapeCount++;
     queueInfo.lastStartTime = now;
     queueInfo.scraperIds.add(scraperId);
@@ -91,10 +216,157 @@ class ProfileQueueManager extends EventEmitter {
     };
   }
 
+  async acquireDomainLease(domain, scraperId, queueInfo) {
+    try {
+      return await domainLockService.acquire(this.LOCK_NAMESPACE, domain, scraperId, this.MAX_CONCURRENT_DOMAIN_SCRAPERS);
+    } catch (error) {
+      config.smartLog('fail', `Domain lease unavailable for ${domain}, using local slot count: ${error.message}`);
+      return {
+        acquired: queueInfo.activeScrapeCount < this.MAX_CONCURRENT_DOMAIN_SCRAPERS,
+        activeCount: queueInfo.activeScrapeCount
+      };
+    }
+  }
+
+  getScrapeStatus(cacheData) {
+    if (!cacheData) return 'failed';
+    return this.isSuccessfulScrape(cacheData) ? 'success' : 'partial';
+  }
+
+  async releaseDomainLease(domain, scraperId, cacheData) {
+    const owned = !this.lostLeases.has(scraperId);
+    this.lostLeases.delete(scraperId);
+    
+    try {
+      await domainLockService.release(this.LOCK_NAMESPACE, domain, scraperId);
+      if (!owned) return;
+      
+      await domainLockService.publish(this.LOCK_NAMESPACE, {
+        type: 'released',
+        domain,
+        scraperId,
+        status: this.getScrapeStatus(cacheData),
+        cacheKey: cacheData && cacheData.url ? cacheData.url : null
+      });
+    } catch (error) {
+      config.smartLog('fail', `Failed to release domain lease for ${domain}: ${error.message}`);
+    }
+  }
+
+  async handleLockEvent(event) {
+    if (event.type !== 'released' || !event.domain) return;
+    
+    config.smartLog('queue', `Slot for ${event.domain} released by ${event.origin} (${event.status || 'unknown'})`);
+    
+    if (event.status === 'success') {
+      this.clearBlockCooldown(event.domain);
+    }
+    
+    let cacheData = null;
+    if (event.status !== 'failed' && event.cacheKey) {
+      try {
+        cacheData = await getCachedData(event.cacheKey, { fallbackOnError: true });
+      } catch (error) {
+        config.smartLog('fail', `Failed to read shared cache for ${event.domain}: ${error.message}`);
+      }
+    }
+    
+    if (cacheData) {
+      this.notifyWaitingRequests(event.domain, cacheData);
+    } else {
+      this.notifyScrapingFailure(event.domain);
+    }
+  }
+
+  handleLeaseLost(event) {
+    if (event.namespace !== this.LOCK_NAMESPACE) return;
+    
+    const queueInfo = this.globalScrapingQueue.get(event.domain);
+    if (!queueInfo || !queueInfo.scraperIds.has(event.holderId)) return;
+    
+    this.lostLeases.set(event.holderId, event.domain);
+    config.smartLog('fail', `Scraper ${event.holderId} no longer owns ${event.domain}, aborting its scrape`);
+    this.emit('leaseLost', { domain: event.domain, scraperId: event.holderId });
+  }
+
+  isLeaseOwned(scraperId) {
+    return !this.lostLeases.has(scraperId);
+  }
+
+  createLeaseLostError(domain) {
+    const error = new Error(`Scraping lease for ${domain} was lost`);
+    error.code = 'LEASE_LOST';
+    return error;
+  }
+
+  async runWhileLeaseOwned(domain, scraperId, task) {
+    if (!this.isLeaseOwned(scraperId)) {
+      throw this.createLeaseLostError(domain);
+    }
+    
+    const controller = new AbortController();
+    const onLost = event => {
+      if (event.scraperId !== scraperId || controller.signal.aborted) return;
+      config.smartLog('queue', `Aborting work on ${domain} after losing lease (${scraperId})`);
+      controller.abort(this.createLeaseLostError(domain));
+    };
+    this.on('leaseLost', onLost);
+    
+    try {
+      const value = await domainLockService.runWithSignal(controller.signal, task);
+      if (controller.signal.aborted) throw controller.signal.reason;
+      return value;
+    } catch (error) {
+      if (controller.signal.aborted) throw controller.signal.reason;
+      throw error;
+    } finally {
+      this.off('leaseLost', onLost);
+    }
+  }
+
+  isSlotHeld(domain, scraperId) {
+    if (!scraperId || !this.isLeaseOwned(scraperId)) return false;
+    const queueInfo = this.globalScrapingQueue.get(domain);
+    return !!(queueInfo && queueInfo.scraperIds.has(scraperId));
+  }
+
+  async runWithDomainSlot(domain, requesterId, task, heldScraperId = null) {
+    if (this.isSlotHeld(domain, heldScraperId)) {
+      return { executed: true, reused: true, value: await task(domainLockService.getActiveSignal()) };
+    }
+    
+    const queueInfo = this.globalScrapingQueue.get(domain);
+    if (queueInfo && queueInfo.activeScrapeCount >= this.MAX_CONCURRENT_DOMAIN_SCRAPERS) {
+      config.smartLog('queue', `Domain ${domain} busy, ${requesterId} not started`);
+      return { executed: false, reason: 'domain_busy' };
+    }
+    
+    const slot = await this.requestScrapingSlot(domain, requesterId);
+    
+    if (!slot.allowed) {
+      const waitingRequests = (this.pendingRequests.get(domain) || []).filter(request => request.requesterId !== slot.requesterId);
+      if (waitingRequests.length > 0) {
+        this.pendingRequests.set(domain, waitingRequests);
+      } else {
+        this.pendingRequests.delete(domain);
+      }
+      return { executed: false, reason: slot.reason || 'domain_busy' };
+    }
+    
+    try {
+      return { executed: true, reused: false, value: await this.runWhileLeaseOwned(domain, slot.scraperId, task) };
+    } catch (error) {
+      if (error.code !== 'LEASE_LOST') throw error;
+      return { executed: false, reason: 'lease_lost' };
+    } finally {
+      await this.releaseScrapingSlot(domain, slot.scraperId);
+    }
+  }
+
   async saveBufferFile() {
-    if (!this.bufferFilePath) return;
+    if (!this.bufferKey) return;
     
-    config.smartLog('buffer', `Saving profile queue → ${this.bufferFilePath}`);
+    config.smartLog('buffer', `Saving profile queue → state/${this.bufferKey}`);
     
     const bufferData = {
       updates: Object.fromEntries(this.updateQueue),
@@ -104,7 +376,7 @@ class ProfileQueueManager extends EventEmitter {
     };
     
     try {
-      const result = await fsSafe.writeJsonAtomic(this.bufferFilePath, bufferData);
+      const result = await storage.set('state', this.bufferKey, bufferData);
       config.smartLog('queue', `Buffer saved: ${this.updateQueue.size} updates`);
       return result;
     } catch (error) {
@@ -114,7 +386,7 @@ class ProfileQueueManager extends EventEmitter {
   }
 
   async saveGlobalQueueFile() {
-    if (!this.globalQueueFilePath) return;
+    if (!this.globalQueueKey) return;
     
     if (this.isSavingGlobalQueue) {
       return new Promise((resolve) => {
@@ -125,7 +397,7 @@ class ProfileQueueManager extends EventEmitter {
     this.isSavingGlobalQueue = true;
     
     try {
-      config.smartLog('buffer', `Saving global queue → ${this.globalQueueFilePath}`);
+      config.smartLog('buffer', `Saving global queue → state/${this.globalQueueKey}`);
       
       const globalQueueData = {};
       for (const [domain, info] of this.globalScrapingQueue.entries()) {
@@ -137,12 +409,13 @@ class ProfileQueueManager extends EventEmitter {
       
       const queueData = {
         globalQueue: globalQueueData,
+        blockCooldowns: Object.fromEntries(this.blockCooldowns),
         lastSaved: new Date().toISOString(),
         version: '1.0',
         queueSize: this.globalScrapingQueue.size
       };
       
-      const result = await fsSafe.writeJsonAtomic(this.globalQueueFilePath, queueData);
+      const result = await storage.set('state', this.globalQueueKey, queueData);
       config.smartLog('queue', `Global queue saved: ${this.globalScrapingQueue.size} domains`);
       return result;
       
@@ -236,6 +509,30 @@ class ProfileQueueManager extends EventEmitter {
     config.smartLog('queue', `Cleaned up pending requests for ${domain} (notified: ${notifiedCallbacks.length})`);
   }
   
+  notifyScrapingFailure(domain) {
+    const callbacks = this.domainCallbacks.get(domain);
+    if (!callbacks || callbacks.length === 0) return;
+    
+    config.smartLog('queue', `Notifying ${callbacks.length} waiting requests about scraping failure`);
+    for (const { requesterId, callback } of callbacks) {
+      if (callback && typeof callback === 'function') {
+        try {
+          callback({
+            success: false,
+            error: 'Scraping failed',
+            source: 'scraping-failure',
+            requesterId,
+            notifiedAt: Date.now()
+          });
+        } catch (error) {
+          config.smartLog('fail', `Error notifying failure to ${requesterId}: ${error.message}`);
+        }
+      }
+    }
+    this.domainCallbacks.delete(domain);
+    this.pendingRequests.delete(domain);
+  }
+  
   async releaseScrapingSlot(domain, scraperId, cacheData = null) {
     await this.init();
     
@@ -249,32 +546,18 @@ class ProfileQueueManager extends EventEmitter {
     queueInfo.scraperIds.delete(scraperId);
     queueInfo.lastEndTime = Date.now();
     
+    if (this.isSuccessfulScrape(cacheData)) {
+      this.clearBlockCooldown(domain);
+    }
+    
+    await this.releaseDomainLease(domain, scraperId, cacheData);
+    
     if (cacheData) {
       config.smartLog('queue', `Releasing slot for ${domain} with cache data - triggering notifications`);
       this.notifyWaitingRequests(domain, cacheData);
     } else {
       config.smartLog('queue', `Releasing slot for ${domain} without cache data`);
-      const callbacks = this.domainCallbacks.get(domain);
-      if (callbacks && callbacks.length > 0) {
-        config.smartLog('queue', `Notifying ${callbacks.length} waiting requests about scraping failure`);
-        for (const { requesterId, callback } of callbacks) {
-          if (callback && typeof callback === 'function') {
-            try {
-              callback({
-                success: false,
-                error: 'Scraping failed',
-                source: 'scraping-failure',
-                requesterId,
-                notifiedAt: Date.now()
-              });
-            } catch (error) {
-              config.smartLog('fail', `Error notifying failure to ${requesterId}: ${error.message}`);
-            }
-          }
-        }
-        this.domainCallbacks.delete(domain);
-        this.pendingRequests.delete(domain);
-      }
+      this.notifyScrapingFailure(domain);
     }
     
     if (queueInfo.activeScrapeCount === 0) {
@@ -293,21 +576,29 @@ class ProfileQueueManager extends EventEmitter {
     
     const profilesDir = path.join(__dirname, '../profiles');
     await fsSafe.ensureDir(profilesDir);
+    await storage.ready();
     
-    this.bufferFilePath = path.join(profilesDir, 'profile-queue-buffer.json');
-    this.globalQueueFilePath = path.join(profilesDir, 'global-scraping-queue.json');
+    this.bufferKey = 'profile-queue-buffer';
+    this.globalQueueKey = 'global-scraping-queue';
     
     await this.loadBufferFile();
     await this.loadGlobalQueueFile();
     await fsSafe.cleanupTempFiles(profilesDir);
     
+    try {
+      this.unsubscribeLockEvents = await domainLockService.subscribe(this.LOCK_NAMESPACE, event => this.handleLockEvent(event));
+    } catch (error) {
+      config.smartLog('fail', `Cross-process slot notifications unavailable: ${error.message}`);
+    }
+    domainLockService.on('leaseLost', this.onLeaseLost);
+    
     this.initialized = true;
     config.smartLog('queue', 'ProfileQueueManager initialized');
   }
 
   async loadBufferFile() {
     try {
-      const bufferData = await fsSafe.readJsonSafe(this.bufferFilePath);
+      const bufferData = await storage.get('state', this.bufferKey);
       
       if (bufferData && bufferData.updates && typeof bufferData.updates === 'object') {
         this.updateQueue = new Map(Object.entries(bufferData.updates));
@@ -323,7 +614,7 @@ class ProfileQueueManager extends EventEmitter {
 
   async loadGlobalQueueFile() {
     try {
-      const queueData = await fsSafe.readJsonSafe(this.globalQueueFilePath);
+      const queueData = await storage.get('state', this.globalQueueKey);
       
       if (queueData && queueData.globalQueue && typeof queueData.globalQueue === 'object') {
         for (const [domain, info] of Object.entries(queueData.globalQueue)) {
@@ -335,6 +626,16 @@ class ProfileQueueManager extends EventEmitter {
         config.smartLog('queue', `Loaded ${this.globalScrapingQueue.size} domains from global queue file`);
       }
       
+      if (queueData && queueData.blockCooldowns && typeof queueData.blockCooldowns === 'object') {
+        const now = Date.now();
+        for (const [domain, cooldown] of Object.entries(queueData.blockCooldowns)) {
+          if (now - cooldown.lastBlockedAt < this.BLOCK_LEVEL_RESET_MS && !this.blockCooldowns.has(domain)) {
+            this.blockCooldowns.set(domain, cooldown);
+          }
+        }
+        config.smartLog('queue', `Loaded ${this.blockCooldowns.size} block cooldowns from global queue file`);
+      }
+      
       await this.clearGlobalQueueFile();
     } catch (error) {
       config.smartLog('fail', `Failed to load global queue file: ${error.message}`);
@@ -350,8 +651,8 @@ class ProfileQueueManager extends EventEmitter {
     };
     
     try {
-      await fsSafe.writeJsonAtomic(this.bufferFilePath, emptyBuffer);
-      config.smartLog('queue', `Created empty buffer file: ${this.bufferFilePath}`);
+      await storage.set('state', this.bufferKey, emptyBuffer);
+      config.smartLog('queue', `Created empty buffer file: state/${this.bufferKey}`);
     } catch (error) {
       config.smartLog('fail', `Failed to create buffer file: ${error.message}`);
     }
@@ -365,8 +666,8 @@ class ProfileQueueManager extends EventEmitter {
     };
     
     try {
-      await fsSafe.writeJsonAtomic(this.globalQueueFilePath, emptyQueue);
-      config.smartLog('queue', `Created empty global queue file: ${this.globalQueueFilePath}`);
+      await storage.set('state', this.globalQueueKey, emptyQueue);
+      config.smartLog('queue', `Created empty global queue file: state/${this.globalQueueKey}`);
     } catch (error) {
       config.smartLog('fail', `Failed to create global queue file: ${error.message}`);
     }
@@ -520,6 +821,18 @@ class ProfileQueueManager extends EventEmitter {
       }
     }
     
+    for (const [domain, pacing] of this.crawlPacing.entries()) {
+      if (pacing.waitingCount === 0 && now - pacing.nextAllowedTime > expiredThresholdMs) {
+        this.crawlPacing.delete(domain);
+      }
+    }
+    
+    for (const [domain, cooldown] of this.blockCooldowns.entries()) {
+      if (now - cooldown.lastBlockedAt > this.BLOCK_LEVEL_RESET_MS) {
+        this.blockCooldowns.delete(domain);
+      }
+    }
+    
     for (const [domain, lockInfo] of this.domainLocks.entries()) {
       const timeSinceLock = now - lockInfo.timestamp;
       const lockExpiredMs = 15 * 60 * 1000;
@@ -587,6 +900,15 @@ class ProfileQueueManager extends EventEmitter {
     
     this.pendingRequests.clear();
     this.domainCallbacks.clear();
+    
+    if (this.unsubscribeLockEvents) {
+      await this.unsubscribeLockEvents();
+      this.unsubscribeLockEvents = null;
+    }
+    domainLockService.off('leaseLost', this.onLeaseLost);
+    await domainLockService.releaseAll(this.LOCK_NAMESPACE);
+    this.lostLeases.clear();
+    
     this.initialized = false;
     
     config.smartLog('queue', 'ProfileQueueManager stopped');
@@ -615,14 +937,28 @@ class ProfileQueueManager extends EventEmitter {
       totalWaitingRequests,
       totalCallbacks,
       domainLocksCount: this.domainLocks.size,
+      crawlDelayDomainsCount: this.crawlPacing.size,
+      activeCooldowns: Array.from(this.blockCooldowns.entries())
+        .filter(([domain]) => this.getBlockCooldown(domain))
+        .map(([domain, cooldown]) => ({
+          domain,
+          type: cooldown.type,
+          level: cooldown.level,
+          until: new Date(cooldown.until).toISOString()
+        })),
       isProcessing: this.isProcessing,
       saveIntervalMs: this.SAVE_INTERVAL_MS,
-      bufferFilePath: this.bufferFilePath,
-      globalQueueFilePath: this.globalQueueFilePath,
+      storageBackend: storage.adapter ? storage.adapter.name : null,
+      bufferKey: this.bufferKey,
+      globalQueueKey: this.globalQueueKey,
+      bufferFilePath: this.bufferKey ? storage.getFilePath('state', this.bufferKey) : null,
+      globalQueueFilePath: this.globalQueueKey ? storage.getFilePath('state', this.globalQueueKey) : null,
+      locks: domainLockService.getStats(),
       initialized: this.initialized,
       globalQueueDetails,
       config: {
         maxConcurrentDomainScrapers: this.MAX_CONCURRENT_DOMAIN_SCRAPERS,
+        maxCrawlDelayWaitMs: this.MAX_CRAWL_DELAY_WAIT_MS,
         queueCleanupIntervalMs: this.QUEUE_CLEANUP_INTERVAL_MS,
         callbackTTLMs: this.CALLBACK_TTL_MS
       }
@@ -667,6 +1003,8 @@ class ProfileQueueManager extends EventEmitter {
     this.updateQueue.clear();
     this.globalScrapingQueue.clear();
     this.domainLocks.clear();
+    this.crawlPacing.clear();
+    this.blockCooldowns.clear();
     
     for (const [domain, callbacks] of this.domainCallbacks.entries()) {
       for (const { requesterId, callback } of callbacks) {
@@ -3,11 +3,13 @@ const AdaptiveScraper = require('./adaptiveScraper');
 const RobustScraper = require('./robustScraper');
 const DomainProfiler = require('./DomainProfiler');
 const ProfileQueueManager = require('./ProfileQueueManager');
+const browserPool = require('./browserPool');
 const { getCachedData, saveCache, CACHE_QUALITY_TYPES } = require('../cacheManager');
 const dictionariesManager = require('../dictionaries');
 const IndependentLanguageDetector = require('../dictionaries/IndependentLanguageDetector');
 const config = require('../config');
 const loggingService = require('../services/LoggingService');
+const { attachJobPostings } = require('./jobPostingNormalizer');
 
 class ScrapingCoordinator {
   constructor() {
@@ -99,7 +101,10 @@ class ScrapingCoordinator {
       loggingService.queue('granted', queueDomain, { scraperId: slotRequest.scraperId });
       
       try {
-        const result = await this.executeScraping(url, sessionId, options);
+        const result = await ProfileQueueManager.runWhileLeaseOwned(queueDomain, slotRequest.scraperId, () => this.executeScraping(url, sessionId, {
+          ...options,
+          scraperId: slotRequest.scraperId
+        }));
         
         await ProfileQueueManager.releaseScrapingSlot(queueDomain, slotRequest.scraperId, result);
         loggingService.queue('released', queueDomain, { scraperId: slotRequest.scraperId });
@@ -241,6 +246,7 @@ class ScrapingCoordinator {
           sessionData.success = true;
           sessionData.contentText = result.text || '';
           sessionData.jobsFound = result.links ? result.links.length : 0;
+          sessionData.pagination = result.pagination || null;
           sessionData.endTime = Date.now();
           sessionData.platform = result.detectedPlatform || detectedPlatform?.name;
           
@@ -554,6 +560,7 @@ class ScrapingCoordinator {
 
   async handleSuccessfulResult(url, result, sessionData, detectedLanguage, options) {
     const domain = loggingService.extractDomain(url);
+    attachJobPostings(result);
     
     try {
       if (options.saveCache !== false) {
@@ -909,6 +916,7 @@ class ScrapingCoordinator {
       return {
         profiles: profileStats,
         queue: queueStats,
+        browserPool: browserPool.getStats(),
         timestamp: new Date().toISOString(),
         coordinator: {
           initialized: this.initialized,
@@ -3,6 +3,8 @@ const { scrapeCareerPage } = require('./scraperService');
 const EventEmitter = require('events');
 const dictionaries = require('../dictionaries');
 const config = require('../config');
+const jobSnapshotService = require('./jobSnapshotService');
+const { normalizeCurrency } = require('./salaryParser');
 
 class SearchOrchestrator extends EventEmitter {
   constructor() {
@@ -20,7 +22,8 @@ class SearchOrchestrator extends EventEmitter {
       strictMode: options.strictMode !== false,
       enableProgressiveResults: options.enableProgressiveResults !== false,
       timeout: options.timeout || 30000,
-      ...options
+      ...options,
+      ...this.normalizeSalaryOptions(options)
     };
 
     const searchResults = {
@@ -50,6 +53,10 @@ class SearchOrchestrator extends EventEmitter {
         searchOptions
       );
 
+      if (searchOptions.newSince) {
+        cacheResults.results = await this.applyNewSinceFilter(cacheResults.results, searchOptions.newSince);
+      }
+
       searchResults.immediate = cacheResults.results;
       searchResults.summary.foundInCache = cacheResults.summary.foundInCache;
       searchResults.summary.totalMatches += cacheResults.results.reduce((sum, r) => sum + r.matches.links.length, 0);
@@ -167,13 +174,17 @@ class SearchOrchestrator extends EventEmitter {
         throw new Error('No valid data retrieved from scraping');
       }
 
-      const filteredResults = this.jobFilterService.applyJobFilters(
+      let filteredResults = this.jobFilterService.applyJobFilters(
         pageData, 
         jobTitles, 
         locations, 
         options
       );
 
+      if (options.newSince) {
+        filteredResults = await jobSnapshotService.filterMatchesNewSince(company.website, filteredResults, options.newSince);
+      }
+
       const result = {
         company,
         matches: filteredResults,
@@ -220,15 +231,57 @@ class SearchOrchestrator extends EventEmitter {
     }
   }
 
+  normalizeSalaryOptions(options = {}) {
+    const minSalary = parseFloat(options.minSalary);
+
+    if (!minSalary || minSalary <= 0) {
+      return { minSalary: null, currency: null };
+    }
+
+    return {
+      minSalary,
+      currency: normalizeCurrency(options.currency) || config.SALARY_BASE_CURRENCY || 'EUR'
+    };
+  }
+
   async getCachedResultsOnly(companies, jobTitles, locations = [], options = {}) {
     config.smartLog('cache', `Getting cached-only results for ${companies.length} companies`);
     
-    return await this.jobFilterService.filterCachedResults(
+    const cacheResults = await this.jobFilterService.filterCachedResults(
       companies, 
       jobTitles, 
       locations, 
-      { ...options, strictMode: options.strictMode !== false }
+      { ...options, ...this.normalizeSalaryOptions(options), strictMode: options.strictMode !== false }
     );
+
+    if (options.newSince) {
+      cacheResults.results = await this.applyNewSinceFilter(cacheResults.results, options.newSince);
+    }
+
+    return cacheResults;
+  }
+
+  async applyNewSinceFilter(results, newSince) {
+    config.smartLog('cache', `Filtering ${results.length} results to jobs new since ${newSince}`);
+
+    const filtered = [];
+
+    for (const result of results) {
+      if (!result.company || !result.company.website) {
+        filtered.push(result);
+        continue;
+      }
+
+      try {
+        const matches = await jobSnapshotService.filterMatchesNewSince(result.company.website, result.matches, newSince);
+        filtered.push({ ...result, matches });
+      } catch (error) {
+        config.smartLog('fail', `New-since filter failed for ${result.company.name}: ${error.message}`);
+        filtered.push(result);
+      }
+    }
+
+    return filtered;
   }
 
   getSearchStatus(searchId) {
@@ -1,31 +1,19 @@
-const LightweightVariantsStep = require('./steps/LightweightVariantsStep');
-const BambooHRStep = require('./steps/BambooHRStep');
-const HeadlessRenderingStep = require('./steps/HeadlessRenderingStep');
-const IframeAwareStep = require('./steps/IframeAwareStep');
-const PowershiftStep = require('./steps/PowershiftStep');
-const GreenhouseStep = require('./steps/GreenhouseStep');
-const BrassringStep = require('./steps/BrassringStep');
-const LeverStep = require('./steps/LeverStep');
-const WorkdayStep = require('./steps/WorkdayStep');
-const WorkableStep = require('./steps/WorkableStep');
-const SmartRecruitersStep = require('./steps/SmartRecruitersStep');
-const JazzHRStep = require('./steps/JazzHRStep');
-const ADPStep = require('./steps/ADPStep');
-const ZohoRecruitStep = require('./steps/ZohoRecruitStep');
-const ZohoRecruitHeadlessStep = require('./steps/ZohoRecruitHeadlessStep');
-const iCIMSStep = require('./steps/iCIMSStep');
-const WordPressLightweightStep = require('./steps/WordPressLightweightStep');
-const WordPressHeadlessStep = require('./steps/WordPressHeadlessStep');
-const WordPressIframeStep = require('./steps/WordPressIframeStep');
-const RecruiteeStep = require('./steps/RecruiteeStep');
-const TeamTailorStep = require('./steps/TeamTailorStep');
 const { getCachedData, saveCache, CACHE_QUALITY_TYPES } = require('../cacheManager');
 const config = require('../config');
 const scrapingMetrics = require('./scrapingMetricsService');
 const platformDetector = require('./platformDetector');
-const axios = require('axios');
+const axios = require('./scrapeHttpClient');
 const dictionariesManager = require('../dictionaries');
 const DomainProfiler = require('./DomainProfiler');
+const { attachJobPostings } = require('./jobPostingNormalizer');
+const crawlPolicy = require('./crawlPolicyService');
+const stepRegistry = require('./stepRegistry');
+const jobEnrichmentService = require('./jobEnrichmentService');
+const fixtureRecorder = require('./fixtureRecorder');
+const stepIntelligenceStore = require('./stepIntelligenceStore');
+const scrapeTraceService = require('./scrapeTraceService');
+const egressService = require('./egressService');
+const domainLockService = require('./domainLockService');
 
 class StepBasedScraper {
   constructor() {
@@ -33,37 +21,20 @@ class StepBasedScraper {
       return StepBasedScraper.instance;
     }
   
-    this.steps = [
-      new WordPressLightweightStep(),
-      new LightweightVariantsStep(),
-      new BambooHRStep(),
-      new WordPressHeadlessStep(),
-      new HeadlessRenderingStep(),
-      new WordPressIframeStep(),
-      new IframeAwareStep(),
-      new RecruiteeStep(),
-      new PowershiftStep(),
-      new GreenhouseStep(),
-      new LeverStep(),
-      new WorkableStep(),
-      new SmartRecruitersStep(),
-      new JazzHRStep(),
-      new ZohoRecruitStep(),
-      new ZohoRecruitHeadlessStep(),
-      new WorkdayStep(),
-      new BrassringStep(),
-      new ADPStep(),
-      new iCIMSStep(),
-      new TeamTailorStep()
-    ];
-    
-    this.steps.sort((a, b) => a.priority - b.priority);
+    stepRegistry.loadBuiltInSteps();
+    fixtureRecorder.install();
+    egressService.install();
     
     this.domainIntelligence = new Map();
     this.failurePatterns = new Map();
     this.successPatterns = new Map();
     this.domainProfiler = DomainProfiler.getInstance();
     this.MAX_DOMAIN_INTELLIGENCE = 1000;
+    this.dirtyDomains = new Set();
+    this.flushTimer = null;
+    this.flushPromise = null;
+    this.INTELLIGENCE_FLUSH_DELAY_MS = config.INTELLIGENCE_FLUSH_DELAY_MS || 5000;
+    this.intelligenceReady = this.loadPersistedIntelligence();
     
     this.adaptiveConfig = {
       maxRetries: 1,
@@ -82,6 +53,14 @@ class StepBasedScraper {
     StepBasedScraper.instance = this;
   }
   
+  get steps() {
+    return stepRegistry.getSteps();
+  }
+  
+  registerStep(definition, descriptor = {}) {
+    return stepRegistry.register(definition, descriptor);
+  }
+  
   cleanupOldestDomain() {
     if (this.domainIntelligence.size >= this.MAX_DOMAIN_INTELLIGENCE) {
       const oldestDomain = this.domainIntelligence.keys().next().value;
@@ -89,10 +68,105 @@ class StepBasedScraper {
       this.failurePatterns.delete(oldestDomain);
       this.successPatterns.delete(oldestDomain);
       
+      if (!this.dirtyDomains.has(oldestDomain)) {
+        stepIntelligenceStore.forget(oldestDomain);
+      }
+      
       config.smartLog('domain-profile', `Cleaned oldest domain intelligence: ${oldestDomain} (total: ${this.domainIntelligence.size})`);
     }
   }
   
+  async loadPersistedIntelligence() {
+    try {
+      const records = await stepIntelligenceStore.loadAll(this.MAX_DOMAIN_INTELLIGENCE);
+      
+      for (const record of records) {
+        this.applyIntelligenceRecord(record);
+      }
+    } catch (error) {
+      config.smartLog('fail', `Could not load persisted step intelligence: ${error.message}`);
+    }
+  }
+  
+  applyIntelligenceRecord(record) {
+    this.domainIntelligence.delete(record.domain);
+    this.domainIntelligence.set(record.domain, record.history);
+    this.successPatterns.set(record.domain, record.successPatterns);
+    this.failurePatterns.set(record.domain, record.failurePatterns);
+  }
+  
+  snapshotDomainIntelligence(domain) {
+    const history = this.domainIntelligence.get(domain);
+    if (!history) return null;
+    
+    return stepIntelligenceStore.snapshot(
+      domain,
+      history,
+      this.successPatterns.get(domain),
+      this.failurePatterns.get(domain)
+    );
+  }
+  
+  markIntelligenceDirty(domain) {
+    this.dirtyDomains.add(domain);
+    
+    if (this.flushTimer) return;
+    
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flushIntelligence().catch(error => {
+        config.smartLog('fail', `Step intelligence flush failed: ${error.message}`);
+      });
+    }, this.INTELLIGENCE_FLUSH_DELAY_MS);
+    
+    if (this.flushTimer.unref) {
+      this.flushTimer.unref();
+    }
+  }
+  
+  async flushIntelligence() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    
+    if (this.flushPromise) {
+      await this.flushPromise;
+    }
+    
+    const domains = Array.from(this.dirtyDomains);
+    this.dirtyDomains.clear();
+    
+    this.flushPromise = (async () => {
+      for (const domain of domains) {
+        const snapshot = this.snapshotDomainIntelligence(domain);
+        if (!snapshot) continue;
+        
+        try {
+          const merged = await stepIntelligenceStore.saveDomain(domain, snapshot);
+          const current = this.snapshotDomainIntelligence(domain);
+          
+          if (current) {
+            this.applyIntelligenceRecord(stepIntelligenceStore.rebase(merged, current, snapshot));
+          }
+        } catch (error) {
+          this.dirtyDomains.add(domain);
+          config.smartLog('fail', `Could not persist step intelligence for ${domain}: ${error.message}`);
+        }
+      }
+    })();
+    
+    try {
+      await this.flushPromise;
+    } finally {
+      this.flushPromise = null;
+    }
+    
+    if (domains.length > 0) {
+      config.smartLog('domain-profile', `Persisted step intelligence for ${domains.length} domains`);
+    }
+  }
+  
   injectDictionaryToStep(step, language, dictionary) {
     try {
       if (typeof step.setDictionary === 'function') {
@@ -160,24 +234,31 @@ class StepBasedScraper {
     
     const overallStartTime = Date.now();
     
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Global timeout reached (60s)')), this.adaptiveConfig.globalTimeout);
-    });
-    
-    try {
-      const result = await Promise.race([
-        this.performScrape(url, options, overallStartTime),
-        timeoutPromise
-      ]);
+    return scrapeTraceService.withTrace(url, async () => {
+      const timeoutPromise = new Promise((_, reject) => {
+        setTimeout(() => reject(new Error('Global timeout reached (60s)')), this.adaptiveConfig.globalTimeout);
+      });
       
-      return result;
-    } catch (error) {
-      if (error.message.includes('Global timeout')) {
-        config.smartLog('timeout', `Global timeout reached for ${url}`);
-        await scrapingMetrics.recordStepError(url, 'global', 'GlobalTimeout', error.message, overallStartTime);
+      try {
+        const result = await Promise.race([
+          fixtureRecorder.withSession(url, options.fixtureMode, () => this.performScrape(url, options, overallStartTime)),
+          timeoutPromise
+        ]);
+        
+        return result;
+      } catch (error) {
+        if (error.message.includes('Global timeout')) {
+          config.smartLog('timeout', `Global timeout reached for ${url}`);
+          scrapeTraceService.note('timeout', `Global timeout reached after ${Date.now() - overallStartTime}ms`);
+          await scrapingMetrics.recordStepError(url, 'global', 'GlobalTimeout', error.message, overallStartTime);
+        }
+        throw error;
       }
-      throw error;
-    }
+    });
+  }
+  
+  explainScrape(url) {
+    return scrapeTraceService.explainScrape(url);
   }
 
   async fetchHTMLForDetection(url) {
@@ -189,6 +270,13 @@ class StepBasedScraper {
     ];
     
     for (let attempt = 0; attempt < userAgents.length; attempt++) {
+      const policy = await crawlPolicy.canFetch(url, 'platform-detection');
+      if (!policy.allowed) {
+        const policyError = new Error(`Crawl policy blocked detection fetch: ${policy.reason}`);
+        policyError.code = 'CRAWL_POLICY_BLOCKED';
+        throw policyError;
+      }
+      
       try {
         const response = await axios.get(url, {
           headers: {
@@ -226,8 +314,14 @@ class StepBasedScraper {
   }
   
   async performScrape(url, options, overallStartTime) {
+    await this.intelligenceReady;
+    
     try {
-      const cachedData = await getCachedData(url);
+      const fixtureSession = fixtureRecorder.getActiveSession();
+      const cachedData = fixtureSession ? null : await getCachedData(url);
+      if (fixtureSession) {
+        scrapeTraceService.recordCache('bypassed', { layer: 'step-based', reason: `fixture ${fixtureSession.mode} session` });
+      }
       if (cachedData) {
         const cacheQuality = cachedData._cacheMetadata?.quality || 'unknown';
         const isMinimumCache = cachedData._cacheMetadata?.isMinimumCache === true;
@@ -236,6 +330,7 @@ class StepBasedScraper {
         
         if (isMinimumCache || cacheQuality === CACHE_QUALITY_TYPES.MINIMUM) {
           config.smartLog('cache', `MINIMUM cache detected - returning degraded status for ${url}`);
+          scrapeTraceService.recordCache('served-minimum', { layer: 'step-based', quality: cacheQuality, reason: 'minimum cache returned as degraded result' });
           
           await scrapingMetrics.recordCacheHit(url);
           await scrapingMetrics.recordStepAttempt(url, 'cache-minimum', overallStartTime);
@@ -248,7 +343,7 @@ class StepBasedScraper {
           });
           
           return {
-            ...cachedData,
+            ...attachJobPostings(cachedData),
             _scrapeStatus: 'degraded',
             _statusReason: 'minimum_cache_served',
             _shouldRetry: true,
@@ -264,16 +359,22 @@ class StepBasedScraper {
           detectedPlatform: cachedData.detectedPlatform || null
         });
         
-        return cachedData;
+        scrapeTraceService.recordCache('hit', { layer: 'step-based', quality: cacheQuality });
+        return attachJobPostings(cachedData);
       }
       
+      if (!fixtureSession) {
+        scrapeTraceService.recordCache('miss', { layer: 'step-based' });
+      }
       await scrapingMetrics.recordCacheMiss(url);
     } catch (error) {
       config.smartLog('fail', `Cache error: ${error.message}`);
+      scrapeTraceService.recordCache('error', { layer: 'step-based', reason: error.message });
       await scrapingMetrics.recordStepError(url, 'cache', 'CacheError', error.message, overallStartTime);
     }
     
     const profileCheck = await this.domainProfiler.shouldUseCachedProfile(url);
+    scrapeTraceService.recordProfile(profileCheck);
     
     if (profileCheck.useProfile && profileCheck.step && profileCheck.successRate >= 70 && !profileCheck.needsReprofiling) {
       config.smartLog('fast-track', `Using proven step ${profileCheck.step} (${profileCheck.successRate.toFixed(1)}% success)`);
@@ -281,6 +382,7 @@ class StepBasedScraper {
       if (this.ADAPTIVE_SCRAPER_METHODS[profileCheck.step]) {
         config.smartLog('fast-track', `EXECUTION - Step: ${profileCheck.step}, Language: ${profileCheck.language}, Platform: ${profileCheck.platform}`);
         
+        let fastTrackRecord = null;
         try {
           const AdaptiveScraper = require('./adaptiveScraper');
           const adaptiveScraper = AdaptiveScraper.getInstance();
@@ -290,10 +392,12 @@ class StepBasedScraper {
           
           if (method) {
             const { startTime: stepStartTime } = await scrapingMetrics.recordStepAttempt(url, profileCheck.step);
+            fastTrackRecord = scrapeTraceService.startStep(profileCheck.step, { phase: 'fast-track', attempt: 1 });
             
             const adaptiveResult = await method.call(adaptiveScraper, url);
             
             if (adaptiveResult && this.isResultValid(adaptiveResult, profileCheck.platform)) {
+              scrapeTraceService.finishStep(fastTrackRecord, 'success');
               config.smartLog('win', `FAST-TRACK SUCCESS - Jobs found: ${this.extractJobCount(adaptiveResult)}`);
               
               await scrapingMetrics.recordStepSuccess(url, profileCheck.step, stepStartTime, {
@@ -319,6 +423,8 @@ class StepBasedScraper {
                 fastTrack: true
               };
               
+              attachJobPostings(adaptiveResult, profileCheck.platform);
+              
               try {
                 const cacheSuccess = await saveCache(url, adaptiveResult);
                 sessionData.cacheCreated = cacheSuccess;
@@ -342,11 +448,13 @@ class StepBasedScraper {
               return adaptiveResult;
             } else {
               config.smartLog('fail', `FAST-TRACK FAILED - Falling back to normal execution`);
+              scrapeTraceService.finishStep(fastTrackRecord, adaptiveResult ? 'invalid' : 'no_result', { reason: 'fast-track result rejected, falling back to normal execution' });
               await scrapingMetrics.recordStepError(url, profileCheck.step, 'FastTrackFailed', 'Fast-track execution failed', stepStartTime);
             }
           }
         } catch (error) {
           config.smartLog('fail', `FAST-TRACK ERROR: ${error.message}`);
+          scrapeTraceService.finishStep(fastTrackRecord, 'error', { error: error.message });
         }
       } else {
         const preferredStep = this.steps.find(step => step.name === profileCheck.step);
@@ -364,11 +472,13 @@ class StepBasedScraper {
     if (profileCheck.useProfile) {
       config.smartLog('domain-profile', `Using cached profile data for ${url}`);
       detectedPlatform = profileCheck.platform;
+      scrapeTraceService.recordPlatform(detectedPlatform, 'domain-profile');
       
       sessionDictionaryData = {
         language: profileCheck.language,
         dictionary: dictionariesManager.getDictionaryForLanguage(profileCheck.language)
       };
+      scrapeTraceService.recordLanguage(profileCheck.language, 'domain-profile');
       
       options.detectedPlatform = detectedPlatform;
       options.cachedProfile = profileCheck.profile;
@@ -378,8 +488,10 @@ class StepBasedScraper {
       try {
         htmlContent = await this.fetchHTMLForDetection(url);
         detectedPlatform = platformDetector.detectPlatform(url, htmlContent);
+        scrapeTraceService.recordPlatform(detectedPlatform, 'url-and-html');
         
         sessionDictionaryData = await this.detectAndPrepareDictionary(url, htmlContent, options);
+        scrapeTraceService.recordLanguage(sessionDictionaryData.language, 'html');
         
         if (detectedPlatform) {
           config.smartLog('platform', `Platform detected: ${detectedPlatform}`);
@@ -389,9 +501,12 @@ class StepBasedScraper {
         
       } catch (error) {
         config.smartLog('retry', `Could not fetch HTML for platform detection: ${error.message}`);
+        scrapeTraceService.note('platform', `Detection HTML fetch failed: ${error.message}`);
         detectedPlatform = platformDetector.detectPlatform(url);
+        scrapeTraceService.recordPlatform(detectedPlatform, 'url-only');
         
         sessionDictionaryData = await this.detectAndPrepareDictionary(url, null, options);
+        scrapeTraceService.recordLanguage(sessionDictionaryData.language, 'default');
         
         if (detectedPlatform) {
           config.smartLog('platform', `Fallback platform detection: ${detectedPlatform}`);
@@ -438,6 +553,7 @@ class StepBasedScraper {
       const preferredStep = this.steps.find(step => step.name === profileCheck.step);
       if (preferredStep) {
         filteredSteps = [preferredStep, ...this.steps.filter(s => s.name !== profileCheck.step).slice(0, 2)];
+        this.traceStepFilter(this.steps, filteredSteps, 'profile', detectedPlatform, `profile prefers ${profileCheck.step}, only two fallback steps kept`);
       } else {
         filteredSteps = this.filterStepsByPlatformStrict(this.steps, detectedPlatform);
       }
@@ -446,6 +562,7 @@ class StepBasedScraper {
     }
     
     executionPlan = this.createIntelligentExecutionPlan(url, domainHistory, options, filteredSteps);
+    scrapeTraceService.recordPlan(executionPlan);
     
     config.smartLog('steps', `Execution plan (${filteredSteps.length}/${this.steps.length} steps): ${executionPlan.map(p => p.step.name).join(' -> ')}`);
     
@@ -475,10 +592,12 @@ class StepBasedScraper {
       config.smartLog('retry', `Attempt ${attemptCount}/${maxAttempts}`);
       
       for (const planItem of executionPlan) {
+        domainLockService.throwIfLeaseLost();
         const step = planItem.step;
         const stepConfig = planItem.config;
         
         const { startTime: stepStartTime } = await scrapingMetrics.recordStepAttempt(url, step.name);
+        const traceRecord = scrapeTraceService.startStep(step.name, { phase: 'plan', attempt: attemptCount });
         
         try {
           this.injectDictionaryToStep(step, detectedLanguage, sessionDictionary);
@@ -487,6 +606,7 @@ class StepBasedScraper {
           
           if (!isApplicable) {
             config.smartLog('steps', `Step ${step.name} not applicable, skipping`);
+            scrapeTraceService.finishStep(traceRecord, 'skipped', { reason: 'not_applicable' });
             await scrapingMetrics.recordStepError(url, step.name, 'StepNotApplicable', 'Step not applicable', stepStartTime);
             continue;
           }
@@ -514,6 +634,7 @@ class StepBasedScraper {
           
           if (stepResult && this.isResultValid(stepResult, detectedPlatform)) {
             config.smartLog('win', `Step ${step.name} successful on attempt ${attemptCount}`);
+            scrapeTraceService.finishStep(traceRecord, 'success');
             
             if (stepResult.detectedPlatform) {
               config.smartLog('platform', `Platform detected: ${stepResult.detectedPlatform}`);
@@ -531,6 +652,7 @@ class StepBasedScraper {
             sessionData.success = true;
             sessionData.contentText = stepResult.text || '';
             sessionData.jobsFound = this.extractJobCount(stepResult);
+            sessionData.pagination = stepResult.pagination || null;
             sessionData.platform = stepResult.detectedPlatform || detectedPlatform;
             sessionData.endTime = Date.now();
             sessionData.detectedLanguage = detectedLanguage;
@@ -544,11 +666,13 @@ class StepBasedScraper {
           
           if (stepResult) {
             config.smartLog('steps', `Step ${step.name} returned partial result`);
+            scrapeTraceService.finishStep(traceRecord, 'partial', { reason: 'result failed validation' });
             stepContext = { ...stepContext, previousStepResult: stepResult };
             
             await scrapingMetrics.recordStepError(url, step.name, 'PartialResult', 'Partial result returned', stepStartTime);
           } else {
             config.smartLog('fail', `Step ${step.name} returned no result`);
+            scrapeTraceService.finishStep(traceRecord, 'no_result');
             await scrapingMetrics.recordStepError(url, step.name, 'NoResult', 'No result returned', stepStartTime);
           }
           
@@ -556,6 +680,7 @@ class StepBasedScraper {
           
         } catch (error) {
           config.smartLog('fail', `Step ${step.name} error: ${error.message}`);
+          scrapeTraceService.finishStep(traceRecord, 'error', { error: error.message });
           await scrapingMetrics.recordStepError(url, step.name, 'ExecutionError', error.message, stepStartTime);
           this.recordStepFailure(domain, step.name, null, error);
         }
@@ -581,6 +706,8 @@ class StepBasedScraper {
       if (success) {
         this.updateDomainIntelligence(domain, result, true);
       }
+      
+      await this.enrichJobDetails(url, result, options);
     } else {
       config.smartLog('fail', `All attempts failed for ${url}`);
       
@@ -589,6 +716,7 @@ class StepBasedScraper {
       try {
         const cacheSuccess = await saveCache(url, minimumCache);
         config.smartLog('cache', `Minimum cache created for ${url}: ${cacheSuccess}`);
+        scrapeTraceService.recordCache(cacheSuccess ? 'saved-minimum' : 'save-skipped', { layer: 'step-based', reason: 'all steps failed' });
         
         sessionData.endTime = Date.now();
         sessionData.success = false;
@@ -617,6 +745,7 @@ class StepBasedScraper {
         
       } catch (error) {
         config.smartLog('fail', `Minimum cache creation failed: ${error.message}`);
+        scrapeTraceService.recordCache('save-error', { layer: 'step-based', reason: error.message });
         await scrapingMetrics.recordStepError(url, 'cache', 'MinimumCacheError', error.message, overallStartTime);
         
         sessionData.endTime = Date.now();
@@ -654,6 +783,7 @@ class StepBasedScraper {
     const domain = this.extractDomain(url);
     const domainHistory = this.domainIntelligence.get(domain) || this.initializeDomainHistory(domain);
     const { startTime: stepStartTime } = await scrapingMetrics.recordStepAttempt(url, step.name);
+    const traceRecord = scrapeTraceService.startStep(step.name, { phase: 'fast-track', attempt: 1 });
     
     try {
       const sessionDictionary = dictionariesManager.getDictionaryForLanguage(profileData.language);
@@ -683,6 +813,7 @@ class StepBasedScraper {
       
       if (stepResult && this.isResultValid(stepResult, profileData.platform)) {
         config.smartLog('win', `FAST-TRACK SUCCESS - Jobs found: ${this.extractJobCount(stepResult)}`);
+        scrapeTraceService.finishStep(traceRecord, 'success');
         
         await scrapingMetrics.recordStepSuccess(url, step.name, stepStartTime, {
           textLength: stepResult.text ? stepResult.text.length : 0,
@@ -701,15 +832,19 @@ class StepBasedScraper {
           success: true,
           contentText: stepResult.text || '',
           jobsFound: this.extractJobCount(stepResult),
+          pagination: stepResult.pagination || null,
           platform: profileData.platform,
           detectedLanguage: profileData.language,
           awsService: profileData.aws || 'lambda',
           fastTrack: true
         };
         
+        attachJobPostings(stepResult, profileData.platform);
+        
         try {
           const cacheSuccess = await saveCache(url, stepResult);
           sessionData.cacheCreated = cacheSuccess;
+          scrapeTraceService.recordCache(cacheSuccess ? 'saved' : 'save-skipped', { layer: 'step-based', reason: 'fast-track' });
         } catch (error) {
           config.smartLog('fail', `Fast-track cache error: ${error.message}`);
           sessionData.cacheCreated = false;
@@ -728,12 +863,14 @@ class StepBasedScraper {
         return stepResult;
       } else {
         config.smartLog('fail', `FAST-TRACK FAILED - Falling back to normal execution`);
+        scrapeTraceService.finishStep(traceRecord, stepResult ? 'invalid' : 'no_result', { reason: 'fast-track result rejected, falling back to normal execution' });
         await scrapingMetrics.recordStepError(url, step.name, 'FastTrackFailed', 'Fast-track execution failed', stepStartTime);
         return null;
       }
       
     } catch (error) {
       config.smartLog('fail', `FAST-TRACK ERROR: ${error.message}`);
+      scrapeTraceService.finishStep(traceRecord, 'error', { error: error.message });
       await scrapingMetrics.recordStepError(url, step.name, 'FastTrackError', error.message, stepStartTime);
       return null;
     }
@@ -753,6 +890,7 @@ class StepBasedScraper {
         linkType: 'career_page',
         isJobPosting: false 
       }],
+      jobs: [],
       scrapedAt: new Date().toISOString(),
       method: 'minimum-fallback',
       winRate: 0,
@@ -766,9 +904,12 @@ class StepBasedScraper {
   }
   
   async handleSuccessfulResult(url, result, sessionData, detectedLanguage, profileCheck, options) {
+    attachJobPostings(result, result.detectedPlatform || sessionData.platform);
+    
     try {
       const cacheSuccess = await saveCache(url, result);
       config.smartLog('cache', `Result cached for ${url}: ${cacheSuccess}`);
+      scrapeTraceService.recordCache(cacheSuccess ? 'saved' : 'save-skipped', { layer: 'step-based' });
       
       this.updateSessionData(sessionData, result, detectedLanguage, profileCheck, cacheSuccess, true);
       
@@ -779,6 +920,7 @@ class StepBasedScraper {
       return true;
     } catch (error) {
       config.smartLog('fail', `Cache save error: ${error.message}`);
+      scrapeTraceService.recordCache('save-error', { layer: 'step-based', reason: error.message });
       await scrapingMetrics.recordStepError(url, 'cache', 'CacheSaveError', error.message, Date.now());
       
       this.updateSessionData(sessionData, result, detectedLanguage, profileCheck, false, true);
@@ -791,12 +933,30 @@ class StepBasedScraper {
     }
   }
   
+  async enrichJobDetails(url, result, options = {}) {
+    if (!jobEnrichmentService.isEnabled(options)) return null;
+    
+    try {
+      const enrichment = await jobEnrichmentService.enrichResult(url, result, options);
+      
+      if (enrichment && (enrichment.enriched > 0 || enrichment.fromCache > 0)) {
+        await saveCache(url, result);
+      }
+      
+      return enrichment;
+    } catch (error) {
+      config.smartLog('fail', `Job enrichment failed for ${url}: ${error.message}`);
+      return null;
+    }
+  }
+  
   updateSessionData(sessionData, result, detectedLanguage, profileCheck, cacheCreated, success) {
     sessionData.endTime = Date.now();
     sessionData.stepUsed = sessionData.stepUsed || result?.method || 'step-based-scraper';
     sessionData.success = success;
     sessionData.contentText = result?.text || '';
     sessionData.jobsFound = this.extractJobCount(result);
+    sessionData.pagination = result?.pagination || sessionData.pagination || null;
     sessionData.platform = result?.detectedPlatform || sessionData.platform;
     sessionData.cacheCreated = cacheCreated;
     sessionData.detectedLanguage = detectedLanguage;
@@ -838,38 +998,36 @@ class StepBasedScraper {
     return Math.max(jobCount, 0);
   }
 
+  traceStepFilter(allSteps, selected, mode, detectedPlatform, reason, candidates = selected) {
+    const selectedNames = new Set(selected.map(step => step.name));
+    const candidateNames = new Set(candidates.map(step => step.name));
+    
+    const skipped = allSteps
+      .filter(step => !selectedNames.has(step.name))
+      .map(step => ({
+        step: step.name,
+        reason: candidateNames.has(step.name) ? 'step limit reached' : reason
+      }));
+    
+    scrapeTraceService.recordStepFilter(mode, detectedPlatform, selected, skipped);
+    return selected;
+  }
+  
   filterStepsByPlatformStrict(allSteps, detectedPlatform) {
     if (!detectedPlatform) {
       config.smartLog('platform', `No platform detected, using lightweight steps only`);
-      return [
+      const candidates = [
         ...allSteps.filter(step => step.name.includes('lightweight')),
         ...allSteps.filter(step => step.name.includes('headless')),
         ...allSteps.filter(step => step.name.includes('wordpress'))
-      ].slice(0, 5);
+      ];
+      return this.traceStepFilter(allSteps, candidates.slice(0, 5), 'no-platform', null, 'no platform detected, only lightweight/headless/wordpress steps allowed', candidates);
     }
     
     config.smartLog('platform', `Platform detected: ${detectedPlatform}, STRICT filtering`);
     
-    const platformStepMappings = {
-      'Greenhouse': 'greenhouse-step',
-      'Workable': 'workable-step',
-      'BambooHR': 'bamboohr-step',
-      'Lever': 'lever-step',
-      'SmartRecruiters': 'smartrecruiters-step',
-      'Smartrecruiters': 'smartrecruiters-step',
-      'JazzHR': 'jazzhr-step',
-      'iCIMS': 'icims-step',
-      'ADP': 'adp-step',
-      'Workday': 'workday-step',
-      'ZohoRecruit': 'zoho-recruit-step',
-      'Recruitee': 'recruitee-step',
-      'Brassring': 'brassring-step',
-      'BrassRing': 'brassring-step',
-      'Powershift': 'powershift-step',
-      'TeamTailor': 'teamtailor-step'
-    };
-    
-    const expectedStepName = platformStepMappings[detectedPlatform];
+    const registeredStep = stepRegistry.getStepForPlatform(detectedPlatform);
+    const expectedStepName = registeredStep ? registeredStep.name : null;
     
     if (expectedStepName) {
       const platformStep = allSteps.find(step => step.name === expectedStepName);
@@ -878,6 +1036,11 @@ class StepBasedScraper {
         config.smartLog('platform', `STRICT MODE: Using ONLY ${platformStep.name} for ${detectedPlatform}`);
         
         const fallbackSteps = [];
+        const structuredDataStep = allSteps.find(step => step.name === 'structured-data-lightweight');
+        
+        if (structuredDataStep) {
+          fallbackSteps.push(structuredDataStep);
+        }
         
         if (detectedPlatform === 'WordPress') {
           fallbackSteps.push(...allSteps.filter(step => 
@@ -889,28 +1052,30 @@ class StepBasedScraper {
           ).slice(0, 1));
         }
         
-        return [platformStep, ...fallbackSteps];
+        return this.traceStepFilter(allSteps, [platformStep, ...fallbackSteps], 'strict', detectedPlatform, `strict mode: ${detectedPlatform} is handled by ${expectedStepName}`);
       } else {
         config.smartLog('platform', `Expected step ${expectedStepName} not found for platform ${detectedPlatform}`);
+        scrapeTraceService.note('platform', `Expected step ${expectedStepName} not found for platform ${detectedPlatform}`);
       }
     }
     
     if (detectedPlatform === 'WordPress') {
       config.smartLog('platform', `WordPress detected, using ONLY WordPress steps`);
       const wordpressSteps = allSteps.filter(step => 
-        step.name.includes('wordpress')
+        step.name.includes('wordpress') || step.name === 'structured-data-lightweight'
       );
       
       if (wordpressSteps.length > 0) {
-        return wordpressSteps;
+        return this.traceStepFilter(allSteps, wordpressSteps, 'wordpress', detectedPlatform, 'WordPress detected, only WordPress steps allowed');
       }
     }
     
     config.smartLog('platform', `Unknown platform ${detectedPlatform}, using minimal generic steps`);
-    return [
+    const candidates = [
       ...allSteps.filter(step => step.name.includes('lightweight')),
       ...allSteps.filter(step => step.name.includes('headless'))
-    ].slice(0, 3);
+    ];
+    return this.traceStepFilter(allSteps, candidates.slice(0, 3), 'generic', detectedPlatform, `no dedicated step for ${detectedPlatform}, only lightweight/headless steps allowed`, candidates);
   }
   
   detectJobPlatform(url) {
@@ -985,41 +1150,61 @@ class StepBasedScraper {
   }
   
   isResultValid(result, detectedPlatform = null) {
-    if (!result) return false;
+    const verdict = this.evaluateResult(result, detectedPlatform);
+    scrapeTraceService.recordValidation(verdict);
+    return verdict.valid;
+  }
+  
+  evaluateResult(result, detectedPlatform = null) {
+    if (!result) {
+      return { valid: false, mode: null, platform: detectedPlatform, reason: 'empty_result', checks: {} };
+    }
     
     const sessionDictionary = dictionariesManager.getDefaultDictionary();
-    const hasMinimumContent = result.text && result.text.length > 100;
-    const hasJobTerms = this.countJobTerms(result.text, null, sessionDictionary) > 0;
-    const hasJobLinks = this.countJobLinks(result.links) > 0;
-    const hasLinks = result.links && result.links.length > 0;
+    const checks = {
+      hasMinimumContent: !!(result.text && result.text.length > 100),
+      hasJobTerms: this.countJobTerms(result.text, null, sessionDictionary) > 0,
+      hasJobLinks: this.countJobLinks(result.links) > 0,
+      hasLinks: !!(result.links && result.links.length > 0),
+      hasUnrenderedTemplates: this.hasUnrenderedTemplates(result.text),
+      textLength: result.text ? result.text.length : 0
+    };
     
-    const hasUnrenderedTemplates = this.hasUnrenderedTemplates(result.text);
+    const resultPlatform = result.detectedPlatform || detectedPlatform;
+    const verdict = {
+      valid: false,
+      mode: resultPlatform ? 'platform' : 'generic',
+      platform: resultPlatform || null,
+      reason: null,
+      checks
+    };
     
-    if (hasUnrenderedTemplates) {
+    if (checks.hasUnrenderedTemplates) {
       config.smartLog('fail', `Result contains unrendered templates, invalid`);
-      return false;
+      verdict.reason = 'unrendered_templates';
+      return verdict;
     }
     
-    const resultPlatform = result.detectedPlatform || detectedPlatform;
-    
     if (resultPlatform) {
       config.smartLog('platform', `Platform detected (${resultPlatform}), relaxed validation`);
-      const isValid = hasMinimumContent;
-      if (!isValid) {
-        config.smartLog('fail', `Platform result validation failed - Content: ${hasMinimumContent}`);
+      verdict.valid = checks.hasMinimumContent;
+      if (!verdict.valid) {
+        config.smartLog('fail', `Platform result validation failed - Content: ${checks.hasMinimumContent}`);
+        verdict.reason = 'insufficient_content';
       } else {
-        config.smartLog('win', `Platform result VALID - Content: ${hasMinimumContent}, JobTerms: ${hasJobTerms}, Links: ${hasLinks}`);
+        config.smartLog('win', `Platform result VALID - Content: ${checks.hasMinimumContent}, JobTerms: ${checks.hasJobTerms}, Links: ${checks.hasLinks}`);
       }
-      return isValid;
+      return verdict;
     }
     
-    const isValid = hasMinimumContent && (hasJobTerms || hasJobLinks || hasLinks);
+    verdict.valid = checks.hasMinimumContent && (checks.hasJobTerms || checks.hasJobLinks || checks.hasLinks);
     
-    if (!isValid) {
-      config.smartLog('fail', `Generic result validation failed - Content: ${hasMinimumContent}, JobTerms: ${hasJobTerms}, JobLinks: ${hasJobLinks}, Links: ${hasLinks}`);
+    if (!verdict.valid) {
+      config.smartLog('fail', `Generic result validation failed - Content: ${checks.hasMinimumContent}, JobTerms: ${checks.hasJobTerms}, JobLinks: ${checks.hasJobLinks}, Links: ${checks.hasLinks}`);
+      verdict.reason = checks.hasMinimumContent ? 'no_job_signals' : 'insufficient_content';
     }
     
-    return isValid;
+    return verdict;
   }
   
   hasUnrenderedTemplates(text) {
@@ -1106,6 +1291,10 @@ class StepBasedScraper {
         knownJobPlatforms.find(p => p.name === options.detectedPlatform) : null;
     }
     
+    if (step.name === 'structured-data-lightweight') {
+      baseConfig.timeout = Math.min(baseConfig.timeout, 15000);
+    }
+    
     if (step.name === 'lightweight-variants') {
       baseConfig.jobTerms = sessionDictionary.getJobTerms();
       baseConfig.jobPatterns = sessionDictionary.getJobURLPatterns();
@@ -1423,6 +1612,8 @@ class StepBasedScraper {
     if (domainHistory.totalAttempts % 5 === 0) {
       config.smartLog('domain-profile', `Domain ${domain} stats - Success Rate: ${domainHistory.successRate.toFixed(1)}%, Quality: ${domainHistory.avgQuality.toFixed(1)}, Platform: ${domainHistory.detectedPlatform || 'None'}, Job Terms: ${(domainHistory.avgJobTerms || 0).toFixed(1)}, Job Links: ${(domainHistory.avgJobLinks || 0).toFixed(1)}`);
     }
+    
+    this.markIntelligenceDirty(domain);
   }
   
   initializeDomainHistory(domain) {
@@ -1472,46 +1663,50 @@ class StepBasedScraper {
     return this.failurePatterns.get(domain) || [];
   }
   
-  resetDomainIntelligence(domain) {
+  async resetDomainIntelligence(domain) {
     this.domainIntelligence.delete(domain);
     this.successPatterns.delete(domain);
     this.failurePatterns.delete(domain);
+    this.dirtyDomains.delete(domain);
+    await stepIntelligenceStore.deleteDomain(domain);
     config.smartLog('domain-profile', `Intelligence reset for domain: ${domain}`);
   }
   
   exportIntelligence() {
     return {
-      domainIntelligence: Array.from(this.domainIntelligence.entries()).map(([domain, history]) => ({
-        domain,
-        ...history,
-        successfulSteps: Array.from(history.successfulSteps.entries()),
-        failedSteps: Array.from(history.failedSteps.entries()),
-        performanceMetrics: Array.from(history.performanceMetrics.entries()),
-        errorMetrics: Array.from(history.errorMetrics.entries())
-      })),
-      successPatterns: Array.from(this.successPatterns.entries()),
-      failurePatterns: Array.from(this.failurePatterns.entries())
+      domains: Array.from(this.domainIntelligence.keys()).map(domain => this.snapshotDomainIntelligence(domain))
     };
   }
   
-  importIntelligence(data) {
-    if (data.domainIntelligence) {
-      for (const domainData of data.domainIntelligence) {
-        const { domain, ...history } = domainData;
-        history.successfulSteps = new Map(history.successfulSteps);
-        history.failedSteps = new Map(history.failedSteps);
-        history.performanceMetrics = new Map(history.performanceMetrics);
-        history.errorMetrics = new Map(history.errorMetrics);
-        this.domainIntelligence.set(domain, history);
-      }
-    }
+  convertLegacyIntelligence(data) {
+    const successPatterns = new Map(data.successPatterns || []);
+    const failurePatterns = new Map(data.failurePatterns || []);
     
-    if (data.successPatterns) {
-      this.successPatterns = new Map(data.successPatterns);
-    }
+    config.smartLog('domain-profile', `Converting legacy domainIntelligence export for ${data.domainIntelligence.length} domains`);
+    
+    return data.domainIntelligence.map(({ domain, ...history }) => stepIntelligenceStore.snapshot(
+      domain,
+      {
+        ...history,
+        successfulSteps: new Map(history.successfulSteps || []),
+        failedSteps: new Map(history.failedSteps || []),
+        performanceMetrics: new Map(history.performanceMetrics || []),
+        errorMetrics: new Map(history.errorMetrics || [])
+      },
+      successPatterns.get(domain) || [],
+      failurePatterns.get(domain) || []
+    ));
+  }
+  
+  importIntelligence(data) {
+    const records = data.domains || (Array.isArray(data.domainIntelligence) ? this.convertLegacyIntelligence(data) : []);
     
-    if (data.failurePatterns) {
-      this.failurePatterns = new Map(data.failurePatterns);
+    for (const record of records) {
+      if (!record || !record.domain || !record.history) continue;
+      
+      this.cleanupOldestDomain();
+      this.applyIntelligenceRecord(stepIntelligenceStore.deserializeRecord(record));
+      this.markIntelligenceDirty(record.domain);
     }
     
     config.smartLog('domain-profile', `Intelligence imported for ${this.domainIntelligence.size} domains`);
@@ -1528,6 +1723,8 @@ class StepBasedScraper {
       }
     }
     
+    await this.flushIntelligence();
+    
     config.smartLog('steps', `Closed with intelligence for ${this.domainIntelligence.size} domains`);
   }
 
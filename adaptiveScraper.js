@@ -1,4 +1,4 @@
-const axios = require('axios');
+const axios = require('./scrapeHttpClient');
 const cheerio = require('cheerio');
 const { initBrowser } = require('../browserManager');
 const { randomDelay, getRandomUserAgent } = require('../utils');
@@ -6,6 +6,7 @@ const { extractContentFromCheerio } = require('./helpers');
 const { getCachedData, saveCache } = require('../cacheManager');
 const dictionaries = require('../dictionaries');
 const DomainProfiler = require('./DomainProfiler');
+const egressService = require('./egressService');
 const config = require('../config');
 
 class AdaptiveScraper {
@@ -260,10 +261,10 @@ class AdaptiveScraper {
     const browser = await initBrowser();
     
     try {
-      const context = await browser.newContext({
+      const context = await browser.newContext(await egressService.applyToContextOptions(url, {
         viewport: { width: 1920, height: 1080 },
         userAgent: getRandomUserAgent()
-      });
+      }));
       
       const page = await context.newPage();
       
@@ -311,10 +312,10 @@ class AdaptiveScraper {
     const browser = await initBrowser();
     
     try {
-      const context = await browser.newContext({
+      const context = await browser.newContext(await egressService.applyToContextOptions(url, {
         viewport: { width: 1920, height: 1080 },
         userAgent: getRandomUserAgent()
-      });
+      }));
       
       const page = await context.newPage();
       
@@ -0,0 +1,269 @@
+const config = require('../config');
+
+const BLOCK_TYPES = {
+  CLOUDFLARE: 'cloudflare',
+  CAPTCHA: 'captcha',
+  RATE_LIMIT: 'rate-limit',
+  GEO_BLOCK: 'geo-block',
+  UNKNOWN: 'unknown-block'
+};
+
+const CLOUDFLARE_MARKERS = [
+  'cf-browser-verification',
+  'cf_chl_opt',
+  '/cdn-cgi/challenge-platform',
+  'challenge-platform',
+  'cf-challenge-running',
+  'checking your browser before accessing',
+  'attention required! | cloudflare',
+  'cf-error-details'
+];
+
+const CLOUDFLARE_TITLES = ['just a moment...', 'attention required! | cloudflare', 'please wait...'];
+
+const CAPTCHA_PROVIDERS = [
+  { provider: 'cloudflare-turnstile', markers: ['challenges.cloudflare.com/turnstile', 'cf-turnstile'] },
+  { provider: 'hcaptcha', markers: ['hcaptcha.com/1/api.js', 'h-captcha', 'data-hcaptcha-widget-id'] },
+  { provider: 'recaptcha', markers: ['google.com/recaptcha', 'recaptcha/api.js', 'g-recaptcha', 'grecaptcha'] },
+  { provider: 'datadome', markers: ['captcha-delivery.com', 'datadome'] },
+  { provider: 'perimeterx', markers: ['px-captcha', 'perimeterx', '_pxcaptcha'] }
+];
+
+const CHALLENGE_PHRASES = [
+  'verify you are human',
+  'verify that you are human',
+  'are you a robot',
+  'not a robot',
+  'unusual traffic',
+  'complete the security check',
+  'press and hold',
+  'prove you are human'
+];
+
+const RATE_LIMIT_PHRASES = [
+  'too many requests',
+  'rate limit exceeded',
+  'you have been rate limited',
+  'request limit reached',
+  'slow down'
+];
+
+const GEO_BLOCK_PHRASES = [
+  'not available in your country',
+  'not available in your region',
+  'not available in your location',
+  'banned the country or region',
+  'access from your country',
+  'unavailable in your region',
+  'geographic restrictions',
+  'error 1009'
+];
+
+const CHALLENGE_PAGE_MAX_TEXT = 3000;
+
+class AntiBotClassifier {
+  constructor() {
+    this.BLOCK_TYPES = BLOCK_TYPES;
+  }
+
+  normalizeHeaders(headers) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(headers || {})) {
+      normalized[key.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+    return normalized;
+  }
+
+  parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = parseInt(value, 10);
+    if (!isNaN(seconds) && String(seconds) === String(value).trim()) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  stripTags(html) {
+    return html
+      .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+      .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  findMatches(haystack, needles) {
+    return needles.filter(needle => haystack.includes(needle));
+  }
+
+  createResult(type, confidence, evidence, extra = {}) {
+    return {
+      blocked: true,
+      type,
+      provider: extra.provider || null,
+      confidence,
+      status: extra.status || null,
+      retryAfterMs: extra.retryAfterMs || null,
+      evidence
+    };
+  }
+
+  classify({ status = null, headers = {}, html = '', title = '', keywords = [] } = {}) {
+    const normalizedHeaders = this.normalizeHeaders(headers);
+    const htmlLower = (html || '').toLowerCase();
+    const titleLower = (title || '').toLowerCase();
+    const text = this.stripTags(htmlLower);
+    const retryAfterMs = this.parseRetryAfter(normalizedHeaders['retry-after']);
+    const isCloudflareServer = (normalizedHeaders.server || '').includes('cloudflare') || !!normalizedHeaders['cf-ray'];
+
+    if (status === 429) {
+      return this.createResult(BLOCK_TYPES.RATE_LIMIT, 0.95, ['HTTP 429'], { status, retryAfterMs });
+    }
+
+    if (status === 451) {
+      return this.createResult(BLOCK_TYPES.GEO_BLOCK, 0.95, ['HTTP 451'], { status });
+    }
+
+    const geoMatches = this.findMatches(text, GEO_BLOCK_PHRASES);
+    if (geoMatches.length > 0 && (status === 403 || text.length < CHALLENGE_PAGE_MAX_TEXT)) {
+      return this.createResult(BLOCK_TYPES.GEO_BLOCK, status === 403 ? 0.85 : 0.7, geoMatches.map(match => `text: ${match}`), { status });
+    }
+
+    const cloudflareMatches = this.findMatches(htmlLower, CLOUDFLARE_MARKERS);
+    const cloudflareTitle = CLOUDFLARE_TITLES.includes(titleLower);
+    if (normalizedHeaders['cf-mitigated'] === 'challenge' ||
+        cloudflareTitle ||
+        (cloudflareMatches.length > 0 && (isCloudflareServer || [403, 503].includes(status)))) {
+      const evidence = [
+        ...(normalizedHeaders['cf-mitigated'] ? [`header cf-mitigated: ${normalizedHeaders['cf-mitigated']}`] : []),
+        ...(cloudflareTitle ? [`title: ${titleLower}`] : []),
+        ...cloudflareMatches.map(match => `marker: ${match}`),
+        ...(status ? [`HTTP ${status}`] : [])
+      ];
+      const turnstile = htmlLower.includes('cf-turnstile') || htmlLower.includes('challenges.cloudflare.com/turnstile');
+      return this.createResult(BLOCK_TYPES.CLOUDFLARE, normalizedHeaders['cf-mitigated'] ? 0.95 : 0.85, evidence, {
+        status,
+        provider: turnstile ? 'cloudflare-turnstile' : 'cloudflare'
+      });
+    }
+
+    const challengeMatches = this.findMatches(text, CHALLENGE_PHRASES);
+    for (const { provider, markers } of CAPTCHA_PROVIDERS) {
+      const providerMatches = this.findMatches(htmlLower, markers);
+      if (providerMatches.length === 0) continue;
+
+      if (challengeMatches.length > 0 || text.length < CHALLENGE_PAGE_MAX_TEXT || status === 403) {
+        return this.createResult(BLOCK_TYPES.CAPTCHA, challengeMatches.length > 0 ? 0.9 : 0.7, [
+          ...providerMatches.map(match => `marker: ${match}`),
+          ...challengeMatches.map(match => `text: ${match}`)
+        ], { status, provider });
+      }
+    }
+
+    const rateLimitMatches = this.findMatches(text, RATE_LIMIT_PHRASES);
+    if (rateLimitMatches.length > 0 && (status === 503 || text.length < CHALLENGE_PAGE_MAX_TEXT)) {
+      return this.createResult(BLOCK_TYPES.RATE_LIMIT, 0.75, rateLimitMatches.map(match => `text: ${match}`), { status, retryAfterMs });
+    }
+
+    if (challengeMatches.length > 0 && text.length < CHALLENGE_PAGE_MAX_TEXT) {
+      return this.createResult(BLOCK_TYPES.CAPTCHA, 0.6, challengeMatches.map(match => `text: ${match}`), { status });
+    }
+
+    const keywordMatches = this.findMatches(htmlLower, keywords.map(keyword => keyword.toLowerCase()));
+    if (keywordMatches.length > 0) {
+      return this.createResult(BLOCK_TYPES.UNKNOWN, 0.5, keywordMatches.map(match => `keyword: ${match}`), { status });
+    }
+
+    return {
+      blocked: false,
+      type: null,
+      provider: null,
+      confidence: 0,
+      status,
+      retryAfterMs: null,
+      evidence: []
+    };
+  }
+
+  async findVisibleSelector(frame, selectors = []) {
+    for (const selector of selectors) {
+      const element = await frame.$(selector).catch(() => null);
+      if (element && await element.isVisible().catch(() => false)) {
+        return selector;
+      }
+    }
+
+    return null;
+  }
+
+  async classifyPage(frame, response = null, { selectors = [], keywords = [] } = {}) {
+    const [html, title] = await Promise.all([
+      frame.content().catch(() => ''),
+      typeof frame.title === 'function' ? frame.title().catch(() => '') : ''
+    ]);
+
+    let headers = {};
+    if (response && typeof response.allHeaders === 'function') {
+      headers = await response.allHeaders().catch(() => response.headers());
+    } else if (response && typeof response.headers === 'function') {
+      headers = response.headers();
+    }
+
+    const classification = this.classify({
+      status: response ? response.status() : null,
+      headers,
+      html,
+      title,
+      keywords
+    });
+
+    if (!classification.blocked) {
+      const visibleSelector = await this.findVisibleSelector(frame, selectors);
+      if (visibleSelector) {
+        return this.createResult(BLOCK_TYPES.UNKNOWN, 0.5, [`selector: ${visibleSelector}`], { status: classification.status });
+      }
+    }
+
+    if (classification.blocked) {
+      config.smartLog('fail', `Anti-bot block classified as ${classification.type}${classification.provider ? ` (${classification.provider})` : ''}: ${classification.evidence.slice(0, 3).join(', ')}`);
+    }
+
+    return classification;
+  }
+
+  async reportBlock(url, classification) {
+    if (!classification || !classification.blocked) return null;
+
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (error) {
+      hostname = url;
+    }
+
+    const DomainProfiler = require('./DomainProfiler');
+    const profileQueueManager = require('./ProfileQueueManager');
+    const egressService = require('./egressService');
+
+    try {
+      await DomainProfiler.getInstance().recordBlock(url, classification);
+    } catch (error) {
+      config.smartLog('fail', `Could not record block on profile for ${hostname}: ${error.message}`);
+    }
+
+    await egressService.rotate(url, classification).catch(error => {
+      config.smartLog('fail', `Could not rotate egress for ${hostname}: ${error.message}`);
+    });
+
+    return profileQueueManager.registerBlock(hostname, classification);
+  }
+}
+
+module.exports = new AntiBotClassifier();
@@ -1,9 +1,13 @@
 const DomainProfiler = require('./DomainProfiler');
+const ProfileQueueManager = require('./ProfileQueueManager');
 const ProfileIndexManager = require('../utils/ProfileIndexManager');
 const { scrapeCareerPage } = require('../scrapingService');
 const config = require('../config');
 const profilingConfig = require('../config/profiling');
 const loggingService = require('../services/LoggingService');
+const jobSnapshotService = require('./jobSnapshotService');
+const savedSearchService = require('./savedSearchService');
+const jobLinkVerifier = require('./jobLinkVerifier');
 
 class BackgroundScraper {
   constructor() {
@@ -17,7 +21,13 @@ class BackgroundScraper {
       failedScrapes: 0,
       domainsProcessed: new Set(),
       lastRunAt: null,
-      avgScrapesPerRun: 0
+      avgScrapesPerRun: 0,
+      jobChanges: {
+        new: 0,
+        closed: 0,
+        changed: 0
+      },
+      notificationsSent: 0
     };
   }
 
@@ -31,6 +41,7 @@ class BackgroundScraper {
     this.isRunning = true;
 
     this.scheduleDailyRun();
+    jobLinkVerifier.start();
     this.checkIfShouldRunNow();
   }
 
@@ -71,6 +82,8 @@ class BackgroundScraper {
       clearInterval(this.dailyScheduleId);
       this.dailyScheduleId = null;
     }
+
+    jobLinkVerifier.stop();
   }
 
   async performBackgroundScraping() {
@@ -108,6 +121,12 @@ class BackgroundScraper {
             continue;
           }
           
+          const cooldown = ProfileQueueManager.getBlockCooldown(new URL(profile.url).hostname);
+          if (cooldown) {
+            loggingService.log('scraper', `Skipping ${profile.domain}: cooling down after ${cooldown.type} block until ${new Date(cooldown.until).toISOString()}`);
+            continue;
+          }
+
           loggingService.log('scraper', `Background scraping: ${profile.domain} (${domainInfo.hitCount} hits)`);
           
           const scrapingStart = Date.now();
@@ -120,6 +139,11 @@ class BackgroundScraper {
 
           const scrapingDuration = Date.now() - scrapingStart;
 
+          if (result) {
+            await this.recordJobSnapshot(profile, result);
+            await this.evaluateSavedSearches(profile, result);
+          }
+
           if (result && result.links && result.links.length > 0) {
             await this.domainProfiler.markBackgroundScrapeCompleted(profile.url, true);
             loggingService.log('win', `Background scrape successful: ${profile.domain} (${result.links.length} jobs, ${scrapingDuration}ms)`);
@@ -154,6 +178,45 @@ class BackgroundScraper {
     }
   }
 
+  async recordJobSnapshot(profile, result) {
+    try {
+      const diff = await jobSnapshotService.recordSnapshot(profile.url, result);
+
+      if (diff.skipped) {
+        return diff;
+      }
+
+      this.stats.jobChanges.new += diff.new.length;
+      this.stats.jobChanges.closed += diff.closed.length;
+      this.stats.jobChanges.changed += diff.changed.length;
+
+      if (diff.new.length > 0 || diff.closed.length > 0 || diff.changed.length > 0) {
+        loggingService.log('scraper', `Job changes for ${profile.domain}: ${diff.new.length} new, ${diff.closed.length} closed, ${diff.changed.length} changed`);
+      }
+
+      return diff;
+    } catch (error) {
+      loggingService.log('fail', `Job snapshot failed for ${profile.domain}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async evaluateSavedSearches(profile, result) {
+    try {
+      const deliveries = await savedSearchService.evaluateAfterScrape(profile.url, result);
+
+      if (deliveries.length > 0) {
+        this.stats.notificationsSent += deliveries.length;
+        loggingService.log('scraper', `Saved searches queued for ${profile.domain}: ${deliveries.length} deliveries`);
+      }
+
+      return deliveries;
+    } catch (error) {
+      loggingService.log('fail', `Saved search evaluation failed for ${profile.domain}: ${error.message}`);
+      return [];
+    }
+  }
+
   logTopDomains(domains) {
     loggingService.log('scraper', 'Top domains for background scraping:');
     domains.slice(0, 10).forEach((domain, index) => {
@@ -0,0 +1,368 @@
+const { chromium } = require('playwright');
+const config = require('../config');
+const fixtureRecorder = require('./fixtureRecorder');
+const egressService = require('./egressService');
+const domainLockService = require('./domainLockService');
+
+const DEFAULT_LAUNCH_ARGS = [
+  '--disable-blink-features=AutomationControlled',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding'
+];
+
+class BrowserPool {
+  constructor() {
+    this.maxBrowsers = config.BROWSER_POOL_MAX_BROWSERS || 3;
+    this.maxContexts = config.BROWSER_POOL_MAX_CONTEXTS || 10;
+    this.maxPagesPerBrowser = config.BROWSER_POOL_MAX_PAGES_PER_BROWSER || 100;
+    this.acquireTimeoutMs = config.BROWSER_POOL_ACQUIRE_TIMEOUT_MS || 60000;
+    this.idleTimeoutMs = config.BROWSER_POOL_IDLE_TIMEOUT_MS || 120000;
+
+    this.entries = [];
+    this.leases = new Map();
+    this.waiters = [];
+    this.nextBrowserId = 1;
+    this.activeContexts = 0;
+    this.shuttingDown = false;
+
+    this.stats = {
+      browsersLaunched: 0,
+      browsersRecycled: 0,
+      browsersCrashed: 0,
+      contextsAcquired: 0,
+      contextsReleased: 0,
+      waits: 0,
+      waitTimeouts: 0,
+      peakContexts: 0
+    };
+  }
+
+  getProfileKey({ extraArgs, headless, ignoreDefaultArgs }) {
+    return [
+      headless ? 'headless' : 'headed',
+      extraArgs.slice().sort().join(' '),
+      ignoreDefaultArgs.slice().sort().join(' ')
+    ].join('|');
+  }
+
+  isUsable(entry, profileKey) {
+    return entry.profileKey === profileKey &&
+      !entry.retiring &&
+      !entry.closed &&
+      (!entry.browser || entry.browser.isConnected());
+  }
+
+  async acquireContext(contextOptions = {}, { owner = 'unknown', url = null, extraArgs = [], headless = true, ignoreDefaultArgs = [] } = {}) {
+    if (this.shuttingDown) {
+      throw new Error('Browser pool is shutting down');
+    }
+    domainLockService.throwIfLeaseLost();
+
+    const routedOptions = await egressService.applyToContextOptions(url, contextOptions);
+    const launchOptions = { extraArgs, headless, ignoreDefaultArgs };
+    const profileKey = this.getProfileKey(launchOptions);
+    const deadline = Date.now() + this.acquireTimeoutMs;
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const entry = await this.reserveSlot(profileKey, launchOptions, owner, deadline);
+
+      try {
+        await entry.ready;
+        const context = await entry.browser.newContext(routedOptions);
+        this.trackContext(entry, context, owner);
+        this.closeOnLeaseLoss(context, owner);
+        return context;
+      } catch (error) {
+        this.releaseReservation(entry);
+
+        if (entry.browser && !entry.browser.isConnected()) {
+          config.smartLog('retry', `Pooled browser #${entry.id} unavailable for ${owner}, retrying on a fresh browser`);
+          continue;
+        }
+
+        throw error;
+      }
+    }
+
+    throw new Error(`Browser pool could not provide a context for ${owner}`);
+  }
+
+  async reserveSlot(profileKey, launchOptions, owner, deadline) {
+    while (true) {
+      if (this.activeContexts < this.maxContexts) {
+        const entry = this.selectEntry(profileKey, launchOptions);
+        if (entry) {
+          this.clearIdleTimer(entry);
+          entry.reserved++;
+          this.activeContexts++;
+          this.stats.peakContexts = Math.max(this.stats.peakContexts, this.activeContexts);
+          return entry;
+        }
+      }
+
+      await this.waitForSlot(owner, deadline);
+    }
+  }
+
+  selectEntry(profileKey, launchOptions) {
+    const usable = this.entries
+      .filter(entry => this.isUsable(entry, profileKey))
+      .sort((a, b) => a.reserved - b.reserved);
+
+    if (usable.length > 0 && (usable[0].reserved === 0 || this.entries.length >= this.maxBrowsers)) {
+      return usable[0];
+    }
+
+    if (this.entries.length < this.maxBrowsers) {
+      return this.launchBrowser(profileKey, launchOptions);
+    }
+
+    const idleEntry = this.entries.find(entry => entry.reserved === 0 && entry.profileKey !== profileKey);
+    if (idleEntry) {
+      this.closeEntry(idleEntry, 'profile switch');
+      return this.launchBrowser(profileKey, launchOptions);
+    }
+
+    return usable[0] || null;
+  }
+
+  launchBrowser(profileKey, { extraArgs, headless, ignoreDefaultArgs }) {
+    const entry = {
+      id: this.nextBrowserId++,
+      profileKey,
+      browser: null,
+      reserved: 0,
+      pagesServed: 0,
+      contextsServed: 0,
+      launchedAt: Date.now(),
+      retiring: false,
+      closed: false,
+      idleTimer: null,
+      ready: null
+    };
+
+    entry.ready = chromium.launch({
+      ...egressService.getLaunchOptions(),
+      headless,
+      args: [...(config.playwrightArgs || []), ...DEFAULT_LAUNCH_ARGS, ...extraArgs],
+      ignoreDefaultArgs
+    }).then(browser => {
+      entry.browser = fixtureRecorder.instrumentBrowser(browser);
+      browser.on('disconnected', () => this.handleDisconnected(entry));
+      this.stats.browsersLaunched++;
+      config.smartLog('service', `Browser pool launched browser #${entry.id} (${this.entries.length}/${this.maxBrowsers})`);
+      return browser;
+    }).catch(error => {
+      this.removeEntry(entry);
+      config.smartLog('fail', `Browser pool failed to launch browser #${entry.id}: ${error.message}`);
+      throw error;
+    });
+
+    this.entries.push(entry);
+    return entry;
+  }
+
+  waitForSlot(owner, deadline) {
+    const remaining = deadline - Date.now();
+    this.stats.waits++;
+
+    if (remaining <= 0) {
+      this.stats.waitTimeouts++;
+      return Promise.reject(this.createExhaustedError(owner));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        resolve: () => {
+          clearTimeout(waiter.timer);
+          resolve();
+        },
+        reject,
+        timer: setTimeout(() => {
+          this.waiters = this.waiters.filter(w => w !== waiter);
+          this.stats.waitTimeouts++;
+          reject(this.createExhaustedError(owner));
+        }, remaining)
+      };
+
+      this.waiters.push(waiter);
+    });
+  }
+
+  createExhaustedError(owner) {
+    const error = new Error(`Browser pool exhausted: no context available for ${owner} within ${this.acquireTimeoutMs}ms`);
+    error.code = 'BROWSER_POOL_EXHAUSTED';
+    return error;
+  }
+
+  wakeWaiter() {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve();
+    }
+  }
+
+  trackContext(entry, context, owner) {
+    entry.contextsServed++;
+    this.stats.contextsAcquired++;
+    this.leases.set(context, { entry, owner, acquiredAt: Date.now() });
+
+    context.on('page', () => {
+      entry.pagesServed++;
+    });
+    context.once('close', () => this.handleContextClosed(context));
+  }
+
+  closeOnLeaseLoss(context, owner) {
+    const signal = domainLockService.getActiveSignal();
+    if (!signal) return;
+
+    const onAbort = () => {
+      config.smartLog('queue', `Closing browser context for ${owner} after lease loss`);
+      this.releaseContext(context);
+    };
+    signal.addEventListener('abort', onAbort, { once: true });
+    context.once('close', () => signal.removeEventListener('abort', onAbort));
+  }
+
+  async releaseContext(context) {
+    if (!context || !this.leases.has(context)) return;
+
+    await context.close().catch(() => null);
+    this.handleContextClosed(context);
+  }
+
+  handleContextClosed(context) {
+    const lease = this.leases.get(context);
+    if (!lease) return;
+
+    this.leases.delete(context);
+    this.stats.contextsReleased++;
+    this.releaseReservation(lease.entry);
+  }
+
+  releaseReservation(entry) {
+    entry.reserved = Math.max(0, entry.reserved - 1);
+    this.activeContexts = Math.max(0, this.activeContexts - 1);
+
+    if (!entry.retiring && entry.pagesServed >= this.maxPagesPerBrowser) {
+      entry.retiring = true;
+      config.smartLog('service', `Browser pool retiring browser #${entry.id} after ${entry.pagesServed} pages`);
+    }
+
+    if (entry.reserved === 0) {
+      if (entry.retiring) {
+        this.stats.browsersRecycled++;
+        this.closeEntry(entry, 'recycled');
+      } else if (!entry.closed) {
+        this.scheduleIdleClose(entry);
+      }
+    }
+
+    this.wakeWaiter();
+  }
+
+  scheduleIdleClose(entry) {
+    this.clearIdleTimer(entry);
+    entry.idleTimer = setTimeout(() => {
+      if (entry.reserved === 0) {
+        this.closeEntry(entry, 'idle');
+      }
+    }, this.idleTimeoutMs);
+
+    if (entry.idleTimer.unref) {
+      entry.idleTimer.unref();
+    }
+  }
+
+  clearIdleTimer(entry) {
+    if (entry.idleTimer) {
+      clearTimeout(entry.idleTimer);
+      entry.idleTimer = null;
+    }
+  }
+
+  removeEntry(entry) {
+    entry.closed = true;
+    this.clearIdleTimer(entry);
+    this.entries = this.entries.filter(candidate => candidate !== entry);
+  }
+
+  closeEntry(entry, reason) {
+    if (entry.closed) return;
+    this.removeEntry(entry);
+
+    config.smartLog('service', `Browser pool closing browser #${entry.id} (${reason})`);
+    entry.ready
+      .then(browser => browser.close())
+      .catch(() => null);
+
+    this.wakeWaiter();
+  }
+
+  handleDisconnected(entry) {
+    if (entry.closed) return;
+
+    this.stats.browsersCrashed++;
+    config.smartLog('fail', `Pooled browser #${entry.id} disconnected unexpectedly, dropping ${entry.reserved} active contexts`);
+    this.removeEntry(entry);
+
+    for (const [context, lease] of Array.from(this.leases.entries())) {
+      if (lease.entry === entry) {
+        this.handleContextClosed(context);
+      }
+    }
+
+    this.wakeWaiter();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      browsers: this.entries.length,
+      activeContexts: this.activeContexts,
+      waiting: this.waiters.length,
+      limits: {
+        maxBrowsers: this.maxBrowsers,
+        maxContexts: this.maxContexts,
+        maxPagesPerBrowser: this.maxPagesPerBrowser
+      },
+      pool: this.entries.map(entry => ({
+        id: entry.id,
+        connected: entry.browser ? entry.browser.isConnected() : false,
+        activeContexts: entry.reserved,
+        contextsServed: entry.contextsServed,
+        pagesServed: entry.pagesServed,
+        retiring: entry.retiring,
+        ageMs: Date.now() - entry.launchedAt,
+        owners: Array.from(this.leases.values())
+          .filter(lease => lease.entry === entry)
+          .map(lease => lease.owner)
+      }))
+    };
+  }
+
+  async shutdown() {
+    this.shuttingDown = true;
+
+    for (const waiter of this.waiters.splice(0)) {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is shutting down'));
+    }
+
+    const entries = this.entries.slice();
+    for (const entry of entries) {
+      this.removeEntry(entry);
+    }
+
+    await Promise.all(entries.map(entry => entry.ready.then(browser => browser.close()).catch(() => null)));
+    this.leases.clear();
+    this.activeContexts = 0;
+    this.shuttingDown = false;
+
+    config.smartLog('service', `Browser pool shut down (${entries.length} browsers closed)`);
+  }
+}
+
+module.exports = new BrowserPool();
@@ -0,0 +1,201 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('./scrapeHttpClient');
+const config = require('../config');
+const scrapingMetrics = require('./scrapingMetricsService');
+
+const STORED_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+class ConditionalFetchService {
+  constructor() {
+    this.storeDir = path.join(__dirname, '../cache/conditional-fetch');
+    this.memoryCache = new Map();
+    this.MAX_MEMORY_ENTRIES = 500;
+    this.ENTRY_TTL_MS = config.CONDITIONAL_FETCH_TTL_MS || 30 * 24 * 60 * 60 * 1000;
+    this.MAX_STORED_BODY_BYTES = config.CONDITIONAL_FETCH_MAX_BODY_BYTES || 5 * 1024 * 1024;
+  }
+
+  isEnabled() {
+    return config.CONDITIONAL_FETCH_ENABLED !== false;
+  }
+
+  getKey(url) {
+    return crypto.createHash('sha1').update(url).digest('hex');
+  }
+
+  serializeBody(data) {
+    if (typeof data === 'string') return data;
+    if (Buffer.isBuffer(data)) return data.toString('utf8');
+    return JSON.stringify(data === undefined ? null : data);
+  }
+
+  hashBody(serialized) {
+    return crypto.createHash('sha256').update(serialized).digest('hex');
+  }
+
+  normalizeHeaders(headers) {
+    const normalized = {};
+    if (!headers) return normalized;
+
+    for (const [key, value] of Object.entries(typeof headers.toJSON === 'function' ? headers.toJSON() : headers)) {
+      normalized[key.toLowerCase()] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+    return normalized;
+  }
+
+  async getEntry(url) {
+    const key = this.getKey(url);
+    const cached = this.memoryCache.get(key);
+
+    if (cached) {
+      return this.isFresh(cached) ? cached : null;
+    }
+
+    try {
+      const entry = JSON.parse(await fs.readFile(path.join(this.storeDir, `${key}.json`), 'utf8'));
+      if (entry.url === url && this.isFresh(entry)) {
+        this.rememberEntry(key, entry);
+        return entry;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        config.smartLog('fail', `Could not read conditional fetch entry for ${url}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  isFresh(entry) {
+    return Date.now() - new Date(entry.validatedAt || entry.storedAt).getTime() < this.ENTRY_TTL_MS;
+  }
+
+  rememberEntry(key, entry) {
+    this.memoryCache.delete(key);
+    if (this.memoryCache.size >= this.MAX_MEMORY_ENTRIES) {
+      this.memoryCache.delete(this.memoryCache.keys().next().value);
+    }
+    this.memoryCache.set(key, entry);
+  }
+
+  async saveEntry(url, entry) {
+    const key = this.getKey(url);
+    this.rememberEntry(key, entry);
+
+    try {
+      await fs.mkdir(this.storeDir, { recursive: true });
+      await fs.writeFile(path.join(this.storeDir, `${key}.json`), JSON.stringify(entry));
+    } catch (error) {
+      config.smartLog('fail', `Could not write conditional fetch entry for ${url}: ${error.message}`);
+    }
+  }
+
+  getConditionalHeaders(entry) {
+    if (!entry) return {};
+
+    const headers = {};
+    if (entry.etag) {
+      headers['If-None-Match'] = entry.etag;
+    }
+    if (entry.lastModified) {
+      headers['If-Modified-Since'] = entry.lastModified;
+    }
+    return headers;
+  }
+
+  async prepare(url) {
+    if (!this.isEnabled()) {
+      return { entry: null, headers: {} };
+    }
+
+    const entry = await this.getEntry(url);
+    return { entry, headers: this.getConditionalHeaders(entry) };
+  }
+
+  async resolve(url, entry, { status, headers, data }, fetcher = 'unknown') {
+    const responseHeaders = this.normalizeHeaders(headers);
+
+    if (status === 304 && entry) {
+      config.smartLog('cache', `${fetcher}: ${url} not modified, reusing stored response (${entry.bytes} bytes saved)`);
+      await scrapingMetrics.recordConditionalFetch(url, fetcher, 'not_modified', { bytes: 0, bytesSaved: entry.bytes });
+
+      const refreshed = {
+        ...entry,
+        etag: responseHeaders.etag || entry.etag,
+        lastModified: responseHeaders['last-modified'] || entry.lastModified,
+        validatedAt: new Date().toISOString()
+      };
+      await this.saveEntry(url, refreshed);
+
+      return {
+        status: 200,
+        headers: entry.headers,
+        data: entry.data,
+        outcome: 'not_modified',
+        unchanged: true,
+        bytes: 0,
+        bytesSaved: entry.bytes
+      };
+    }
+
+    const serialized = this.serializeBody(data);
+    const bytes = parseInt(responseHeaders['content-length'], 10) || Buffer.byteLength(serialized);
+    const contentHash = this.hashBody(serialized);
+    const unchanged = !!entry && entry.contentHash === contentHash;
+    const outcome = unchanged ? 'hash_unchanged' : 'modified';
+
+    if (unchanged) {
+      config.smartLog('cache', `${fetcher}: ${url} returned identical content (hash match, no validators honoured)`);
+    }
+
+    await scrapingMetrics.recordConditionalFetch(url, fetcher, outcome, { bytes, bytesSaved: 0 });
+
+    if (this.isEnabled() && status >= 200 && status < 300 && Buffer.byteLength(serialized) <= this.MAX_STORED_BODY_BYTES) {
+      const storedHeaders = {};
+      for (const name of STORED_HEADERS) {
+        if (responseHeaders[name]) storedHeaders[name] = responseHeaders[name];
+      }
+
+      await this.saveEntry(url, {
+        url,
+        etag: responseHeaders.etag || null,
+        lastModified: responseHeaders['last-modified'] || null,
+        contentHash,
+        bytes,
+        headers: storedHeaders,
+        data,
+        storedAt: unchanged ? entry.storedAt : new Date().toISOString(),
+        validatedAt: new Date().toISOString()
+      });
+    }
+
+    return {
+      status,
+      headers: responseHeaders,
+      data,
+      outcome,
+      unchanged,
+      bytes,
+      bytesSaved: 0
+    };
+  }
+
+  async get(url, requestConfig = {}, fetcher = 'unknown') {
+    const { entry, headers: conditionalHeaders } = await this.prepare(url);
+    const validateStatus = requestConfig.validateStatus || (status => status >= 200 && status < 300);
+
+    const response = await axios.get(url, {
+      ...requestConfig,
+      headers: {
+        ...(requestConfig.headers || {}),
+        ...conditionalHeaders
+      },
+      validateStatus: status => (status === 304 && !!entry) || validateStatus(status)
+    });
+
+    return this.resolve(url, entry, response, fetcher);
+  }
+}
+
+module.exports = new ConditionalFetchService();
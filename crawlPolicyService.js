@@ -0,0 +1,353 @@
+const axios = require('./scrapeHttpClient');
+const config = require('../config');
+const profileQueueManager = require('./ProfileQueueManager');
+const scrapingMetrics = require('./scrapingMetricsService');
+
+class CrawlPolicyService {
+  constructor() {
+    this.robotsCache = new Map();
+    this.pendingFetches = new Map();
+    this.USER_AGENT_TOKEN = 'ploppy';
+    this.ROBOTS_TTL_MS = 24 * 60 * 60 * 1000;
+    this.UNREACHABLE_TTL_MS = 10 * 60 * 1000;
+    this.UNREACHABLE_CRAWL_DELAY_MS = config.ROBOTS_UNREACHABLE_CRAWL_DELAY_MS || 5000;
+    this.ROBOTS_FETCH_TIMEOUT_MS = 5000;
+    this.ROBOTS_FETCH_ATTEMPTS = 2;
+    this.ROBOTS_RETRY_DELAY_MS = 1000;
+    this.MAX_ROBOTS_SIZE = 500 * 1024;
+    this.MAX_CACHED_HOSTS = 1000;
+  }
+
+  isEnabled() {
+    return config.RESPECT_ROBOTS_TXT !== false;
+  }
+
+  async canFetch(url, fetcher = 'unknown') {
+    if (!this.isEnabled()) {
+      return { allowed: true, reason: 'policy_disabled', waitedMs: 0 };
+    }
+
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      return { allowed: true, reason: 'invalid_url', waitedMs: 0 };
+    }
+
+    if (urlObj.pathname === '/robots.txt') {
+      return { allowed: true, reason: 'robots_file', waitedMs: 0 };
+    }
+
+    const policy = await this.getHostPolicy(urlObj);
+
+    const pathWithQuery = `${urlObj.pathname}${urlObj.search}`;
+    const verdict = this.evaluateRules(policy.rules, pathWithQuery);
+
+    if (!verdict.allowed) {
+      await this.recordSkip(url, fetcher, 'robots_disallowed', { matchedRule: verdict.matchedRule });
+      return { allowed: false, reason: 'robots_disallowed', matchedRule: verdict.matchedRule, waitedMs: 0 };
+    }
+
+    if (policy.crawlDelayMs > 0) {
+      const slot = await profileQueueManager.acquireCrawlDelaySlot(urlObj.hostname, policy.crawlDelayMs, fetcher);
+
+      if (!slot.allowed) {
+        await this.recordSkip(url, fetcher, slot.reason, { crawlDelayMs: policy.crawlDelayMs, waitMs: slot.waitMs });
+        return { allowed: false, reason: slot.reason, waitedMs: 0 };
+      }
+
+      if (slot.waitMs > 0) {
+        await scrapingMetrics.recordCrawlDelay(url, fetcher, slot.waitMs);
+      }
+
+      return { allowed: true, reason: 'allowed', crawlDelayMs: policy.crawlDelayMs, waitedMs: slot.waitMs };
+    }
+
+    return { allowed: true, reason: 'allowed', waitedMs: 0 };
+  }
+
+  async recordSkip(url, fetcher, reason, details = {}) {
+    config.smartLog('fail', `Crawl policy skip [${fetcher}] ${url}: ${reason}`);
+
+    try {
+      await scrapingMetrics.recordCrawlPolicySkip(url, fetcher, reason, details);
+    } catch (error) {
+      config.smartLog('fail', `Could not record crawl policy skip: ${error.message}`);
+    }
+  }
+
+  async getHostPolicy(urlObj) {
+    const origin = urlObj.origin;
+    const cached = this.robotsCache.get(origin);
+
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    if (this.pendingFetches.has(origin)) {
+      return this.pendingFetches.get(origin);
+    }
+
+    const fetchPromise = this.fetchRobots(origin, cached)
+      .then(policy => {
+        this.cleanupOldestHost();
+        this.robotsCache.set(origin, policy);
+        return policy;
+      })
+      .finally(() => {
+        this.pendingFetches.delete(origin);
+      });
+
+    this.pendingFetches.set(origin, fetchPromise);
+    return fetchPromise;
+  }
+
+  async fetchRobots(origin, previous = null) {
+    let policy = null;
+
+    for (let attempt = 1; attempt <= this.ROBOTS_FETCH_ATTEMPTS; attempt++) {
+      policy = await this.requestRobots(origin);
+      if (policy.status !== 'unreachable') return policy;
+
+      if (attempt < this.ROBOTS_FETCH_ATTEMPTS) {
+        await new Promise(resolve => setTimeout(resolve, this.ROBOTS_RETRY_DELAY_MS));
+      }
+    }
+
+    if (previous && previous.status !== 'unreachable') {
+      config.smartLog('domain-profile', `robots.txt unreachable for ${origin}, reusing policy fetched ${new Date(previous.fetchedAt).toISOString()}`);
+
+      return {
+        ...policy,
+        status: 'stale',
+        rules: previous.rules,
+        crawlDelayMs: previous.crawlDelayMs,
+        fetchedAt: previous.fetchedAt
+      };
+    }
+
+    config.smartLog('domain-profile', `robots.txt unreachable for ${origin}, allowing with ${this.UNREACHABLE_CRAWL_DELAY_MS}ms crawl delay`);
+
+    return { ...policy, crawlDelayMs: this.UNREACHABLE_CRAWL_DELAY_MS };
+  }
+
+  async requestRobots(origin) {
+    const robotsUrl = `${origin}/robots.txt`;
+    const now = Date.now();
+
+    try {
+      const response = await axios.get(robotsUrl, {
+        timeout: this.ROBOTS_FETCH_TIMEOUT_MS,
+        maxRedirects: 5,
+        responseType: 'text',
+        maxContentLength: this.MAX_ROBOTS_SIZE * 4,
+        headers: {
+          'User-Agent': `Mozilla/5.0 (compatible; ${this.USER_AGENT_TOKEN}/1.0)`,
+          'Accept': 'text/plain,*/*;q=0.8'
+        },
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        const body = typeof response.data === 'string' ? response.data : '';
+        const { rules, crawlDelayMs } = this.selectGroupRules(this.parseRobotsTxt(body.substring(0, this.MAX_ROBOTS_SIZE)));
+
+        config.smartLog('domain-profile', `robots.txt loaded for ${origin}: ${rules.length} rules, crawl-delay ${crawlDelayMs}ms`);
+
+        return {
+          origin,
+          status: 'parsed',
+          httpStatus: response.status,
+          rules,
+          crawlDelayMs,
+          fetchedAt: now,
+          expiresAt: now + this.ROBOTS_TTL_MS
+        };
+      }
+
+      if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        config.smartLog('domain-profile', `robots.txt unavailable for ${origin} (HTTP ${response.status}), no restrictions`);
+
+        return {
+          origin,
+          status: 'unavailable',
+          httpStatus: response.status,
+          rules: [],
+          crawlDelayMs: 0,
+          fetchedAt: now,
+          expiresAt: now + this.ROBOTS_TTL_MS
+        };
+      }
+
+      config.smartLog('fail', `robots.txt unreachable for ${origin} (HTTP ${response.status})`);
+
+      return {
+        origin,
+        status: 'unreachable',
+        httpStatus: response.status,
+        rules: [],
+        crawlDelayMs: 0,
+        fetchedAt: now,
+        expiresAt: now + this.UNREACHABLE_TTL_MS
+      };
+    } catch (error) {
+      config.smartLog('fail', `robots.txt fetch failed for ${origin}: ${error.message}`);
+
+      return {
+        origin,
+        status: 'unreachable',
+        httpStatus: null,
+        error: error.message,
+        rules: [],
+        crawlDelayMs: 0,
+        fetchedAt: now,
+        expiresAt: now + this.UNREACHABLE_TTL_MS
+      };
+    }
+  }
+
+  parseRobotsTxt(content) {
+    const groups = [];
+    let currentGroup = null;
+    let lastLineWasAgent = false;
+
+    const lines = (content || '').split(/\r\n|\r|\n/);
+
+    for (const rawLine of lines) {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) continue;
+
+      const separatorIndex = line.indexOf(':');
+      if (separatorIndex === -1) continue;
+
+      const key = line.substring(0, separatorIndex).trim().toLowerCase();
+      const value = line.substring(separatorIndex + 1).trim();
+
+      if (key === 'user-agent') {
+        if (!currentGroup || !lastLineWasAgent) {
+          currentGroup = { agents: [], rules: [], crawlDelay: null };
+          groups.push(currentGroup);
+        }
+        currentGroup.agents.push(value.toLowerCase());
+        lastLineWasAgent = true;
+        continue;
+      }
+
+      lastLineWasAgent = false;
+      if (!currentGroup) continue;
+
+      if ((key === 'allow' || key === 'disallow') && value) {
+        currentGroup.rules.push({ type: key, path: value });
+      } else if (key === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay) && delay >= 0) {
+          currentGroup.crawlDelay = delay;
+        }
+      }
+    }
+
+    return groups;
+  }
+
+  selectGroupRules(groups) {
+    const token = this.USER_AGENT_TOKEN.toLowerCase();
+    let matchingGroups = groups.filter(group =>
+      group.agents.some(agent => agent === token)
+    );
+
+    if (matchingGroups.length === 0) {
+      matchingGroups = groups.filter(group => group.agents.includes('*'));
+    }
+
+    const rules = [];
+    let crawlDelay = null;
+
+    for (const group of matchingGroups) {
+      rules.push(...group.rules);
+      if (group.crawlDelay !== null) {
+        crawlDelay = Math.max(crawlDelay || 0, group.crawlDelay);
+      }
+    }
+
+    return {
+      rules,
+      crawlDelayMs: crawlDelay ? Math.round(crawlDelay * 1000) : 0
+    };
+  }
+
+  evaluateRules(rules, pathWithQuery) {
+    let bestMatch = null;
+
+    for (const rule of rules) {
+      if (!this.matchesRulePath(rule.path, pathWithQuery)) continue;
+
+      const specificity = rule.path.length;
+      if (!bestMatch ||
+          specificity > bestMatch.specificity ||
+          (specificity === bestMatch.specificity && rule.type === 'allow')) {
+        bestMatch = { rule, specificity };
+      }
+    }
+
+    if (!bestMatch) {
+      return { allowed: true, matchedRule: null };
+    }
+
+    return {
+      allowed: bestMatch.rule.type === 'allow',
+      matchedRule: `${bestMatch.rule.type}: ${bestMatch.rule.path}`
+    };
+  }
+
+  matchesRulePath(rulePath, pathWithQuery) {
+    let decodedPath = pathWithQuery;
+    try {
+      decodedPath = decodeURI(pathWithQuery);
+    } catch (error) {}
+
+    const anchored = rulePath.endsWith('$');
+    const pattern = (anchored ? rulePath.slice(0, -1) : rulePath)
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+
+    const regex = new RegExp(`^${pattern}${anchored ? '$' : ''}`);
+    return regex.test(pathWithQuery) || regex.test(decodedPath);
+  }
+
+  cleanupOldestHost() {
+    if (this.robotsCache.size >= this.MAX_CACHED_HOSTS) {
+      const oldestOrigin = this.robotsCache.keys().next().value;
+      this.robotsCache.delete(oldestOrigin);
+    }
+  }
+
+  clearCache(origin = null) {
+    if (origin) {
+      this.robotsCache.delete(origin);
+    } else {
+      this.robotsCache.clear();
+    }
+  }
+
+  getPolicyStats() {
+    const hosts = Array.from(this.robotsCache.values()).map(policy => ({
+      origin: policy.origin,
+      status: policy.status,
+      rulesCount: policy.rules.length,
+      crawlDelayMs: policy.crawlDelayMs,
+      fetchedAt: new Date(policy.fetchedAt).toISOString()
+    }));
+
+    return {
+      enabled: this.isEnabled(),
+      cachedHosts: hosts.length,
+      hostsWithCrawlDelay: hosts.filter(host => host.crawlDelayMs > 0).length,
+      unreachableHosts: hosts.filter(host => host.status === 'unreachable').length,
+      staleHosts: hosts.filter(host => host.status === 'stale').length,
+      hosts
+    };
+  }
+}
+
+module.exports = new CrawlPolicyService();
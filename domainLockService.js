@@ -0,0 +1,227 @@
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const FileLockBackend = require('./locks/FileLockBackend');
+const RedisLockBackend = require('./locks/RedisLockBackend');
+
+class DomainLockService extends EventEmitter {
+  constructor() {
+    super();
+    this.instanceId = `${os.hostname()}:${process.pid}:${Math.random().toString(36).substr(2, 6)}`;
+    this.backendName = (config.LOCK_BACKEND || (config.REDIS_URL ? 'redis' : 'file')).toLowerCase();
+    this.LEASE_TTL_MS = config.DOMAIN_LOCK_TTL_MS || 60000;
+    this.HEARTBEAT_INTERVAL_MS = Math.max(1000, Math.floor(this.LEASE_TTL_MS / 3));
+    this.backend = null;
+    this.readyPromise = null;
+    this.heldLeases = new Map();
+    this.heartbeatInterval = null;
+    this.isRenewing = false;
+    this.signalStorage = new AsyncLocalStorage();
+  }
+
+  createFileBackend() {
+    return new FileLockBackend({
+      rootDir: config.LOCK_DIR || path.join(__dirname, '../profiles/locks'),
+      instanceId: this.instanceId,
+      pollIntervalMs: config.LOCK_EVENT_POLL_MS || 1000
+    });
+  }
+
+  createRedisBackend() {
+    return new RedisLockBackend({
+      url: config.REDIS_URL,
+      prefix: config.LOCK_KEY_PREFIX || 'ploppy'
+    });
+  }
+
+  async initBackend() {
+    if (this.backendName === 'redis') {
+      const backend = this.createRedisBackend();
+      try {
+        await backend.init();
+        config.smartLog('queue', `Domain lock backend: redis (${this.instanceId})`);
+        return backend;
+      } catch (error) {
+        await backend.close().catch(() => {});
+        config.smartLog('fail', `Redis lock backend unavailable, falling back to file locks: ${error.message}`);
+      }
+    } else if (this.backendName !== 'file') {
+      config.smartLog('fail', `Unknown lock backend "${this.backendName}", using file locks`);
+    }
+
+    const backend = this.createFileBackend();
+    await backend.init();
+    config.smartLog('queue', `Domain lock backend: file (${this.instanceId})`);
+    return backend;
+  }
+
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.initBackend().then(backend => {
+        this.backend = backend;
+        return backend;
+      }).catch(error => {
+        this.readyPromise = null;
+        throw error;
+      });
+    }
+    return this.readyPromise;
+  }
+
+  getLeaseId(namespace, domain, holderId) {
+    return `${namespace}\u0000${domain}\u0000${holderId}`;
+  }
+
+  async acquire(namespace, domain, holderId, limit) {
+    const backend = await this.ready();
+    const result = await backend.acquire(namespace, domain, holderId, limit, this.LEASE_TTL_MS);
+
+    if (result.acquired) {
+      this.heldLeases.set(this.getLeaseId(namespace, domain, holderId), { namespace, domain, holderId, limit, acquiredAt: Date.now() });
+      this.startHeartbeat();
+    }
+
+    return result;
+  }
+
+  async release(namespace, domain, holderId) {
+    this.heldLeases.delete(this.getLeaseId(namespace, domain, holderId));
+    if (this.heldLeases.size === 0) this.stopHeartbeat();
+
+    const backend = await this.ready();
+    return backend.release(namespace, domain, holderId);
+  }
+
+  async releaseAll(namespace) {
+    const leases = Array.from(this.heldLeases.values()).filter(lease => lease.namespace === namespace);
+    for (const lease of leases) {
+      await this.release(lease.namespace, lease.domain, lease.holderId).catch(error => {
+        config.smartLog('fail', `Failed to release ${namespace} lease for ${lease.domain}: ${error.message}`);
+      });
+    }
+    return leases.length;
+  }
+
+  isHeld(namespace, domain, holderId) {
+    return this.heldLeases.has(this.getLeaseId(namespace, domain, holderId));
+  }
+
+  async getActiveCount(namespace, domain) {
+    const backend = await this.ready();
+    return backend.getActiveCount(namespace, domain);
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatInterval) return;
+
+    this.heartbeatInterval = setInterval(() => {
+      this.renewLeases().catch(error => {
+        config.smartLog('fail', `Lease heartbeat failed: ${error.message}`);
+      });
+    }, this.HEARTBEAT_INTERVAL_MS);
+    this.heartbeatInterval.unref();
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+    }
+  }
+
+  async renewLeases() {
+    if (this.isRenewing || !this.backend) return;
+    this.isRenewing = true;
+
+    try {
+      for (const [leaseId, lease] of Array.from(this.heldLeases.entries())) {
+        try {
+          const renewed = await this.backend.renew(lease.namespace, lease.domain, lease.holderId, this.LEASE_TTL_MS);
+          if (!renewed && this.heldLeases.has(leaseId)) {
+            await this.handleLostLease(leaseId, lease);
+          }
+        } catch (error) {
+          config.smartLog('fail', `Failed to renew ${lease.namespace} lease for ${lease.domain}: ${error.message}`);
+        }
+      }
+    } finally {
+      this.isRenewing = false;
+      if (this.heldLeases.size === 0) this.stopHeartbeat();
+    }
+  }
+
+  async handleLostLease(leaseId, lease) {
+    const reacquired = await this.backend.acquire(lease.namespace, lease.domain, lease.holderId, lease.limit, this.LEASE_TTL_MS)
+      .catch(() => ({ acquired: false }));
+
+    if (!this.heldLeases.has(leaseId)) {
+      if (reacquired.acquired) {
+        await this.backend.release(lease.namespace, lease.domain, lease.holderId).catch(() => {});
+      }
+      return;
+    }
+    if (reacquired.acquired) {
+      config.smartLog('queue', `Re-acquired expired ${lease.namespace} lease for ${lease.domain} (${lease.holderId})`);
+      return;
+    }
+
+    this.heldLeases.delete(leaseId);
+    config.smartLog('fail', `Lost ${lease.namespace} lease for ${lease.domain} (${lease.holderId})`);
+    this.emit('leaseLost', { namespace: lease.namespace, domain: lease.domain, holderId: lease.holderId, lostAt: Date.now() });
+  }
+
+  runWithSignal(signal, task) {
+    return this.signalStorage.run(signal, () => task(signal));
+  }
+
+  getActiveSignal() {
+    return this.signalStorage.getStore() || null;
+  }
+
+  throwIfLeaseLost() {
+    const signal = this.getActiveSignal();
+    if (signal && signal.aborted) {
+      throw signal.reason;
+    }
+  }
+
+  async publish(namespace, event) {
+    const backend = await this.ready();
+    await backend.publish(namespace, { ...event, origin: this.instanceId, publishedAt: Date.now() });
+  }
+
+  async subscribe(namespace, handler) {
+    const backend = await this.ready();
+    return backend.subscribe(namespace, message => {
+      if (!message || message.origin === this.instanceId) return;
+      try {
+        handler(message);
+      } catch (error) {
+        config.smartLog('fail', `Error handling ${namespace} lock event: ${error.message}`);
+      }
+    });
+  }
+
+  getStats() {
+    return {
+      backend: this.backend ? this.backend.name : null,
+      instanceId: this.instanceId,
+      heldLeases: this.heldLeases.size,
+      leaseTtlMs: this.LEASE_TTL_MS,
+      heartbeatIntervalMs: this.HEARTBEAT_INTERVAL_MS
+    };
+  }
+
+  async close() {
+    this.stopHeartbeat();
+    if (this.backend) {
+      await this.backend.close();
+    }
+    this.backend = null;
+    this.readyPromise = null;
+  }
+}
+
+module.exports = new DomainLockService();
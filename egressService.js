@@ -0,0 +1,491 @@
+const axios = require('axios');
+const scrapeHttpClient = require('./scrapeHttpClient');
+const config = require('../config');
+const scrapeTraceService = require('./scrapeTraceService');
+const fixtureRecorder = require('./fixtureRecorder');
+
+const SUPPORTED_PROTOCOLS = ['http:', 'https:', 'socks4:', 'socks5:', 'socks:'];
+const PROXY_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'EPROTO', 'ERR_SOCKS_CONNECTION_REFUSED'];
+const BLOCK_STATUSES = [403, 429, 451, 503];
+
+class EgressService {
+  constructor() {
+    this.proxies = this.parseProxies(config.EGRESS_PROXIES);
+    this.assignments = new Map();
+    this.pendingAssignments = new Map();
+    this.blockedRoutes = new Map();
+    this.installed = false;
+    this.healthTimer = null;
+    this.socksAgentClass = null;
+    this.httpsProxyAgentClass = null;
+
+    this.HEALTH_CHECK_URL = config.EGRESS_HEALTH_CHECK_URL || 'https://www.gstatic.com/generate_204';
+    this.HEALTH_CHECK_INTERVAL_MS = config.EGRESS_HEALTH_CHECK_INTERVAL_MS || 5 * 60 * 1000;
+    this.HEALTH_CHECK_TIMEOUT_MS = config.EGRESS_HEALTH_CHECK_TIMEOUT_MS || 10000;
+    this.MAX_CONSECUTIVE_FAILURES = config.EGRESS_MAX_CONSECUTIVE_FAILURES || 3;
+    this.BLOCKED_ROUTE_TTL_MS = config.EGRESS_BLOCKED_ROUTE_TTL_MS || 24 * 60 * 60 * 1000;
+
+    this.stats = {
+      assignments: 0,
+      rotations: 0,
+      healthChecks: 0,
+      proxyFailures: 0
+    };
+  }
+
+  parseProxies(value) {
+    if (!value) return [];
+
+    const entries = Array.isArray(value)
+      ? value
+      : String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+
+    const proxies = [];
+    for (const [index, entry] of entries.entries()) {
+      const server = typeof entry === 'string' ? entry : entry.url || entry.server;
+
+      let parsed;
+      try {
+        parsed = new URL(server);
+      } catch (error) {
+        config.smartLog('fail', `Ignoring invalid egress proxy #${index + 1}: ${server}`);
+        continue;
+      }
+
+      if (!SUPPORTED_PROTOCOLS.includes(parsed.protocol)) {
+        config.smartLog('fail', `Ignoring egress proxy #${index + 1} with unsupported protocol ${parsed.protocol}`);
+        continue;
+      }
+
+      const id = (typeof entry === 'object' && entry.id) || `${parsed.hostname}:${parsed.port || this.getDefaultPort(parsed.protocol)}`;
+      if (proxies.some(proxy => proxy.id === id)) {
+        config.smartLog('fail', `Ignoring duplicate egress proxy ${id}`);
+        continue;
+      }
+
+      proxies.push({
+        id,
+        protocol: parsed.protocol.replace(':', ''),
+        host: parsed.hostname,
+        port: parseInt(parsed.port || this.getDefaultPort(parsed.protocol), 10),
+        username: decodeURIComponent((typeof entry === 'object' && entry.username) || parsed.username || '') || null,
+        password: decodeURIComponent((typeof entry === 'object' && entry.password) || parsed.password || '') || null,
+        healthy: true,
+        consecutiveFailures: 0,
+        lastError: null,
+        lastCheckedAt: null,
+        blocks: 0
+      });
+    }
+
+    return proxies;
+  }
+
+  getDefaultPort(protocol) {
+    if (protocol.startsWith('socks')) return '1080';
+    return protocol === 'https:' ? '443' : '80';
+  }
+
+  isEnabled() {
+    return this.proxies.length > 0;
+  }
+
+  isSocks(proxy) {
+    return proxy.protocol.startsWith('socks');
+  }
+
+  getProxy(proxyId) {
+    return this.proxies.find(proxy => proxy.id === proxyId) || null;
+  }
+
+  getHostname(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  getRouteUrl(url) {
+    const trace = scrapeTraceService.getActive();
+    return trace ? trace.url : url;
+  }
+
+  getAssignment(url) {
+    const hostname = this.getHostname(url);
+    const proxyId = hostname ? this.assignments.get(hostname) : null;
+    return proxyId ? { id: proxyId, reason: 'assigned before profile creation', previous: null, assignedAt: new Date().toISOString() } : null;
+  }
+
+  getBlockedProxies(hostname) {
+    const blocked = this.blockedRoutes.get(hostname);
+    if (!blocked) return [];
+
+    const now = Date.now();
+    for (const [proxyId, blockedAt] of blocked.entries()) {
+      if (now - blockedAt > this.BLOCKED_ROUTE_TTL_MS) {
+        blocked.delete(proxyId);
+      }
+    }
+
+    return Array.from(blocked.keys());
+  }
+
+  pickProxy(hostname, excluded = []) {
+    const counts = new Map(this.proxies.map(proxy => [proxy.id, 0]));
+    for (const proxyId of this.assignments.values()) {
+      counts.set(proxyId, (counts.get(proxyId) || 0) + 1);
+    }
+
+    const avoided = new Set([...excluded, ...this.getBlockedProxies(hostname)]);
+    const healthy = this.proxies.filter(proxy => proxy.healthy);
+    const candidates = healthy.filter(proxy => !avoided.has(proxy.id));
+    const pool = candidates.length > 0 ? candidates : healthy.filter(proxy => !excluded.includes(proxy.id));
+
+    if (pool.length === 0) return null;
+
+    return pool.sort((a, b) => counts.get(a.id) - counts.get(b.id) || a.blocks - b.blocks)[0];
+  }
+
+  async resolveForUrl(url) {
+    if (!this.isEnabled()) return null;
+
+    const routeUrl = this.getRouteUrl(url);
+    const hostname = this.getHostname(routeUrl);
+    if (!hostname) return null;
+
+    const assigned = this.getProxy(this.assignments.get(hostname));
+    if (assigned && assigned.healthy) return assigned;
+
+    if (this.pendingAssignments.has(hostname)) {
+      return this.pendingAssignments.get(hostname);
+    }
+
+    const pending = this.assignRoute(routeUrl, hostname, assigned).finally(() => {
+      this.pendingAssignments.delete(hostname);
+    });
+    this.pendingAssignments.set(hostname, pending);
+
+    return pending;
+  }
+
+  async assignRoute(routeUrl, hostname, previous) {
+    let reason = previous ? `previous proxy ${previous.id} unhealthy` : 'initial assignment';
+
+    if (!previous) {
+      const stored = await this.loadStoredRoute(routeUrl);
+      const storedProxy = stored ? this.getProxy(stored.id) : null;
+
+      if (storedProxy && storedProxy.healthy) {
+        this.assignments.set(hostname, storedProxy.id);
+        config.smartLog('platform', `Egress for ${hostname} restored from profile: ${storedProxy.id}`);
+        return storedProxy;
+      }
+
+      if (stored) {
+        reason = storedProxy ? `stored proxy ${stored.id} unhealthy` : `stored proxy ${stored.id} no longer configured`;
+      }
+    }
+
+    const proxy = this.pickProxy(hostname, previous ? [previous.id] : []);
+    if (!proxy) {
+      this.assignments.delete(hostname);
+      config.smartLog('fail', `No healthy egress proxy available for ${hostname}, using direct connection`);
+      return null;
+    }
+
+    this.assignments.set(hostname, proxy.id);
+    this.stats.assignments++;
+    config.smartLog('platform', `Egress for ${hostname} assigned to ${proxy.id} (${reason})`);
+
+    await this.persistRoute(routeUrl, proxy, reason);
+    return proxy;
+  }
+
+  async loadStoredRoute(url) {
+    try {
+      const DomainProfiler = require('./DomainProfiler');
+      const profile = await DomainProfiler.getInstance().loadProfile(url);
+      return profile && profile.egressProxy ? profile.egressProxy : null;
+    } catch (error) {
+      config.smartLog('fail', `Could not read stored egress route for ${url}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async persistRoute(url, proxy, reason) {
+    try {
+      const DomainProfiler = require('./DomainProfiler');
+      await DomainProfiler.getInstance().recordEgressProxy(url, proxy.id, reason);
+    } catch (error) {
+      config.smartLog('fail', `Could not store egress route for ${url}: ${error.message}`);
+    }
+  }
+
+  async rotate(url, classification = {}) {
+    if (!this.isEnabled()) return null;
+
+    const routeUrl = this.getRouteUrl(url);
+    const hostname = this.getHostname(routeUrl);
+    if (!hostname) return null;
+
+    const current = this.getProxy(this.assignments.get(hostname));
+    if (current) {
+      current.blocks++;
+      if (!this.blockedRoutes.has(hostname)) {
+        this.blockedRoutes.set(hostname, new Map());
+      }
+      this.blockedRoutes.get(hostname).set(current.id, Date.now());
+    }
+
+    const next = this.pickProxy(hostname, current ? [current.id] : []);
+    if (!next) {
+      config.smartLog('fail', `Egress rotation for ${hostname} impossible: no other healthy proxy`);
+      return current;
+    }
+
+    const reason = `rotated after ${classification.type || 'block'}${current ? ` on ${current.id}` : ''}`;
+    this.assignments.set(hostname, next.id);
+    this.stats.rotations++;
+    config.smartLog('platform', `Egress for ${hostname} ${reason}, now ${next.id}`);
+
+    await this.persistRoute(routeUrl, next, reason);
+    return next;
+  }
+
+  recordProxyFailure(proxy, error) {
+    proxy.consecutiveFailures++;
+    proxy.lastError = error.message;
+    this.stats.proxyFailures++;
+
+    if (proxy.healthy && proxy.consecutiveFailures >= this.MAX_CONSECUTIVE_FAILURES) {
+      proxy.healthy = false;
+      config.smartLog('fail', `Egress proxy ${proxy.id} marked unhealthy after ${proxy.consecutiveFailures} failures: ${error.message}`);
+    }
+  }
+
+  recordProxySuccess(proxy) {
+    if (!proxy.healthy) {
+      config.smartLog('win', `Egress proxy ${proxy.id} healthy again`);
+    }
+    proxy.healthy = true;
+    proxy.consecutiveFailures = 0;
+    proxy.lastError = null;
+  }
+
+  loadAgentClass(packageName, exportName) {
+    try {
+      return require(packageName)[exportName];
+    } catch (error) {
+      throw new Error(`EGRESS_PROXIES requires the ${packageName} package, which is not installed (npm install ${packageName})`);
+    }
+  }
+
+  getSocksAgentClass() {
+    if (!this.socksAgentClass) {
+      this.socksAgentClass = this.loadAgentClass('socks-proxy-agent', 'SocksProxyAgent');
+    }
+    return this.socksAgentClass;
+  }
+
+  getHttpsProxyAgentClass() {
+    if (!this.httpsProxyAgentClass) {
+      this.httpsProxyAgentClass = this.loadAgentClass('https-proxy-agent', 'HttpsProxyAgent');
+    }
+    return this.httpsProxyAgentClass;
+  }
+
+  checkAgentDependencies() {
+    if (this.proxies.some(proxy => this.isSocks(proxy))) {
+      this.getSocksAgentClass();
+    }
+    if (this.proxies.some(proxy => !this.isSocks(proxy))) {
+      this.getHttpsProxyAgentClass();
+    }
+  }
+
+  buildProxyUrl(proxy) {
+    const auth = proxy.username
+      ? `${encodeURIComponent(proxy.username)}${proxy.password ? `:${encodeURIComponent(proxy.password)}` : ''}@`
+      : '';
+    return `${proxy.protocol}://${auth}${proxy.host}:${proxy.port}`;
+  }
+
+  getAxiosOptions(proxy, targetUrl) {
+    if (this.isSocks(proxy)) {
+      const SocksProxyAgent = this.getSocksAgentClass();
+      const agent = new SocksProxyAgent(this.buildProxyUrl(proxy));
+      return { proxy: false, httpAgent: agent, httpsAgent: agent };
+    }
+
+    if (String(targetUrl).startsWith('https:')) {
+      const HttpsProxyAgent = this.getHttpsProxyAgentClass();
+      return { proxy: false, httpsAgent: new HttpsProxyAgent(this.buildProxyUrl(proxy)) };
+    }
+
+    return {
+      proxy: {
+        protocol: proxy.protocol,
+        host: proxy.host,
+        port: proxy.port,
+        ...(proxy.username ? { auth: { username: proxy.username, password: proxy.password || '' } } : {})
+      }
+    };
+  }
+
+  getPlaywrightProxy(proxy) {
+    return {
+      server: `${proxy.protocol === 'socks' ? 'socks5' : proxy.protocol}://${proxy.host}:${proxy.port}`,
+      ...(proxy.username ? { username: proxy.username, password: proxy.password || '' } : {})
+    };
+  }
+
+  getLaunchOptions() {
+    if (!this.isEnabled() || process.platform !== 'win32') return {};
+    return { proxy: { server: 'http://per-context' } };
+  }
+
+  async applyToContextOptions(url, contextOptions = {}) {
+    if (!this.isEnabled() || !url || contextOptions.proxy) return contextOptions;
+
+    const proxy = await this.resolveForUrl(url);
+    if (!proxy) return contextOptions;
+
+    return { ...contextOptions, proxy: this.getPlaywrightProxy(proxy) };
+  }
+
+  isProxyError(error) {
+    return PROXY_ERROR_CODES.includes(error.code) || (error.response && error.response.status === 407);
+  }
+
+  install() {
+    if (this.installed) return;
+
+    if (this.isEnabled()) {
+      this.checkAgentDependencies();
+    }
+    this.installed = true;
+
+    this.startHealthChecks();
+
+    scrapeHttpClient.interceptors.request.use(async requestConfig => {
+      if (!this.isEnabled()) return requestConfig;
+      if (requestConfig.proxy !== undefined || requestConfig.httpAgent || requestConfig.httpsAgent) return requestConfig;
+
+      const session = fixtureRecorder.getActiveSession();
+      if (session && session.mode === 'replay') return requestConfig;
+
+      const targetUrl = scrapeHttpClient.getUri(requestConfig);
+      const proxy = await this.resolveForUrl(targetUrl);
+      if (!proxy) return requestConfig;
+
+      requestConfig.egressProxyId = proxy.id;
+      return Object.assign(requestConfig, this.getAxiosOptions(proxy, targetUrl));
+    });
+
+    scrapeHttpClient.interceptors.response.use(response => {
+      const proxy = response.config && this.getProxy(response.config.egressProxyId);
+      if (proxy) {
+        this.recordProxySuccess(proxy);
+      }
+      return response;
+    }, async error => {
+      const proxy = error.config && this.getProxy(error.config.egressProxyId);
+      if (!proxy) return Promise.reject(error);
+
+      if (this.isProxyError(error)) {
+        this.recordProxyFailure(proxy, error);
+      } else {
+        this.recordProxySuccess(proxy);
+        await this.rotateOnBlockedResponse(error);
+      }
+
+      return Promise.reject(error);
+    });
+  }
+
+  async rotateOnBlockedResponse(error) {
+    const response = error.response;
+    if (!response || !BLOCK_STATUSES.includes(response.status)) return;
+
+    const antiBotClassifier = require('./antiBotClassifier');
+    const classification = antiBotClassifier.classify({
+      status: response.status,
+      headers: response.headers,
+      html: typeof response.data === 'string' ? response.data : ''
+    });
+
+    if (classification.blocked) {
+      await this.rotate(scrapeHttpClient.getUri(error.config), classification).catch(rotateError => {
+        config.smartLog('fail', `Egress rotation failed: ${rotateError.message}`);
+      });
+    }
+  }
+
+  async checkProxy(proxy) {
+    this.stats.healthChecks++;
+    proxy.lastCheckedAt = new Date().toISOString();
+
+    try {
+      await axios.get(this.HEALTH_CHECK_URL, {
+        ...this.getAxiosOptions(proxy, this.HEALTH_CHECK_URL),
+        timeout: this.HEALTH_CHECK_TIMEOUT_MS,
+        validateStatus: status => status < 500 && status !== 407
+      });
+      this.recordProxySuccess(proxy);
+    } catch (error) {
+      proxy.consecutiveFailures = Math.max(proxy.consecutiveFailures, this.MAX_CONSECUTIVE_FAILURES - 1);
+      this.recordProxyFailure(proxy, error);
+    }
+
+    return proxy.healthy;
+  }
+
+  async checkAll() {
+    const results = await Promise.all(this.proxies.map(proxy => this.checkProxy(proxy)));
+    const healthyCount = results.filter(Boolean).length;
+    config.smartLog('monitoring', `Egress health check: ${healthyCount}/${this.proxies.length} proxies healthy`);
+    return healthyCount;
+  }
+
+  startHealthChecks() {
+    if (!this.isEnabled() || this.healthTimer) return;
+
+    this.healthTimer = setInterval(() => {
+      this.checkAll().catch(error => {
+        config.smartLog('fail', `Egress health check failed: ${error.message}`);
+      });
+    }, this.HEALTH_CHECK_INTERVAL_MS);
+
+    if (this.healthTimer.unref) {
+      this.healthTimer.unref();
+    }
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      enabled: this.isEnabled(),
+      assignedDomains: this.assignments.size,
+      proxies: this.proxies.map(proxy => ({
+        id: proxy.id,
+        protocol: proxy.protocol,
+        healthy: proxy.healthy,
+        consecutiveFailures: proxy.consecutiveFailures,
+        blocks: proxy.blocks,
+        lastError: proxy.lastError,
+        lastCheckedAt: proxy.lastCheckedAt,
+        domains: Array.from(this.assignments.values()).filter(proxyId => proxyId === proxy.id).length
+      }))
+    };
+  }
+}
+
+module.exports = new EgressService();
@@ -0,0 +1,275 @@
+const { describeTitle } = require('./jobTitleNormalizer');
+
+const CATEGORIES = ['recruiting', 'generic', 'sales', 'support', 'personal', 'no-reply'];
+
+const LOCAL_PART_KEYWORDS = {
+  'no-reply': ['noreply', 'no-reply', 'no_reply', 'donotreply', 'do-not-reply', 'do_not_reply', 'mailer-daemon', 'mailer', 'bounce', 'bounces', 'notifications', 'notification', 'notify', 'alerts', 'newsletter', 'automated'],
+  recruiting: ['jobs', 'job', 'careers', 'career', 'recruiting', 'recruitment', 'recruiter', 'recruiters', 'recrutement', 'recrutamento', 'reclutamiento', 'reclutamento', 'talent', 'talents', 'talentacquisition', 'hr', 'rh', 'drh', 'humanresources', 'people', 'hiring', 'apply', 'applications', 'candidature', 'candidatures', 'candidaturas', 'bewerbung', 'bewerbungen', 'karriere', 'personal', 'personalabteilung', 'empleo', 'empleos', 'trabajo', 'lavoro', 'lavoraconnoi', 'vacatures', 'werkenbij', 'stage', 'stages', 'internship', 'internships', 'emploi', 'cv'],
+  sales: ['sales', 'vente', 'ventes', 'commercial', 'business', 'bizdev', 'partners', 'partner', 'partnership', 'partnerships', 'vertrieb', 'ventas', 'vendite', 'vendas', 'verkoop', 'quote', 'quotes', 'devis', 'orders', 'order', 'shop', 'enterprise', 'demo'],
+  support: ['support', 'help', 'helpdesk', 'service', 'services', 'customerservice', 'customercare', 'care', 'sav', 'assistance', 'hilfe', 'soporte', 'supporto', 'suporte', 'tech', 'techsupport', 'feedback', 'servicedesk', 'kundenservice', 'serviceclient'],
+  generic: ['info', 'infos', 'information', 'contact', 'contacts', 'contactus', 'hello', 'hi', 'hey', 'office', 'mail', 'email', 'enquiries', 'inquiries', 'enquiry', 'inquiry', 'general', 'admin', 'administration', 'bonjour', 'kontakt', 'contacto', 'contatto', 'contato', 'team', 'welcome', 'reception', 'accueil', 'secretariat', 'sekretariat', 'press', 'presse', 'media', 'marketing', 'legal', 'privacy', 'dpo', 'billing', 'accounting', 'compta', 'comptabilite', 'facturation', 'invoices', 'webmaster', 'postmaster', 'abuse']
+};
+
+const CONTEXT_PATTERNS = {
+  recruiting: /(?<![\p{L}])(jobs?|careers?|apply|applications?|candidates?|candidat\p{L}*|cv|resume|résumé|recruit\p{L}*|recrut\p{L}*|reclut\p{L}*|hiring|talent|bewerb\p{L}*|karriere|stellen\p{L}*|empleo|vacatures?|human resources|ressources humaines|recursos humanos|rh|hr|internships?|stages?)(?![\p{L}])/iu,
+  sales: /(?<![\p{L}])(sales|quotes?|devis|pricing|partnerships?|partners?|commercial|vertrieb|ventas|vendite|business (?:inquiries|enquiries)|demo)(?![\p{L}])/iu,
+  support: /(?<![\p{L}])(support|help|assistance|customer (?:service|care)|service client|kundenservice|sav|technical|troubleshooting)(?![\p{L}])/iu,
+  generic: /(?<![\p{L}])(general (?:inquiries|enquiries|questions)|information|contact us|nous contacter|contactez-nous|kontaktieren|contáctanos|press|presse|media)(?![\p{L}])/iu
+};
+
+const TITLE_FUNCTION_CATEGORIES = {
+  people: 'recruiting',
+  sales: 'sales',
+  support: 'support'
+};
+
+const PAGE_TYPE_SIGNALS = {
+  careers: { category: 'recruiting', weight: 0.15 },
+  team: { category: 'personal', weight: 0.1 },
+  contact: { category: 'generic', weight: 0.05 }
+};
+
+const NAME_PARTICLES = new Set(['de', 'da', 'di', 'del', 'della', 'du', 'des', 'van', 'von', 'der', 'den', 'le', 'la', 'dos', 'das', 'bin', 'al']);
+const NAME_WORD_PATTERN = /^(?:\p{Lu}[\p{Ll}'’-]+|\p{Lu}\.)$/u;
+const SEGMENT_SEPARATORS = /[\n\r|•·–—,;:()[\]]+|\s{2,}|\s-\s/;
+
+const MIN_KEYWORD_PREFIX_LENGTH = 4;
+const KEYWORD_TOKEN_WEIGHT = 0.6;
+const KEYWORD_PREFIX_WEIGHT = 0.4;
+const NAME_PATTERN_WEIGHT = 0.45;
+const EXTERNAL_DOMAIN_FACTOR = 0.8;
+
+const keywordIndex = new Map();
+for (const [category, keywords] of Object.entries(LOCAL_PART_KEYWORDS)) {
+  keywords.forEach(keyword => {
+    if (!keywordIndex.has(keyword)) keywordIndex.set(keyword, category);
+  });
+}
+
+const stripDiacritics = (value) => String(value || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+const cleanText = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+const splitLocalPart = (local) => local.split(/[._+\-\d]+/).filter(Boolean);
+
+const matchLocalPartCategory = (local) => {
+  if (keywordIndex.has(local)) return { category: keywordIndex.get(local), weight: KEYWORD_TOKEN_WEIGHT };
+
+  const tokens = splitLocalPart(local);
+  for (const token of tokens) {
+    if (keywordIndex.has(token)) return { category: keywordIndex.get(token), weight: KEYWORD_TOKEN_WEIGHT };
+  }
+
+  if (tokens.length !== 1) return null;
+
+  for (const [keyword, category] of keywordIndex) {
+    if (keyword.length >= MIN_KEYWORD_PREFIX_LENGTH && tokens[0].startsWith(keyword.replace(/[-_]/g, ''))) {
+      return { category, weight: KEYWORD_PREFIX_WEIGHT };
+    }
+  }
+
+  return null;
+};
+
+const looksLikeNameLocalPart = (local) => {
+  const tokens = splitLocalPart(local);
+  return tokens.length >= 2 && tokens.length <= 3 &&
+    /^[a-z][a-z.'_-]*$/i.test(local.replace(/\d+$/, '')) &&
+    tokens.every(token => token.length >= 1 && token.length <= 20) &&
+    tokens.some(token => token.length >= 2);
+};
+
+const getNameMatchStrength = (name, local) => {
+  const parts = stripDiacritics(name).split(/[\s'’-]+/).filter(part => part && !NAME_PARTICLES.has(part) && !part.endsWith('.'));
+  if (parts.length === 0) return 0;
+
+  const first = parts[0];
+  const last = parts[parts.length - 1];
+  const compact = local.replace(/[._+\-\d]+/g, '');
+
+  if (parts.length > 1 && (compact === `${first}${last}` || compact === `${last}${first}`)) return 1;
+  if (parts.length > 1 && (compact === `${first[0]}${last}` || compact === `${first}${last[0]}` || compact === `${last}${first[0]}`)) return 0.85;
+  if (compact === first || compact === last) return 0.7;
+
+  const tokens = splitLocalPart(local);
+  if (tokens.includes(last) || (tokens.includes(first) && first.length > 2)) return 0.6;
+
+  return 0;
+};
+
+const isNameSegment = (segment) => {
+  const words = segment.split(/\s+/);
+  if (words.length < 2 || words.length > 5) return false;
+
+  const significant = words.filter(word => !NAME_PARTICLES.has(word.toLowerCase()));
+  if (significant.length < 2 || !significant.every(word => NAME_WORD_PATTERN.test(word))) return false;
+
+  const described = describeTitle(segment);
+  return !described.occupation && !described.jobFunction && !described.seniority;
+};
+
+const isTitleSegment = (segment) => {
+  if (segment.length > 80 || /@|https?:|\d{3,}/.test(segment)) return false;
+
+  const described = describeTitle(segment);
+  return !!(described.occupation || described.jobFunction || described.seniority);
+};
+
+const extractContactPerson = (text, email = null) => {
+  let source = String(text || '');
+  if (!source.trim()) return null;
+
+  if (email) {
+    source = source.split(email).join('\n');
+  }
+
+  let name = null;
+  let title = null;
+
+  for (const rawSegment of source.split(SEGMENT_SEPARATORS)) {
+    const segment = cleanText(rawSegment);
+    if (segment.length < 2) continue;
+
+    if (!name && isNameSegment(segment)) {
+      name = segment;
+    } else if (!title && isTitleSegment(segment)) {
+      title = segment;
+    }
+
+    if (name && title) break;
+  }
+
+  return name || title ? { name, title } : null;
+};
+
+const isSameSite = (emailDomain, siteDomain) => {
+  if (!siteDomain) return true;
+
+  const site = siteDomain.toLowerCase().replace(/^www\./, '');
+  return emailDomain === site || site.endsWith(`.${emailDomain}`) || emailDomain.endsWith(`.${site}`);
+};
+
+const classifyEmail = (email, context = {}) => {
+  const { pageTypes = [], texts = [], person = null, domain = null } = context;
+  const normalized = String(email || '').toLowerCase().trim();
+  const [local = '', emailDomain = ''] = normalized.split('@');
+
+  const scores = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+  const signals = [];
+  let role = null;
+
+  const keywordMatch = matchLocalPartCategory(local);
+  const keywordCategory = keywordMatch ? keywordMatch.category : null;
+  if (keywordMatch) {
+    scores[keywordCategory] += keywordMatch.weight;
+    signals.push(`local-part:${keywordCategory}`);
+  }
+
+  const nameStrength = person && person.name ? getNameMatchStrength(person.name, local) : 0;
+  if (nameStrength > 0) {
+    scores.personal += 0.6 * nameStrength + 0.2;
+    signals.push('name-match');
+  } else if (keywordCategory !== 'no-reply' && looksLikeNameLocalPart(local)) {
+    scores.personal += NAME_PATTERN_WEIGHT;
+    signals.push('name-pattern');
+  }
+
+  if (person && person.title) {
+    const titleCategory = TITLE_FUNCTION_CATEGORIES[describeTitle(person.title).jobFunction];
+    if (titleCategory) {
+      role = titleCategory;
+      scores[titleCategory] += 0.25;
+      signals.push(`title:${titleCategory}`);
+    }
+  }
+
+  for (const pageType of new Set(pageTypes)) {
+    const signal = PAGE_TYPE_SIGNALS[pageType];
+    if (signal) {
+      scores[signal.category] += signal.weight;
+      signals.push(`page:${pageType}`);
+    }
+  }
+
+  const contextText = texts.filter(Boolean).join(' ');
+  if (contextText) {
+    for (const [category, pattern] of Object.entries(CONTEXT_PATTERNS)) {
+      if (pattern.test(contextText)) {
+        scores[category] += 0.15;
+        signals.push(`context:${category}`);
+      }
+    }
+  }
+
+  let category = null;
+  if (keywordCategory === 'no-reply') {
+    category = 'no-reply';
+  } else {
+    for (const candidate of CATEGORIES) {
+      if (scores[candidate] > 0 && (!category || scores[candidate] > scores[category])) {
+        category = candidate;
+      }
+    }
+  }
+
+  let confidence = category ? Math.min(0.99, scores[category]) : 0.2;
+  if (!isSameSite(emailDomain, domain)) {
+    confidence *= EXTERNAL_DOMAIN_FACTOR;
+    signals.push('external-domain');
+  }
+
+  if (category && category !== 'personal' && !role) {
+    role = category === 'no-reply' ? null : category;
+  }
+
+  return {
+    category: category || 'unknown',
+    role,
+    confidence: Math.round(confidence * 100) / 100,
+    person: person && (person.name || person.title) ? { name: person.name || null, title: person.title || null } : null,
+    signals
+  };
+};
+
+const RECRUITING_CONTACT_RANKS = [
+  { matches: contact => contact.category === 'recruiting', rank: 3, reason: 'recruiting-address' },
+  { matches: contact => contact.category === 'personal' && contact.role === 'recruiting', rank: 2.5, reason: 'hr-person' },
+  { matches: contact => contact.category === 'generic', rank: 1, reason: 'generic-fallback' }
+];
+
+const pickBestRecruitingContact = (emails = []) => {
+  let best = null;
+
+  for (const entry of emails) {
+    if (entry.verification && entry.verification.status === 'undeliverable') continue;
+
+    const contact = entry.category ? entry : { ...entry, ...classifyEmail(entry.email, { pageTypes: entry.pageTypes || [] }) };
+    const rule = RECRUITING_CONTACT_RANKS.find(candidate => candidate.matches(contact));
+    if (!rule) continue;
+
+    const score = rule.rank + (contact.confidence || 0) + Math.min(0.05, (contact.occurrences || 1) * 0.01);
+    if (!best || score > best.score) {
+      best = { score, contact, reason: rule.reason };
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    email: best.contact.email,
+    category: best.contact.category,
+    role: best.contact.role || null,
+    confidence: best.contact.confidence,
+    person: best.contact.person || null,
+    foundOn: best.contact.foundOn || [],
+    verification: best.contact.verification || null,
+    reason: best.reason
+  };
+};
+
+module.exports = {
+  CATEGORIES,
+  classifyEmail,
+  extractContactPerson,
+  pickBestRecruitingContact
+};
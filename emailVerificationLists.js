@@ -0,0 +1,46 @@
+const DISPOSABLE_DOMAINS = [
+  '0-mail.com', '10minutemail.com', '10minutemail.net', '20minutemail.com', '33mail.com', 'anonbox.net',
+  'anonymbox.com', 'armyspy.com', 'binkmail.com', 'bobmail.info', 'burnermail.io', 'byom.de',
+  'cuvox.de', 'dayrep.com', 'deadaddress.com', 'despam.it', 'discard.email', 'discardmail.com',
+  'discardmail.de', 'disposableaddress.com', 'disposableemailaddresses.com', 'dispostable.com', 'dodgit.com', 'dropmail.me',
+  'e4ward.com', 'einrot.com', 'emailondeck.com', 'emailsensei.com', 'emailtemporanea.com', 'emailtemporanea.net',
+  'emailwarden.com', 'emltmp.com', 'fakeinbox.com', 'fakemail.net', 'fakemailgenerator.com', 'fastacura.com',
+  'filzmail.com', 'fleckens.hu', 'getairmail.com', 'getnada.com', 'gishpuppy.com', 'guerrillamail.biz',
+  'guerrillamail.com', 'guerrillamail.de', 'guerrillamail.info', 'guerrillamail.net', 'guerrillamail.org', 'guerrillamailblock.com',
+  'gustr.com', 'harakirimail.com', 'hidemail.de', 'incognitomail.com', 'incognitomail.org', 'inboxbear.com',
+  'inboxkitten.com', 'jetable.com', 'jetable.fr.nf', 'jetable.net', 'jetable.org', 'jourrapide.com',
+  'kasmail.com', 'killmail.com', 'klzlk.com', 'koszmail.pl', 'kurzepost.de', 'letthemeatspam.com',
+  'lroid.com', 'mail-temp.com', 'mail.tm', 'mail1a.de', 'mailcatch.com', 'maildrop.cc',
+  'mailexpire.com', 'mailforspam.com', 'mailinator.com', 'mailinator.net', 'mailinator2.com', 'mailmoat.com',
+  'mailnesia.com', 'mailnull.com', 'mailsac.com', 'mailshell.com', 'mailtemp.info', 'mailzilla.com',
+  'meltmail.com', 'mintemail.com', 'moakt.com', 'mohmal.com', 'mt2015.com', 'mytemp.email',
+  'mytrashmail.com', 'nada.email', 'neverbox.com', 'no-spam.ws', 'nomail.xl.cx', 'nospam.ze.tc',
+  'nowmymail.com', 'objectmail.com', 'one-time.email', 'onewaymail.com', 'owlymail.com', 'pookmail.com',
+  'proxymail.eu', 'rcpt.at', 'rhyta.com', 'rmqkr.net', 'sharklasers.com', 'shieldemail.com',
+  'sofort-mail.de', 'spam4.me', 'spamavert.com', 'spambog.com', 'spambox.us', 'spamcorptastic.com',
+  'spamex.com', 'spamfree24.org', 'spamgourmet.com', 'spamhole.com', 'spaml.de', 'spammotel.com',
+  'spamspot.com', 'superrito.com', 'teleworm.us', 'temp-mail.io', 'temp-mail.org', 'tempail.com',
+  'tempemail.net', 'tempinbox.com', 'tempmail.com', 'tempmail.de', 'tempmail.net', 'tempmail.plus',
+  'tempmailaddress.com', 'tempmailo.com', 'tempr.email', 'throwam.com', 'throwawaymail.com', 'tmail.ws',
+  'tmailinator.com', 'tmpmail.net', 'tmpmail.org', 'trash-mail.com', 'trash-mail.de', 'trashmail.at',
+  'trashmail.com', 'trashmail.de', 'trashmail.io', 'trashmail.me', 'trashmail.net', 'trashmail.ws',
+  'trbvm.com', 'wegwerfadresse.de', 'wegwerfemail.de', 'wegwerfmail.de', 'wegwerfmail.net', 'wegwerfmail.org',
+  'yopmail.com', 'yopmail.fr', 'yopmail.net', 'zetmail.com', 'zippymail.info', 'zoemail.org'
+];
+
+const ROLE_LOCAL_PARTS = [
+  'abuse', 'accounting', 'accounts', 'admin', 'administration', 'administrator', 'billing', 'bonjour',
+  'careers', 'compliance', 'contact', 'contactus', 'contato', 'contatto', 'contacto', 'customerservice',
+  'dev', 'devnull', 'dns', 'dpo', 'enquiries', 'enquiry', 'facturation', 'feedback',
+  'finance', 'ftp', 'hello', 'help', 'helpdesk', 'hostmaster', 'hr', 'info',
+  'inquiries', 'inquiry', 'it', 'jobs', 'kontakt', 'legal', 'mail', 'marketing',
+  'media', 'news', 'newsletter', 'noc', 'no-reply', 'noreply', 'office', 'orders',
+  'postmaster', 'press', 'presse', 'privacy', 'recrutement', 'recruiting', 'recruitment', 'rh',
+  'root', 'sales', 'security', 'service', 'support', 'sysadmin', 'team', 'tech',
+  'usenet', 'uucp', 'webmaster', 'welcome', 'www'
+];
+
+module.exports = {
+  DISPOSABLE_DOMAINS,
+  ROLE_LOCAL_PARTS
+};
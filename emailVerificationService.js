@@ -0,0 +1,335 @@
+const dns = require('dns').promises;
+const net = require('net');
+const os = require('os');
+const config = require('../config');
+const { DISPOSABLE_DOMAINS, ROLE_LOCAL_PARTS } = require('./emailVerificationLists');
+
+class EmailVerificationService {
+  constructor() {
+    this.heloHost = config.EMAIL_VERIFY_HELO_HOST || os.hostname();
+    this.mailFrom = config.EMAIL_VERIFY_MAIL_FROM || `verify@${this.heloHost}`;
+    this.smtpHost = config.EMAIL_VERIFY_SMTP_HOST || null;
+    this.smtpPort = config.EMAIL_VERIFY_SMTP_PORT || 25;
+    this.smtpEnabled = config.EMAIL_VERIFY_SMTP !== false;
+    this.SMTP_TIMEOUT_MS = config.EMAIL_VERIFY_SMTP_TIMEOUT_MS || 10000;
+    this.DOMAIN_CACHE_TTL_MS = config.EMAIL_VERIFY_DOMAIN_CACHE_TTL_MS || 6 * 60 * 60 * 1000;
+    this.VERIFICATION_TTL_MS = config.EMAIL_VERIFICATION_TTL_MS || 30 * 24 * 60 * 60 * 1000;
+    this.UNKNOWN_VERIFICATION_TTL_MS = config.EMAIL_VERIFICATION_UNKNOWN_TTL_MS || 60 * 60 * 1000;
+    this.disposableDomains = new Set(DISPOSABLE_DOMAINS);
+    this.roleLocalParts = new Set(ROLE_LOCAL_PARTS);
+    this.domainCache = new Map();
+    this.stats = {
+      verified: 0,
+      smtpProbes: 0,
+      smtpSkippedUnreachable: 0,
+      deliverable: 0,
+      undeliverable: 0,
+      risky: 0,
+      unknown: 0
+    };
+  }
+
+  isEnabled(options = {}) {
+    if (options.verifyEmails !== undefined) return !!options.verifyEmails;
+    return config.EMAIL_VERIFICATION_ENABLED === true;
+  }
+
+  isStale(verification) {
+    if (!verification || !verification.verifiedAt) return true;
+    const age = Date.now() - new Date(verification.verifiedAt).getTime();
+    const ttl = verification.status === 'unknown' ? this.UNKNOWN_VERIFICATION_TTL_MS : this.VERIFICATION_TTL_MS;
+    return isNaN(age) || age > ttl;
+  }
+
+  isDisposableDomain(domain) {
+    const parts = String(domain || '').toLowerCase().split('.');
+    for (let i = 0; i < parts.length - 1; i++) {
+      if (this.disposableDomains.has(parts.slice(i).join('.'))) return true;
+    }
+    return false;
+  }
+
+  isRoleAddress(localPart) {
+    const normalized = String(localPart || '').toLowerCase().split('+')[0];
+    return this.roleLocalParts.has(normalized) || this.roleLocalParts.has(normalized.replace(/[._-]+/g, ''));
+  }
+
+  async lookupMx(domain) {
+    try {
+      const records = await dns.resolveMx(domain);
+      const hosts = records
+        .sort((a, b) => a.priority - b.priority)
+        .map(record => record.exchange.replace(/\.$/, ''));
+
+      if (hosts.length === 1 && hosts[0] === '') {
+        return { status: 'null_mx', hosts: [] };
+      }
+      return { status: hosts.length > 0 ? 'found' : 'none', hosts: hosts.filter(Boolean) };
+    } catch (error) {
+      if (error.code !== 'ENODATA' && error.code !== 'ENOTFOUND') {
+        return { status: 'error', hosts: [], error: error.code || error.message };
+      }
+    }
+
+    try {
+      const addresses = await dns.resolve4(domain);
+      return { status: addresses.length > 0 ? 'implicit' : 'none', hosts: addresses.length > 0 ? [domain] : [] };
+    } catch (error) {
+      return { status: 'none', hosts: [] };
+    }
+  }
+
+  async getDomainInfo(domain) {
+    const cached = this.domainCache.get(domain);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached;
+    }
+
+    const info = {
+      mx: await this.lookupMx(domain),
+      catchAll: null,
+      unreachableHosts: new Map(),
+      expiresAt: Date.now() + this.DOMAIN_CACHE_TTL_MS
+    };
+    this.domainCache.set(domain, info);
+    return info;
+  }
+
+  parseReply(buffer) {
+    const lines = buffer.split('\r\n');
+    for (let i = 0; i < lines.length - 1; i++) {
+      const match = lines[i].match(/^(\d{3})([ -])(.*)$/);
+      if (!match) continue;
+      if (match[2] === ' ') {
+        const replyLines = lines.slice(0, i + 1);
+        return {
+          reply: {
+            code: parseInt(match[1], 10),
+            message: replyLines.map(line => line.substring(4)).join(' ').trim()
+          },
+          rest: lines.slice(i + 1).join('\r\n')
+        };
+      }
+    }
+    return null;
+  }
+
+  probeSmtp(host, recipients) {
+    return new Promise(resolve => {
+      const session = { host, connected: false, greeting: null, rcpt: [], error: null };
+      const commands = [`EHLO ${this.heloHost}`, `MAIL FROM:<${this.mailFrom}>`, ...recipients.map(recipient => `RCPT TO:<${recipient}>`)];
+      let step = -1;
+      let buffer = '';
+      let finished = false;
+      let usedHelo = false;
+
+      const socket = net.createConnection({ host, port: this.smtpPort });
+
+      const finish = (error = null) => {
+        if (finished) return;
+        finished = true;
+        if (error) session.error = error;
+        if (session.connected && !socket.destroyed) {
+          socket.end('QUIT\r\n');
+        }
+        setTimeout(() => socket.destroy(), 200).unref();
+        resolve(session);
+      };
+
+      const send = command => socket.write(`${command}\r\n`);
+
+      const handleReply = reply => {
+        if (step === -1) {
+          session.greeting = reply;
+          if (reply.code !== 220) return finish(`greeting_${reply.code}`);
+        } else if (step === 0) {
+          if (reply.code >= 500 && !usedHelo) {
+            usedHelo = true;
+            return send(`HELO ${this.heloHost}`);
+          }
+          if (reply.code !== 250) return finish(`helo_${reply.code}`);
+        } else if (step === 1) {
+          if (reply.code !== 250) return finish(`mail_from_${reply.code}`);
+        } else {
+          session.rcpt.push({ recipient: recipients[step - 2], code: reply.code, message: reply.message });
+          if (reply.code === 421) return finish('service_closing');
+        }
+
+        step++;
+        if (step >= commands.length) return finish();
+        send(commands[step]);
+      };
+
+      socket.setTimeout(this.SMTP_TIMEOUT_MS);
+      socket.setEncoding('utf8');
+      socket.on('connect', () => {
+        session.connected = true;
+      });
+      socket.on('data', chunk => {
+        buffer += chunk;
+        let parsed = this.parseReply(buffer);
+        while (parsed && !finished) {
+          buffer = parsed.rest;
+          handleReply(parsed.reply);
+          parsed = this.parseReply(buffer);
+        }
+      });
+      socket.on('timeout', () => finish('timeout'));
+      socket.on('error', error => finish(error.code || error.message));
+      socket.on('close', () => finish('connection_closed'));
+    });
+  }
+
+  generateProbeAddress(domain) {
+    return `ploppy-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 8)}@${domain}`;
+  }
+
+  async runSmtpCheck(email, domain, domainInfo) {
+    const hosts = (this.smtpHost ? [this.smtpHost] : domainInfo.mx.hosts.slice(0, 2))
+      .filter(host => !domainInfo.unreachableHosts.has(host));
+    const recipients = domainInfo.catchAll === null ? [email, this.generateProbeAddress(domain)] : [email];
+    let session = null;
+
+    if (hosts.length === 0) {
+      this.stats.smtpSkippedUnreachable++;
+      const errors = Array.from(domainInfo.unreachableHosts.values());
+      return { reachable: false, error: errors[errors.length - 1] || 'no_host', cached: true };
+    }
+
+    for (const host of hosts) {
+      this.stats.smtpProbes++;
+      session = await this.probeSmtp(host, recipients);
+      if (!session.connected) {
+        domainInfo.unreachableHosts.set(host, session.error || 'connect_failed');
+        config.smartLog('scraper', `SMTP host ${host} unreachable for ${domain} (${session.error}), skipping it for this domain`);
+      }
+      if (session.rcpt.length > 0) break;
+    }
+
+    if (!session || session.rcpt.length === 0) {
+      return { reachable: false, error: session ? session.error : 'no_host' };
+    }
+
+    const target = session.rcpt[0];
+    const probe = session.rcpt[1];
+    if (probe && target.code >= 200 && target.code < 300) {
+      if (probe.code >= 200 && probe.code < 300) {
+        domainInfo.catchAll = true;
+      } else if (probe.code >= 500) {
+        domainInfo.catchAll = false;
+      }
+    }
+
+    return {
+      reachable: true,
+      host: session.host,
+      code: target.code,
+      message: target.message.substring(0, 200)
+    };
+  }
+
+  resolveStatus(checks) {
+    if (!checks.syntax) return { status: 'undeliverable', reason: 'invalid_syntax' };
+    if (checks.mx === 'null_mx') return { status: 'undeliverable', reason: 'null_mx' };
+    if (checks.mx === 'none') return { status: 'undeliverable', reason: 'no_mx' };
+    if (checks.mx === 'error') return { status: 'unknown', reason: 'dns_error' };
+
+    const smtp = checks.smtp;
+    if (smtp && smtp.reachable) {
+      if (smtp.code >= 500) {
+        return smtp.code === 552 ? { status: 'risky', reason: 'mailbox_full' } : { status: 'undeliverable', reason: 'mailbox_unavailable' };
+      }
+      if (smtp.code >= 400) return { status: 'unknown', reason: 'temporary_failure' };
+      if (checks.catchAll) return { status: 'risky', reason: 'catch_all' };
+      if (checks.disposable) return { status: 'risky', reason: 'disposable' };
+      return { status: 'deliverable', reason: checks.role ? 'role_accepted' : 'accepted' };
+    }
+
+    if (checks.disposable) return { status: 'risky', reason: 'disposable' };
+    return { status: 'unknown', reason: smtp ? 'smtp_unavailable' : 'smtp_skipped' };
+  }
+
+  async verifyEmail(email, options = {}) {
+    const normalized = String(email || '').trim().toLowerCase();
+    const atIndex = normalized.lastIndexOf('@');
+    const localPart = atIndex > 0 ? normalized.substring(0, atIndex) : '';
+    const domain = atIndex > 0 ? normalized.substring(atIndex + 1) : '';
+
+    const checks = {
+      syntax: /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(normalized),
+      mx: null,
+      mxHost: null,
+      disposable: this.isDisposableDomain(domain),
+      role: this.isRoleAddress(localPart),
+      catchAll: null,
+      smtp: null
+    };
+
+    if (checks.syntax) {
+      const domainInfo = await this.getDomainInfo(domain);
+      checks.mx = domainInfo.mx.status;
+      checks.mxHost = domainInfo.mx.hosts[0] || null;
+
+      const smtpEnabled = options.smtp !== undefined ? !!options.smtp : this.smtpEnabled;
+      if (smtpEnabled && domainInfo.mx.hosts.length > 0) {
+        checks.smtp = await this.runSmtpCheck(normalized, domain, domainInfo);
+      }
+      checks.catchAll = domainInfo.catchAll;
+    }
+
+    const { status, reason } = this.resolveStatus(checks);
+    this.stats.verified++;
+    this.stats[status]++;
+
+    return {
+      status,
+      reason,
+      mx: checks.mx,
+      mxHost: checks.mxHost,
+      disposable: checks.disposable,
+      role: checks.role,
+      catchAll: checks.catchAll,
+      smtpCode: checks.smtp && checks.smtp.reachable ? checks.smtp.code : null,
+      smtpMessage: checks.smtp && checks.smtp.reachable ? checks.smtp.message : null,
+      verifiedAt: new Date().toISOString()
+    };
+  }
+
+  async verifyEmails(emails, options = {}) {
+    const results = new Map();
+    const unique = [...new Set(emails.map(email => String(email).toLowerCase()))];
+
+    unique.sort((a, b) => a.split('@')[1].localeCompare(b.split('@')[1]));
+
+    for (const email of unique) {
+      try {
+        results.set(email, await this.verifyEmail(email, options));
+      } catch (error) {
+        config.smartLog('fail', `Email verification failed for ${email}: ${error.message}`);
+      }
+    }
+
+    const counts = Array.from(results.values()).reduce((acc, result) => {
+      acc[result.status] = (acc[result.status] || 0) + 1;
+      return acc;
+    }, {});
+    config.smartLog('scraper', `Verified ${results.size} emails: ${JSON.stringify(counts)}`);
+
+    return results;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cachedDomains: this.domainCache.size,
+      smtpEnabled: this.smtpEnabled,
+      smtpPort: this.smtpPort
+    };
+  }
+
+  clearCache() {
+    this.domainCache.clear();
+  }
+}
+
+module.exports = new EmailVerificationService();
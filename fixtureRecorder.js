@@ -0,0 +1,468 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const axios = require('./scrapeHttpClient');
+const config = require('../config');
+const { safeWriteJson } = require('../utils/atomicFS');
+
+const FIXTURE_MODES = ['record', 'replay'];
+const VOLATILE_PARAMS = /^(_|t|ts|timestamp|cb|cachebuster|nocache|rand|random)$/i;
+const STUB_RESOURCE_TYPES = ['stylesheet', 'image', 'media', 'font'];
+const STRIPPED_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'set-cookie'];
+const TEXT_CONTENT_TYPES = /(text\/|json|javascript|xml|html|x-www-form-urlencoded)/i;
+
+class FixtureRecorder {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.installed = false;
+    this.fixturesDir = config.FIXTURES_DIR || path.join(__dirname, '../fixtures');
+    this.stats = {
+      sessions: 0,
+      recorded: 0,
+      replayed: 0,
+      missed: 0
+    };
+  }
+
+  resolveMode(mode) {
+    const resolved = mode || config.FIXTURE_MODE || null;
+    return FIXTURE_MODES.includes(resolved) ? resolved : null;
+  }
+
+  getDomain(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return String(url).toLowerCase().replace(/[^a-z0-9.-]/g, '_');
+    }
+  }
+
+  getFixturePath(url) {
+    return path.join(this.fixturesDir, `${this.getDomain(url).replace(/[^a-z0-9.-]/g, '_')}.json`);
+  }
+
+  getActiveSession() {
+    return this.storage.getStore() || null;
+  }
+
+  normalizeRequestUrl(url) {
+    try {
+      const urlObj = new URL(url);
+      urlObj.hash = '';
+
+      for (const key of Array.from(urlObj.searchParams.keys())) {
+        if (VOLATILE_PARAMS.test(key)) {
+          urlObj.searchParams.delete(key);
+        }
+      }
+
+      urlObj.searchParams.sort();
+      return urlObj.toString();
+    } catch (error) {
+      return url;
+    }
+  }
+
+  serializePostData(data) {
+    if (data === null || data === undefined || data === '') return null;
+    if (typeof data === 'string') return data;
+    if (Buffer.isBuffer(data)) return data.toString('utf8');
+    if (data instanceof URLSearchParams) return data.toString();
+    return JSON.stringify(data);
+  }
+
+  buildKey(method, url, postData) {
+    const base = `${(method || 'GET').toUpperCase()} ${this.normalizeRequestUrl(url)}`;
+    if (!postData) return base;
+    return `${base} ${crypto.createHash('sha1').update(postData).digest('hex').substring(0, 12)}`;
+  }
+
+  normalizeHeaders(headers = {}) {
+    const source = typeof headers.toJSON === 'function' ? headers.toJSON() : headers;
+    const normalized = {};
+
+    for (const [name, value] of Object.entries(source || {})) {
+      const lowerName = name.toLowerCase();
+      if (STRIPPED_HEADERS.includes(lowerName) || value === undefined || value === null) continue;
+      normalized[lowerName] = Array.isArray(value) ? value.join(', ') : String(value);
+    }
+
+    return normalized;
+  }
+
+  encodeBody(body, contentType) {
+    if (body === null || body === undefined) {
+      return { text: '' };
+    }
+
+    if (Buffer.isBuffer(body) || body instanceof ArrayBuffer) {
+      const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+      return TEXT_CONTENT_TYPES.test(contentType || '')
+        ? { text: buffer.toString('utf8') }
+        : { text: buffer.toString('base64'), encoding: 'base64' };
+    }
+
+    if (typeof body === 'object') {
+      return { text: JSON.stringify(body) };
+    }
+
+    return { text: String(body) };
+  }
+
+  decodeBody(content = {}) {
+    return content.encoding === 'base64'
+      ? Buffer.from(content.text || '', 'base64')
+      : Buffer.from(content.text || '', 'utf8');
+  }
+
+  async loadFixture(url) {
+    const fixturePath = this.getFixturePath(url);
+
+    try {
+      const data = JSON.parse(await fs.readFile(fixturePath, 'utf8'));
+      return data.log || null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw new Error(`Could not read fixture ${fixturePath}: ${error.message}`);
+    }
+  }
+
+  async saveFixture(session) {
+    const fixture = {
+      log: {
+        version: '1.2',
+        creator: { name: 'ploppy-fixture-recorder', version: '1.0' },
+        domain: session.domain,
+        url: session.url,
+        recordedAt: new Date().toISOString(),
+        entries: Array.from(session.entries.values())
+      }
+    };
+
+    await fs.mkdir(this.fixturesDir, { recursive: true });
+    await safeWriteJson(session.file, fixture);
+    config.smartLog('cache', `Fixture recorded for ${session.domain}: ${fixture.log.entries.length} entries`);
+  }
+
+  async withSession(url, mode, task) {
+    const resolvedMode = this.resolveMode(mode);
+
+    if (!resolvedMode || this.getActiveSession()) {
+      return task();
+    }
+
+    this.install();
+
+    const session = {
+      url,
+      mode: resolvedMode,
+      domain: this.getDomain(url),
+      file: this.getFixturePath(url),
+      entries: new Map(),
+      hits: 0,
+      misses: [],
+      startedAt: Date.now()
+    };
+
+    if (resolvedMode === 'replay') {
+      const fixture = await this.loadFixture(url);
+      if (!fixture) {
+        throw new Error(`No fixture recorded for ${session.domain} (expected ${session.file})`);
+      }
+
+      for (const entry of fixture.entries || []) {
+        session.entries.set(entry.key, entry);
+      }
+    }
+
+    this.stats.sessions++;
+    config.smartLog('steps', `Fixture ${resolvedMode} session started for ${session.domain}`);
+
+    try {
+      return await this.storage.run(session, task);
+    } finally {
+      if (resolvedMode === 'record') {
+        await this.saveFixture(session).catch(error => {
+          config.smartLog('fail', `Could not save fixture for ${session.domain}: ${error.message}`);
+        });
+      } else if (session.misses.length > 0) {
+        config.smartLog('fail', `Fixture replay for ${session.domain} missed ${session.misses.length} requests: ${session.misses.slice(0, 5).join(', ')}`);
+      }
+    }
+  }
+
+  storeEntry(session, source, request, response, error = null) {
+    const key = this.buildKey(request.method, request.url, request.postData);
+    const contentType = response?.headers?.['content-type'] || '';
+
+    session.entries.set(key, {
+      key,
+      source,
+      startedDateTime: new Date().toISOString(),
+      request: {
+        method: (request.method || 'GET').toUpperCase(),
+        url: request.url,
+        postData: request.postData ? { text: request.postData } : undefined
+      },
+      response: response ? {
+        status: response.status,
+        statusText: response.statusText || '',
+        headers: response.headers,
+        content: { mimeType: contentType, ...this.encodeBody(response.body, contentType) }
+      } : null,
+      error: error ? { message: error.message, code: error.code || null } : undefined
+    });
+
+    this.stats.recorded++;
+  }
+
+  findEntry(session, method, url, postData) {
+    const entry = session.entries.get(this.buildKey(method, url, postData));
+
+    if (entry) {
+      session.hits++;
+      this.stats.replayed++;
+      return entry;
+    }
+
+    session.misses.push(`${(method || 'GET').toUpperCase()} ${url}`);
+    this.stats.missed++;
+    return null;
+  }
+
+  install() {
+    if (this.installed) return;
+    this.installed = true;
+
+    this.installAxios();
+    this.installPlaywright();
+  }
+
+  installAxios() {
+    axios.interceptors.request.use(requestConfig => {
+      const session = this.getActiveSession();
+      if (!session) return requestConfig;
+
+      requestConfig.fixtureSession = session;
+
+      if (session.mode === 'replay') {
+        requestConfig.adapter = (adapterConfig) => this.replayAxiosRequest(session, adapterConfig);
+      }
+
+      return requestConfig;
+    });
+
+    axios.interceptors.response.use(response => {
+      const session = response.config && response.config.fixtureSession;
+      if (session && session.mode === 'record') {
+        this.recordAxiosResponse(session, response.config, response);
+      }
+      return response;
+    }, error => {
+      const session = error.config && error.config.fixtureSession;
+      if (session && session.mode === 'record' && error.code !== 'FIXTURE_MISSING') {
+        this.recordAxiosResponse(session, error.config, error.response || null, error);
+      }
+      return Promise.reject(error);
+    });
+  }
+
+  getAxiosRequest(requestConfig) {
+    return {
+      method: requestConfig.method || 'get',
+      url: axios.getUri(requestConfig),
+      postData: this.serializePostData(requestConfig.data)
+    };
+  }
+
+  recordAxiosResponse(session, requestConfig, response, error = null) {
+    try {
+      this.storeEntry(session, 'axios', this.getAxiosRequest(requestConfig), response ? {
+        status: response.status,
+        statusText: response.statusText,
+        headers: this.normalizeHeaders(response.headers),
+        body: response.data
+      } : null, response ? null : error);
+    } catch (recordError) {
+      config.smartLog('fail', `Fixture recording failed for ${requestConfig.url}: ${recordError.message}`);
+    }
+  }
+
+  replayAxiosRequest(session, requestConfig) {
+    const request = this.getAxiosRequest(requestConfig);
+    const entry = this.findEntry(session, request.method, request.url, request.postData);
+
+    if (!entry) {
+      const missingError = new Error(`No fixture entry for ${request.method.toUpperCase()} ${request.url}`);
+      missingError.code = 'FIXTURE_MISSING';
+      missingError.config = requestConfig;
+      return Promise.reject(missingError);
+    }
+
+    if (!entry.response) {
+      const replayedError = new Error(entry.error?.message || 'Recorded network error');
+      replayedError.code = entry.error?.code || 'ECONNRESET';
+      replayedError.config = requestConfig;
+      return Promise.reject(replayedError);
+    }
+
+    const body = this.decodeBody(entry.response.content);
+    const response = {
+      data: ['arraybuffer', 'stream'].includes(requestConfig.responseType) ? body : body.toString('utf8'),
+      status: entry.response.status,
+      statusText: entry.response.statusText,
+      headers: entry.response.headers || {},
+      config: requestConfig,
+      request: { fixture: true }
+    };
+
+    const validateStatus = requestConfig.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) {
+      return Promise.resolve(response);
+    }
+
+    const statusError = new Error(`Request failed with status code ${response.status}`);
+    statusError.config = requestConfig;
+    statusError.response = response;
+    statusError.isAxiosError = true;
+    return Promise.reject(statusError);
+  }
+
+  installPlaywright() {
+    let chromium;
+    try {
+      ({ chromium } = require('playwright'));
+    } catch (error) {
+      config.smartLog('fail', `Playwright unavailable for fixture routing: ${error.message}`);
+      return;
+    }
+
+    const originalLaunch = chromium.launch.bind(chromium);
+    chromium.launch = async (...args) => this.instrumentBrowser(await originalLaunch(...args));
+  }
+
+  instrumentBrowser(browser) {
+    if (!browser || browser.fixtureInstrumented) return browser;
+    browser.fixtureInstrumented = true;
+
+    const originalNewContext = browser.newContext.bind(browser);
+    const originalNewPage = browser.newPage.bind(browser);
+
+    browser.newContext = async (...args) => {
+      const session = this.getActiveSession();
+      const context = await originalNewContext(...args);
+      if (session) await this.instrumentContext(context, session);
+      return context;
+    };
+
+    browser.newPage = async (...args) => {
+      const session = this.getActiveSession();
+      const page = await originalNewPage(...args);
+      if (session) {
+        await this.instrumentContext(page.context(), session);
+        this.wrapRouteMethod(page);
+      }
+      return page;
+    };
+
+    return browser;
+  }
+
+  async instrumentContext(context, session) {
+    if (context.fixtureSession) return;
+    context.fixtureSession = session;
+
+    await context.route('**/*', (route, request) => this.handleBrowserRoute(session, route, request));
+
+    this.wrapRouteMethod(context);
+
+    const originalNewPage = context.newPage.bind(context);
+    context.newPage = async (...args) => {
+      const page = await originalNewPage(...args);
+      this.wrapRouteMethod(page);
+      return page;
+    };
+  }
+
+  wrapRouteMethod(target) {
+    if (target.fixtureRouteWrapped) return;
+    target.fixtureRouteWrapped = true;
+
+    const originalRoute = target.route.bind(target);
+    target.route = (pattern, handler, options) => originalRoute(pattern, (route, request) => {
+      const passthrough = new Proxy(route, {
+        get: (routeTarget, property) => {
+          if (property === 'continue') {
+            return (overrides) => routeTarget.fallback(overrides);
+          }
+          const value = routeTarget[property];
+          return typeof value === 'function' ? value.bind(routeTarget) : value;
+        }
+      });
+      return handler(passthrough, request);
+    }, options);
+  }
+
+  async handleBrowserRoute(session, route, request) {
+    const url = request.url();
+
+    if (!/^https?:/i.test(url)) {
+      return route.continue();
+    }
+
+    if (STUB_RESOURCE_TYPES.includes(request.resourceType())) {
+      return session.mode === 'replay'
+        ? route.fulfill({ status: 200, body: '' })
+        : route.continue();
+    }
+
+    const recordedRequest = {
+      method: request.method(),
+      url,
+      postData: request.postData() || null
+    };
+
+    if (session.mode === 'replay') {
+      const entry = this.findEntry(session, recordedRequest.method, url, recordedRequest.postData);
+      if (!entry || !entry.response) {
+        return route.abort('failed');
+      }
+
+      return route.fulfill({
+        status: entry.response.status,
+        headers: entry.response.headers || {},
+        body: this.decodeBody(entry.response.content)
+      });
+    }
+
+    try {
+      const response = await route.fetch();
+      const body = await response.body();
+      const headers = this.normalizeHeaders(response.headers());
+
+      this.storeEntry(session, 'browser', recordedRequest, {
+        status: response.status(),
+        statusText: response.statusText(),
+        headers,
+        body
+      });
+
+      return route.fulfill({ status: response.status(), headers, body });
+    } catch (error) {
+      this.storeEntry(session, 'browser', recordedRequest, null, error);
+      return route.abort('failed').catch(() => null);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      mode: this.resolveMode(),
+      fixturesDir: this.fixturesDir,
+      activeSession: this.getActiveSession()?.domain || null
+    };
+  }
+}
+
+module.exports = new FixtureRecorder();
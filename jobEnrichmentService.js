@@ -0,0 +1,347 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('./scrapeHttpClient');
+const cheerio = require('cheerio');
+const config = require('../config');
+const crawlPolicy = require('./crawlPolicyService');
+const profileQueueManager = require('./ProfileQueueManager');
+const stepRegistry = require('./stepRegistry');
+const { canonicalizeJobUrl, normalizePostedAt } = require('./jobPostingNormalizer');
+const { parseSalaryText, salaryFromStructured } = require('./salaryParser');
+
+const REQUIREMENTS_HEADING = /(requirements|qualifications|what you('|’)ll need|what you bring|who you are|your profile|must have|skills|profil recherché|votre profil|exigences|compétences|requisitos|perfil|anforderungen|ihr profil|requisiti)/i;
+const DEADLINE_PATTERN = /(deadline|apply by|applications close|closing date|date limite|clôture des candidatures|fecha límite|bewerbungsfrist|scadenza)\s*:?\s*([^\n.;]{4,40})/i;
+const APPLY_TEXT = /(apply|postuler|candidater|bewerben|aplicar|inscríbete|candidati)/i;
+const DESCRIPTION_SELECTORS = [
+  '[itemprop="description"]',
+  '.job-description',
+  '#job-description',
+  '.posting-page .section-wrapper',
+  '#content .job',
+  '[data-automation-id="jobPostingDescription"]',
+  '.description',
+  'article',
+  'main'
+];
+
+class JobEnrichmentService {
+  constructor() {
+    this.cacheDir = path.join(__dirname, '../cache/job-details');
+    this.memoryCache = new Map();
+    this.MAX_MEMORY_ENTRIES = 2000;
+    this.CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+    this.DEFAULT_CONCURRENCY = 3;
+    this.DEFAULT_MAX_JOBS = 50;
+    this.REQUEST_TIMEOUT_MS = 10000;
+    this.MAX_DESCRIPTION_LENGTH = 20000;
+    this.stats = {
+      attempted: 0,
+      enriched: 0,
+      fromCache: 0,
+      failed: 0,
+      skippedBusyDomains: 0
+    };
+  }
+
+  isEnabled(options = {}) {
+    if (options.enrichJobDetails !== undefined) {
+      return options.enrichJobDetails === true;
+    }
+    return config.JOB_ENRICHMENT_ENABLED === true;
+  }
+
+  getCacheKey(jobUrl) {
+    const canonical = canonicalizeJobUrl(jobUrl) || jobUrl;
+    return crypto.createHash('sha1').update(canonical).digest('hex');
+  }
+
+  async getCachedDetails(jobUrl) {
+    const key = this.getCacheKey(jobUrl);
+    const cached = this.memoryCache.get(key);
+
+    if (cached && Date.now() - new Date(cached.enrichedAt).getTime() < this.CACHE_TTL_MS) {
+      return cached;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(path.join(this.cacheDir, `${key}.json`), 'utf8'));
+      if (Date.now() - new Date(data.enrichedAt).getTime() < this.CACHE_TTL_MS) {
+        this.rememberDetails(key, data);
+        return data;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        config.smartLog('fail', `Could not read job detail cache for ${jobUrl}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  rememberDetails(key, details) {
+    if (this.memoryCache.size >= this.MAX_MEMORY_ENTRIES) {
+      const oldestKey = this.memoryCache.keys().next().value;
+      this.memoryCache.delete(oldestKey);
+    }
+    this.memoryCache.set(key, details);
+  }
+
+  async saveDetails(jobUrl, details) {
+    const key = this.getCacheKey(jobUrl);
+    this.rememberDetails(key, details);
+
+    try {
+      await fs.mkdir(this.cacheDir, { recursive: true });
+      await fs.writeFile(path.join(this.cacheDir, `${key}.json`), JSON.stringify(details, null, 2));
+    } catch (error) {
+      config.smartLog('fail', `Could not write job detail cache for ${jobUrl}: ${error.message}`);
+    }
+  }
+
+  getHostname(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async enrichResult(url, result, options = {}) {
+    if (!result || !Array.isArray(result.jobs) || result.jobs.length === 0) {
+      return null;
+    }
+
+    const maxJobs = options.maxEnrichJobs || config.JOB_ENRICHMENT_MAX_JOBS || this.DEFAULT_MAX_JOBS;
+    const concurrency = options.enrichConcurrency || config.JOB_ENRICHMENT_CONCURRENCY || this.DEFAULT_CONCURRENCY;
+    const listingHost = this.getHostname(url);
+    const summary = { attempted: 0, enriched: 0, fromCache: 0, failed: 0, skippedDomains: [] };
+
+    const candidates = result.jobs
+      .filter(job => job.url && /^https?:/i.test(job.url) && canonicalizeJobUrl(job.url) !== canonicalizeJobUrl(url))
+      .slice(0, maxJobs);
+
+    const pending = [];
+
+    for (const job of candidates) {
+      const cached = await this.getCachedDetails(job.url);
+      if (cached) {
+        job.details = cached;
+        summary.fromCache++;
+        this.stats.fromCache++;
+      } else {
+        pending.push(job);
+      }
+    }
+
+    const jobsByHost = new Map();
+    for (const job of pending) {
+      const host = this.getHostname(job.url);
+      if (!host) continue;
+      if (!jobsByHost.has(host)) jobsByHost.set(host, []);
+      jobsByHost.get(host).push(job);
+    }
+
+    for (const [host, jobs] of jobsByHost) {
+      const heldScraperId = host === listingHost ? options.scraperId : null;
+
+      const outcome = await profileQueueManager.runWithDomainSlot(host, `job-enrichment_${host}`, async () => {
+        await this.runWithConcurrency(jobs, concurrency, async job => {
+          summary.attempted++;
+          this.stats.attempted++;
+
+          const details = await this.fetchJobDetails(job.url, options);
+          if (details) {
+            job.details = details;
+            summary.enriched++;
+            this.stats.enriched++;
+            await this.saveDetails(job.url, details);
+          } else {
+            summary.failed++;
+            this.stats.failed++;
+          }
+        });
+      }, heldScraperId);
+
+      if (!outcome.executed) {
+        summary.skippedDomains.push(host);
+        this.stats.skippedBusyDomains++;
+      }
+    }
+
+    config.smartLog('steps', `Job enrichment for ${url}: ${summary.enriched} enriched, ${summary.fromCache} cached, ${summary.failed} failed, ${summary.skippedDomains.length} busy domains`);
+
+    result.enrichment = {
+      ...summary,
+      enrichedAt: new Date().toISOString()
+    };
+
+    return result.enrichment;
+  }
+
+  async runWithConcurrency(items, limit, worker) {
+    let index = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (index < items.length) {
+        const item = items[index++];
+        try {
+          await worker(item);
+        } catch (error) {
+          config.smartLog('fail', `Enrichment worker error: ${error.message}`);
+        }
+      }
+    });
+
+    await Promise.all(runners);
+  }
+
+  async fetchJobDetails(jobUrl, options = {}) {
+    const policy = await crawlPolicy.canFetch(jobUrl, 'job-enrichment');
+    if (!policy.allowed) {
+      return null;
+    }
+
+    try {
+      const response = await axios.get(jobUrl, {
+        timeout: options.enrichTimeout || this.REQUEST_TIMEOUT_MS,
+        maxRedirects: 5,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.9,fr;q=0.8'
+        }
+      });
+
+      const html = typeof response.data === 'string' ? response.data : '';
+      if (!html) return null;
+
+      return this.extractJobDetails(html, jobUrl);
+    } catch (error) {
+      config.smartLog('retry', `Job detail fetch failed for ${jobUrl}: ${error.message}`);
+      return null;
+    }
+  }
+
+  extractJobDetails(html, jobUrl) {
+    const $ = cheerio.load(html);
+    const structured = this.extractStructuredPosting($);
+    const descriptionHtml = this.findDescriptionHtml($);
+    const $description = cheerio.load(descriptionHtml || '');
+    const descriptionText = structured?.description || this.cleanText($description.root().text());
+
+    const details = {
+      url: jobUrl,
+      description: (descriptionText || '').substring(0, this.MAX_DESCRIPTION_LENGTH),
+      requirements: this.extractRequirements($description.root().find('*').length > 0 ? $description : $),
+      salary: salaryFromStructured(structured?.baseSalary) || parseSalaryText(descriptionText || $('body').text()),
+      deadline: this.extractDeadline(structured, descriptionText || $('body').text()),
+      applyUrl: this.extractApplyUrl($, jobUrl),
+      source: structured ? 'json-ld' : 'html',
+      enrichedAt: new Date().toISOString()
+    };
+
+    if (!details.description && details.requirements.length === 0 && !details.applyUrl) {
+      return null;
+    }
+
+    return details;
+  }
+
+  extractStructuredPosting($) {
+    const structuredStep = stepRegistry.getStep('structured-data-lightweight');
+    if (!structuredStep || typeof structuredStep.extractJsonLdPostings !== 'function') {
+      return null;
+    }
+
+    try {
+      const postings = structuredStep.extractJsonLdPostings($);
+      return postings.length > 0 ? postings[0] : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  findDescriptionHtml($) {
+    for (const selector of DESCRIPTION_SELECTORS) {
+      const $element = $(selector).first();
+      if ($element.length > 0 && this.cleanText($element.text()).length > 200) {
+        $element.find('script, style, nav, header, footer, form').remove();
+        return $element.html();
+      }
+    }
+
+    const $body = $('body').clone();
+    $body.find('script, style, nav, header, footer, form').remove();
+    return $body.html();
+  }
+
+  extractRequirements($) {
+    const requirements = [];
+
+    $('h1, h2, h3, h4, h5, strong, b, p').each((i, el) => {
+      const $heading = $(el);
+      const headingText = this.cleanText($heading.text());
+
+      if (headingText.length > 80 || !REQUIREMENTS_HEADING.test(headingText)) return;
+
+      let $list = $heading.nextAll('ul, ol').first();
+      if ($list.length === 0) {
+        $list = $heading.parent().nextAll('ul, ol').first();
+      }
+
+      $list.find('li').each((j, li) => {
+        const item = this.cleanText($(li).text());
+        if (item && item.length < 500 && !requirements.includes(item)) {
+          requirements.push(item);
+        }
+      });
+
+      if (requirements.length > 0) return false;
+    });
+
+    return requirements.slice(0, 30);
+  }
+
+  extractDeadline(structured, text) {
+    if (structured && structured.validThrough) {
+      return normalizePostedAt(structured.validThrough);
+    }
+
+    const match = (text || '').match(DEADLINE_PATTERN);
+    return match ? normalizePostedAt(match[2].trim()) : null;
+  }
+
+  extractApplyUrl($, jobUrl) {
+    let applyUrl = null;
+
+    $('a[href]').each((i, el) => {
+      const $link = $(el);
+      const href = $link.attr('href');
+      const text = this.cleanText($link.text());
+
+      if (!href || href.startsWith('#') || href.startsWith('javascript:') || href.startsWith('mailto:')) return;
+
+      if ((text.length < 60 && APPLY_TEXT.test(text)) || /\/apply\b|[?&]apply/i.test(href)) {
+        try {
+          applyUrl = new URL(href, jobUrl).toString();
+          return false;
+        } catch (error) {}
+      }
+    });
+
+    return applyUrl;
+  }
+
+  cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      memoryCacheSize: this.memoryCache.size
+    };
+  }
+}
+
+module.exports = new JobEnrichmentService();
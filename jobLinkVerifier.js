@@ -0,0 +1,390 @@
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('./scrapeHttpClient');
+const config = require('../config');
+const dictionaries = require('../dictionaries');
+const crawlPolicy = require('./crawlPolicyService');
+const profileQueueManager = require('./ProfileQueueManager');
+const { canonicalizeJobUrl, isJobPostingLink } = require('./jobPostingNormalizer');
+
+const DEFAULT_CLOSED_PHRASES = [
+  'position has been filled',
+  'position is filled',
+  'this position is no longer available',
+  'this job is no longer available',
+  'this job has expired',
+  'job posting has expired',
+  'no longer accepting applications',
+  'this posting has been closed',
+  'job you are looking for is no longer',
+  "job you're looking for is no longer",
+  'poste a été pourvu',
+  "cette offre n'est plus disponible",
+  'offre expirée',
+  'diese stelle ist bereits besetzt',
+  'stellenanzeige ist nicht mehr verfügbar',
+  'esta oferta ya no está disponible',
+  'la posizione è stata chiusa',
+  'esta vaga não está mais disponível'
+];
+
+const CLOSED_STATUSES = [404, 410];
+const HEAD_FALLBACK_STATUSES = [400, 403, 405, 501];
+
+class JobLinkVerifier {
+  constructor() {
+    this.cacheDir = path.join(__dirname, '../cache');
+    this.intervalId = null;
+    this.running = false;
+    this.RUN_INTERVAL_MS = config.LINK_VERIFICATION_INTERVAL_MS || 6 * 60 * 60 * 1000;
+    this.RECHECK_AFTER_MS = config.LINK_VERIFICATION_RECHECK_MS || 12 * 60 * 60 * 1000;
+    this.MAX_PROBES_PER_RUN = config.LINK_VERIFICATION_MAX_PROBES || 500;
+    this.MAX_PROBES_PER_DOMAIN = config.LINK_VERIFICATION_MAX_PER_DOMAIN || 50;
+    this.CONCURRENCY = config.LINK_VERIFICATION_CONCURRENCY || 3;
+    this.REQUEST_TIMEOUT_MS = 10000;
+    this.MAX_BODY_BYTES = 512 * 1024;
+    this.stats = {
+      runs: 0,
+      probed: 0,
+      closed: 0,
+      failed: 0,
+      skippedBusyDomains: 0,
+      lastRunAt: null
+    };
+  }
+
+  isEnabled() {
+    return config.LINK_VERIFICATION_ENABLED === true;
+  }
+
+  start() {
+    if (!this.isEnabled() || this.intervalId) return;
+
+    this.intervalId = setInterval(() => {
+      this.runVerification().catch(error => {
+        config.smartLog('fail', `Link verification run failed: ${error.message}`);
+      });
+    }, this.RUN_INTERVAL_MS);
+
+    if (this.intervalId.unref) {
+      this.intervalId.unref();
+    }
+
+    config.smartLog('service', `Link verification scheduled every ${Math.round(this.RUN_INTERVAL_MS / 60000)} minutes`);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  getClosedPhrases() {
+    const fromDictionary = Array.isArray(dictionaries.closedPostingIndicators) ? dictionaries.closedPostingIndicators : [];
+    return [...new Set([...fromDictionary, ...DEFAULT_CLOSED_PHRASES].map(phrase => phrase.toLowerCase()))];
+  }
+
+  isValidCacheData(data) {
+    return data && data.url && Array.isArray(data.links) && data.scrapedAt;
+  }
+
+  async listCacheFiles() {
+    try {
+      const entries = await fs.readdir(this.cacheDir, { withFileTypes: true });
+      return entries
+        .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+        .map(entry => path.join(this.cacheDir, entry.name));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        config.smartLog('fail', `Could not list cache for link verification: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  collectCandidates(cacheData) {
+    const now = Date.now();
+    const candidates = new Map();
+
+    const consider = (item) => {
+      if (!item || !item.url || item.closed) return;
+      if (item.verifiedAt && now - new Date(item.verifiedAt).getTime() < this.RECHECK_AFTER_MS) return;
+
+      const key = canonicalizeJobUrl(item.url);
+      if (key && key !== canonicalizeJobUrl(cacheData.url) && !candidates.has(key)) {
+        candidates.set(key, item.url);
+      }
+    };
+
+    (cacheData.links || []).filter(isJobPostingLink).forEach(consider);
+    (cacheData.jobs || []).forEach(consider);
+
+    return Array.from(candidates.entries())
+      .slice(0, this.MAX_PROBES_PER_DOMAIN)
+      .map(([key, url]) => ({ key, url }));
+  }
+
+  isListingUrl(finalUrl, jobUrl, listingUrl) {
+    const finalKey = canonicalizeJobUrl(finalUrl);
+    if (!finalKey || finalKey === canonicalizeJobUrl(jobUrl)) return false;
+
+    try {
+      const finalObj = new URL(finalKey);
+      const listingObj = new URL(canonicalizeJobUrl(listingUrl));
+      const listingPath = listingObj.pathname.replace(/\/$/, '');
+      const finalPath = finalObj.pathname.replace(/\/$/, '');
+
+      if (finalKey === listingObj.toString()) return true;
+      if (finalObj.hostname === listingObj.hostname && finalPath === listingPath) return true;
+      return finalObj.hostname === new URL(jobUrl).hostname.replace(/^www\./, '') && (finalPath === '' || /\/(jobs|careers|positions|openings|offres|emplois|stellen)$/i.test(finalPath));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  findClosedPhrase(body) {
+    if (!body) return null;
+
+    const text = body
+      .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+      .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&#39;|&rsquo;|’/g, "'")
+      .replace(/\s+/g, ' ')
+      .toLowerCase();
+
+    return this.getClosedPhrases().find(phrase => text.includes(phrase)) || null;
+  }
+
+  getFinalUrl(response, fallbackUrl) {
+    return response?.request?.res?.responseUrl || fallbackUrl;
+  }
+
+  async request(method, url) {
+    return axios.request({
+      method,
+      url,
+      timeout: this.REQUEST_TIMEOUT_MS,
+      maxRedirects: 5,
+      maxContentLength: this.MAX_BODY_BYTES,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9,fr;q=0.8'
+      }
+    });
+  }
+
+  async probe(jobUrl, listingUrl) {
+    const policy = await crawlPolicy.canFetch(jobUrl, 'link-verifier');
+    if (!policy.allowed) {
+      return { status: 'skipped', reason: policy.reason };
+    }
+
+    let response = await this.request('head', jobUrl);
+
+    if (this.isListingUrl(this.getFinalUrl(response, jobUrl), jobUrl, listingUrl)) {
+      return { status: 'closed', reason: 'redirected_to_listing', httpStatus: response.status, finalUrl: this.getFinalUrl(response, jobUrl) };
+    }
+
+    if ((response.status >= 200 && response.status < 300) || HEAD_FALLBACK_STATUSES.includes(response.status) || CLOSED_STATUSES.includes(response.status)) {
+      response = await this.request('get', jobUrl);
+
+      if (CLOSED_STATUSES.includes(response.status)) {
+        return { status: 'closed', reason: `http_${response.status}`, httpStatus: response.status };
+      }
+
+      const finalUrl = this.getFinalUrl(response, jobUrl);
+      if (this.isListingUrl(finalUrl, jobUrl, listingUrl)) {
+        return { status: 'closed', reason: 'redirected_to_listing', httpStatus: response.status, finalUrl };
+      }
+
+      const phrase = response.status < 400 ? this.findClosedPhrase(typeof response.data === 'string' ? response.data : '') : null;
+      if (phrase) {
+        return { status: 'closed', reason: 'position_filled', httpStatus: response.status, evidence: phrase };
+      }
+    }
+
+    if (response.status >= 400) {
+      return { status: 'unknown', reason: `http_${response.status}`, httpStatus: response.status };
+    }
+
+    return { status: 'open', httpStatus: response.status };
+  }
+
+  async runWithConcurrency(items, limit, worker) {
+    let index = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (index < items.length) {
+        const item = items[index++];
+        try {
+          await worker(item);
+        } catch (error) {
+          config.smartLog('fail', `Link verification worker error: ${error.message}`);
+        }
+      }
+    });
+
+    await Promise.all(runners);
+  }
+
+  applyVerdicts(cacheData, verdicts) {
+    let closedCount = 0;
+    const verifiedAt = new Date().toISOString();
+
+    const update = (item) => {
+      if (!item || !item.url) return;
+      const verdict = verdicts.get(canonicalizeJobUrl(item.url));
+      if (!verdict || verdict.status === 'skipped') return;
+
+      item.verifiedAt = verifiedAt;
+      if (verdict.status === 'closed' && !item.closed) {
+        item.closed = true;
+        item.closedReason = verdict.reason;
+        item.closedAt = verifiedAt;
+        closedCount++;
+      }
+    };
+
+    (cacheData.links || []).forEach(update);
+    (cacheData.jobs || []).forEach(update);
+
+    return closedCount;
+  }
+
+  async saveCacheFile(cacheFile, cacheData, stats) {
+    const tempFile = `${cacheFile}.verify-${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(cacheData, null, 2));
+    await fs.utimes(tempFile, stats.atime, stats.mtime);
+    await fs.rename(tempFile, cacheFile);
+  }
+
+  async verifyCacheFile(cacheFile, budget) {
+    let stats;
+    let cacheData;
+    try {
+      stats = await fs.stat(cacheFile);
+      cacheData = JSON.parse(await fs.readFile(cacheFile, 'utf8'));
+    } catch (error) {
+      return { probed: 0, closed: 0 };
+    }
+
+    if (!this.isValidCacheData(cacheData)) {
+      return { probed: 0, closed: 0 };
+    }
+
+    const candidates = this.collectCandidates(cacheData).slice(0, budget);
+    if (candidates.length === 0) {
+      return { probed: 0, closed: 0 };
+    }
+
+    const verdicts = new Map();
+    const byHost = new Map();
+    for (const candidate of candidates) {
+      let host;
+      try {
+        host = new URL(candidate.url).hostname;
+      } catch (error) {
+        continue;
+      }
+      if (!byHost.has(host)) byHost.set(host, []);
+      byHost.get(host).push(candidate);
+    }
+
+    for (const [host, items] of byHost.entries()) {
+      const outcome = await profileQueueManager.runWithDomainSlot(host, `link-verifier_${host}`, async () => {
+        await this.runWithConcurrency(items, this.CONCURRENCY, async ({ key, url }) => {
+          try {
+            const verdict = await this.probe(url, cacheData.url);
+            verdicts.set(key, verdict);
+            this.stats.probed++;
+
+            if (verdict.status === 'closed') {
+              config.smartLog('cache', `Job link closed (${verdict.reason}): ${url}`);
+            }
+          } catch (error) {
+            this.stats.failed++;
+            config.smartLog('retry', `Link probe failed for ${url}: ${error.message}`);
+          }
+        });
+      });
+
+      if (!outcome.executed) {
+        this.stats.skippedBusyDomains++;
+      }
+    }
+
+    if (verdicts.size === 0) {
+      return { probed: 0, closed: 0 };
+    }
+
+    let currentStats;
+    try {
+      currentStats = await fs.stat(cacheFile);
+    } catch (error) {
+      return { probed: verdicts.size, closed: 0 };
+    }
+
+    if (currentStats.mtimeMs !== stats.mtimeMs) {
+      config.smartLog('cache', `Cache for ${cacheData.url} refreshed during verification, discarding ${verdicts.size} verdicts`);
+      return { probed: verdicts.size, closed: 0 };
+    }
+
+    const closed = this.applyVerdicts(cacheData, verdicts);
+    cacheData.linkVerification = {
+      verifiedAt: new Date().toISOString(),
+      probed: verdicts.size,
+      closed: (cacheData.links || []).filter(link => link.closed).length
+    };
+
+    await this.saveCacheFile(cacheFile, cacheData, currentStats);
+    this.stats.closed += closed;
+
+    return { probed: verdicts.size, closed };
+  }
+
+  async runVerification(options = {}) {
+    if (this.running) {
+      config.smartLog('cache', 'Link verification already running, skipping');
+      return null;
+    }
+
+    this.running = true;
+    const startTime = Date.now();
+    const summary = { files: 0, probed: 0, closed: 0 };
+    let budget = options.maxProbes || this.MAX_PROBES_PER_RUN;
+
+    try {
+      this.stats.runs++;
+      this.stats.lastRunAt = new Date().toISOString();
+
+      const files = options.cacheFiles || await this.listCacheFiles();
+
+      for (const cacheFile of files) {
+        if (budget <= 0) break;
+
+        const result = await this.verifyCacheFile(cacheFile, budget);
+        if (result.probed > 0) {
+          summary.files++;
+          summary.probed += result.probed;
+          summary.closed += result.closed;
+          budget -= result.probed;
+        }
+      }
+
+      config.smartLog('cache', `Link verification done in ${Date.now() - startTime}ms: ${summary.probed} links probed across ${summary.files} caches, ${summary.closed} closed`);
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  getStats() {
+    return { ...this.stats, running: this.running, scheduled: !!this.intervalId };
+  }
+}
+
+module.exports = new JobLinkVerifier();
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { normalizeSalary } = require('./salaryParser');
+const { resolveLocation } = require('./locationResolver');
+const { describeTitle } = require('./jobTitleNormalizer');
+
+const REMOTE_PATTERN = /\b(remote|fully remote|work from home|wfh|télétravail|teletravail|remoto|teletrabajo|home ?office|fernarbeit|telelavoro|anywhere)\b/i;
+const ONSITE_PATTERN = /\b(on-?site|in-?office|sur site|présentiel|presentiel|presencial|vor ort|in sede)\b/i;
+const HYBRID_PATTERN = /\b(hybrid|hybride|híbrido|hibrido|ibrido)\b/i;
+
+const EMPLOYMENT_TYPE_PATTERNS = [
+  { type: 'full-time', pattern: /full[\s_-]?time|permanent|cdi|temps plein|tiempo completo|vollzeit|tempo pieno|indefinido/i },
+  { type: 'part-time', pattern: /part[\s_-]?time|temps partiel|medio tiempo|tiempo parcial|teilzeit|part time|tempo parziale/i },
+  { type: 'internship', pattern: /intern(ship)?|stage|stagiaire|alternance|apprenti|prácticas|practicas|praktikum|tirocinio|werkstudent/i },
+  { type: 'contract', pattern: /contract|contractor|consultant|cdd|fixed[\s_-]?term|befristet|temporal|determinato/i },
+  { type: 'temporary', pattern: /temporary|temp\b|seasonal|intérim|interim|saisonnier/i },
+  { type: 'freelance', pattern: /freelance|freelancer|indépendant|independiente|selbstständig/i }
+];
+
+const TRACKING_PARAMS = /^(utm_[a-z]+|gh_src|gh_jid_src|source|src|ref|referrer|lever-source|lever-origin|trk|fbclid|gclid)$/i;
+
+const cleanValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') {
+    return cleanValue(value.label || value.name || value.text || value.value || '');
+  }
+  return String(value).replace(/\s+/g, ' ').trim();
+};
+
+const canonicalizeJobUrl = (url) => {
+  if (!url || typeof url !== 'string') return '';
+
+  try {
+    const urlObj = new URL(url);
+    urlObj.hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+
+    for (const key of Array.from(urlObj.searchParams.keys())) {
+      if (TRACKING_PARAMS.test(key)) {
+        urlObj.searchParams.delete(key);
+      }
+    }
+
+    if (urlObj.hash && !/^#job/i.test(urlObj.hash)) {
+      urlObj.hash = '';
+    }
+
+    let canonical = urlObj.toString();
+    if (canonical.endsWith('/') && urlObj.pathname !== '/') {
+      canonical = canonical.slice(0, -1);
+    }
+
+    return canonical;
+  } catch (error) {
+    return url.trim();
+  }
+};
+
+const generateJobId = (source, externalId, url, title) => {
+  const cleanExternalId = cleanValue(externalId);
+  if (cleanExternalId) {
+    return `${(source || 'unknown').toLowerCase()}:${cleanExternalId}`;
+  }
+
+  const identity = canonicalizeJobUrl(url) || cleanValue(title).toLowerCase();
+  return crypto.createHash('sha1').update(identity).digest('hex').substring(0, 16);
+};
+
+const normalizeEmploymentType = (value) => {
+  const cleaned = cleanValue(value);
+  if (!cleaned) return null;
+
+  const match = EMPLOYMENT_TYPE_PATTERNS.find(entry => entry.pattern.test(cleaned));
+  return match ? match.type : cleaned.toLowerCase();
+};
+
+const detectRemote = (explicitValue, ...fields) => {
+  if (typeof explicitValue === 'boolean') return explicitValue;
+
+  const combined = fields.map(cleanValue).filter(Boolean).join(' ');
+  if (!combined) return null;
+
+  if (REMOTE_PATTERN.test(combined)) return true;
+  if (HYBRID_PATTERN.test(combined) || ONSITE_PATTERN.test(combined)) return false;
+
+  return null;
+};
+
+const normalizePostedAt = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number') {
+    const date = new Date(value < 1e12 ? value * 1000 : value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const cleaned = cleanValue(value);
+  const lower = cleaned.toLowerCase();
+  const dayMs = 24 * 60 * 60 * 1000;
+
+  if (/\b(today|aujourd'hui|hoy|heute|oggi|just posted)\b/.test(lower)) {
+    return new Date().toISOString();
+  }
+
+  if (/\b(yesterday|hier|ayer|gestern|ieri)\b/.test(lower)) {
+    return new Date(Date.now() - dayMs).toISOString();
+  }
+
+  const relativeMatch = lower.match(/(\d+)\+?\s*(day|days|jour|jours|día|días|tag|tagen|giorni|giorno)/);
+  if (relativeMatch) {
+    return new Date(Date.now() - parseInt(relativeMatch[1], 10) * dayMs).toISOString();
+  }
+
+  const parsed = Date.parse(cleaned);
+  return isNaN(parsed) ? null : new Date(parsed).toISOString();
+};
+
+const createJobPosting = (fields = {}, source = null) => {
+  const title = cleanValue(fields.title || fields.text);
+  const url = fields.url || fields.href || '';
+  const platform = fields.source || source || null;
+  const location = cleanValue(fields.location);
+  const employmentRaw = fields.employmentType || fields.commitment || fields.jobType || fields.type || '';
+  const workType = cleanValue(fields.workType || fields.workplaceType);
+  const remote = detectRemote(fields.remote, workType, location, employmentRaw);
+
+  return {
+    id: generateJobId(platform, fields.id, url, title),
+    title,
+    ...describeTitle(title),
+    url,
+    location,
+    department: cleanValue(fields.department || fields.team),
+    employmentType: normalizeEmploymentType(employmentRaw),
+    remote,
+    workplace: resolveLocation([workType, location].filter(Boolean).join(' - '), { remote }).workplace,
+    postedAt: normalizePostedAt(fields.postedAt || fields.postedDate || fields.publishedDate || fields.datePosted),
+    salary: normalizeSalary(fields.salary || fields.compensation || fields.baseSalary || fields.pay_input_ranges || null),
+    source: platform
+  };
+};
+
+const isJobPostingLink = (link) => {
+  if (!link || !link.url) return false;
+  return link.isJobPosting === true || link.linkType === 'job_posting';
+};
+
+const jobsFromLinks = (links, source = null) => {
+  if (!Array.isArray(links)) return [];
+
+  const jobs = [];
+  const seenIds = new Set();
+
+  for (const link of links) {
+    if (!isJobPostingLink(link)) continue;
+
+    const job = createJobPosting({
+      ...link,
+      title: link.title || link.text,
+      employmentType: link.employmentType || link.commitment || link.jobType,
+      source: source || link.source || null
+    });
+
+    if (job.title && !seenIds.has(job.id)) {
+      seenIds.add(job.id);
+      jobs.push(job);
+    }
+  }
+
+  return jobs;
+};
+
+const attachJobPostings = (result, source = null) => {
+  if (!result || typeof result !== 'object') return result;
+
+  if (Array.isArray(result.jobs) && result.jobs.length > 0) {
+    return result;
+  }
+
+  result.jobs = jobsFromLinks(result.links, source || result.detectedPlatform || null);
+  result.jobsSource = 'links';
+  return result;
+};
+
+module.exports = {
+  createJobPosting,
+  jobsFromLinks,
+  attachJobPostings,
+  isJobPostingLink,
+  canonicalizeJobUrl,
+  normalizeEmploymentType,
+  normalizePostedAt
+};
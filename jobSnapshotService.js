@@ -0,0 +1,354 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+const { safeWriteJson } = require('../utils/atomicFS');
+const { attachJobPostings, canonicalizeJobUrl } = require('./jobPostingNormalizer');
+
+class JobSnapshotService {
+  constructor() {
+    this.historyDir = path.join(__dirname, '../cache/job-history');
+    this.historyCache = new Map();
+    this.writeQueues = new Map();
+    this.TRACKED_FIELDS = ['title', 'url', 'location', 'department', 'employmentType', 'remote'];
+    this.MAX_SNAPSHOTS = 30;
+    this.MAX_CLOSED_JOBS = 500;
+    this.MAX_CACHED_HISTORIES = 200;
+  }
+
+  getHistoryKey(url) {
+    try {
+      const urlObj = new URL(url);
+      const hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+      const pathname = urlObj.pathname.replace(/\/+$/, '');
+      return `${hostname}${pathname}`.replace(/[^a-z0-9.-]+/gi, '_').substring(0, 200);
+    } catch (error) {
+      return String(url || 'unknown').replace(/[^a-z0-9.-]+/gi, '_').substring(0, 200);
+    }
+  }
+
+  getHistoryFile(key) {
+    return path.join(this.historyDir, `${key}.json`);
+  }
+
+  createEmptyHistory(url) {
+    let domain = url;
+    try {
+      domain = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {}
+
+    return {
+      domain,
+      url,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      jobs: {},
+      snapshots: []
+    };
+  }
+
+  async loadHistory(url) {
+    const key = this.getHistoryKey(url);
+
+    if (this.historyCache.has(key)) {
+      return this.historyCache.get(key);
+    }
+
+    let history;
+    try {
+      const data = await fs.readFile(this.getHistoryFile(key), 'utf8');
+      history = JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        config.smartLog('fail', `Could not read job history for ${url}: ${error.message}`);
+      }
+      history = null;
+    }
+
+    if (history) {
+      this.cleanupOldestHistory();
+      this.historyCache.set(key, history);
+    }
+
+    return history;
+  }
+
+  async saveHistory(key, history) {
+    await fs.mkdir(this.historyDir, { recursive: true });
+    await safeWriteJson(this.getHistoryFile(key), history);
+    this.cleanupOldestHistory();
+    this.historyCache.set(key, history);
+  }
+
+  cleanupOldestHistory() {
+    if (this.historyCache.size >= this.MAX_CACHED_HISTORIES) {
+      const oldestKey = this.historyCache.keys().next().value;
+      this.historyCache.delete(oldestKey);
+    }
+  }
+
+  withDomainLock(key, task) {
+    const previous = this.writeQueues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    const tracked = next.finally(() => {
+      if (this.writeQueues.get(key) === tracked) {
+        this.writeQueues.delete(key);
+      }
+    });
+
+    this.writeQueues.set(key, tracked);
+    return next;
+  }
+
+  pickTrackedFields(job) {
+    const fields = {};
+    for (const field of this.TRACKED_FIELDS) {
+      fields[field] = job[field] === undefined ? null : job[field];
+    }
+    return fields;
+  }
+
+  compareJob(previous, current) {
+    const changes = {};
+
+    for (const field of this.TRACKED_FIELDS) {
+      const before = previous[field] === undefined ? null : previous[field];
+      const after = current[field] === undefined ? null : current[field];
+      const comparableBefore = field === 'url' ? canonicalizeJobUrl(before) : before;
+      const comparableAfter = field === 'url' ? canonicalizeJobUrl(after) : after;
+
+      if (comparableBefore !== comparableAfter) {
+        changes[field] = { from: before, to: after };
+      }
+    }
+
+    return changes;
+  }
+
+  async recordSnapshot(url, pageData, takenAt = new Date()) {
+    const key = this.getHistoryKey(url);
+    const takenAtIso = new Date(takenAt).toISOString();
+
+    return this.withDomainLock(key, async () => {
+      attachJobPostings(pageData);
+      const currentJobs = (pageData && Array.isArray(pageData.jobs)) ? pageData.jobs.filter(job => job && job.id) : [];
+      const history = await this.loadHistory(url) || this.createEmptyHistory(url);
+      const previousSnapshot = history.snapshots[history.snapshots.length - 1] || null;
+      const openJobIds = Object.keys(history.jobs).filter(id => history.jobs[id].status === 'open');
+
+      const diff = {
+        domain: history.domain,
+        url,
+        takenAt: takenAtIso,
+        previousSnapshotAt: previousSnapshot ? previousSnapshot.takenAt : null,
+        isBaseline: !previousSnapshot,
+        new: [],
+        closed: [],
+        changed: [],
+        unchangedCount: 0,
+        skipped: null
+      };
+
+      if (currentJobs.length === 0 && openJobIds.length > 0) {
+        diff.skipped = 'empty_result';
+        config.smartLog('cache', `Job snapshot skipped for ${history.domain}: empty result would close ${openJobIds.length} jobs`);
+        return diff;
+      }
+
+      const seenIds = new Set();
+
+      for (const job of currentJobs) {
+        if (seenIds.has(job.id)) continue;
+        seenIds.add(job.id);
+
+        const fields = this.pickTrackedFields(job);
+        const existing = history.jobs[job.id];
+
+        if (!existing) {
+          history.jobs[job.id] = {
+            id: job.id,
+            ...fields,
+            postedAt: job.postedAt || null,
+            source: job.source || null,
+            status: 'open',
+            firstSeen: takenAtIso,
+            lastSeen: takenAtIso,
+            lastChangedAt: null,
+            closedAt: null
+          };
+          if (previousSnapshot) {
+            diff.new.push({ ...history.jobs[job.id] });
+          }
+          continue;
+        }
+
+        const changes = this.compareJob(existing, fields);
+        const reopened = existing.status === 'closed';
+
+        Object.assign(existing, fields);
+        existing.lastSeen = takenAtIso;
+        existing.postedAt = job.postedAt || existing.postedAt || null;
+
+        if (reopened) {
+          existing.status = 'open';
+          existing.closedAt = null;
+          existing.reopenedAt = takenAtIso;
+          diff.new.push({ ...existing, reopened: true });
+        } else if (Object.keys(changes).length > 0) {
+          existing.lastChangedAt = takenAtIso;
+          diff.changed.push({ ...existing, changes });
+        } else {
+          diff.unchangedCount++;
+        }
+      }
+
+      for (const id of openJobIds) {
+        if (seenIds.has(id)) continue;
+        const job = history.jobs[id];
+        job.status = 'closed';
+        job.closedAt = takenAtIso;
+        diff.closed.push({ ...job });
+      }
+
+      history.snapshots.push({
+        takenAt: takenAtIso,
+        jobCount: seenIds.size,
+        newIds: diff.new.map(job => job.id),
+        closedIds: diff.closed.map(job => job.id),
+        changedIds: diff.changed.map(job => job.id)
+      });
+
+      if (history.snapshots.length > this.MAX_SNAPSHOTS) {
+        history.snapshots = history.snapshots.slice(-this.MAX_SNAPSHOTS);
+      }
+
+      this.pruneClosedJobs(history);
+      history.updatedAt = takenAtIso;
+
+      await this.saveHistory(key, history);
+
+      config.smartLog('cache', `Job snapshot for ${history.domain}: ${seenIds.size} open, ${diff.new.length} new, ${diff.closed.length} closed, ${diff.changed.length} changed`);
+
+      return diff;
+    });
+  }
+
+  pruneClosedJobs(history) {
+    const closedJobs = Object.values(history.jobs)
+      .filter(job => job.status === 'closed')
+      .sort((a, b) => (b.closedAt || '').localeCompare(a.closedAt || ''));
+
+    for (const job of closedJobs.slice(this.MAX_CLOSED_JOBS)) {
+      delete history.jobs[job.id];
+    }
+  }
+
+  parseSince(since) {
+    if (since === null || since === undefined || since === '') return null;
+    const timestamp = since instanceof Date ? since.getTime() : new Date(since).getTime();
+    return isNaN(timestamp) ? null : timestamp;
+  }
+
+  async getDiff(url, options = {}) {
+    const history = await this.loadHistory(url);
+    const since = this.parseSince(options.since);
+
+    if (!history) {
+      return { domain: null, url, since: options.since || null, new: [], closed: [], changed: [], open: 0, hasHistory: false };
+    }
+
+    const jobs = Object.values(history.jobs);
+    const lastSnapshot = history.snapshots[history.snapshots.length - 1] || null;
+
+    if (since === null) {
+      const pick = (ids) => (ids || []).filter(id => history.jobs[id]).map(id => ({ ...history.jobs[id] }));
+
+      return {
+        domain: history.domain,
+        url: history.url,
+        since: lastSnapshot ? lastSnapshot.takenAt : null,
+        lastSnapshotAt: history.updatedAt,
+        hasHistory: true,
+        new: pick(lastSnapshot && lastSnapshot.newIds),
+        closed: pick(lastSnapshot && lastSnapshot.closedIds),
+        changed: pick(lastSnapshot && lastSnapshot.changedIds),
+        open: jobs.filter(job => job.status === 'open').length
+      };
+    }
+
+    const isAfter = (value) => !!value && new Date(value).getTime() >= since;
+
+    return {
+      domain: history.domain,
+      url: history.url,
+      since: new Date(since).toISOString(),
+      lastSnapshotAt: history.updatedAt,
+      hasHistory: true,
+      new: jobs.filter(job => job.status === 'open' && isAfter(job.reopenedAt || job.firstSeen)),
+      closed: jobs.filter(job => job.status === 'closed' && isAfter(job.closedAt)),
+      changed: jobs.filter(job => job.status === 'open' && isAfter(job.lastChangedAt)),
+      open: jobs.filter(job => job.status === 'open').length
+    };
+  }
+
+  async getJobHistory(url, jobId) {
+    const history = await this.loadHistory(url);
+    return history && history.jobs[jobId] ? { ...history.jobs[jobId] } : null;
+  }
+
+  async getSnapshots(url) {
+    const history = await this.loadHistory(url);
+    return history ? history.snapshots.slice() : [];
+  }
+
+  async getFirstSeenIndex(url) {
+    const history = await this.loadHistory(url);
+    const byId = new Map();
+    const byUrl = new Map();
+
+    if (history) {
+      for (const job of Object.values(history.jobs)) {
+        const firstSeen = job.reopenedAt || job.firstSeen;
+        byId.set(job.id, firstSeen);
+        const canonicalUrl = canonicalizeJobUrl(job.url);
+        if (canonicalUrl) {
+          byUrl.set(canonicalUrl, firstSeen);
+        }
+      }
+    }
+
+    return { hasHistory: !!history, byId, byUrl };
+  }
+
+  async filterMatchesNewSince(url, matches, since) {
+    const sinceTimestamp = this.parseSince(since);
+    if (sinceTimestamp === null || !matches) return matches;
+
+    const index = await this.getFirstSeenIndex(url);
+    if (!index.hasHistory) {
+      config.smartLog('cache', `No job history for ${url}, new-since filter not applied`);
+      return { ...matches, newSince: new Date(sinceTimestamp).toISOString(), newSinceApplied: false };
+    }
+
+    const isNew = (id, jobUrl) => {
+      const firstSeen = (id && index.byId.get(id)) || index.byUrl.get(canonicalizeJobUrl(jobUrl));
+      return !firstSeen || new Date(firstSeen).getTime() >= sinceTimestamp;
+    };
+
+    const links = (matches.links || []).filter(link => isNew(link.jobId, link.url));
+    const jobs = (matches.jobs || []).filter(job => isNew(job.id, job.url));
+    const remainingTitles = new Set(links.map(link => link.matchedJobTitle).filter(Boolean));
+
+    return {
+      ...matches,
+      links,
+      jobs,
+      jobTitles: remainingTitles.size > 0
+        ? (matches.jobTitles || []).filter(title => remainingTitles.has(title))
+        : (links.length > 0 ? matches.jobTitles : []),
+      newSince: new Date(sinceTimestamp).toISOString(),
+      newSinceApplied: true
+    };
+  }
+}
+
+module.exports = new JobSnapshotService();
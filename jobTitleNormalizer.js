@@ -0,0 +1,337 @@
+const config = require('../config');
+const dictionaries = require('../dictionaries');
+const { SENIORITY_LEVELS, FUNCTIONS, OCCUPATIONS } = require('./jobTitleTaxonomy');
+
+const WORD_CHARS = '\\p{L}\\p{N}';
+const GENDER_MARKER_PATTERN = /\(?(?<![\p{L}])(?:[mwfhxd]\s*\/\s*[mwfhxd](?:\s*\/\s*[mwfhxd])?|all genders|tous genres|alle geschlechter)(?![\p{L}])\s*\)?/giu;
+const ROMAN_LEVEL_PATTERN = /(?<![\p{L}])(iii|ii|iv|v|i)\s*(?=$|[-–,(|/])/u;
+const ROMAN_LEVELS = { i: 'junior', ii: 'mid', iii: 'senior', iv: 'staff', v: 'principal' };
+const STOPWORDS = new Set(['and', 'or', 'the', 'of', 'for', 'in', 'at', 'with', 'to', 'a', 'an', 'de', 'des', 'du', 'la', 'le', 'les', 'et', 'en', 'für', 'und', 'der', 'die', 'das', 'im', 'y', 'del', 'el', 'e', 'di', 'da', 'do', 'dos', 'van', 'het', 'een']);
+const AMBIGUOUS_TEXT_ALIASES = new Set(['dev', 'kam', 'mle', 'pmm', 'sde', 'cto', 'commercial', 'tester']);
+
+const SENIORITY_FACTORS = [1, 0.75, 0.45, 0.25];
+const MISSING_POSTING_SENIORITY_FACTOR = 0.85;
+const MISSING_QUERY_SENIORITY_FACTOR = 0.9;
+const QUALIFIER_FLOOR = 0.4;
+const TEXT_CONTEXT_CHARS = 40;
+const CONTEXT_BOUNDARY_PATTERN = /[.;:!?|•\n]|\s(?:to|and|et|und|y|e|en)\s/u;
+const MAX_CACHED_TITLES = 5000;
+
+const titleCache = new Map();
+const textPatternCache = new Map();
+let index = null;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildTermPattern = (terms, flags = 'giu') => new RegExp(
+  `(?<![${WORD_CHARS}])(${[...terms].sort((a, b) => b.length - a.length).map(escapeRegex).join('|')})(?![${WORD_CHARS}])`,
+  flags
+);
+
+const cleanText = (value) => (value === null || value === undefined ? '' : String(value)).replace(/\s+/g, ' ').trim();
+
+const normalizeText = (value) => cleanText(value).normalize('NFC').toLowerCase().replace(/[’`]/g, "'");
+
+const slugify = (value) => normalizeText(value).replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+
+const stem = (token) => (token.length > 4 ? token.replace(/(?:s|es)$/, '') : token);
+
+const readDictionaryMappings = () => {
+  const mappings = [];
+
+  if (dictionaries.jobTitleSynonyms && typeof dictionaries.jobTitleSynonyms === 'object') {
+    mappings.push(dictionaries.jobTitleSynonyms);
+  }
+
+  if (typeof dictionaries.getJobTitleMappings === 'function') {
+    try {
+      const fromDictionary = dictionaries.getJobTitleMappings();
+      if (fromDictionary && typeof fromDictionary === 'object') mappings.push(fromDictionary);
+    } catch (error) {
+      config.smartLog('fail', `Could not load job title mappings from dictionaries: ${error.message}`);
+    }
+  }
+
+  return mappings;
+};
+
+const detectFunction = (lower, functionPattern, functionTerms) => {
+  const match = lower.match(functionPattern);
+  return match ? functionTerms.get(match[1]) : null;
+};
+
+const buildIndex = () => {
+  const occupations = new Map();
+  const aliases = new Map();
+  const seniorityTerms = new Map();
+  const functionTerms = new Map();
+
+  for (const [name, terms] of Object.entries(FUNCTIONS)) {
+    terms.forEach(term => functionTerms.set(normalizeText(term), name));
+  }
+  const functionPattern = buildTermPattern(functionTerms.keys(), 'iu');
+
+  const addAlias = (alias, occupation) => {
+    const key = normalizeText(alias);
+    if (!key) return;
+    if (!aliases.has(key)) aliases.set(key, occupation);
+    if (!occupation.synonyms.includes(key)) occupation.synonyms.push(key);
+  };
+
+  for (const entry of OCCUPATIONS) {
+    const occupation = {
+      id: entry.id,
+      name: entry.name,
+      function: entry.function,
+      broader: entry.broader || null,
+      related: entry.related || [],
+      synonyms: []
+    };
+    occupations.set(occupation.id, occupation);
+    addAlias(entry.name, occupation);
+    entry.synonyms.forEach(synonym => addAlias(synonym, occupation));
+  }
+
+  for (const mapping of readDictionaryMappings()) {
+    for (const [key, variants] of Object.entries(mapping)) {
+      if (!Array.isArray(variants)) continue;
+
+      const normalizedKey = normalizeText(key);
+      let occupation = occupations.get(key) || aliases.get(normalizedKey);
+
+      if (!occupation) {
+        occupation = {
+          id: slugify(key),
+          name: cleanText(key),
+          function: detectFunction(normalizedKey, functionPattern, functionTerms),
+          broader: null,
+          related: [],
+          synonyms: []
+        };
+        occupations.set(occupation.id, occupation);
+        addAlias(key, occupation);
+      }
+
+      variants.filter(variant => typeof variant === 'string').forEach(variant => addAlias(variant, occupation));
+    }
+  }
+
+  const extraSeniority = dictionaries.seniorityTerms && typeof dictionaries.seniorityTerms === 'object' ? dictionaries.seniorityTerms : {};
+  for (const level of SENIORITY_LEVELS) {
+    const terms = [...level.terms, ...(Array.isArray(extraSeniority[level.level]) ? extraSeniority[level.level] : [])];
+    terms.forEach(term => {
+      const key = normalizeText(term);
+      if (key && !seniorityTerms.has(key)) seniorityTerms.set(key, level);
+    });
+  }
+
+  return {
+    occupations,
+    aliases,
+    seniorityTerms,
+    functionTerms,
+    occupationPattern: buildTermPattern(aliases.keys()),
+    seniorityPattern: buildTermPattern(seniorityTerms.keys()),
+    functionPattern,
+    levelsByName: new Map(SENIORITY_LEVELS.map(level => [level.level, level]))
+  };
+};
+
+const getIndex = () => {
+  if (!index) {
+    index = buildIndex();
+  }
+  return index;
+};
+
+const tokenize = (lower, seniorityTerms) => lower
+  .split(/[^\p{L}\p{N}+#]+/u)
+  .filter(token => token && !STOPWORDS.has(token) && !seniorityTerms.has(token) && !ROMAN_LEVELS[token])
+  .map(stem);
+
+const normalizeTitle = (title) => {
+  if (title && typeof title === 'object' && 'tokens' in title) return title;
+
+  const raw = cleanText(title);
+  if (titleCache.has(raw)) return titleCache.get(raw);
+
+  const { aliases, seniorityTerms, functionTerms, occupationPattern, seniorityPattern, functionPattern, levelsByName } = getIndex();
+  const lower = normalizeText(raw.replace(GENDER_MARKER_PATTERN, ' '));
+
+  let bestAlias = null;
+  for (const match of lower.matchAll(occupationPattern)) {
+    if (!bestAlias || match[1].length > bestAlias.length) bestAlias = match[1];
+  }
+  const occupation = bestAlias ? aliases.get(bestAlias) : null;
+  const tokens = [...new Set(tokenize(lower, seniorityTerms))];
+  const aliasTokens = bestAlias ? tokenize(bestAlias, seniorityTerms) : [];
+
+  let seniority = null;
+  for (const match of lower.matchAll(seniorityPattern)) {
+    const level = seniorityTerms.get(match[1]);
+    if (!seniority || level.rank > seniority.rank) seniority = level;
+  }
+
+  const romanMatch = lower.match(ROMAN_LEVEL_PATTERN);
+  if (!seniority && romanMatch && (occupation || lower.split(/\s+/).length > 1)) {
+    seniority = levelsByName.get(ROMAN_LEVELS[romanMatch[1]]);
+  }
+
+  const normalized = {
+    raw,
+    normalized: lower,
+    occupation: occupation ? { id: occupation.id, name: occupation.name } : null,
+    seniority: seniority ? { level: seniority.level, rank: seniority.rank } : null,
+    function: occupation ? occupation.function : detectFunction(lower, functionPattern, functionTerms),
+    tokens,
+    qualifiers: tokens.filter(token => !aliasTokens.includes(token))
+  };
+
+  if (titleCache.size >= MAX_CACHED_TITLES) {
+    titleCache.delete(titleCache.keys().next().value);
+  }
+  titleCache.set(raw, normalized);
+
+  return normalized;
+};
+
+const isNarrowerThan = (id, ancestorId) => {
+  const { occupations } = getIndex();
+  let current = occupations.get(id);
+
+  for (let depth = 0; current && current.broader && depth < 5; depth++) {
+    if (current.broader === ancestorId) return true;
+    current = occupations.get(current.broader);
+  }
+
+  return false;
+};
+
+const getRelation = (queryId, postingId) => {
+  if (queryId === postingId) return { score: 1, matchType: 'synonym' };
+  if (isNarrowerThan(postingId, queryId)) return { score: 0.85, matchType: 'narrower' };
+  if (isNarrowerThan(queryId, postingId)) return { score: 0.65, matchType: 'broader' };
+
+  const { occupations } = getIndex();
+  const query = occupations.get(queryId);
+  const posting = occupations.get(postingId);
+  if (!query || !posting) return null;
+
+  if (query.related.includes(postingId) || posting.related.includes(queryId)) {
+    return { score: 0.55, matchType: 'related' };
+  }
+  if (query.broader && query.broader === posting.broader) {
+    return { score: 0.45, matchType: 'sibling' };
+  }
+
+  return null;
+};
+
+const getSeniorityFactor = (query, posting) => {
+  if (query.seniority && posting.seniority) {
+    const distance = Math.abs(query.seniority.rank - posting.seniority.rank);
+    return SENIORITY_FACTORS[Math.min(distance, SENIORITY_FACTORS.length - 1)];
+  }
+  if (query.seniority) return MISSING_POSTING_SENIORITY_FACTOR;
+  if (posting.seniority) return MISSING_QUERY_SENIORITY_FACTOR;
+  return 1;
+};
+
+const getQualifierCoverage = (query, tokens) => {
+  if (query.qualifiers.length === 0) return 1;
+  return query.qualifiers.filter(token => tokens.includes(token)).length / query.qualifiers.length;
+};
+
+const scoreTitleMatch = (queryTitle, postingTitle, contextTokens = null) => {
+  const query = normalizeTitle(queryTitle);
+  const posting = normalizeTitle(postingTitle);
+
+  if (!query.normalized || !posting.normalized) {
+    return { score: 0, matchType: null, seniorityMismatch: false };
+  }
+
+  let best = { score: 0, matchType: null };
+
+  if (posting.normalized.includes(query.normalized)) {
+    best = { score: 1, matchType: 'exact' };
+  } else {
+    if (query.occupation && posting.occupation) {
+      const relation = getRelation(query.occupation.id, posting.occupation.id);
+      if (relation) {
+        const coverage = getQualifierCoverage(query, contextTokens || posting.tokens);
+        best = { ...relation, score: Math.min(relation.score, QUALIFIER_FLOOR + (1 - QUALIFIER_FLOOR) * coverage) };
+      }
+    }
+
+    if (query.tokens.length > 0) {
+      const covered = query.tokens.filter(token => posting.tokens.includes(token)).length;
+      const lexicalScore = 0.8 * covered / query.tokens.length;
+      if (lexicalScore > best.score) {
+        best = { score: lexicalScore, matchType: covered === query.tokens.length ? 'lexical' : 'partial' };
+      }
+    }
+  }
+
+  const seniorityMismatch = !!(query.seniority && posting.seniority && Math.abs(query.seniority.rank - posting.seniority.rank) >= 2);
+
+  return {
+    score: Math.round(best.score * getSeniorityFactor(query, posting) * 100) / 100,
+    matchType: best.matchType,
+    seniorityMismatch,
+    occupation: posting.occupation ? posting.occupation.id : null,
+    seniority: posting.seniority ? posting.seniority.level : null
+  };
+};
+
+const getTextPattern = (occupationId) => {
+  if (textPatternCache.has(occupationId)) return textPatternCache.get(occupationId);
+
+  const { occupations } = getIndex();
+  const terms = [...occupations.values()]
+    .filter(occupation => occupation.id === occupationId || isNarrowerThan(occupation.id, occupationId))
+    .flatMap(occupation => occupation.synonyms)
+    .filter(alias => alias.length > 2 && !AMBIGUOUS_TEXT_ALIASES.has(alias));
+
+  const pattern = terms.length > 0 ? buildTermPattern(terms) : null;
+  textPatternCache.set(occupationId, pattern);
+  return pattern;
+};
+
+const findTitleInText = (text, queryTitle) => {
+  const query = normalizeTitle(queryTitle);
+  if (!query.occupation || !text) return null;
+
+  const pattern = getTextPattern(query.occupation.id);
+  if (!pattern) return null;
+
+  const { seniorityTerms } = getIndex();
+  const lower = normalizeText(text);
+  let best = null;
+
+  for (const match of lower.matchAll(pattern)) {
+    const before = lower.substring(Math.max(0, match.index - TEXT_CONTEXT_CHARS), match.index).split(CONTEXT_BOUNDARY_PATTERN).pop();
+    const after = lower.substring(match.index + match[0].length, match.index + match[0].length + TEXT_CONTEXT_CHARS).split(CONTEXT_BOUNDARY_PATTERN)[0];
+    const context = `${before}${match[0]}${after}`;
+    const candidate = { alias: match[1], ...scoreTitleMatch(query, match[1], tokenize(context, seniorityTerms)) };
+    if (!best || candidate.score > best.score) best = candidate;
+    if (best.score === 1) break;
+  }
+
+  return best;
+};
+
+const describeTitle = (title) => {
+  const normalized = normalizeTitle(title);
+  return {
+    occupation: normalized.occupation ? normalized.occupation.id : null,
+    seniority: normalized.seniority ? normalized.seniority.level : null,
+    jobFunction: normalized.function || null
+  };
+};
+
+module.exports = {
+  normalizeTitle,
+  scoreTitleMatch,
+  findTitleInText,
+  describeTitle
+};
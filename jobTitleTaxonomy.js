@@ -0,0 +1,81 @@
+const SENIORITY_LEVELS = [
+  { level: 'intern', rank: 0, terms: ['intern', 'internship', 'stagiaire', 'stage', 'praktikant', 'praktikantin', 'praktikum', 'werkstudent', 'becario', 'prácticas', 'practicas', 'tirocinante', 'tirocinio', 'estagiário', 'estagiario', 'estágio', 'stagiair', 'alternance', 'alternant', 'apprenti', 'apprentice', 'trainee'] },
+  { level: 'junior', rank: 1, terms: ['junior', 'jr', 'jr.', 'entry level', 'entry-level', 'graduate', 'new grad', 'débutant', 'debutant', 'einsteiger', 'berufseinsteiger', 'júnior'] },
+  { level: 'mid', rank: 2, terms: ['mid', 'mid-level', 'mid level', 'intermediate', 'confirmé', 'confirme', 'medior', 'semi-senior', 'semi senior', 'pleno'] },
+  { level: 'senior', rank: 3, terms: ['senior', 'sr', 'sr.', 'sénior', 'expérimenté', 'experimente'] },
+  { level: 'lead', rank: 4, terms: ['lead', 'tech lead', 'team lead', 'leader', 'teamleiter', 'teamleitung', 'líder', 'responsabile'] },
+  { level: 'staff', rank: 4, terms: ['staff'] },
+  { level: 'principal', rank: 5, terms: ['principal', 'distinguished', 'fellow'] },
+  { level: 'director', rank: 6, terms: ['head of', 'director', 'directeur', 'directrice', 'direktor', 'direktorin', 'director de', 'direttore', 'diretor', 'directeur de', 'leiter', 'leiterin'] },
+  { level: 'vp', rank: 7, terms: ['vp', 'vice president', 'vice-president', 'vice-président', 'svp', 'evp'] },
+  { level: 'executive', rank: 8, terms: ['chief', 'cto', 'ceo', 'cfo', 'coo', 'cmo', 'cpo', 'ciso', 'c-level', 'founder', 'co-founder', 'cofounder'] }
+];
+
+const FUNCTIONS = {
+  engineering: ['engineer', 'engineering', 'developer', 'development', 'ingénieur', 'ingenieur', 'ingeniero', 'ingegnere', 'engenheiro', 'développeur', 'entwickler', 'desarrollador', 'sviluppatore', 'desenvolvedor', 'ontwikkelaar', 'programmer', 'architect', 'devops', 'software'],
+  data: ['data', 'analytics', 'données', 'daten', 'datos', 'dati', 'dados', 'machine learning', 'statistician'],
+  product: ['product', 'produit', 'produkt', 'producto', 'prodotto', 'produto'],
+  design: ['design', 'designer', 'ux', 'ui', 'graphiste', 'diseñador', 'diseño', 'gestalter'],
+  sales: ['sales', 'vente', 'ventes', 'commercial', 'vertrieb', 'ventas', 'vendite', 'vendas', 'verkoop', 'account'],
+  marketing: ['marketing', 'growth', 'brand', 'seo', 'content', 'communication', 'kommunikation', 'comunicación'],
+  operations: ['operations', 'opérations', 'betrieb', 'operaciones', 'logistics', 'logistique', 'supply chain'],
+  finance: ['finance', 'financial', 'financier', 'finanzen', 'finanzas', 'accounting', 'comptabilité', 'buchhaltung', 'contabilidad'],
+  people: ['hr', 'human resources', 'people', 'talent', 'recruiting', 'rh', 'ressources humaines', 'personal', 'recursos humanos', 'risorse umane'],
+  support: ['support', 'customer service', 'service client', 'kundenservice', 'atención al cliente', 'helpdesk', 'help desk'],
+  legal: ['legal', 'juridique', 'recht', 'jurídico', 'legale', 'compliance']
+};
+
+const OCCUPATIONS = [
+  { id: 'software-engineer', name: 'Software Engineer', function: 'engineering', synonyms: ['software engineer', 'software developer', 'software development engineer', 'swe', 'sde', 'developer', 'programmer', 'dev', 'software programmer', 'application developer', 'ingénieur logiciel', 'ingenieur logiciel', 'développeur', 'developpeur', 'développeur logiciel', 'ingénieur développement', 'ingénieur d\'études et développement', 'softwareentwickler', 'software-entwickler', 'softwareingenieur', 'entwickler', 'ingeniero de software', 'desarrollador', 'desarrollador de software', 'programador', 'ingegnere del software', 'ingegnere software', 'sviluppatore', 'sviluppatore software', 'engenheiro de software', 'desenvolvedor', 'desenvolvedor de software', 'software ontwikkelaar', 'softwareontwikkelaar', 'ontwikkelaar'] },
+  { id: 'backend-engineer', name: 'Backend Engineer', function: 'engineering', broader: 'software-engineer', synonyms: ['backend engineer', 'back-end engineer', 'back end engineer', 'backend developer', 'back-end developer', 'back end developer', 'server-side developer', 'développeur back-end', 'développeur backend', 'developpeur backend', 'ingénieur backend', 'backend-entwickler', 'desarrollador backend', 'desarrollador back-end', 'sviluppatore backend', 'desenvolvedor backend', 'backend ontwikkelaar'] },
+  { id: 'frontend-engineer', name: 'Frontend Engineer', function: 'engineering', broader: 'software-engineer', synonyms: ['frontend engineer', 'front-end engineer', 'front end engineer', 'frontend developer', 'front-end developer', 'front end developer', 'web developer', 'ui developer', 'ui engineer', 'développeur front-end', 'développeur frontend', 'developpeur frontend', 'développeur web', 'frontend-entwickler', 'webentwickler', 'web-entwickler', 'desarrollador frontend', 'desarrollador front-end', 'desarrollador web', 'sviluppatore frontend', 'sviluppatore web', 'desenvolvedor frontend', 'desenvolvedor web', 'frontend ontwikkelaar', 'webontwikkelaar'] },
+  { id: 'fullstack-engineer', name: 'Full-Stack Engineer', function: 'engineering', broader: 'software-engineer', synonyms: ['fullstack engineer', 'full-stack engineer', 'full stack engineer', 'fullstack developer', 'full-stack developer', 'full stack developer', 'développeur fullstack', 'développeur full stack', 'developpeur fullstack', 'fullstack-entwickler', 'full-stack-entwickler', 'desarrollador full stack', 'desarrollador fullstack', 'sviluppatore full stack', 'desenvolvedor full stack', 'fullstack ontwikkelaar'] },
+  { id: 'mobile-engineer', name: 'Mobile Engineer', function: 'engineering', broader: 'software-engineer', synonyms: ['mobile engineer', 'mobile developer', 'ios developer', 'ios engineer', 'android developer', 'android engineer', 'react native developer', 'flutter developer', 'développeur mobile', 'développeur ios', 'développeur android', 'app-entwickler', 'mobile-entwickler', 'desarrollador móvil', 'desarrollador mobile', 'sviluppatore mobile', 'desenvolvedor mobile'] },
+  { id: 'embedded-engineer', name: 'Embedded Software Engineer', function: 'engineering', broader: 'software-engineer', synonyms: ['embedded software engineer', 'embedded engineer', 'embedded developer', 'firmware engineer', 'firmware developer', 'ingénieur systèmes embarqués', 'développeur embarqué', 'ingénieur logiciel embarqué', 'embedded-entwickler', 'ingeniero de sistemas embebidos', 'sviluppatore embedded'] },
+  { id: 'devops-engineer', name: 'DevOps Engineer', function: 'engineering', broader: 'software-engineer', related: ['system-administrator'], synonyms: ['devops engineer', 'devops', 'platform engineer', 'infrastructure engineer', 'build engineer', 'release engineer', 'ingénieur devops', 'devops-engineer', 'ingeniero devops', 'ingegnere devops', 'engenheiro devops'] },
+  { id: 'site-reliability-engineer', name: 'Site Reliability Engineer', function: 'engineering', broader: 'devops-engineer', synonyms: ['site reliability engineer', 'sre', 'reliability engineer', 'production engineer'] },
+  { id: 'cloud-engineer', name: 'Cloud Engineer', function: 'engineering', broader: 'devops-engineer', synonyms: ['cloud engineer', 'cloud architect', 'aws engineer', 'azure engineer', 'gcp engineer', 'ingénieur cloud', 'cloud-engineer', 'ingeniero cloud'] },
+  { id: 'qa-engineer', name: 'QA Engineer', function: 'engineering', broader: 'software-engineer', synonyms: ['qa engineer', 'quality assurance engineer', 'test engineer', 'software tester', 'tester', 'sdet', 'qa analyst', 'qa automation engineer', 'test automation engineer', 'ingénieur qa', 'ingénieur test', 'testeur', 'testeur logiciel', 'softwaretester', 'testingenieur', 'ingeniero de pruebas', 'ingeniero qa', 'tester de software'] },
+  { id: 'security-engineer', name: 'Security Engineer', function: 'engineering', broader: 'software-engineer', synonyms: ['security engineer', 'application security engineer', 'appsec engineer', 'cybersecurity engineer', 'security analyst', 'cybersecurity analyst', 'penetration tester', 'pentester', 'ingénieur sécurité', 'ingénieur cybersécurité', 'analyste cybersécurité', 'sicherheitsingenieur', 'ingeniero de seguridad', 'analista de ciberseguridad'] },
+  { id: 'data-engineer', name: 'Data Engineer', function: 'data', broader: 'software-engineer', related: ['data-scientist', 'machine-learning-engineer'], synonyms: ['data engineer', 'big data engineer', 'etl developer', 'analytics engineer', 'ingénieur data', 'ingénieur données', 'ingénieur big data', 'data-engineer', 'dateningenieur', 'ingeniero de datos', 'ingegnere dei dati', 'engenheiro de dados'] },
+  { id: 'machine-learning-engineer', name: 'Machine Learning Engineer', function: 'data', broader: 'software-engineer', related: ['data-scientist'], synonyms: ['machine learning engineer', 'ml engineer', 'mle', 'ai engineer', 'deep learning engineer', 'mlops engineer', 'ingénieur machine learning', 'ingénieur ia', 'ingénieur intelligence artificielle', 'ki-entwickler', 'ingeniero de machine learning', 'ingeniero de ia'] },
+  { id: 'solutions-architect', name: 'Solutions Architect', function: 'engineering', related: ['software-engineer', 'cloud-engineer'], synonyms: ['solutions architect', 'solution architect', 'software architect', 'technical architect', 'enterprise architect', 'architecte logiciel', 'architecte solution', 'architecte technique', 'softwarearchitekt', 'lösungsarchitekt', 'arquitecto de software', 'arquitecto de soluciones', 'architetto software'] },
+  { id: 'system-administrator', name: 'System Administrator', function: 'engineering', related: ['devops-engineer'], synonyms: ['system administrator', 'systems administrator', 'sysadmin', 'network administrator', 'network engineer', 'it administrator', 'administrateur système', 'administrateur systèmes et réseaux', 'administrateur réseau', 'systemadministrator', 'netzwerkadministrator', 'administrador de sistemas', 'amministratore di sistema'] },
+  { id: 'engineering-manager', name: 'Engineering Manager', function: 'engineering', related: ['software-engineer'], synonyms: ['engineering manager', 'software engineering manager', 'development manager', 'head of engineering', 'vp engineering', 'vp of engineering', 'cto', 'directeur technique', 'responsable technique', 'manager ingénierie', 'engineering-manager', 'entwicklungsleiter', 'leiter softwareentwicklung', 'gerente de ingeniería', 'responsabile sviluppo'] },
+  { id: 'data-scientist', name: 'Data Scientist', function: 'data', related: ['machine-learning-engineer', 'data-analyst'], synonyms: ['data scientist', 'research scientist', 'applied scientist', 'data science', 'scientifique des données', 'datenwissenschaftler', 'científico de datos', 'cientista de dados'] },
+  { id: 'data-analyst', name: 'Data Analyst', function: 'data', related: ['data-scientist', 'business-analyst'], synonyms: ['data analyst', 'bi analyst', 'business intelligence analyst', 'analytics analyst', 'reporting analyst', 'analyste de données', 'analyste data', 'datenanalyst', 'analista de datos', 'analista dati', 'analista de dados', 'data-analist'] },
+  { id: 'business-analyst', name: 'Business Analyst', function: 'data', related: ['data-analyst', 'product-owner'], synonyms: ['business analyst', 'functional analyst', 'analyste fonctionnel', 'analyste métier', 'business-analyst', 'analista funcional', 'analista de negocio', 'analista di business'] },
+  { id: 'product-manager', name: 'Product Manager', function: 'product', related: ['project-manager'], synonyms: ['product manager', 'pm', 'technical product manager', 'group product manager', 'chef de produit', 'responsable produit', 'produktmanager', 'product-manager', 'gerente de producto', 'responsabile di prodotto', 'gerente de produto'] },
+  { id: 'product-owner', name: 'Product Owner', function: 'product', broader: 'product-manager', synonyms: ['product owner', 'po', 'proxy product owner', 'propriétaire de produit'] },
+  { id: 'project-manager', name: 'Project Manager', function: 'operations', related: ['product-manager'], synonyms: ['project manager', 'program manager', 'programme manager', 'delivery manager', 'scrum master', 'chef de projet', 'chef de projets', 'directeur de projet', 'projektmanager', 'projektleiter', 'gerente de proyecto', 'jefe de proyecto', 'project-manager', 'projectmanager', 'projectleider', 'responsabile di progetto', 'gerente de projeto'] },
+  { id: 'designer', name: 'Designer', function: 'design', synonyms: ['designer', 'graphic designer', 'visual designer', 'graphiste', 'concepteur graphique', 'grafikdesigner', 'diseñador', 'diseñador gráfico', 'grafico', 'designer grafico', 'ontwerper'] },
+  { id: 'product-designer', name: 'Product Designer', function: 'design', broader: 'designer', synonyms: ['product designer', 'ux designer', 'ui designer', 'ux/ui designer', 'ui/ux designer', 'interaction designer', 'ux researcher', 'user researcher', 'designer produit', 'designer ux', 'designer ui', 'designer ux/ui', 'ux-designer', 'diseñador ux', 'diseñador de producto'] },
+  { id: 'account-executive', name: 'Account Executive', function: 'sales', broader: 'sales-representative', synonyms: ['account executive', 'ae', 'enterprise account executive', 'ingénieur commercial', 'ingénieur d\'affaires', 'key account manager', 'kam', 'außendienstmitarbeiter'] },
+  { id: 'sales-representative', name: 'Sales Representative', function: 'sales', synonyms: ['sales representative', 'sales rep', 'sales executive', 'salesperson', 'sales development representative', 'sdr', 'business development representative', 'bdr', 'inside sales', 'commercial', 'commerciale', 'attaché commercial', 'vendeur', 'technico-commercial', 'vertriebsmitarbeiter', 'verkäufer', 'vendedor', 'comercial', 'representante de ventas', 'venditore', 'verkoper'] },
+  { id: 'business-developer', name: 'Business Developer', function: 'sales', related: ['sales-representative', 'account-executive'], synonyms: ['business developer', 'business development manager', 'business development', 'chargé d\'affaires', 'développeur commercial', 'business developer manager', 'geschäftsentwickler', 'desarrollador de negocio'] },
+  { id: 'account-manager', name: 'Account Manager', function: 'sales', related: ['customer-success-manager'], synonyms: ['account manager', 'chargé de clientèle', 'gestionnaire de comptes', 'kundenbetreuer', 'ejecutivo de cuentas', 'gestor de cuentas'] },
+  { id: 'sales-manager', name: 'Sales Manager', function: 'sales', related: ['sales-representative'], synonyms: ['sales manager', 'head of sales', 'sales director', 'directeur commercial', 'responsable commercial', 'vertriebsleiter', 'director de ventas', 'jefe de ventas', 'direttore commerciale'] },
+  { id: 'customer-success-manager', name: 'Customer Success Manager', function: 'support', related: ['account-manager'], synonyms: ['customer success manager', 'csm', 'customer success', 'client success manager', 'responsable succès client', 'chargé de succès client', 'kundenerfolgsmanager'] },
+  { id: 'customer-support', name: 'Customer Support Specialist', function: 'support', synonyms: ['customer support specialist', 'customer support', 'support specialist', 'support engineer', 'technical support', 'customer service representative', 'help desk technician', 'conseiller client', 'chargé de support', 'technicien support', 'support technique', 'kundenberater', 'kundendienstmitarbeiter', 'agente de atención al cliente', 'soporte técnico', 'addetto assistenza clienti'] },
+  { id: 'marketing-manager', name: 'Marketing Manager', function: 'marketing', synonyms: ['marketing manager', 'head of marketing', 'marketing director', 'product marketing manager', 'pmm', 'responsable marketing', 'chef de projet marketing', 'directeur marketing', 'marketingmanager', 'marketing-manager', 'gerente de marketing', 'responsabile marketing'] },
+  { id: 'growth-marketer', name: 'Growth Marketer', function: 'marketing', broader: 'marketing-manager', synonyms: ['growth marketer', 'growth manager', 'growth hacker', 'digital marketing manager', 'performance marketing manager', 'acquisition manager', 'traffic manager', 'chargé d\'acquisition', 'responsable acquisition', 'online-marketing-manager', 'especialista en marketing digital'] },
+  { id: 'content-marketer', name: 'Content Marketer', function: 'marketing', broader: 'marketing-manager', synonyms: ['content marketer', 'content manager', 'content marketing manager', 'copywriter', 'content writer', 'rédacteur', 'rédacteur web', 'chargé de contenu', 'texter', 'redactor', 'redattore'] },
+  { id: 'seo-specialist', name: 'SEO Specialist', function: 'marketing', broader: 'marketing-manager', synonyms: ['seo specialist', 'seo manager', 'seo consultant', 'consultant seo', 'chargé de référencement', 'responsable seo', 'seo-manager', 'especialista seo'] },
+  { id: 'community-manager', name: 'Community Manager', function: 'marketing', broader: 'marketing-manager', synonyms: ['community manager', 'social media manager', 'chargé de communication', 'responsable communication', 'social-media-manager', 'gestor de redes sociales'] },
+  { id: 'recruiter', name: 'Recruiter', function: 'people', broader: 'hr-manager', synonyms: ['recruiter', 'talent acquisition specialist', 'talent acquisition manager', 'technical recruiter', 'sourcer', 'talent partner', 'recruteur', 'chargé de recrutement', 'chargée de recrutement', 'talent acquisition', 'recruiterin', 'reclutador', 'selezionatore', 'recrutador', 'recruiter talent'] },
+  { id: 'hr-manager', name: 'HR Manager', function: 'people', synonyms: ['hr manager', 'human resources manager', 'hr business partner', 'hrbp', 'people partner', 'people manager', 'hr generalist', 'responsable rh', 'responsable ressources humaines', 'chargé rh', 'personalleiter', 'personalreferent', 'hr-manager', 'gerente de recursos humanos', 'responsabile risorse umane'] },
+  { id: 'accountant', name: 'Accountant', function: 'finance', related: ['financial-analyst'], synonyms: ['accountant', 'staff accountant', 'bookkeeper', 'comptable', 'aide-comptable', 'buchhalter', 'bilanzbuchhalter', 'contable', 'contador', 'contabile', 'contador público', 'boekhouder'] },
+  { id: 'financial-analyst', name: 'Financial Analyst', function: 'finance', related: ['accountant', 'controller'], synonyms: ['financial analyst', 'finance analyst', 'fp&a analyst', 'analyste financier', 'finanzanalyst', 'analista financiero', 'analista finanziario', 'analista financeiro'] },
+  { id: 'controller', name: 'Financial Controller', function: 'finance', related: ['financial-analyst'], synonyms: ['financial controller', 'controller', 'controlling', 'contrôleur de gestion', 'controleur de gestion', 'controller finanzen', 'controlador financiero', 'controller di gestione'] },
+  { id: 'office-manager', name: 'Office Manager', function: 'operations', synonyms: ['office manager', 'executive assistant', 'administrative assistant', 'office administrator', 'assistant administratif', 'assistante de direction', 'büroleiter', 'assistent der geschäftsführung', 'asistente administrativo', 'assistente amministrativo'] },
+  { id: 'operations-manager', name: 'Operations Manager', function: 'operations', synonyms: ['operations manager', 'head of operations', 'operations lead', 'business operations manager', 'responsable des opérations', 'directeur des opérations', 'betriebsleiter', 'gerente de operaciones'] },
+  { id: 'legal-counsel', name: 'Legal Counsel', function: 'legal', synonyms: ['legal counsel', 'lawyer', 'attorney', 'general counsel', 'paralegal', 'juriste', 'avocat', 'juriste d\'entreprise', 'jurist', 'rechtsanwalt', 'syndikusanwalt', 'abogado', 'asesor jurídico', 'avvocato', 'advogado', 'jurista'] },
+  { id: 'technical-writer', name: 'Technical Writer', function: 'engineering', synonyms: ['technical writer', 'documentation engineer', 'rédacteur technique', 'technischer redakteur', 'redactor técnico'] },
+  { id: 'consultant', name: 'Consultant', function: 'operations', synonyms: ['consultant', 'consultante', 'berater', 'beraterin', 'consultor', 'consulente', 'adviseur'] }
+];
+
+module.exports = {
+  SENIORITY_LEVELS,
+  FUNCTIONS,
+  OCCUPATIONS
+};
@@ -0,0 +1,362 @@
+const COUNTRIES = [
+  { code: 'FR', name: 'France', offsets: [1, 1], aliases: ['france', 'frankreich', 'francia', 'frança', 'frankrijk'] },
+  { code: 'DE', name: 'Germany', offsets: [1, 1], aliases: ['germany', 'allemagne', 'deutschland', 'alemania', 'germania', 'alemanha', 'duitsland'] },
+  { code: 'GB', name: 'United Kingdom', offsets: [0, 0], aliases: ['united kingdom', 'uk', 'u.k.', 'great britain', 'britain', 'royaume-uni', 'royaume uni', 'vereinigtes königreich', 'reino unido', 'regno unito', 'verenigd koninkrijk'] },
+  { code: 'IE', name: 'Ireland', offsets: [0, 0], aliases: ['ireland', 'irlande', 'irland', 'irlanda', 'ierland'] },
+  { code: 'ES', name: 'Spain', offsets: [1, 1], aliases: ['spain', 'espagne', 'spanien', 'españa', 'espana', 'spagna', 'espanha', 'spanje'] },
+  { code: 'PT', name: 'Portugal', offsets: [0, 0], aliases: ['portugal', 'portogallo'] },
+  { code: 'IT', name: 'Italy', offsets: [1, 1], aliases: ['italy', 'italie', 'italien', 'italia', 'itália', 'italië'] },
+  { code: 'NL', name: 'Netherlands', offsets: [1, 1], aliases: ['netherlands', 'the netherlands', 'holland', 'pays-bas', 'pays bas', 'niederlande', 'países bajos', 'paesi bassi', 'países baixos', 'nederland'] },
+  { code: 'BE', name: 'Belgium', offsets: [1, 1], aliases: ['belgium', 'belgique', 'belgien', 'bélgica', 'belgio', 'belgië'] },
+  { code: 'LU', name: 'Luxembourg', offsets: [1, 1], aliases: ['luxembourg', 'luxemburg', 'luxemburgo', 'lussemburgo'] },
+  { code: 'CH', name: 'Switzerland', offsets: [1, 1], aliases: ['switzerland', 'suisse', 'schweiz', 'suiza', 'svizzera', 'suíça', 'zwitserland'] },
+  { code: 'AT', name: 'Austria', offsets: [1, 1], aliases: ['austria', 'autriche', 'österreich', 'oesterreich', 'áustria', 'oostenrijk'] },
+  { code: 'DK', name: 'Denmark', offsets: [1, 1], aliases: ['denmark', 'danemark', 'dänemark', 'dinamarca', 'danimarca', 'denemarken'] },
+  { code: 'SE', name: 'Sweden', offsets: [1, 1], aliases: ['sweden', 'suède', 'schweden', 'suecia', 'svezia', 'suécia', 'zweden'] },
+  { code: 'NO', name: 'Norway', offsets: [1, 1], aliases: ['norway', 'norvège', 'norwegen', 'noruega', 'norvegia', 'noorwegen'] },
+  { code: 'FI', name: 'Finland', offsets: [2, 2], aliases: ['finland', 'finlande', 'finnland', 'finlandia', 'finlândia'] },
+  { code: 'IS', name: 'Iceland', offsets: [0, 0], aliases: ['iceland', 'islande', 'island', 'islandia', 'islanda', 'ijsland'] },
+  { code: 'PL', name: 'Poland', offsets: [1, 1], aliases: ['poland', 'pologne', 'polen', 'polonia', 'polônia', 'polska'] },
+  { code: 'CZ', name: 'Czech Republic', offsets: [1, 1], aliases: ['czech republic', 'czechia', 'république tchèque', 'tschechien', 'república checa', 'repubblica ceca', 'tsjechië'] },
+  { code: 'SK', name: 'Slovakia', offsets: [1, 1], aliases: ['slovakia', 'slovaquie', 'slowakei', 'eslovaquia', 'slovacchia'] },
+  { code: 'HU', name: 'Hungary', offsets: [1, 1], aliases: ['hungary', 'hongrie', 'ungarn', 'hungría', 'ungheria', 'hungria', 'hongarije'] },
+  { code: 'RO', name: 'Romania', offsets: [2, 2], aliases: ['romania', 'roumanie', 'rumänien', 'rumania', 'romênia', 'roemenië'] },
+  { code: 'BG', name: 'Bulgaria', offsets: [2, 2], aliases: ['bulgaria', 'bulgarie', 'bulgarien', 'bulgária', 'bulgarije'] },
+  { code: 'GR', name: 'Greece', offsets: [2, 2], aliases: ['greece', 'grèce', 'griechenland', 'grecia', 'grécia', 'griekenland'] },
+  { code: 'HR', name: 'Croatia', offsets: [1, 1], aliases: ['croatia', 'croatie', 'kroatien', 'croacia', 'croazia', 'croácia', 'kroatië'] },
+  { code: 'SI', name: 'Slovenia', offsets: [1, 1], aliases: ['slovenia', 'slovénie', 'slowenien', 'eslovenia', 'eslovênia'] },
+  { code: 'EE', name: 'Estonia', offsets: [2, 2], aliases: ['estonia', 'estonie', 'estland', 'estônia'] },
+  { code: 'LV', name: 'Latvia', offsets: [2, 2], aliases: ['latvia', 'lettonie', 'lettland', 'letonia', 'lettonia', 'letônia', 'letland'] },
+  { code: 'LT', name: 'Lithuania', offsets: [2, 2], aliases: ['lithuania', 'lituanie', 'litauen', 'lituania', 'lituânia', 'litouwen'] },
+  { code: 'CY', name: 'Cyprus', offsets: [2, 2], aliases: ['cyprus', 'chypre', 'zypern', 'chipre', 'cipro'] },
+  { code: 'MT', name: 'Malta', offsets: [1, 1], aliases: ['malta', 'malte'] },
+  { code: 'UA', name: 'Ukraine', offsets: [2, 2], aliases: ['ukraine', 'ucrania', 'ucraina', 'ucrânia', 'oekraïne'] },
+  { code: 'RS', name: 'Serbia', offsets: [1, 1], aliases: ['serbia', 'serbie', 'serbien', 'sérvia', 'servië'] },
+  { code: 'TR', name: 'Turkey', offsets: [3, 3], aliases: ['turkey', 'türkiye', 'turquie', 'türkei', 'turquía', 'turchia', 'turquia', 'turkije'] },
+  { code: 'IL', name: 'Israel', offsets: [2, 2], aliases: ['israel', 'israël', 'israele'] },
+  { code: 'AE', name: 'United Arab Emirates', offsets: [4, 4], aliases: ['united arab emirates', 'uae', 'émirats arabes unis', 'vereinigte arabische emirate', 'emiratos árabes unidos', 'emirati arabi uniti'] },
+  { code: 'SA', name: 'Saudi Arabia', offsets: [3, 3], aliases: ['saudi arabia', 'arabie saoudite', 'saudi-arabien', 'arabia saudita', 'arábia saudita'] },
+  { code: 'EG', name: 'Egypt', offsets: [2, 2], aliases: ['egypt', 'égypte', 'ägypten', 'egipto', 'egitto', 'egito'] },
+  { code: 'MA', name: 'Morocco', offsets: [1, 1], aliases: ['morocco', 'maroc', 'marokko', 'marruecos', 'marocco', 'marrocos'] },
+  { code: 'TN', name: 'Tunisia', offsets: [1, 1], aliases: ['tunisia', 'tunisie', 'tunesien', 'túnez', 'tunísia'] },
+  { code: 'NG', name: 'Nigeria', offsets: [1, 1], aliases: ['nigeria', 'nigéria'] },
+  { code: 'KE', name: 'Kenya', offsets: [3, 3], aliases: ['kenya', 'kenia', 'quênia'] },
+  { code: 'ZA', name: 'South Africa', offsets: [2, 2], aliases: ['south africa', 'afrique du sud', 'südafrika', 'sudáfrica', 'sudafrica', 'áfrica do sul', 'zuid-afrika'] },
+  { code: 'US', name: 'United States', offsets: [-10, -5], aliases: ['united states', 'united states of america', 'usa', 'u.s.', 'u.s.a.', 'états-unis', 'etats-unis', 'vereinigte staaten', 'estados unidos', 'stati uniti', 'verenigde staten'] },
+  { code: 'CA', name: 'Canada', offsets: [-8, -3.5], aliases: ['canada', 'kanada', 'canadá'] },
+  { code: 'MX', name: 'Mexico', offsets: [-8, -5], aliases: ['mexico', 'mexique', 'mexiko', 'méxico', 'messico'] },
+  { code: 'BR', name: 'Brazil', offsets: [-5, -2], aliases: ['brazil', 'brésil', 'brasilien', 'brasil', 'brasile', 'brazilië'] },
+  { code: 'AR', name: 'Argentina', offsets: [-3, -3], aliases: ['argentina', 'argentine', 'argentinien', 'argentinië'] },
+  { code: 'CL', name: 'Chile', offsets: [-4, -4], aliases: ['chile', 'chili', 'cile'] },
+  { code: 'CO', name: 'Colombia', offsets: [-5, -5], aliases: ['colombia', 'colombie', 'kolumbien', 'colômbia'] },
+  { code: 'PE', name: 'Peru', offsets: [-5, -5], aliases: ['peru', 'pérou', 'perú'] },
+  { code: 'UY', name: 'Uruguay', offsets: [-3, -3], aliases: ['uruguay', 'uruguai'] },
+  { code: 'CR', name: 'Costa Rica', offsets: [-6, -6], aliases: ['costa rica'] },
+  { code: 'IN', name: 'India', offsets: [5.5, 5.5], aliases: ['india', 'inde', 'indien', 'índia'] },
+  { code: 'PK', name: 'Pakistan', offsets: [5, 5], aliases: ['pakistan', 'paquistán', 'paquistão'] },
+  { code: 'SG', name: 'Singapore', offsets: [8, 8], aliases: ['singapore', 'singapour', 'singapur', 'singapura'] },
+  { code: 'MY', name: 'Malaysia', offsets: [8, 8], aliases: ['malaysia', 'malaisie', 'malasia', 'malesia', 'malásia', 'maleisië'] },
+  { code: 'ID', name: 'Indonesia', offsets: [7, 9], aliases: ['indonesia', 'indonésie', 'indonesien', 'indonésia', 'indonesië'] },
+  { code: 'PH', name: 'Philippines', offsets: [8, 8], aliases: ['philippines', 'philippinen', 'filipinas', 'filippine', 'filipijnen'] },
+  { code: 'VN', name: 'Vietnam', offsets: [7, 7], aliases: ['vietnam', 'viêt nam', 'viet nam', 'vietnã'] },
+  { code: 'TH', name: 'Thailand', offsets: [7, 7], aliases: ['thailand', 'thaïlande', 'tailandia', 'tailândia'] },
+  { code: 'CN', name: 'China', offsets: [8, 8], aliases: ['china', 'chine', 'cina'] },
+  { code: 'HK', name: 'Hong Kong', offsets: [8, 8], aliases: ['hong kong', 'hongkong'] },
+  { code: 'TW', name: 'Taiwan', offsets: [8, 8], aliases: ['taiwan', 'taïwan', 'taiwán'] },
+  { code: 'JP', name: 'Japan', offsets: [9, 9], aliases: ['japan', 'japon', 'japón', 'giappone', 'japão'] },
+  { code: 'KR', name: 'South Korea', offsets: [9, 9], aliases: ['south korea', 'korea', 'corée du sud', 'südkorea', 'corea del sur', 'corea del sud', 'coreia do sul', 'zuid-korea'] },
+  { code: 'AU', name: 'Australia', offsets: [8, 10], aliases: ['australia', 'australie', 'australien', 'austrália', 'australië'] },
+  { code: 'NZ', name: 'New Zealand', offsets: [12, 12], aliases: ['new zealand', 'nouvelle-zélande', 'neuseeland', 'nueva zelanda', 'nuova zelanda', 'nova zelândia', 'nieuw-zeeland'] }
+];
+
+const EU_MEMBERS = ['AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'];
+const EUROPE = [...EU_MEMBERS, 'GB', 'CH', 'NO', 'IS', 'UA', 'RS', 'TR'];
+const MIDDLE_EAST = ['IL', 'AE', 'SA', 'TR'];
+const AFRICA = ['EG', 'MA', 'TN', 'NG', 'KE', 'ZA'];
+const LATAM = ['MX', 'BR', 'AR', 'CL', 'CO', 'PE', 'UY', 'CR'];
+const APAC = ['IN', 'PK', 'SG', 'MY', 'ID', 'PH', 'VN', 'TH', 'CN', 'HK', 'TW', 'JP', 'KR', 'AU', 'NZ'];
+
+const MACRO_REGIONS = [
+  { code: 'EU', name: 'European Union', countries: EU_MEMBERS, aliases: ['eu', 'european union', 'union européenne', 'europäische union', 'unión europea', 'unione europea', 'união europeia'] },
+  { code: 'EUROPE', name: 'Europe', countries: EUROPE, aliases: ['europe', 'europa', 'european'] },
+  { code: 'EMEA', name: 'EMEA', countries: [...new Set([...EUROPE, ...MIDDLE_EAST, ...AFRICA])], aliases: ['emea'] },
+  { code: 'DACH', name: 'DACH', countries: ['DE', 'AT', 'CH'], aliases: ['dach'] },
+  { code: 'NORDICS', name: 'Nordics', countries: ['DK', 'SE', 'NO', 'FI', 'IS'], aliases: ['nordics', 'nordic', 'scandinavia', 'scandinavie', 'skandinavien', 'escandinavia'] },
+  { code: 'BENELUX', name: 'Benelux', countries: ['BE', 'NL', 'LU'], aliases: ['benelux'] },
+  { code: 'UKI', name: 'UK & Ireland', countries: ['GB', 'IE'], aliases: ['uk&i', 'uki', 'uk & ireland', 'uk and ireland'] },
+  { code: 'NA', name: 'North America', countries: ['US', 'CA'], aliases: ['north america', 'amérique du nord', 'nordamerika', 'norteamérica', 'america del nord', 'américa do norte', 'noord-amerika'] },
+  { code: 'LATAM', name: 'Latin America', countries: LATAM, aliases: ['latam', 'latin america', 'amérique latine', 'lateinamerika', 'latinoamérica', 'america latina', 'américa latina'] },
+  { code: 'AMERICAS', name: 'Americas', countries: ['US', 'CA', ...LATAM], aliases: ['americas', 'amériques', 'amerika', 'américas'] },
+  { code: 'APAC', name: 'APAC', countries: APAC, aliases: ['apac', 'asia pacific', 'asia-pacific', 'asie-pacifique', 'asien-pazifik', 'asia-pacífico'] },
+  { code: 'ANZ', name: 'Australia & New Zealand', countries: ['AU', 'NZ'], aliases: ['anz'] },
+  { code: 'MENA', name: 'MENA', countries: ['IL', 'AE', 'SA', 'TR', 'EG', 'MA', 'TN'], aliases: ['mena', 'middle east', 'moyen-orient', 'naher osten', 'oriente medio'] }
+];
+
+const REGIONS = [
+  { code: 'US-CA', name: 'California', country: 'US', offsets: [-8, -8], aliases: ['california', 'californie', 'kalifornien'], abbreviation: 'CA' },
+  { code: 'US-NY', name: 'New York State', country: 'US', offsets: [-5, -5], aliases: ['new york state'], abbreviation: 'NY' },
+  { code: 'US-TX', name: 'Texas', country: 'US', offsets: [-6, -6], aliases: ['texas'], abbreviation: 'TX' },
+  { code: 'US-WA', name: 'Washington', country: 'US', offsets: [-8, -8], aliases: ['washington state'], abbreviation: 'WA' },
+  { code: 'US-MA', name: 'Massachusetts', country: 'US', offsets: [-5, -5], aliases: ['massachusetts'], abbreviation: 'MA' },
+  { code: 'US-IL', name: 'Illinois', country: 'US', offsets: [-6, -6], aliases: ['illinois'], abbreviation: 'IL' },
+  { code: 'US-CO', name: 'Colorado', country: 'US', offsets: [-7, -7], aliases: ['colorado'], abbreviation: 'CO' },
+  { code: 'US-GA', name: 'Georgia', country: 'US', offsets: [-5, -5], aliases: [], abbreviation: 'GA' },
+  { code: 'US-FL', name: 'Florida', country: 'US', offsets: [-5, -5], aliases: ['florida', 'floride'], abbreviation: 'FL' },
+  { code: 'US-OR', name: 'Oregon', country: 'US', offsets: [-8, -8], aliases: ['oregon'], abbreviation: 'OR' },
+  { code: 'US-NC', name: 'North Carolina', country: 'US', offsets: [-5, -5], aliases: ['north carolina'], abbreviation: 'NC' },
+  { code: 'US-VA', name: 'Virginia', country: 'US', offsets: [-5, -5], aliases: ['virginia'], abbreviation: 'VA' },
+  { code: 'US-PA', name: 'Pennsylvania', country: 'US', offsets: [-5, -5], aliases: ['pennsylvania'], abbreviation: 'PA' },
+  { code: 'US-NJ', name: 'New Jersey', country: 'US', offsets: [-5, -5], aliases: ['new jersey'], abbreviation: 'NJ' },
+  { code: 'US-UT', name: 'Utah', country: 'US', offsets: [-7, -7], aliases: ['utah'], abbreviation: 'UT' },
+  { code: 'US-AZ', name: 'Arizona', country: 'US', offsets: [-7, -7], aliases: ['arizona'], abbreviation: 'AZ' },
+  { code: 'US-MN', name: 'Minnesota', country: 'US', offsets: [-6, -6], aliases: ['minnesota'], abbreviation: 'MN' },
+  { code: 'US-DC', name: 'District of Columbia', country: 'US', offsets: [-5, -5], aliases: ['district of columbia'], abbreviation: 'DC' },
+  { code: 'CA-ON', name: 'Ontario', country: 'CA', offsets: [-5, -5], aliases: ['ontario'], abbreviation: 'ON' },
+  { code: 'CA-QC', name: 'Quebec', country: 'CA', offsets: [-5, -5], aliases: ['quebec', 'québec'], abbreviation: 'QC' },
+  { code: 'CA-BC', name: 'British Columbia', country: 'CA', offsets: [-8, -8], aliases: ['british columbia', 'colombie-britannique'], abbreviation: 'BC' },
+  { code: 'CA-AB', name: 'Alberta', country: 'CA', offsets: [-7, -7], aliases: ['alberta'], abbreviation: 'AB' },
+  { code: 'AU-NSW', name: 'New South Wales', country: 'AU', offsets: [10, 10], aliases: ['new south wales'], abbreviation: 'NSW' },
+  { code: 'AU-VIC', name: 'Victoria', country: 'AU', offsets: [10, 10], aliases: [], abbreviation: 'VIC' },
+  { code: 'GB-ENG', name: 'England', country: 'GB', offsets: [0, 0], aliases: ['england', 'angleterre', 'inglaterra', 'inghilterra'] },
+  { code: 'GB-SCT', name: 'Scotland', country: 'GB', offsets: [0, 0], aliases: ['scotland', 'écosse', 'schottland', 'escocia', 'scozia'] },
+  { code: 'FR-IDF', name: 'Île-de-France', country: 'FR', offsets: [1, 1], aliases: ['île-de-france', 'ile-de-france', 'ile de france', 'idf'] },
+  { code: 'FR-ARA', name: 'Auvergne-Rhône-Alpes', country: 'FR', offsets: [1, 1], aliases: ['auvergne-rhône-alpes', 'auvergne-rhone-alpes', 'rhône-alpes', 'rhone-alpes'] },
+  { code: 'FR-PAC', name: "Provence-Alpes-Côte d'Azur", country: 'FR', offsets: [1, 1], aliases: ["provence-alpes-côte d'azur", 'paca', "côte d'azur"] },
+  { code: 'DE-BY', name: 'Bavaria', country: 'DE', offsets: [1, 1], aliases: ['bavaria', 'bavière', 'bayern', 'baviera'] },
+  { code: 'DE-BE', name: 'Berlin State', country: 'DE', offsets: [1, 1], aliases: [] },
+  { code: 'DE-NW', name: 'North Rhine-Westphalia', country: 'DE', offsets: [1, 1], aliases: ['north rhine-westphalia', 'nordrhein-westfalen', 'nrw', 'rhénanie-du-nord-westphalie'] },
+  { code: 'DE-BW', name: 'Baden-Württemberg', country: 'DE', offsets: [1, 1], aliases: ['baden-württemberg', 'baden-wurttemberg', 'bade-wurtemberg'] },
+  { code: 'ES-CT', name: 'Catalonia', country: 'ES', offsets: [1, 1], aliases: ['catalonia', 'catalogne', 'katalonien', 'cataluña', 'catalunya', 'catalogna'] },
+  { code: 'ES-MD', name: 'Community of Madrid', country: 'ES', offsets: [1, 1], aliases: ['comunidad de madrid', 'community of madrid'] },
+  { code: 'IT-LOM', name: 'Lombardy', country: 'IT', offsets: [1, 1], aliases: ['lombardy', 'lombardie', 'lombardei', 'lombardía', 'lombardia'] }
+];
+
+const CITIES = [
+  { name: 'Paris', country: 'FR', region: 'FR-IDF', offset: 1, aliases: ['paris', 'parís', 'parigi'] },
+  { name: 'Lyon', country: 'FR', region: 'FR-ARA', offset: 1, aliases: ['lyon', 'lione'] },
+  { name: 'Marseille', country: 'FR', region: 'FR-PAC', offset: 1, aliases: ['marseille', 'marsella', 'marsiglia'] },
+  { name: 'Nice', country: 'FR', region: 'FR-PAC', offset: 1, aliases: ['nice', 'nizza'] },
+  { name: 'Sophia Antipolis', country: 'FR', region: 'FR-PAC', offset: 1, aliases: ['sophia antipolis', 'sophia-antipolis'] },
+  { name: 'Toulouse', country: 'FR', offset: 1, aliases: ['toulouse', 'tolosa'] },
+  { name: 'Bordeaux', country: 'FR', offset: 1, aliases: ['bordeaux', 'burdeos'] },
+  { name: 'Nantes', country: 'FR', offset: 1, aliases: ['nantes'] },
+  { name: 'Lille', country: 'FR', offset: 1, aliases: ['lille'] },
+  { name: 'Grenoble', country: 'FR', region: 'FR-ARA', offset: 1, aliases: ['grenoble'] },
+  { name: 'Montpellier', country: 'FR', offset: 1, aliases: ['montpellier'] },
+  { name: 'Rennes', country: 'FR', offset: 1, aliases: ['rennes'] },
+  { name: 'Strasbourg', country: 'FR', offset: 1, aliases: ['strasbourg', 'straßburg', 'strassburg', 'estrasburgo'] },
+  { name: 'La Défense', country: 'FR', region: 'FR-IDF', offset: 1, aliases: ['la défense', 'la defense'] },
+  { name: 'Berlin', country: 'DE', region: 'DE-BE', offset: 1, aliases: ['berlin', 'berlín', 'berlino', 'berlim'] },
+  { name: 'Munich', country: 'DE', region: 'DE-BY', offset: 1, aliases: ['munich', 'münchen', 'muenchen', 'múnich', 'monaco di baviera', 'munique'] },
+  { name: 'Hamburg', country: 'DE', offset: 1, aliases: ['hamburg', 'hambourg', 'hamburgo', 'amburgo'] },
+  { name: 'Frankfurt', country: 'DE', offset: 1, aliases: ['frankfurt', 'frankfurt am main', 'francfort', 'fráncfort', 'francoforte'] },
+  { name: 'Cologne', country: 'DE', region: 'DE-NW', offset: 1, aliases: ['cologne', 'köln', 'koeln', 'colonia'] },
+  { name: 'Düsseldorf', country: 'DE', region: 'DE-NW', offset: 1, aliases: ['düsseldorf', 'dusseldorf', 'duesseldorf'] },
+  { name: 'Stuttgart', country: 'DE', region: 'DE-BW', offset: 1, aliases: ['stuttgart', 'stoccarda'] },
+  { name: 'London', country: 'GB', region: 'GB-ENG', offset: 0, aliases: ['london', 'londres', 'londra', 'londen'] },
+  { name: 'Manchester', country: 'GB', region: 'GB-ENG', offset: 0, aliases: ['manchester'] },
+  { name: 'Cambridge', country: 'GB', region: 'GB-ENG', offset: 0, aliases: ['cambridge, uk', 'cambridge'] },
+  { name: 'Bristol', country: 'GB', region: 'GB-ENG', offset: 0, aliases: ['bristol'] },
+  { name: 'Edinburgh', country: 'GB', region: 'GB-SCT', offset: 0, aliases: ['edinburgh', 'édimbourg', 'edimburgo'] },
+  { name: 'Glasgow', country: 'GB', region: 'GB-SCT', offset: 0, aliases: ['glasgow'] },
+  { name: 'Dublin', country: 'IE', offset: 0, aliases: ['dublin', 'dublín', 'dublino'] },
+  { name: 'Cork', country: 'IE', offset: 0, aliases: ['cork'] },
+  { name: 'Madrid', country: 'ES', region: 'ES-MD', offset: 1, aliases: ['madrid'] },
+  { name: 'Barcelona', country: 'ES', region: 'ES-CT', offset: 1, aliases: ['barcelona', 'barcelone', 'barcellona'] },
+  { name: 'Valencia', country: 'ES', offset: 1, aliases: ['valencia', 'valence, espagne', 'valència'] },
+  { name: 'Seville', country: 'ES', offset: 1, aliases: ['seville', 'sevilla', 'séville', 'siviglia'] },
+  { name: 'Lisbon', country: 'PT', offset: 0, aliases: ['lisbon', 'lisboa', 'lisbonne', 'lissabon', 'lisbona'] },
+  { name: 'Porto', country: 'PT', offset: 0, aliases: ['porto', 'oporto'] },
+  { name: 'Milan', country: 'IT', region: 'IT-LOM', offset: 1, aliases: ['milan', 'milano', 'milán', 'mailand', 'milão'] },
+  { name: 'Rome', country: 'IT', offset: 1, aliases: ['rome', 'roma', 'rom'] },
+  { name: 'Turin', country: 'IT', offset: 1, aliases: ['turin', 'torino', 'turín'] },
+  { name: 'Amsterdam', country: 'NL', offset: 1, aliases: ['amsterdam', 'ámsterdam'] },
+  { name: 'Rotterdam', country: 'NL', offset: 1, aliases: ['rotterdam', 'róterdam'] },
+  { name: 'Utrecht', country: 'NL', offset: 1, aliases: ['utrecht'] },
+  { name: 'Eindhoven', country: 'NL', offset: 1, aliases: ['eindhoven'] },
+  { name: 'The Hague', country: 'NL', offset: 1, aliases: ['the hague', 'den haag', 'la haye', 'la haya', "'s-gravenhage"] },
+  { name: 'Brussels', country: 'BE', offset: 1, aliases: ['brussels', 'bruxelles', 'brüssel', 'bruselas', 'bruxelas', 'brussel'] },
+  { name: 'Antwerp', country: 'BE', offset: 1, aliases: ['antwerp', 'anvers', 'antwerpen', 'amberes', 'anversa'] },
+  { name: 'Ghent', country: 'BE', offset: 1, aliases: ['ghent', 'gand', 'gent', 'gante'] },
+  { name: 'Luxembourg City', country: 'LU', offset: 1, aliases: ['luxembourg city', 'luxembourg-ville'] },
+  { name: 'Zurich', country: 'CH', offset: 1, aliases: ['zurich', 'zürich', 'zúrich', 'zurigo'] },
+  { name: 'Geneva', country: 'CH', offset: 1, aliases: ['geneva', 'genève', 'geneve', 'genf', 'ginebra', 'ginevra', 'genebra'] },
+  { name: 'Lausanne', country: 'CH', offset: 1, aliases: ['lausanne', 'losanna'] },
+  { name: 'Basel', country: 'CH', offset: 1, aliases: ['basel', 'bâle', 'basilea'] },
+  { name: 'Vienna', country: 'AT', offset: 1, aliases: ['vienna', 'vienne', 'wien', 'viena'] },
+  { name: 'Copenhagen', country: 'DK', offset: 1, aliases: ['copenhagen', 'copenhague', 'kopenhagen', 'københavn', 'copenaghen', 'copenhaga'] },
+  { name: 'Stockholm', country: 'SE', offset: 1, aliases: ['stockholm', 'estocolmo', 'stoccolma'] },
+  { name: 'Gothenburg', country: 'SE', offset: 1, aliases: ['gothenburg', 'göteborg', 'goteborg'] },
+  { name: 'Oslo', country: 'NO', offset: 1, aliases: ['oslo'] },
+  { name: 'Helsinki', country: 'FI', offset: 2, aliases: ['helsinki', 'helsingfors'] },
+  { name: 'Reykjavik', country: 'IS', offset: 0, aliases: ['reykjavik', 'reykjavík'] },
+  { name: 'Warsaw', country: 'PL', offset: 1, aliases: ['warsaw', 'varsovie', 'warschau', 'varsovia', 'varsavia', 'varsóvia', 'warszawa'] },
+  { name: 'Krakow', country: 'PL', offset: 1, aliases: ['krakow', 'kraków', 'cracovie', 'krakau', 'cracovia'] },
+  { name: 'Wroclaw', country: 'PL', offset: 1, aliases: ['wroclaw', 'wrocław', 'breslau'] },
+  { name: 'Prague', country: 'CZ', offset: 1, aliases: ['prague', 'prag', 'praga', 'praha'] },
+  { name: 'Brno', country: 'CZ', offset: 1, aliases: ['brno'] },
+  { name: 'Bratislava', country: 'SK', offset: 1, aliases: ['bratislava'] },
+  { name: 'Budapest', country: 'HU', offset: 1, aliases: ['budapest'] },
+  { name: 'Bucharest', country: 'RO', offset: 2, aliases: ['bucharest', 'bucarest', 'bukarest', 'bucareste', 'bucurești'] },
+  { name: 'Cluj-Napoca', country: 'RO', offset: 2, aliases: ['cluj-napoca', 'cluj'] },
+  { name: 'Sofia', country: 'BG', offset: 2, aliases: ['sofia', 'sofía'] },
+  { name: 'Athens', country: 'GR', offset: 2, aliases: ['athens', 'athènes', 'athen', 'atenas', 'atene'] },
+  { name: 'Zagreb', country: 'HR', offset: 1, aliases: ['zagreb'] },
+  { name: 'Ljubljana', country: 'SI', offset: 1, aliases: ['ljubljana'] },
+  { name: 'Tallinn', country: 'EE', offset: 2, aliases: ['tallinn'] },
+  { name: 'Riga', country: 'LV', offset: 2, aliases: ['riga'] },
+  { name: 'Vilnius', country: 'LT', offset: 2, aliases: ['vilnius'] },
+  { name: 'Kyiv', country: 'UA', offset: 2, aliases: ['kyiv', 'kiev', 'kiew'] },
+  { name: 'Belgrade', country: 'RS', offset: 1, aliases: ['belgrade', 'belgrad', 'belgrado'] },
+  { name: 'Istanbul', country: 'TR', offset: 3, aliases: ['istanbul', 'estambul', 'istambul'] },
+  { name: 'Tel Aviv', country: 'IL', offset: 2, aliases: ['tel aviv', 'tel-aviv', 'tel aviv-yafo'] },
+  { name: 'Dubai', country: 'AE', offset: 4, aliases: ['dubai', 'dubaï', 'dubái'] },
+  { name: 'Abu Dhabi', country: 'AE', offset: 4, aliases: ['abu dhabi', 'abou dabi'] },
+  { name: 'Riyadh', country: 'SA', offset: 3, aliases: ['riyadh', 'riyad'] },
+  { name: 'Cairo', country: 'EG', offset: 2, aliases: ['cairo', 'le caire', 'kairo', 'el cairo', 'il cairo'] },
+  { name: 'Casablanca', country: 'MA', offset: 1, aliases: ['casablanca'] },
+  { name: 'Tunis', country: 'TN', offset: 1, aliases: ['tunis', 'túnez'] },
+  { name: 'Lagos', country: 'NG', offset: 1, aliases: ['lagos'] },
+  { name: 'Nairobi', country: 'KE', offset: 3, aliases: ['nairobi'] },
+  { name: 'Cape Town', country: 'ZA', offset: 2, aliases: ['cape town', 'le cap', 'kapstadt', 'ciudad del cabo', 'città del capo', 'cidade do cabo'] },
+  { name: 'Johannesburg', country: 'ZA', offset: 2, aliases: ['johannesburg', 'johannesburgo'] },
+  { name: 'New York', country: 'US', region: 'US-NY', offset: -5, aliases: ['new york', 'new york city', 'nyc', 'nueva york', 'nova iorque'] },
+  { name: 'San Francisco', country: 'US', region: 'US-CA', offset: -8, aliases: ['san francisco', 'sf', 'san francisco bay area', 'bay area'] },
+  { name: 'Los Angeles', country: 'US', region: 'US-CA', offset: -8, aliases: ['los angeles', 'la, ca'] },
+  { name: 'San Diego', country: 'US', region: 'US-CA', offset: -8, aliases: ['san diego'] },
+  { name: 'San Jose', country: 'US', region: 'US-CA', offset: -8, aliases: ['san jose', 'san josé, ca'] },
+  { name: 'Palo Alto', country: 'US', region: 'US-CA', offset: -8, aliases: ['palo alto'] },
+  { name: 'Mountain View', country: 'US', region: 'US-CA', offset: -8, aliases: ['mountain view'] },
+  { name: 'Seattle', country: 'US', region: 'US-WA', offset: -8, aliases: ['seattle'] },
+  { name: 'Portland', country: 'US', region: 'US-OR', offset: -8, aliases: ['portland'] },
+  { name: 'Austin', country: 'US', region: 'US-TX', offset: -6, aliases: ['austin'] },
+  { name: 'Dallas', country: 'US', region: 'US-TX', offset: -6, aliases: ['dallas'] },
+  { name: 'Houston', country: 'US', region: 'US-TX', offset: -6, aliases: ['houston'] },
+  { name: 'Chicago', country: 'US', region: 'US-IL', offset: -6, aliases: ['chicago'] },
+  { name: 'Boston', country: 'US', region: 'US-MA', offset: -5, aliases: ['boston'] },
+  { name: 'Denver', country: 'US', region: 'US-CO', offset: -7, aliases: ['denver'] },
+  { name: 'Boulder', country: 'US', region: 'US-CO', offset: -7, aliases: ['boulder'] },
+  { name: 'Atlanta', country: 'US', region: 'US-GA', offset: -5, aliases: ['atlanta'] },
+  { name: 'Miami', country: 'US', region: 'US-FL', offset: -5, aliases: ['miami'] },
+  { name: 'Washington, D.C.', country: 'US', region: 'US-DC', offset: -5, aliases: ['washington, d.c.', 'washington dc', 'washington d.c.', 'washington, dc'] },
+  { name: 'Philadelphia', country: 'US', region: 'US-PA', offset: -5, aliases: ['philadelphia', 'philadelphie', 'filadelfia'] },
+  { name: 'Pittsburgh', country: 'US', region: 'US-PA', offset: -5, aliases: ['pittsburgh'] },
+  { name: 'Raleigh', country: 'US', region: 'US-NC', offset: -5, aliases: ['raleigh'] },
+  { name: 'Salt Lake City', country: 'US', region: 'US-UT', offset: -7, aliases: ['salt lake city'] },
+  { name: 'Phoenix', country: 'US', region: 'US-AZ', offset: -7, aliases: ['phoenix'] },
+  { name: 'Minneapolis', country: 'US', region: 'US-MN', offset: -6, aliases: ['minneapolis'] },
+  { name: 'Toronto', country: 'CA', region: 'CA-ON', offset: -5, aliases: ['toronto'] },
+  { name: 'Ottawa', country: 'CA', region: 'CA-ON', offset: -5, aliases: ['ottawa'] },
+  { name: 'Montreal', country: 'CA', region: 'CA-QC', offset: -5, aliases: ['montreal', 'montréal'] },
+  { name: 'Quebec City', country: 'CA', region: 'CA-QC', offset: -5, aliases: ['quebec city', 'ville de québec'] },
+  { name: 'Vancouver', country: 'CA', region: 'CA-BC', offset: -8, aliases: ['vancouver'] },
+  { name: 'Calgary', country: 'CA', region: 'CA-AB', offset: -7, aliases: ['calgary'] },
+  { name: 'Mexico City', country: 'MX', offset: -6, aliases: ['mexico city', 'ciudad de méxico', 'ciudad de mexico', 'cdmx', 'mexico df'] },
+  { name: 'Guadalajara', country: 'MX', offset: -6, aliases: ['guadalajara'] },
+  { name: 'São Paulo', country: 'BR', offset: -3, aliases: ['são paulo', 'sao paulo'] },
+  { name: 'Rio de Janeiro', country: 'BR', offset: -3, aliases: ['rio de janeiro'] },
+  { name: 'Buenos Aires', country: 'AR', offset: -3, aliases: ['buenos aires'] },
+  { name: 'Santiago', country: 'CL', offset: -4, aliases: ['santiago de chile', 'santiago'] },
+  { name: 'Bogotá', country: 'CO', offset: -5, aliases: ['bogotá', 'bogota'] },
+  { name: 'Medellín', country: 'CO', offset: -5, aliases: ['medellín', 'medellin'] },
+  { name: 'Lima', country: 'PE', offset: -5, aliases: ['lima'] },
+  { name: 'Montevideo', country: 'UY', offset: -3, aliases: ['montevideo', 'montevidéu'] },
+  { name: 'San José', country: 'CR', offset: -6, aliases: ['san josé, costa rica', 'san jose, costa rica'] },
+  { name: 'Bangalore', country: 'IN', offset: 5.5, aliases: ['bangalore', 'bengaluru'] },
+  { name: 'Mumbai', country: 'IN', offset: 5.5, aliases: ['mumbai', 'bombay'] },
+  { name: 'New Delhi', country: 'IN', offset: 5.5, aliases: ['new delhi', 'delhi', 'gurgaon', 'gurugram', 'noida'] },
+  { name: 'Hyderabad', country: 'IN', offset: 5.5, aliases: ['hyderabad'] },
+  { name: 'Pune', country: 'IN', offset: 5.5, aliases: ['pune'] },
+  { name: 'Chennai', country: 'IN', offset: 5.5, aliases: ['chennai', 'madras'] },
+  { name: 'Karachi', country: 'PK', offset: 5, aliases: ['karachi'] },
+  { name: 'Lahore', country: 'PK', offset: 5, aliases: ['lahore'] },
+  { name: 'Kuala Lumpur', country: 'MY', offset: 8, aliases: ['kuala lumpur'] },
+  { name: 'Jakarta', country: 'ID', offset: 7, aliases: ['jakarta', 'djakarta', 'yakarta', 'giacarta'] },
+  { name: 'Manila', country: 'PH', offset: 8, aliases: ['manila', 'manille', 'metro manila'] },
+  { name: 'Ho Chi Minh City', country: 'VN', offset: 7, aliases: ['ho chi minh city', 'ho chi minh', 'saigon', 'hô-chi-minh-ville'] },
+  { name: 'Hanoi', country: 'VN', offset: 7, aliases: ['hanoi', 'ha noi', 'hanói'] },
+  { name: 'Bangkok', country: 'TH', offset: 7, aliases: ['bangkok', 'bangkok metropolis'] },
+  { name: 'Shanghai', country: 'CN', offset: 8, aliases: ['shanghai', 'shanghái', 'xangai'] },
+  { name: 'Beijing', country: 'CN', offset: 8, aliases: ['beijing', 'pékin', 'pekin', 'peking', 'pekín', 'pechino', 'pequim'] },
+  { name: 'Shenzhen', country: 'CN', offset: 8, aliases: ['shenzhen'] },
+  { name: 'Taipei', country: 'TW', offset: 8, aliases: ['taipei', 'taipéi'] },
+  { name: 'Tokyo', country: 'JP', offset: 9, aliases: ['tokyo', 'tokio', 'tóquio'] },
+  { name: 'Osaka', country: 'JP', offset: 9, aliases: ['osaka'] },
+  { name: 'Seoul', country: 'KR', offset: 9, aliases: ['seoul', 'séoul', 'seúl', 'seul'] },
+  { name: 'Sydney', country: 'AU', region: 'AU-NSW', offset: 10, aliases: ['sydney', 'sídney'] },
+  { name: 'Melbourne', country: 'AU', region: 'AU-VIC', offset: 10, aliases: ['melbourne'] },
+  { name: 'Brisbane', country: 'AU', offset: 10, aliases: ['brisbane'] },
+  { name: 'Perth', country: 'AU', offset: 8, aliases: ['perth'] },
+  { name: 'Auckland', country: 'NZ', offset: 12, aliases: ['auckland'] },
+  { name: 'Wellington', country: 'NZ', offset: 12, aliases: ['wellington'] }
+];
+
+const TIMEZONE_ABBREVIATIONS = {
+  utc: 0,
+  gmt: 0,
+  wet: 0,
+  bst: 0,
+  cet: 1,
+  cest: 1,
+  met: 1,
+  eet: 2,
+  eest: 2,
+  msk: 3,
+  gst: 4,
+  ist: 5.5,
+  sgt: 8,
+  hkt: 8,
+  jst: 9,
+  kst: 9,
+  aest: 10,
+  aedt: 10,
+  nzst: 12,
+  est: -5,
+  edt: -5,
+  cst: -6,
+  cdt: -6,
+  mst: -7,
+  mdt: -7,
+  pst: -8,
+  pdt: -8,
+  brt: -3,
+  art: -3
+};
+
+const TIMEZONE_NAMES = {
+  'eastern time': -5,
+  'central time': -6,
+  'mountain time': -7,
+  'pacific time': -8,
+  'central european time': 1,
+  'eastern european time': 2,
+  'western european time': 0,
+  'heure de paris': 1,
+  'heure française': 1,
+  'mitteleuropäische zeit': 1,
+  'hora central europea': 1
+};
+
+const TIMEZONE_BANDS = {
+  americas: [-10, -3],
+  us: [-10, -5],
+  'north-america': [-10, -3.5],
+  latam: [-6, -3],
+  europe: [-1, 3],
+  emea: [-1, 4],
+  'middle-east': [2, 4],
+  africa: [-1, 4],
+  apac: [5, 13],
+  asia: [5, 9],
+  oceania: [8, 13]
+};
+
+module.exports = {
+  COUNTRIES,
+  MACRO_REGIONS,
+  REGIONS,
+  CITIES,
+  TIMEZONE_ABBREVIATIONS,
+  TIMEZONE_NAMES,
+  TIMEZONE_BANDS
+};
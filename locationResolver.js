@@ -0,0 +1,476 @@
+const {
+  COUNTRIES,
+  MACRO_REGIONS,
+  REGIONS,
+  CITIES,
+  TIMEZONE_ABBREVIATIONS,
+  TIMEZONE_NAMES,
+  TIMEZONE_BANDS
+} = require('./locationGazetteer');
+
+const WORD_CHARS = '\\p{L}\\p{N}';
+
+const REMOTE_TERMS = [
+  'remote', 'fully remote', 'full remote', '100% remote', 'remote-first', 'remote first', 'remote-friendly', 'work from home', 'wfh',
+  'télétravail', 'teletravail', 'à distance', 'remoto', 'en remoto', 'teletrabajo', 'trabajo remoto',
+  'home office', 'homeoffice', 'fernarbeit', 'mobiles arbeiten', 'telelavoro', 'da remoto', 'trabalho remoto', 'thuiswerken', 'op afstand'
+];
+const WORLDWIDE_TERMS = [
+  'worldwide', 'anywhere', 'anywhere in the world', 'work from anywhere', 'monde entier', 'partout dans le monde', 'weltweit',
+  'todo el mundo', 'cualquier lugar', 'ovunque', 'qualquer lugar', 'wereldwijd'
+];
+const HYBRID_TERMS = ['hybrid', 'hybride', 'híbrido', 'hibrido', 'ibrido', 'partially remote', 'partly remote', 'semi-remote', 'flex office'];
+const ONSITE_TERMS = ['on-site', 'onsite', 'on site', 'in-office', 'in office', 'office-based', 'office based', 'sur site', 'présentiel', 'presentiel', 'presencial', 'vor ort', 'in sede', 'op kantoor'];
+
+const MULTIPLE_PATTERN = /(multiple|various|several|plusieurs|divers|mehrere|verschiedene|varias|diversas|diverse|várias|meerdere)\s+(locations?|sites|offices|lieux|localisations|villes|standorte|orte|ubicaciones|sedi|localidades|locaties|vestigingen)|(?<![\p{L}\p{N}])\d+\s+(locations|sites|offices|lieux|standorte|ubicaciones|sedi|locaties)(?![\p{L}\p{N}])/iu;
+const CODE_PATTERN = /(?:^|[,(/|–-]\s*|(?:[Rr]emote|REMOTE|[Hh]ybrid|HYBRID)\s+)([A-Z]{2,3})(?=\s*(?:only|ONLY|Only|seulement|uniquement|nur|solo|solamente|apenas|alleen)?\s*(?:$|[,)/|–-]))/g;
+const UTC_OFFSET_PATTERN = /(?<![\p{L}])(?:UTC|GMT)\s*([+\-−–])\s*(\d{1,2})(?:[:.h]?(\d{2}))?/giu;
+const TOLERANCE_PATTERN = /(?:±|\+\/-|\+\/−|\+-|plus or minus)\s*(\d{1,2})\s*(?:h|hrs?|hours?|heures?|stunden|horas|ore)?(?![\p{L}])/iu;
+const AMBIGUOUS_TEXT_ALIASES = new Set(['nice', 'sf', 'idf', 'nrw', 'la, ca', 'porto', 'lima', 'santiago', 'cork', 'world']);
+
+const MAX_CACHED_RESOLUTIONS = 2000;
+const resolutionCache = new Map();
+let index = null;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildTermPattern = (terms, flags = 'iu') => new RegExp(
+  `(?<![${WORD_CHARS}])(${[...terms].sort((a, b) => b.length - a.length).map(escapeRegex).join('|')})(?![${WORD_CHARS}])`,
+  flags
+);
+
+const REMOTE_PATTERN = buildTermPattern(REMOTE_TERMS);
+const WORLDWIDE_PATTERN = buildTermPattern(WORLDWIDE_TERMS);
+const HYBRID_PATTERN = buildTermPattern(HYBRID_TERMS);
+const ONSITE_PATTERN = buildTermPattern(ONSITE_TERMS);
+const TIMEZONE_NAME_PATTERN = buildTermPattern(Object.keys(TIMEZONE_NAMES), 'giu');
+const TIMEZONE_ABBREVIATION_PATTERN = new RegExp(
+  `(?<![\\p{L}])(${Object.keys(TIMEZONE_ABBREVIATIONS).filter(key => key.length >= 3).map(key => key.toUpperCase()).join('|')})(?![\\p{L}])(?!\\s*[+\\-−–]\\s*\\d)`,
+  'gu'
+);
+
+const cleanText = (value) => (value === null || value === undefined ? '' : String(value)).replace(/\s+/g, ' ').trim();
+
+const normalizeText = (value) => cleanText(value).normalize('NFC').toLowerCase().replace(/[’`]/g, "'");
+
+const offsetRange = (offsets) => {
+  if (offsets.length === 0) return null;
+  return [Math.min(...offsets), Math.max(...offsets)];
+};
+
+const buildIndex = () => {
+  const entries = new Map();
+  const countriesByCode = new Map();
+  const regionsByCode = new Map();
+  const regionsByAbbreviation = new Map();
+  const macrosByCode = new Map();
+  const places = [];
+
+  const add = (alias, place) => {
+    const key = normalizeText(alias);
+    if (!key) return;
+    if (!entries.has(key)) entries.set(key, []);
+    if (!entries.get(key).includes(place)) entries.get(key).push(place);
+  };
+
+  for (const country of COUNTRIES) {
+    const place = {
+      type: 'country',
+      code: country.code,
+      name: country.name,
+      country: country.code,
+      countries: [country.code],
+      offsets: country.offsets,
+      aliases: country.aliases
+    };
+    countriesByCode.set(country.code, place);
+    places.push(place);
+    add(country.name, place);
+    country.aliases.forEach(alias => add(alias, place));
+  }
+
+  for (const macro of MACRO_REGIONS) {
+    const memberOffsets = macro.countries
+      .map(code => countriesByCode.get(code))
+      .filter(Boolean)
+      .flatMap(country => country.offsets);
+    const place = {
+      type: 'macro',
+      code: macro.code,
+      name: macro.name,
+      country: null,
+      countries: macro.countries,
+      offsets: offsetRange(memberOffsets),
+      aliases: macro.aliases
+    };
+    macrosByCode.set(macro.code, place);
+    places.push(place);
+    macro.aliases.forEach(alias => add(alias, place));
+  }
+
+  for (const region of REGIONS) {
+    const place = {
+      type: 'region',
+      code: region.code,
+      name: region.name,
+      country: region.country,
+      countries: [region.country],
+      offsets: region.offsets,
+      aliases: region.aliases
+    };
+    regionsByCode.set(region.code, place);
+    places.push(place);
+    region.aliases.forEach(alias => add(alias, place));
+
+    if (region.abbreviation) {
+      if (!regionsByAbbreviation.has(region.abbreviation)) regionsByAbbreviation.set(region.abbreviation, []);
+      regionsByAbbreviation.get(region.abbreviation).push(place);
+    }
+  }
+
+  for (const city of CITIES) {
+    const place = {
+      type: 'city',
+      code: `${city.country}:${city.name}`,
+      name: city.name,
+      country: city.country,
+      region: city.region || null,
+      countries: [city.country],
+      offsets: [city.offset, city.offset],
+      aliases: city.aliases
+    };
+    places.push(place);
+    add(city.name, place);
+    city.aliases.forEach(alias => add(alias, place));
+  }
+
+  return {
+    entries,
+    pattern: buildTermPattern(entries.keys(), 'giu'),
+    countriesByCode,
+    regionsByCode,
+    regionsByAbbreviation,
+    macrosByCode,
+    places
+  };
+};
+
+const getIndex = () => {
+  if (!index) {
+    index = buildIndex();
+  }
+  return index;
+};
+
+const covers = (outer, inner) => {
+  if (outer.code === inner.code) return true;
+
+  switch (outer.type) {
+    case 'macro':
+      return inner.countries.every(code => outer.countries.includes(code));
+    case 'country':
+      return inner.type !== 'macro' && inner.country === outer.code;
+    case 'region':
+      return inner.type === 'city' && inner.region === outer.code;
+    default:
+      return false;
+  }
+};
+
+const overlaps = (a, b) => {
+  if (covers(a, b) || covers(b, a)) return true;
+  return a.type === 'macro' && b.type === 'macro' && a.countries.some(code => b.countries.includes(code));
+};
+
+const pickCandidate = (candidates, contextCountries) => {
+  if (candidates.length === 1) return candidates[0];
+  return candidates.find(place => place.countries.some(code => contextCountries.has(code))) || candidates[0];
+};
+
+const QUALIFIER_GAP_PATTERN = /^[\s,(/–-]*$/;
+
+const isQualifiedBy = (place, qualifier) => {
+  if (!place.countries.some(code => qualifier.countries.includes(code))) return false;
+  return qualifier.type !== 'region' || !place.region || place.region === qualifier.code;
+};
+
+const applyQualifiers = (textMatches, codeMatches, lower) => {
+  const matches = [...textMatches, ...codeMatches].sort((a, b) => a.start - b.start);
+
+  for (const match of textMatches) {
+    if (!match.places.some(place => place.type === 'city')) continue;
+
+    const next = matches.find(other => other.start >= match.end);
+    if (!next || !QUALIFIER_GAP_PATTERN.test(lower.substring(match.end, next.start))) continue;
+
+    const qualifier = next.places.find(place => place.type === 'region' || place.type === 'country');
+    if (!qualifier) continue;
+
+    match.places = match.places.filter(place => place.type !== 'city' || isQualifiedBy(place, qualifier));
+  }
+};
+
+const findPlaces = (raw, lower) => {
+  const { entries, pattern, countriesByCode, regionsByAbbreviation } = getIndex();
+  const textMatches = [];
+
+  for (const match of lower.matchAll(pattern)) {
+    textMatches.push({ places: entries.get(match[1]), start: match.index, end: match.index + match[0].length });
+  }
+
+  const contextCountries = new Set(
+    textMatches.filter(match => match.places.length === 1).flatMap(match => match.places[0].countries)
+  );
+  const codeMatches = [];
+
+  for (const match of raw.matchAll(CODE_PATTERN)) {
+    const code = match[1];
+    const regions = (regionsByAbbreviation.get(code) || []).filter(region => contextCountries.has(region.country));
+    const country = countriesByCode.get(code);
+    let place = null;
+
+    if (regions.length > 0) {
+      place = regions[0];
+    } else if (country && !regionsByAbbreviation.has(code)) {
+      place = country;
+    } else if (country && contextCountries.has(code)) {
+      place = country;
+    } else if (!country && regionsByAbbreviation.has(code) && regionsByAbbreviation.get(code).length === 1) {
+      place = regionsByAbbreviation.get(code)[0];
+    }
+
+    if (place) {
+      const start = match.index + match[0].lastIndexOf(code);
+      codeMatches.push({ places: [place], start, end: start + code.length });
+    }
+  }
+
+  applyQualifiers(textMatches, codeMatches, lower);
+
+  const remainingGroups = textMatches.filter(match => match.places.length > 0).map(match => match.places);
+  const pickContext = new Set(
+    [...remainingGroups.filter(group => group.length === 1), ...codeMatches.map(match => match.places)]
+      .flatMap(group => group[0].countries)
+  );
+  const found = [
+    ...remainingGroups.map(group => pickCandidate(group, pickContext)),
+    ...codeMatches.map(match => match.places[0])
+  ];
+
+  const unique = [...new Map(found.map(place => [place.code, place])).values()];
+
+  return unique.filter(place => place.type === 'macro' || !unique.some(other =>
+    other !== place && other.type !== 'macro' && covers(place, other)
+  ));
+};
+
+const findTimezoneRange = (raw, lower) => {
+  const offsets = [];
+
+  for (const match of raw.matchAll(UTC_OFFSET_PATTERN)) {
+    const sign = match[1] === '+' ? 1 : -1;
+    offsets.push(sign * (parseInt(match[2], 10) + (match[3] ? parseInt(match[3], 10) / 60 : 0)));
+  }
+
+  for (const match of raw.matchAll(TIMEZONE_ABBREVIATION_PATTERN)) {
+    offsets.push(TIMEZONE_ABBREVIATIONS[match[1].toLowerCase()]);
+  }
+
+  for (const match of lower.matchAll(TIMEZONE_NAME_PATTERN)) {
+    offsets.push(TIMEZONE_NAMES[match[1]]);
+  }
+
+  const range = offsetRange(offsets);
+  if (!range) return null;
+
+  const tolerance = raw.match(TOLERANCE_PATTERN);
+  const hours = tolerance ? parseInt(tolerance[1], 10) : 0;
+
+  return [range[0] - hours, range[1] + hours];
+};
+
+const detectWorkplace = (lower) => ({
+  remote: REMOTE_PATTERN.test(lower),
+  worldwide: WORLDWIDE_PATTERN.test(lower),
+  hybrid: HYBRID_PATTERN.test(lower),
+  onsite: ONSITE_PATTERN.test(lower)
+});
+
+const resolveLocation = (value, options = {}) => {
+  const raw = cleanText(value);
+  const cacheKey = `${options.remote}|${options.workplace || ''}|${raw}`;
+
+  if (resolutionCache.has(cacheKey)) {
+    return resolutionCache.get(cacheKey);
+  }
+
+  const lower = normalizeText(raw);
+  const terms = detectWorkplace(lower);
+  const places = lower ? findPlaces(raw, lower) : [];
+
+  let workplace = null;
+  if (options.workplace) {
+    workplace = options.workplace;
+  } else if (terms.hybrid) {
+    workplace = 'hybrid';
+  } else if (terms.remote || terms.worldwide || options.remote === true) {
+    workplace = 'remote';
+  } else if (terms.onsite || places.length > 0) {
+    workplace = 'onsite';
+  }
+
+  const explicitRange = findTimezoneRange(raw, lower);
+  const worldwide = workplace === 'remote' && places.length === 0 && !explicitRange;
+
+  const resolved = {
+    raw,
+    workplace,
+    worldwide,
+    multiple: places.filter(place => place.type !== 'macro').length > 1 || MULTIPLE_PATTERN.test(lower),
+    places,
+    countries: [...new Set(places.flatMap(place => place.countries))],
+    utcRange: explicitRange || offsetRange(places.filter(place => place.offsets).flatMap(place => place.offsets))
+  };
+
+  if (resolutionCache.size >= MAX_CACHED_RESOLUTIONS) {
+    resolutionCache.delete(resolutionCache.keys().next().value);
+  }
+  resolutionCache.set(cacheKey, resolved);
+
+  return resolved;
+};
+
+const parseLocationQuery = (term) => {
+  const raw = cleanText(term);
+  const lower = normalizeText(raw);
+  const terms = detectWorkplace(lower);
+  const places = lower ? findPlaces(raw, lower) : [];
+
+  return {
+    raw,
+    lower,
+    remote: terms.remote && !terms.hybrid,
+    hybrid: terms.hybrid,
+    onsite: terms.onsite,
+    places
+  };
+};
+
+const placesOverlap = (jobPlaces, queryPlaces) =>
+  jobPlaces.some(jobPlace => queryPlaces.some(queryPlace => overlaps(jobPlace, queryPlace)));
+
+const matchLocation = (resolved, query) => {
+  if (!resolved.raw && !resolved.workplace) return null;
+
+  if (query.remote || query.hybrid || query.onsite) {
+    if (query.remote && resolved.workplace !== 'remote') return false;
+    if (query.hybrid && resolved.workplace !== 'hybrid') return false;
+    if (query.onsite && resolved.workplace !== 'onsite') return false;
+    if (query.places.length === 0 || resolved.worldwide) return true;
+    return placesOverlap(resolved.places, query.places);
+  }
+
+  if (query.places.length > 0 && resolved.places.length > 0) {
+    return placesOverlap(resolved.places, query.places);
+  }
+
+  return !!query.lower && normalizeText(resolved.raw).includes(query.lower);
+};
+
+const getCoveredAliases = (place) => {
+  const { places } = getIndex();
+  return places
+    .filter(candidate => covers(place, candidate))
+    .flatMap(candidate => [candidate.name, ...candidate.aliases])
+    .map(normalizeText)
+    .filter(alias => alias.length > 2 && !AMBIGUOUS_TEXT_ALIASES.has(alias));
+};
+
+const textMentionsLocation = (text, query) => {
+  const lower = normalizeText(text);
+  if (!lower || !query.lower) return false;
+  if (lower.includes(query.lower)) return true;
+
+  if ((query.remote || query.hybrid) && !detectWorkplace(lower)[query.remote ? 'remote' : 'hybrid']) {
+    return false;
+  }
+
+  if (query.places.length === 0) {
+    return query.remote || query.hybrid;
+  }
+
+  const aliases = [...new Set(query.places.flatMap(getCoveredAliases))];
+  return aliases.length > 0 && buildTermPattern(aliases).test(lower);
+};
+
+const resolveCountryScope = (value) => {
+  const values = (Array.isArray(value) ? value : String(value || '').split(/[,;|]/)).map(cleanText).filter(Boolean);
+  const { countriesByCode, macrosByCode, entries } = getIndex();
+  const codes = new Set();
+
+  for (const item of values) {
+    const upper = item.toUpperCase();
+    const direct = countriesByCode.get(upper) || macrosByCode.get(upper);
+    const place = direct || (entries.get(normalizeText(item)) || []).find(candidate => candidate.type === 'country' || candidate.type === 'macro');
+
+    if (place) {
+      place.countries.forEach(code => codes.add(code));
+    }
+  }
+
+  return codes.size > 0 ? [...codes] : null;
+};
+
+const isWithinCountries = (resolved, countryCodes) => {
+  if (!resolved.raw && !resolved.workplace) return null;
+  if (resolved.places.length === 0) return resolved.worldwide ? false : null;
+  return resolved.countries.some(code => countryCodes.includes(code));
+};
+
+const parseTimezoneBand = (value) => {
+  if (Array.isArray(value) && value.length === 2 && value.every(Number.isFinite)) {
+    return [Math.min(...value), Math.max(...value)];
+  }
+
+  const normalized = normalizeText(value);
+  if (!normalized) return null;
+
+  const named = TIMEZONE_BANDS[normalized.replace(/\s+/g, '-')];
+  if (named) return named;
+
+  const rangeMatch = normalized.match(/^(?:utc|gmt)?\s*([+\-−]?\d{1,2}(?:\.\d+)?)\s*(?:\.\.|to|à|bis|a|–|—|\/|,)\s*(?:utc|gmt)?\s*([+\-−]?\d{1,2}(?:\.\d+)?)$/);
+  if (rangeMatch) {
+    const bounds = [rangeMatch[1], rangeMatch[2]].map(bound => parseFloat(bound.replace('−', '-')));
+    return [Math.min(...bounds), Math.max(...bounds)];
+  }
+
+  const offset = findTimezoneRange(cleanText(value).toUpperCase(), normalized);
+  return offset || null;
+};
+
+const isRemoteInTimezoneBand = (resolved, band) => {
+  if (!resolved.raw && !resolved.workplace) return null;
+  if (resolved.workplace !== 'remote') return false;
+  if (!resolved.utcRange) return true;
+  return resolved.utcRange[0] <= band[1] && resolved.utcRange[1] >= band[0];
+};
+
+const describeLocation = (resolved) => ({
+  workplace: resolved.workplace,
+  places: resolved.places.map(place => place.name),
+  countries: resolved.countries,
+  utcRange: resolved.utcRange,
+  multiple: resolved.multiple
+});
+
+module.exports = {
+  resolveLocation,
+  parseLocationQuery,
+  matchLocation,
+  textMentionsLocation,
+  resolveCountryScope,
+  isWithinCountries,
+  parseTimezoneBand,
+  isRemoteInTimezoneBand,
+  describeLocation
+};
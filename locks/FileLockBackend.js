@@ -0,0 +1,206 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const FileMutex = require('./FileMutex');
+
+class FileLockBackend {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.rootDir = options.rootDir;
+    this.instanceId = options.instanceId || `${process.pid}`;
+    this.pollIntervalMs = options.pollIntervalMs || 1000;
+    this.EVENT_TTL_MS = 60000;
+    this.subscriptions = new Map();
+    this.mutex = new FileMutex({
+      ownerId: this.instanceId,
+      label: 'lock mutex',
+      logCategory: 'queue',
+      staleMs: 10000,
+      timeoutMs: 5000
+    });
+  }
+
+  async init() {
+    await fs.mkdir(this.rootDir, { recursive: true });
+  }
+
+  getSafeName(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9.-]+/g, '_').substring(0, 200);
+  }
+
+  getNamespaceDir(namespace) {
+    return path.join(this.rootDir, this.getSafeName(namespace));
+  }
+
+  getLeaseFile(namespace, domain) {
+    return path.join(this.getNamespaceDir(namespace), `${this.getSafeName(domain)}.json`);
+  }
+
+  getEventsDir(namespace) {
+    return path.join(this.getNamespaceDir(namespace), 'events');
+  }
+
+  async withMutex(filepath, task) {
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    return this.mutex.run(filepath, task);
+  }
+
+  async readLeases(filepath, now) {
+    let leases = {};
+    try {
+      leases = JSON.parse(await fs.readFile(filepath, 'utf8')).leases || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        config.smartLog('fail', `Unreadable lease file ${filepath}, resetting: ${error.message}`);
+      }
+    }
+
+    return Object.fromEntries(Object.entries(leases).filter(([, expiresAt]) => expiresAt > now));
+  }
+
+  async writeLeases(filepath, leases) {
+    if (Object.keys(leases).length === 0) {
+      await fs.unlink(filepath).catch(() => {});
+      return;
+    }
+
+    const tempPath = `${filepath}.tmp.${process.pid}`;
+    await fs.writeFile(tempPath, JSON.stringify({ leases, updatedAt: new Date().toISOString() }));
+    await fs.rename(tempPath, filepath);
+  }
+
+  async acquire(namespace, domain, holderId, limit, ttlMs) {
+    const filepath = this.getLeaseFile(namespace, domain);
+
+    return this.withMutex(filepath, async () => {
+      const now = Date.now();
+      const leases = await this.readLeases(filepath, now);
+      const activeCount = Object.keys(leases).length;
+
+      if (!leases[holderId] && activeCount >= limit) {
+        await this.writeLeases(filepath, leases);
+        return { acquired: false, activeCount };
+      }
+
+      leases[holderId] = now + ttlMs;
+      await this.writeLeases(filepath, leases);
+      return { acquired: true, activeCount: Object.keys(leases).length };
+    });
+  }
+
+  async renew(namespace, domain, holderId, ttlMs) {
+    const filepath = this.getLeaseFile(namespace, domain);
+
+    return this.withMutex(filepath, async () => {
+      const now = Date.now();
+      const leases = await this.readLeases(filepath, now);
+      if (!leases[holderId]) return false;
+
+      leases[holderId] = now + ttlMs;
+      await this.writeLeases(filepath, leases);
+      return true;
+    });
+  }
+
+  async release(namespace, domain, holderId) {
+    const filepath = this.getLeaseFile(namespace, domain);
+
+    return this.withMutex(filepath, async () => {
+      const leases = await this.readLeases(filepath, Date.now());
+      const held = !!leases[holderId];
+      delete leases[holderId];
+      await this.writeLeases(filepath, leases);
+      return held;
+    });
+  }
+
+  async getActiveCount(namespace, domain) {
+    const leases = await this.readLeases(this.getLeaseFile(namespace, domain), Date.now());
+    return Object.keys(leases).length;
+  }
+
+  async publish(namespace, message) {
+    const eventsDir = this.getEventsDir(namespace);
+    await fs.mkdir(eventsDir, { recursive: true });
+
+    const name = `${Date.now()}-${this.getSafeName(this.instanceId)}-${Math.random().toString(36).substr(2, 6)}.json`;
+    const tempPath = path.join(eventsDir, `.${name}.tmp`);
+    await fs.writeFile(tempPath, JSON.stringify(message));
+    await fs.rename(tempPath, path.join(eventsDir, name));
+  }
+
+  async pollEvents(namespace) {
+    const subscription = this.subscriptions.get(namespace);
+    if (!subscription || subscription.polling) return;
+
+    subscription.polling = true;
+    const eventsDir = this.getEventsDir(namespace);
+    const now = Date.now();
+
+    try {
+      const files = (await fs.readdir(eventsDir).catch(() => []))
+        .filter(file => file.endsWith('.json') && !file.startsWith('.'))
+        .sort();
+
+      for (const file of files) {
+        const timestamp = parseInt(file, 10);
+
+        if (now - timestamp > this.EVENT_TTL_MS) {
+          await fs.unlink(path.join(eventsDir, file)).catch(() => {});
+          continue;
+        }
+        if (timestamp < subscription.since || subscription.seen.has(file)) continue;
+
+        subscription.seen.add(file);
+        try {
+          const message = JSON.parse(await fs.readFile(path.join(eventsDir, file), 'utf8'));
+          subscription.handlers.forEach(handler => handler(message));
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            config.smartLog('fail', `Invalid lock event ${file}: ${error.message}`);
+          }
+        }
+      }
+
+      for (const file of subscription.seen) {
+        if (now - parseInt(file, 10) > this.EVENT_TTL_MS) subscription.seen.delete(file);
+      }
+    } finally {
+      subscription.polling = false;
+    }
+  }
+
+  async subscribe(namespace, handler) {
+    let subscription = this.subscriptions.get(namespace);
+
+    if (!subscription) {
+      subscription = { handlers: new Set(), seen: new Set(), since: Date.now(), polling: false, timer: null };
+      subscription.timer = setInterval(() => {
+        this.pollEvents(namespace).catch(error => {
+          config.smartLog('fail', `Lock event polling failed for ${namespace}: ${error.message}`);
+        });
+      }, this.pollIntervalMs);
+      subscription.timer.unref();
+      this.subscriptions.set(namespace, subscription);
+    }
+
+    subscription.handlers.add(handler);
+
+    return async () => {
+      subscription.handlers.delete(handler);
+      if (subscription.handlers.size === 0) {
+        clearInterval(subscription.timer);
+        this.subscriptions.delete(namespace);
+      }
+    };
+  }
+
+  async close() {
+    for (const subscription of this.subscriptions.values()) {
+      clearInterval(subscription.timer);
+    }
+    this.subscriptions.clear();
+  }
+}
+
+module.exports = FileLockBackend;
@@ -0,0 +1,94 @@
+const fs = require('fs').promises;
+const config = require('../../config');
+
+class FileMutex {
+  constructor(options = {}) {
+    this.ownerId = options.ownerId || `${process.pid}`;
+    this.label = options.label || 'lock mutex';
+    this.logCategory = options.logCategory || 'queue';
+    this.staleMs = options.staleMs || 10000;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.retryMs = options.retryMs || 25;
+  }
+
+  async run(filepath, task) {
+    const mutex = await this.acquire(filepath);
+
+    try {
+      return await task();
+    } finally {
+      await this.release(mutex);
+    }
+  }
+
+  async acquire(filepath) {
+    const mutex = {
+      path: `${filepath}.lock`,
+      token: `${this.ownerId}\n${Date.now()}\n${Math.random().toString(36).substr(2, 8)}`
+    };
+    const deadline = Date.now() + this.timeoutMs;
+
+    while (!(await this.tryCreate(mutex))) {
+      const stats = await fs.stat(mutex.path).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > this.staleMs) {
+        await this.removeStale(mutex.path, stats);
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for ${this.label} ${mutex.path}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, this.retryMs + Math.floor(Math.random() * this.retryMs)));
+    }
+
+    return mutex;
+  }
+
+  async tryCreate(mutex) {
+    let handle;
+    try {
+      handle = await fs.open(mutex.path, 'wx');
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+
+    try {
+      await handle.writeFile(mutex.token);
+    } catch (error) {
+      await fs.unlink(mutex.path).catch(() => {});
+      throw error;
+    } finally {
+      await handle.close().catch(() => {});
+    }
+    return true;
+  }
+
+  async removeStale(mutexPath, staleStats) {
+    const claimedPath = `${mutexPath}.stale.${process.pid}.${Math.random().toString(36).substr(2, 6)}`;
+    try {
+      await fs.rename(mutexPath, claimedPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const claimed = await fs.stat(claimedPath).catch(() => null);
+    if (claimed && claimed.ino === staleStats.ino && claimed.mtimeMs === staleStats.mtimeMs) {
+      config.smartLog(this.logCategory, `Removing stale ${this.label} ${mutexPath}`);
+    } else {
+      await fs.link(claimedPath, mutexPath).catch(() => {});
+    }
+    await fs.unlink(claimedPath).catch(() => {});
+  }
+
+  async release(mutex) {
+    const content = await fs.readFile(mutex.path, 'utf8').catch(() => null);
+    if (content === mutex.token) {
+      await fs.unlink(mutex.path).catch(() => {});
+    } else {
+      config.smartLog('fail', `Could not release ${this.label} ${mutex.path}: it was taken over`);
+    }
+  }
+}
+
+module.exports = FileMutex;
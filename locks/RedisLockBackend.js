@@ -0,0 +1,136 @@
+const config = require('../../config');
+const RespClient = require('./RespClient');
+
+const ACQUIRE_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if redis.call('ZSCORE', KEYS[1], ARGV[3]) then
+  redis.call('ZADD', KEYS[1], ARGV[2], ARGV[3])
+  redis.call('PEXPIRE', KEYS[1], ARGV[5])
+  return {1, redis.call('ZCARD', KEYS[1])}
+end
+local active = redis.call('ZCARD', KEYS[1])
+if active < tonumber(ARGV[4]) then
+  redis.call('ZADD', KEYS[1], ARGV[2], ARGV[3])
+  redis.call('PEXPIRE', KEYS[1], ARGV[5])
+  return {1, active + 1}
+end
+return {0, active}
+`;
+
+const RENEW_SCRIPT = `
+local expiresAt = redis.call('ZSCORE', KEYS[1], ARGV[3])
+if not expiresAt or tonumber(expiresAt) <= tonumber(ARGV[1]) then
+  return 0
+end
+redis.call('ZADD', KEYS[1], 'XX', ARGV[2], ARGV[3])
+redis.call('PEXPIRE', KEYS[1], ARGV[4])
+return 1
+`;
+
+class RedisLockBackend {
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.url = options.url;
+    this.prefix = options.prefix || 'ploppy';
+    this.client = null;
+    this.subscriber = null;
+    this.handlers = new Map();
+  }
+
+  async init() {
+    this.client = new RespClient(this.url);
+    this.client.on('error', error => config.smartLog('fail', `Redis lock client error: ${error.message}`));
+    await this.client.connect();
+    await this.client.command('PING');
+  }
+
+  getLeaseKey(namespace, domain) {
+    return `${this.prefix}:${namespace}:lease:${domain}`;
+  }
+
+  getChannel(namespace) {
+    return `${this.prefix}:${namespace}:events`;
+  }
+
+  async acquire(namespace, domain, holderId, limit, ttlMs) {
+    const now = Date.now();
+    const [acquired, activeCount] = await this.client.command(
+      'EVAL', ACQUIRE_SCRIPT, 1, this.getLeaseKey(namespace, domain),
+      now, now + ttlMs, holderId, limit, ttlMs * 2
+    );
+    return { acquired: acquired === 1, activeCount };
+  }
+
+  async renew(namespace, domain, holderId, ttlMs) {
+    const now = Date.now();
+    const renewed = await this.client.command(
+      'EVAL', RENEW_SCRIPT, 1, this.getLeaseKey(namespace, domain),
+      now, now + ttlMs, holderId, ttlMs * 2
+    );
+    return renewed === 1;
+  }
+
+  async release(namespace, domain, holderId) {
+    return (await this.client.command('ZREM', this.getLeaseKey(namespace, domain), holderId)) === 1;
+  }
+
+  async getActiveCount(namespace, domain) {
+    return this.client.command('ZCOUNT', this.getLeaseKey(namespace, domain), `(${Date.now()}`, '+inf');
+  }
+
+  async publish(namespace, message) {
+    await this.client.command('PUBLISH', this.getChannel(namespace), JSON.stringify(message));
+  }
+
+  async subscribe(namespace, handler) {
+    const channel = this.getChannel(namespace);
+
+    if (!this.subscriber) {
+      this.subscriber = new RespClient(this.url, { commandTimeoutMs: 10000 });
+      this.subscriber.on('error', error => config.smartLog('fail', `Redis lock subscriber error: ${error.message}`));
+      this.subscriber.on('message', (messageChannel, payload) => {
+        const channelHandlers = this.handlers.get(messageChannel);
+        if (!channelHandlers) return;
+
+        let message;
+        try {
+          message = JSON.parse(payload);
+        } catch (error) {
+          config.smartLog('fail', `Invalid lock event on ${messageChannel}: ${error.message}`);
+          return;
+        }
+        channelHandlers.forEach(channelHandler => channelHandler(message));
+      });
+    }
+
+    const channelHandlers = this.handlers.get(channel) || new Set();
+    channelHandlers.add(handler);
+    this.handlers.set(channel, channelHandlers);
+
+    if (channelHandlers.size === 1) {
+      await this.subscriber.subscribe(channel);
+    }
+
+    return async () => {
+      channelHandlers.delete(handler);
+      if (channelHandlers.size === 0) {
+        this.handlers.delete(channel);
+        await this.subscriber.unsubscribe(channel).catch(() => {});
+      }
+    };
+  }
+
+  async close() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+    this.handlers.clear();
+  }
+}
+
+module.exports = RedisLockBackend;
@@ -0,0 +1,228 @@
+const EventEmitter = require('events');
+const net = require('net');
+const tls = require('tls');
+
+class RespClient extends EventEmitter {
+  constructor(url, options = {}) {
+    super();
+    this.url = new URL(url || 'redis://127.0.0.1:6379');
+    this.connectTimeoutMs = options.connectTimeoutMs || 5000;
+    this.commandTimeoutMs = options.commandTimeoutMs || 5000;
+    this.socket = null;
+    this.connecting = null;
+    this.buffer = Buffer.alloc(0);
+    this.pending = [];
+    this.subscriptions = new Set();
+    this.closed = false;
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve(this);
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const secure = this.url.protocol === 'rediss:';
+      const options = {
+        host: this.url.hostname || '127.0.0.1',
+        port: Number(this.url.port) || 6379
+      };
+      const socket = secure ? tls.connect({ ...options, servername: options.host }) : net.connect(options);
+
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Redis connection timeout after ${this.connectTimeoutMs}ms`));
+      }, this.connectTimeoutMs);
+
+      socket.once(secure ? 'secureConnect' : 'connect', async () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+
+        try {
+          await this.handshake();
+          this.connecting = null;
+          resolve(this);
+        } catch (error) {
+          this.connecting = null;
+          socket.destroy();
+          reject(error);
+        }
+      });
+
+      socket.on('data', chunk => this.onData(chunk));
+      socket.on('error', error => {
+        clearTimeout(timer);
+        if (!this.socket) {
+          this.connecting = null;
+          reject(error);
+        }
+        this.emit('error', error);
+      });
+      socket.on('close', () => this.onClose(socket));
+    });
+
+    return this.connecting;
+  }
+
+  async handshake() {
+    const username = decodeURIComponent(this.url.username || '');
+    const password = decodeURIComponent(this.url.password || '');
+    const db = Number((this.url.pathname || '').replace('/', '')) || 0;
+
+    if (password) {
+      await this.send(username ? ['AUTH', username, password] : ['AUTH', password]);
+    }
+    if (db > 0) {
+      await this.send(['SELECT', String(db)]);
+    }
+    for (const channel of this.subscriptions) {
+      await this.send(['SUBSCRIBE', channel]);
+    }
+  }
+
+  onClose(socket) {
+    if (this.socket !== socket) return;
+
+    this.socket = null;
+    const error = new Error('Redis connection closed');
+    for (const request of this.pending.splice(0)) {
+      clearTimeout(request.timer);
+      request.reject(error);
+    }
+    this.emit('close');
+
+    if (!this.closed && this.subscriptions.size > 0) {
+      setTimeout(() => {
+        this.connect().catch(reconnectError => this.emit('error', reconnectError));
+      }, 1000).unref();
+    }
+  }
+
+  encode(args) {
+    const parts = [`*${args.length}\r\n`];
+    for (const arg of args) {
+      const value = Buffer.isBuffer(arg) ? arg : String(arg);
+      parts.push(`$${Buffer.byteLength(value)}\r\n`, value, '\r\n');
+    }
+    return Buffer.concat(parts.map(part => (Buffer.isBuffer(part) ? part : Buffer.from(part))));
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const index = this.pending.findIndex(request => request.timer === timer);
+        if (index !== -1) this.pending.splice(index, 1);
+        reject(new Error(`Redis command ${args[0]} timed out after ${this.commandTimeoutMs}ms`));
+        if (this.socket) this.socket.destroy();
+      }, this.commandTimeoutMs);
+
+      this.pending.push({ resolve, reject, timer, command: String(args[0]).toUpperCase() });
+      this.socket.write(this.encode(args));
+    });
+  }
+
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  async subscribe(channel) {
+    this.subscriptions.add(channel);
+    await this.connect();
+    return this.send(['SUBSCRIBE', channel]);
+  }
+
+  async unsubscribe(channel) {
+    this.subscriptions.delete(channel);
+    if (!this.socket) return null;
+    return this.send(['UNSUBSCRIBE', channel]);
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (this.buffer.length > 0) {
+      let parsed;
+      try {
+        parsed = this.parse(this.buffer, 0);
+      } catch (error) {
+        this.emit('error', error);
+        this.socket.destroy();
+        return;
+      }
+      if (!parsed) return;
+
+      this.buffer = this.buffer.subarray(parsed.offset);
+      this.dispatch(parsed.value);
+    }
+  }
+
+  dispatch(value) {
+    if (Array.isArray(value) && value[0] === 'message' && this.subscriptions.size > 0) {
+      this.emit('message', value[1], value[2]);
+      return;
+    }
+
+    const request = this.pending.shift();
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    if (value instanceof Error) {
+      request.reject(value);
+    } else {
+      request.resolve(value);
+    }
+  }
+
+  parse(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) return null;
+
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case '+':
+        return { value: line, offset: next };
+      case '-':
+        return { value: new Error(line), offset: next };
+      case ':':
+        return { value: Number(line), offset: next };
+      case '$': {
+        const length = Number(line);
+        if (length === -1) return { value: null, offset: next };
+        if (buffer.length < next + length + 2) return null;
+        return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+      }
+      case '*': {
+        const count = Number(line);
+        if (count === -1) return { value: null, offset: next };
+
+        const items = [];
+        let cursor = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.parse(buffer, cursor);
+          if (!item) return null;
+          items.push(item.value);
+          cursor = item.offset;
+        }
+        return { value: items, offset: cursor };
+      }
+      default:
+        throw new Error(`Unexpected Redis reply type "${type}"`);
+    }
+  }
+
+  async quit() {
+    this.closed = true;
+    if (!this.socket) return;
+
+    try {
+      await this.send(['QUIT']);
+    } catch (error) {
+    }
+    if (this.socket) this.socket.destroy();
+  }
+}
+
+module.exports = RespClient;
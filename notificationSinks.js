@@ -0,0 +1,287 @@
+const fs = require('fs').promises;
+const path = require('path');
+const net = require('net');
+const os = require('os');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+
+class WebhookSink {
+  constructor(options = {}) {
+    if (!options.url) {
+      throw new Error('Webhook sink requires a url');
+    }
+
+    this.type = 'webhook';
+    this.url = options.url;
+    this.secret = options.secret || null;
+    this.headers = options.headers || {};
+    this.timeout = options.timeout || 10000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+    this.baseDelayMs = options.baseDelayMs || 1000;
+    this.maxDelayMs = options.maxDelayMs || 30000;
+  }
+
+  sign(body, timestamp) {
+    return crypto.createHmac('sha256', this.secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  isRetryable(error, status) {
+    if (status) {
+      return status === 429 || status >= 500;
+    }
+    return !!error;
+  }
+
+  getBackoffDelay(attempt) {
+    const exponential = this.baseDelayMs * Math.pow(2, attempt);
+    const jitter = Math.floor(Math.random() * this.baseDelayMs);
+    return Math.min(exponential + jitter, this.maxDelayMs);
+  }
+
+  async send(payload) {
+    const body = JSON.stringify(payload);
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Ploppy-Notifier/1.0',
+        'X-Ploppy-Event': payload.event,
+        'X-Ploppy-Delivery': payload.deliveryId,
+        ...this.headers
+      };
+
+      if (this.secret) {
+        headers['X-Ploppy-Timestamp'] = String(timestamp);
+        headers['X-Ploppy-Signature'] = `sha256=${this.sign(body, timestamp)}`;
+      }
+
+      let status = null;
+
+      try {
+        const response = await axios.post(this.url, body, {
+          headers,
+          timeout: this.timeout,
+          maxRedirects: 0,
+          validateStatus: () => true
+        });
+
+        status = response.status;
+
+        if (status >= 200 && status < 300) {
+          return { delivered: true, sink: this.type, status, attempts: attempt + 1 };
+        }
+
+        lastError = new Error(`Webhook responded with HTTP ${status}`);
+      } catch (error) {
+        lastError = error;
+      }
+
+      if (!this.isRetryable(lastError, status) || attempt === this.maxRetries) {
+        break;
+      }
+
+      const delay = this.getBackoffDelay(attempt);
+      config.smartLog('retry', `Webhook delivery to ${this.url} failed (${lastError.message}), retrying in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    throw lastError || new Error('Webhook delivery failed');
+  }
+}
+
+class OutboxSink {
+  constructor(options = {}) {
+    this.type = 'outbox';
+    this.file = options.file || path.join(__dirname, '../cache/notifications-outbox.jsonl');
+  }
+
+  async send(payload) {
+    await fs.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.appendFile(this.file, `${JSON.stringify(payload)}\n`, 'utf8');
+    return { delivered: true, sink: this.type, file: this.file };
+  }
+}
+
+class SmtpSink {
+  constructor(options = {}) {
+    if (!options.host || !options.to || !options.from) {
+      throw new Error('SMTP sink requires host, from and to');
+    }
+
+    this.type = 'smtp';
+    this.host = options.host;
+    this.port = options.port || 25;
+    this.from = options.from;
+    this.to = Array.isArray(options.to) ? options.to : [options.to];
+    this.username = options.username || null;
+    this.password = options.password || null;
+    this.timeout = options.timeout || 15000;
+    this.clientName = options.clientName || os.hostname();
+    this.subjectPrefix = options.subjectPrefix || '[Ploppy]';
+  }
+
+  sanitizeHeaderValue(value) {
+    return String(value === undefined || value === null ? '' : value).replace(/[\r\n]+/g, ' ').trim();
+  }
+
+  encodeHeaderValue(value) {
+    const sanitized = this.sanitizeHeaderValue(value);
+    if (/^[\x20-\x7e]*$/.test(sanitized)) {
+      return sanitized;
+    }
+
+    const words = [];
+    let chunk = '';
+    for (const char of sanitized) {
+      if (Buffer.byteLength(chunk + char) > 45) {
+        words.push(chunk);
+        chunk = '';
+      }
+      chunk += char;
+    }
+    if (chunk) words.push(chunk);
+
+    return words.map(word => `=?UTF-8?B?${Buffer.from(word, 'utf8').toString('base64')}?=`).join('\r\n ');
+  }
+
+  buildMessage(payload) {
+    const jobLines = (payload.jobs || []).map(job => {
+      const details = [job.location, job.employmentType].filter(Boolean).join(' - ');
+      return `- ${job.title}${details ? ` (${details})` : ''}\n  ${job.url}`;
+    });
+
+    const subject = `${this.subjectPrefix} ${payload.jobs.length} new matching job(s) at ${payload.company.name || payload.company.website}`;
+    const text = [
+      `Saved search: ${payload.searchName}`,
+      `Company: ${payload.company.name || ''} ${payload.company.website || ''}`.trim(),
+      '',
+      ...jobLines
+    ].join('\r\n');
+
+    const escapedBody = text.split(/\r?\n/).map(line => line.startsWith('.') ? `.${line}` : line).join('\r\n');
+
+    return [
+      `From: ${this.sanitizeHeaderValue(this.from)}`,
+      `To: ${this.to.map(recipient => this.sanitizeHeaderValue(recipient)).join(', ')}`,
+      `Subject: ${this.encodeHeaderValue(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${this.sanitizeHeaderValue(payload.deliveryId)}@${this.sanitizeHeaderValue(this.clientName)}>`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      escapedBody
+    ].join('\r\n');
+  }
+
+  async send(payload) {
+    const socket = net.createConnection({ host: this.host, port: this.port });
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeout);
+
+    let buffer = '';
+    let pending = null;
+
+    const settleReply = () => {
+      if (!pending) return;
+      const lines = buffer.split('\r\n');
+      const lastComplete = lines.slice(0, -1).reverse().find(line => /^\d{3} /.test(line));
+      if (!lastComplete) return;
+
+      const { resolve } = pending;
+      pending = null;
+      const reply = buffer;
+      buffer = '';
+      resolve({ code: parseInt(lastComplete.substring(0, 3), 10), text: reply.trim() });
+    };
+
+    const readReply = () => new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+      settleReply();
+    });
+
+    const fail = (error) => {
+      if (pending) {
+        const { reject } = pending;
+        pending = null;
+        reject(error);
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk;
+      settleReply();
+    });
+    socket.on('error', fail);
+    socket.on('timeout', () => {
+      fail(new Error('SMTP connection timed out'));
+      socket.destroy();
+    });
+    socket.on('close', () => fail(new Error('SMTP connection closed')));
+
+    const command = async (line, expectedCodes) => {
+      if (line !== null) {
+        socket.write(`${line}\r\n`);
+      }
+      const reply = await readReply();
+      if (!expectedCodes.includes(reply.code)) {
+        throw new Error(`SMTP error after "${(line || 'greeting').split(' ')[0]}": ${reply.text}`);
+      }
+      return reply;
+    };
+
+    try {
+      await command(null, [220]);
+
+      try {
+        await command(`EHLO ${this.clientName}`, [250]);
+      } catch (error) {
+        await command(`HELO ${this.clientName}`, [250]);
+      }
+
+      if (this.username && this.password) {
+        const credentials = Buffer.from(`\u0000${this.username}\u0000${this.password}`).toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235]);
+      }
+
+      await command(`MAIL FROM:<${this.sanitizeHeaderValue(this.from)}>`, [250]);
+      for (const recipient of this.to) {
+        await command(`RCPT TO:<${this.sanitizeHeaderValue(recipient)}>`, [250, 251]);
+      }
+      await command('DATA', [354]);
+      await command(`${this.buildMessage(payload)}\r\n.`, [250]);
+      await command('QUIT', [221]).catch(() => null);
+
+      return { delivered: true, sink: this.type, recipients: this.to.length };
+    } finally {
+      socket.removeAllListeners('close');
+      socket.end();
+    }
+  }
+}
+
+const SINK_TYPES = {
+  webhook: WebhookSink,
+  outbox: OutboxSink,
+  smtp: SmtpSink
+};
+
+const createSink = (sinkConfig = {}) => {
+  const SinkClass = SINK_TYPES[sinkConfig.type];
+
+  if (!SinkClass) {
+    throw new Error(`Unknown notification sink type: ${sinkConfig.type}`);
+  }
+
+  return new SinkClass(sinkConfig);
+};
+
+module.exports = {
+  WebhookSink,
+  OutboxSink,
+  SmtpSink,
+  createSink
+};
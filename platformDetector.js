@@ -1,5 +1,7 @@
 const dictionaries = require('../dictionaries');
 const config = require('../config');
+const stepRegistry = require('./stepRegistry');
+const scrapeTraceService = require('./scrapeTraceService');
 
 class PlatformDetector {
   static detectPlatform(url, html = '') {
@@ -9,12 +11,14 @@ class PlatformDetector {
     const priorityDomainCheck = this.detectPlatformByUrl(url);
     if (priorityDomainCheck) {
       config.smartLog('platform', `Priority domain detected: ${priorityDomainCheck}`);
+      scrapeTraceService.recordPlatformEvidence(priorityDomainCheck, 'priority-domain', `Priority domain detected: ${priorityDomainCheck}`);
       return priorityDomainCheck;
     }
     
     const textualDetection = this.detectPlatformByTextSearch(html);
     if (textualDetection) {
       config.smartLog('platform', `Detected ${textualDetection} via textual search`);
+      scrapeTraceService.recordPlatformEvidence(textualDetection, 'textual-search', `Detected ${textualDetection} via textual search`);
       return textualDetection;
     }
     
@@ -23,6 +27,7 @@ class PlatformDetector {
       for (const pattern of platform.patterns) {
         if (url.includes(pattern.toLowerCase())) {
           config.smartLog('platform', `Detected ${platform.name} from URL pattern: ${pattern}`);
+          scrapeTraceService.recordPlatformEvidence(platform.name, 'url-pattern', `Detected ${platform.name} from URL pattern: ${pattern}`);
           return platform.name;
         }
       }
@@ -54,6 +59,7 @@ class PlatformDetector {
                 
                 if (hasSpecificIndicator || indicatorMatches >= 2) {
                   config.smartLog('platform', `Detected ${platform.name} from specific HTML indicator: ${indicator}`);
+                  scrapeTraceService.recordPlatformEvidence(platform.name, 'html-indicator', `Detected ${platform.name} from specific HTML indicator: ${indicator}`);
                   return platform.name;
                 }
               } else if (platform.name === 'Recruitee') {
@@ -72,6 +78,7 @@ class PlatformDetector {
                 
                 if (hasSpecificIndicator) {
                   config.smartLog('platform', `Detected ${platform.name} from specific HTML indicator: ${indicator}`);
+                  scrapeTraceService.recordPlatformEvidence(platform.name, 'html-indicator', `Detected ${platform.name} from specific HTML indicator: ${indicator}`);
                   return platform.name;
                 }
               } else if (platform.name === 'Smartrecruiters') {
@@ -92,6 +99,7 @@ class PlatformDetector {
                 
                 if (hasSpecificIndicator || indicatorMatches >= 1) {
                   config.smartLog('platform', `Detected ${platform.name} from specific HTML indicator: ${indicator}`);
+                  scrapeTraceService.recordPlatformEvidence(platform.name, 'html-indicator', `Detected ${platform.name} from specific HTML indicator: ${indicator}`);
                   return platform.name;
                 }
               } else if (platform.name === 'iCIMS') {
@@ -114,10 +122,12 @@ class PlatformDetector {
                 
                 if (hasSpecificIndicator || indicatorMatches >= 1) {
                   config.smartLog('platform', `Detected ${platform.name} from specific HTML indicator: ${indicator}`);
+                  scrapeTraceService.recordPlatformEvidence(platform.name, 'html-indicator', `Detected ${platform.name} from specific HTML indicator: ${indicator}`);
                   return platform.name;
                 }
               } else {
                 config.smartLog('platform', `Detected ${platform.name} from HTML indicator: ${indicator}`);
+                scrapeTraceService.recordPlatformEvidence(platform.name, 'html-indicator', `Detected ${platform.name} from HTML indicator: ${indicator}`);
                 return platform.name;
               }
             }
@@ -125,6 +135,7 @@ class PlatformDetector {
           
           if (platform.name === 'Recruitee' && indicatorMatches >= 2) {
             config.smartLog('platform', `Detected ${platform.name} from multiple indicators: ${indicatorMatches}/${totalIndicators}`);
+            scrapeTraceService.recordPlatformEvidence(platform.name, 'html-indicator', `Detected ${platform.name} from multiple indicators: ${indicatorMatches}/${totalIndicators}`);
             return platform.name;
           }
         }
@@ -133,6 +144,7 @@ class PlatformDetector {
           for (const apiPattern of platform.apiPatterns) {
             if (html.includes(apiPattern.toLowerCase())) {
               config.smartLog('platform', `Detected ${platform.name} from API pattern: ${apiPattern}`);
+              scrapeTraceService.recordPlatformEvidence(platform.name, 'api-pattern', `Detected ${platform.name} from API pattern: ${apiPattern}`);
               return platform.name;
             }
           }
@@ -144,6 +156,7 @@ class PlatformDetector {
     const complexDomainMatch = complexDomains.find(domain => url.includes(domain.toLowerCase()));
     if (complexDomainMatch) {
       config.smartLog('platform', `Detected complex domain: ${complexDomainMatch}`);
+      scrapeTraceService.recordPlatformEvidence(`Complex Domain (${complexDomainMatch})`, 'complex-domain', `Detected complex domain: ${complexDomainMatch}`);
       return `Complex Domain (${complexDomainMatch})`;
     }
     
@@ -159,6 +172,7 @@ class PlatformDetector {
     for (const indicator of urlIndicators) {
       if (indicator.pattern.test(url)) {
         config.smartLog('platform', `Detected generic ${indicator.name}`);
+        scrapeTraceService.recordPlatformEvidence(indicator.name, 'url-heuristic', `Detected generic ${indicator.name}`);
         return indicator.name;
       }
     }
@@ -652,29 +666,7 @@ class PlatformDetector {
   static shouldBlockStep(detectedPlatform, stepName) {
     if (!detectedPlatform) return false;
     
-    const platformBlocking = {
-      'ZohoRecruit': ['bamboohr-step', 'recruitee-step', 'workable-step', 'lever-step', 'greenhouse-step', 'smartrecruiters-step', 'jazzhr-step', 'powershift-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'JazzHR': ['bamboohr-step', 'recruitee-step', 'workable-step', 'lever-step', 'greenhouse-step', 'smartrecruiters-step', 'powershift-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Workable': ['bamboohr-step', 'recruitee-step', 'jobvite-step', 'greenhouse-step', 'lever-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Lever': ['bamboohr-step', 'recruitee-step', 'jobvite-step', 'greenhouse-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Powershift': ['bamboohr-step', 'recruitee-step', 'jobvite-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'WordPress': ['bamboohr-step', 'recruitee-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step'],
-      'TeamTailor': ['bamboohr-step', 'recruitee-step', 'greenhouse-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Greenhouse': ['bamboohr-step', 'recruitee-step', 'lever-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step', 'brassring-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Workday': ['bamboohr-step', 'recruitee-step', 'greenhouse-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Smartrecruiters': ['bamboohr-step', 'recruitee-step', 'workable-step', 'lever-step', 'greenhouse-step', 'jazzhr-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'iCIMS': ['bamboohr-step', 'recruitee-step', 'greenhouse-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'lever-step', 'powershift-step', 'zoho-recruit-step', 'zoho-recruit-headless-step', 'workday-step', 'brassring-step', 'adp-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Taleo': ['bamboohr-step', 'recruitee-step', 'greenhouse-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Ashby': ['bamboohr-step', 'recruitee-step', 'greenhouse-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Personio': ['bamboohr-step', 'recruitee-step', 'greenhouse-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Jobvite': ['recruitee-step', 'lightweight-variants', 'bamboohr-step', 'greenhouse-step', 'workable-step', 'headless-rendering', 'powershift-step', 'smartrecruiters-step', 'jazzhr-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Brassring': ['bamboohr-step', 'recruitee-step', 'workable-step', 'lever-step', 'greenhouse-step', 'smartrecruiters-step', 'jazzhr-step', 'powershift-step', 'zoho-recruit-step', 'zoho-recruit-headless-step', 'workday-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'Workday': ['bamboohr-step', 'recruitee-step', 'greenhouse-step', 'workable-step', 'smartrecruiters-step', 'jazzhr-step', 'brassring-step', 'zoho-recruit-step', 'powershift-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-      'ADP': ['bamboohr-step', 'recruitee-step', 'workable-step', 'lever-step', 'greenhouse-step', 'smartrecruiters-step', 'jazzhr-step', 'powershift-step', 'zoho-recruit-step', 'zoho-recruit-headless-step', 'icims-step', 'wordpress-lightweight', 'wordpress-headless', 'wordpress-iframe'],
-    };
-    
-    const blockedSteps = platformBlocking[detectedPlatform] || [];
-    const shouldBlock = blockedSteps.includes(stepName);
+    const shouldBlock = stepRegistry.isStepBlocked(detectedPlatform, stepName);
     
     if (shouldBlock) {
       config.smartLog('platform', `Blocking ${stepName} because ${detectedPlatform} was detected`);
@@ -684,29 +676,7 @@ class PlatformDetector {
   }
   
   static getRecommendedStep(detectedPlatform) {
-    const platformSteps = {
-      'ZohoRecruit': 'zoho-recruit-step',
-      'JazzHR': 'jazzhr-step',
-      'Workable': 'workable-step',
-      'Lever': 'lever-step',
-      'BambooHR': 'bamboohr-step',
-      'Recruitee': 'recruitee-step',
-      'Jobvite': 'iframe-aware-rendering',
-      'Greenhouse': 'greenhouse-step',
-      'TeamTailor': 'teamtailor-step',
-      'Smartrecruiters': 'smartrecruiters-step',
-      'iCIMS': 'icims-step',
-      'Taleo': 'headless-rendering',
-      'Ashby': 'lightweight-variants',
-      'Personio': 'lightweight-variants',
-      'Powershift': 'powershift-step',
-      'WordPress': 'wordpress-lightweight',
-      'Brassring': 'brassring-step',
-      'Workday': 'workday-step',
-      'ADP': 'adp-step',  
-    };
-    
-    return platformSteps[detectedPlatform] || null;
+    return stepRegistry.getRecommendedStep(detectedPlatform);
   }
   
   static getPlatformConfig(platformName) {
@@ -1,6 +1,5 @@
-const axios = require('axios');
+const axios = require('./scrapeHttpClient');
 const cheerio = require('cheerio');
-const { chromium } = require('playwright');
 const path = require('path');
 const fs = require('fs').promises;
 const { randomDelay, getRandomUserAgent } = require('../utils');
@@ -8,10 +7,10 @@ const { extractContentFromCheerio } = require('./helpers');
 const { getCachedData, saveCache } = require('../cacheManager');
 const config = require('../config');
 const dictionaries = require('../dictionaries');
+const browserPool = require('./browserPool');
 
 class ProgressiveScraper {
   constructor() {
-    this.browser = null;
     this.defaultHeaders = {
       'User-Agent': getRandomUserAgent(),
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
@@ -20,23 +19,6 @@ class ProgressiveScraper {
     this.knownJobPlatforms = dictionaries.knownJobPlatforms;
   }
 
-  async initialize() {
-    if (!this.browser) {
-      this.browser = await chromium.launch({
-        headless: true,
-        args: config.playwrightArgs
-      });
-    }
-    return this.browser;
-  }
-
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
-  }
-
   async scrape(url, options = {}) {
     config.smartLog('scraper', `Starting progressive scrape for: ${url}`);
     
@@ -287,14 +269,12 @@ class ProgressiveScraper {
     config.smartLog('scraper', `Using headless rendering for ${url}`);
     
     try {
-      await this.initialize();
-      
-      const context = await this.browser.newContext({
+      const context = await browserPool.acquireContext({
         userAgent: getRandomUserAgent(),
         viewport: { width: 1366, height: 768 },
         ignoreHTTPSErrors: true,
         javaScriptEnabled: true
-      });
+      }, { owner: 'progressive-headless', url });
       
       if (!options.specialPlatform) {
         await context.route('**/*.{png,jpg,jpeg,gif,svg,webp,woff,woff2,ttf,eot}', route => {
@@ -366,7 +346,7 @@ class ProgressiveScraper {
         config.smartLog('fail', `Error in headless rendering: ${error.message}`);
       } finally {
         await page.close();
-        await context.close();
+        await browserPool.releaseContext(context);
       }
       
       return result;
@@ -380,16 +360,14 @@ class ProgressiveScraper {
     config.smartLog('scraper', `Using iframe-aware rendering for ${url}`);
     
     try {
-      await this.initialize();
-      
-      const context = await this.browser.newContext({
+      const context = await browserPool.acquireContext({
         userAgent: getRandomUserAgent(),
         viewport: { width: 1366, height: 768 },
         ignoreHTTPSErrors: true,
         javaScriptEnabled: true,
         permissions: ['geolocation', 'notifications'],
         bypassCSP: true
-      });
+      }, { owner: 'progressive-iframe', url });
       
       await context.route('**/*.{png,jpg,jpeg,gif,svg,webp}', route => {
         route.abort();
@@ -554,7 +532,7 @@ class ProgressiveScraper {
         config.smartLog('fail', `Error in iframe-aware rendering: ${error.message}`);
       } finally {
         await page.close();
-        await context.close();
+        await browserPool.releaseContext(context);
       }
       
       return result;
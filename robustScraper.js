@@ -1,10 +1,29 @@
-const { chromium } = require('playwright');
 const cheerio = require('cheerio');
 const path = require('path');
 const fs = require('fs').promises;
 const config = require('../config');
 const { randomDelay, getRandomUserAgent } = require('../utils');
 const dictionaries = require('../dictionaries');
+const browserPool = require('./browserPool');
+const antiBotClassifier = require('./antiBotClassifier');
+
+const ROBUST_BROWSER_OPTIONS = {
+  extraArgs: [
+    '--disable-features=IsolateOrigins,site-per-process',
+    '--disable-automation',
+    '--disable-dev-shm-usage',
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-extensions',
+    '--disable-component-extensions-with-background-pages',
+    '--disable-default-apps',
+    '--mute-audio',
+    '--disable-notifications',
+    '--disable-infobars',
+    '--disable-translate'
+  ],
+  ignoreDefaultArgs: ['--enable-automation']
+};
 
 class RobustScraper {
   constructor() {
@@ -12,7 +31,6 @@ class RobustScraper {
       return RobustScraper.instance;
     }
     
-    this.browser = null;
     this.dictionary = null;
     this.initialized = false;
     
@@ -27,28 +45,7 @@ class RobustScraper {
   }
 
   async initialize() {
-    if (!this.browser) {
-      this.browser = await chromium.launch({
-        headless: true,
-        args: [
-          '--disable-blink-features=AutomationControlled',
-          '--disable-features=IsolateOrigins,site-per-process',
-          '--disable-automation',
-          '--disable-dev-shm-usage',
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-extensions',
-          '--disable-component-extensions-with-background-pages',
-          '--disable-default-apps',
-          '--mute-audio',
-          '--disable-notifications',
-          '--disable-infobars',
-          '--disable-translate'
-        ],
-        ignoreDefaultArgs: ['--enable-automation']
-      });
-    }
-    return this.browser;
+    this.initialized = true;
   }
 
   async initializeDictionary(page) {
@@ -58,46 +55,22 @@ class RobustScraper {
   }
 
   async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
+    this.initialized = false;
   }
 
-  async detectBlockingContent(frame) {
+  async detectBlockingContent(frame, response = null) {
     config.smartLog('scraper', 'Detection of blocking content (CAPTCHA, rate limiting, etc.)...');
     
-    const blockingContentSelectors = this.dictionary.getBlockingContentSelectors();
-    
-    for (const selector of blockingContentSelectors) {
-      try {
-        const element = await frame.$(selector);
-        if (element) {
-          const isVisible = await element.isVisible();
-          if (isVisible) {
-            const text = await element.textContent().catch(() => '');
-            config.smartLog('scraper', `Blocking content detected: ${text.substring(0, 100)}...`);
-            return true;
-          }
-        }
-      } catch (error) {
-        continue;
-      }
-    }
-    
-    const pageContent = await frame.content().catch(() => '');
-    const blockingKeywords = this.dictionary.getBlockingTextSelectors();
-    
-    const hasBlockingContent = blockingKeywords.some(keyword => 
-      pageContent.toLowerCase().includes(keyword.toLowerCase())
-    );
+    const classification = await antiBotClassifier.classifyPage(frame, response, {
+      selectors: this.dictionary.getBlockingContentSelectors(),
+      keywords: this.dictionary.getBlockingTextSelectors()
+    });
     
-    if (hasBlockingContent) {
-      config.smartLog('scraper', 'Blocking content detected via text analysis');
-      return true;
+    if (classification.blocked) {
+      config.smartLog('scraper', `Blocking content detected: ${classification.type} (${classification.evidence.slice(0, 2).join(', ')})`);
     }
     
-    return false;
+    return classification;
   }
 
   async detectEmptyContent(frame) {
@@ -314,7 +287,7 @@ class RobustScraper {
   async scrapeCareerPage(url, options = {}) {
     config.smartLog('scraper', `Robust scraping of career page: ${url}`);
     
-    const browser = await this.initialize();
+    await this.initialize();
     
     const defaultOptions = {
       clickShowMore: true,
@@ -335,7 +308,7 @@ class RobustScraper {
     let frameToUse = null;
     
     try {
-      context = await browser.newContext({
+      context = await browserPool.acquireContext({
         userAgent: getRandomUserAgent(),
         viewport: { width: 1920, height: 1080 },
         ignoreHTTPSErrors: true,
@@ -349,7 +322,7 @@ class RobustScraper {
         extraHTTPHeaders: {
           'Accept-Language': 'en-US,en;q=0.9,fr;q=0.8,de;q=0.7,es;q=0.6,pt;q=0.5'
         }
-      });
+      }, { owner: 'robust-scraper', url, ...ROBUST_BROWSER_OPTIONS });
       
       await context.addInitScript(() => {
         Object.defineProperty(navigator, 'webdriver', { get: () => false });
@@ -435,9 +408,10 @@ class RobustScraper {
       });
       
       let navigationSuccess = false;
+      let response = null;
       
       try {
-        await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+        response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
         navigationSuccess = true;
       } catch (error) {
         config.smartLog('scraper', 'First navigation attempt failed, trying with networkidle...');
@@ -445,7 +419,7 @@ class RobustScraper {
       
       if (!navigationSuccess) {
         try {
-          await page.goto(url, { waitUntil: 'networkidle', timeout: 45000 });
+          response = await page.goto(url, { waitUntil: 'networkidle', timeout: 45000 });
           navigationSuccess = true;
         } catch (error) {
           config.smartLog('scraper', 'Second navigation attempt failed, trying with load...');
@@ -454,19 +428,20 @@ class RobustScraper {
       
       if (!navigationSuccess) {
         try {
-          await page.goto(url, { waitUntil: 'load', timeout: 60000 });
+          response = await page.goto(url, { waitUntil: 'load', timeout: 60000 });
           navigationSuccess = true;
         } catch (error) {
           config.smartLog('scraper', 'Third navigation attempt failed, last attempt without waiting...');
-          await page.goto(url, { timeout: 90000 });
+          response = await page.goto(url, { timeout: 90000 });
         }
       }
       
       await randomDelay(2000, 5000);
       
-      const isBlocked = await this.detectBlockingContent(page);
-      if (isBlocked) {
-        config.smartLog('scraper', 'Blocking content detected (CAPTCHA, rate limiting, etc.)');
+      const blocking = await this.detectBlockingContent(page, response);
+      if (blocking.blocked) {
+        config.smartLog('scraper', `Blocking content detected (${blocking.type})`);
+        const cooldown = await antiBotClassifier.reportBlock(url, blocking);
         return {
           url,
           title: 'Blocked Content',
@@ -474,7 +449,10 @@ class RobustScraper {
           links: [],
           scrapedAt: new Date().toISOString(),
           method: 'blocked',
-          error: 'Content blocked by security measures'
+          blockType: blocking.type,
+          blockProvider: blocking.provider,
+          retryAt: cooldown ? new Date(cooldown.until).toISOString() : null,
+          error: `Content blocked by security measures (${blocking.type})`
         };
       }
       
@@ -756,7 +734,7 @@ class RobustScraper {
       
       try {
         if (context) {
-          await context.close();
+          await browserPool.releaseContext(context);
           config.smartLog('scraper', 'Context closed successfully');
         }
       } catch (contextError) {
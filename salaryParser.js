@@ -0,0 +1,361 @@
+const config = require('../config');
+
+const RATE_TABLE_DATE = '2026-01-01';
+const RATES_TO_EUR = {
+  EUR: 1,
+  USD: 0.92,
+  GBP: 1.17,
+  CHF: 1.05,
+  CAD: 0.67,
+  AUD: 0.61,
+  NZD: 0.56,
+  JPY: 0.0061,
+  SEK: 0.088,
+  NOK: 0.086,
+  DKK: 0.134,
+  PLN: 0.232,
+  CZK: 0.04,
+  INR: 0.011,
+  BRL: 0.17,
+  MXN: 0.052,
+  SGD: 0.69,
+  ZAR: 0.05
+};
+
+const CURRENCY_ALIASES = {
+  'US$': 'USD',
+  'CA$': 'CAD',
+  'C$': 'CAD',
+  'AU$': 'AUD',
+  'A$': 'AUD',
+  'NZ$': 'NZD',
+  'S$': 'SGD',
+  'R$': 'BRL',
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  'zł': 'PLN',
+  'kr': 'SEK',
+  'euro': 'EUR',
+  'euros': 'EUR',
+  'dollar': 'USD',
+  'dollars': 'USD',
+  'pound': 'GBP',
+  'pounds': 'GBP',
+  'franc': 'CHF',
+  'francs': 'CHF'
+};
+
+const CURRENCY_SOURCE = '(?:US\\$|CA\\$|C\\$|AU\\$|A\\$|NZ\\$|S\\$|R\\$|[$€£¥₹]|zł|USD|EUR|GBP|CHF|CAD|AUD|NZD|JPY|SEK|NOK|DKK|PLN|CZK|INR|BRL|MXN|SGD|ZAR|kr|euros?|dollars?|pounds?|francs?)';
+const AMOUNT_SOURCE = "\\d{1,3}(?:[ .,\\u00a0\\u202f']\\d{3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+const MULTIPLIER_SOURCE = '(?:[kK]|[mM](?:io)?)(?![a-zA-Z])';
+const RANGE_SEPARATOR_SOURCE = '\\s*(?:-|–|—|to|à|au|a|bis|até|tot|al|y|and|et)\\s*';
+
+const buildSide = (n) =>
+  `(?<cur${n}a>${CURRENCY_SOURCE})?\\s?(?<amt${n}>${AMOUNT_SOURCE})\\s?(?<mult${n}>${MULTIPLIER_SOURCE})?\\s?(?<cur${n}b>${CURRENCY_SOURCE}(?![a-zA-Z]))?`;
+
+const SALARY_PATTERN = new RegExp(`(?<![\\w.,])${buildSide(1)}(?:${RANGE_SEPARATOR_SOURCE}${buildSide(2)})?`, 'gi');
+
+const MAX_ONLY_PREFIX = /(?:up\s+to|upto|jusqu['’]?\s?(?:à|a|au)|bis\s+zu|hasta|fino\s+a|até|tot\s+maximaal)\s*:?\s*$/i;
+
+const SALARY_KEYWORDS = /(?<![\p{L}])(salary|salaries|pay|compensation|wages?|rates?|remuneration|rémunération|salaires?|gehalt|vergütung|lohn|salarios?|sueldos?|retribuzione|stipendio|salário|remuneração|salaris|loon)(?![\p{L}])/iu;
+
+const PERIOD_PATTERNS = [
+  { period: 'hour', pattern: /^\s*(?:\/|per|an|a|par|pro|por|all'|l'|de l')?\s*(hour|hourly|hr|h\b|heure|horaire|stunde|stündlich|std|hora|ora|uur)/i },
+  { period: 'day', pattern: /^\s*(?:\/|per|a|par|pro|por|al)?\s*(day|daily|jour|journalier|tag|täglich|día|dia|diario|giorno|dag)/i },
+  { period: 'week', pattern: /^\s*(?:\/|per|a|par|pro|por|alla)?\s*(week|weekly|semaine|hebdo|woche|wöchentlich|semana|settimana)/i },
+  { period: 'month', pattern: /^\s*(?:\/|per|a|par|pro|por|al)?\s*(month|monthly|mo\b|mois|mensuel|monat|monatlich|mes|mensual|mese|mensile|maand|mês|mensal)/i },
+  { period: 'year', pattern: /^\s*(?:\/|per|a|par|pro|por|al|all'|l')?\s*(year|yearly|annual|annually|annum|yr|p\.?a\.?|an\b|année|annuel|jahr|jährlich|brutto\/jahr|año|anual|anno|annuo|annua|jaar|ano)/i }
+];
+
+const PERIOD_PREFIX_PATTERNS = [
+  { period: 'hour', pattern: /(hourly|taux horaire|stundenlohn|por hora|all'ora)\s*:?\s*$/i },
+  { period: 'month', pattern: /(monthly|mensuel|monatlich|mensual|mensile)\s*:?\s*$/i },
+  { period: 'year', pattern: /(annual|yearly|annuel|jährlich|anual|annuo|brut annuel)\s*:?\s*$/i }
+];
+
+const ANNUAL_FACTORS = {
+  hour: 2080,
+  day: 260,
+  week: 52,
+  month: 12,
+  year: 1
+};
+
+const getBaseCurrency = () => (config.SALARY_BASE_CURRENCY || 'EUR').toUpperCase();
+
+const normalizeCurrency = (value) => {
+  if (!value) return null;
+  const raw = String(value).trim();
+  if (CURRENCY_ALIASES[raw]) return CURRENCY_ALIASES[raw];
+  const lower = raw.toLowerCase();
+  if (CURRENCY_ALIASES[lower]) return CURRENCY_ALIASES[lower];
+  const upper = raw.toUpperCase();
+  return RATES_TO_EUR[upper] ? upper : null;
+};
+
+const normalizePeriod = (value) => {
+  if (!value) return null;
+  const text = String(value).trim();
+
+  for (const { period, pattern } of PERIOD_PATTERNS) {
+    if (pattern.test(text)) return period;
+  }
+
+  const upper = text.toUpperCase();
+  if (['HOUR', 'DAY', 'WEEK', 'MONTH', 'YEAR'].includes(upper)) return upper.toLowerCase();
+  return null;
+};
+
+const parseAmount = (raw, multiplier) => {
+  if (raw === null || raw === undefined || raw === '') return null;
+  if (typeof raw === 'number') return isNaN(raw) ? null : raw;
+
+  let text = String(raw).trim();
+  const groupedMatch = text.match(/^(\d{1,3}(?:[ .,  ']\d{3})+)(?:([.,])(\d{1,2}))?$/);
+
+  if (groupedMatch) {
+    text = groupedMatch[1].replace(/[ .,  ']/g, '') + (groupedMatch[3] ? `.${groupedMatch[3]}` : '');
+  } else {
+    text = text.replace(',', '.');
+  }
+
+  let value = parseFloat(text);
+  if (isNaN(value)) return null;
+
+  if (multiplier) {
+    value *= /^k$/i.test(multiplier) ? 1000 : 1000000;
+  }
+
+  return value;
+};
+
+const inferPeriod = (amount) => {
+  if (amount < 300) return 'hour';
+  if (amount < 20000) return 'month';
+  return 'year';
+};
+
+const convertCurrency = (amount, fromCurrency, toCurrency = getBaseCurrency()) => {
+  if (amount === null || amount === undefined) return null;
+  const fromRate = RATES_TO_EUR[normalizeCurrency(fromCurrency)];
+  const toRate = RATES_TO_EUR[normalizeCurrency(toCurrency)];
+  if (!fromRate || !toRate) return null;
+  return (amount * fromRate) / toRate;
+};
+
+const toAnnual = (amount, period) => {
+  if (amount === null || amount === undefined) return null;
+  return amount * (ANNUAL_FACTORS[period] || 1);
+};
+
+const buildSalary = ({ min, max, currency, period, text = null, source = 'text', periodInferred = false }) => {
+  const maxOnly = (min === null || min === undefined) && max !== null && max !== undefined;
+  const lower = min ?? max;
+  const upper = max ?? min;
+  if (lower === null || lower === undefined || isNaN(lower)) return null;
+
+  const resolvedMin = maxOnly ? null : Math.min(lower, upper);
+  const resolvedMax = maxOnly ? upper : Math.max(lower, upper);
+  const resolvedCurrency = normalizeCurrency(currency);
+  const resolvedPeriod = period || inferPeriod(resolvedMax);
+  const baseCurrency = getBaseCurrency();
+  const annualMin = toAnnual(resolvedMin, resolvedPeriod);
+  const annualMax = toAnnual(resolvedMax, resolvedPeriod);
+  const baseMin = resolvedCurrency ? convertCurrency(annualMin, resolvedCurrency, baseCurrency) : null;
+  const baseMax = resolvedCurrency ? convertCurrency(annualMax, resolvedCurrency, baseCurrency) : null;
+
+  return {
+    min: resolvedMin,
+    max: resolvedMax,
+    currency: resolvedCurrency,
+    period: resolvedPeriod,
+    periodInferred: !period || periodInferred,
+    annualMin: annualMin !== null ? Math.round(annualMin) : null,
+    annualMax: Math.round(annualMax),
+    baseCurrency,
+    baseAnnualMin: baseMin !== null ? Math.round(baseMin) : null,
+    baseAnnualMax: baseMax !== null ? Math.round(baseMax) : null,
+    rateTableDate: RATE_TABLE_DATE,
+    text,
+    source
+  };
+};
+
+const detectPeriodAround = (text, start, end) => {
+  const after = text.substring(end, end + 40).replace(/^\s*(?:gross|brut|brute|brutto|bruto|lordo|bruut)\b/i, '');
+  for (const { period, pattern } of PERIOD_PATTERNS) {
+    if (pattern.test(after)) return period;
+  }
+
+  const before = text.substring(Math.max(0, start - 30), start);
+  for (const { period, pattern } of PERIOD_PREFIX_PATTERNS) {
+    if (pattern.test(before)) return period;
+  }
+
+  return null;
+};
+
+const parseSalaryText = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const candidates = [];
+  SALARY_PATTERN.lastIndex = 0;
+  let match;
+
+  while ((match = SALARY_PATTERN.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      SALARY_PATTERN.lastIndex++;
+      continue;
+    }
+
+    const groups = match.groups;
+    const currencyToken = groups.cur1a || groups.cur1b || groups.cur2a || groups.cur2b;
+    const start = match.index;
+    const end = start + match[0].length;
+    const context = text.substring(Math.max(0, start - 40), start);
+    const hasKeyword = SALARY_KEYWORDS.test(context);
+
+    if (!currencyToken && !hasKeyword) continue;
+
+    const maxOnly = !groups.amt2 && MAX_ONLY_PREFIX.test(context);
+    const sharedMultiplier = groups.mult2 || groups.mult1;
+    const first = parseAmount(groups.amt1, groups.mult1 || (groups.amt2 ? sharedMultiplier : null));
+    const second = groups.amt2 ? parseAmount(groups.amt2, groups.mult2 || groups.mult1) : null;
+
+    if (first === null) continue;
+
+    const period = detectPeriodAround(text, start, end);
+    const largest = Math.max(first, second || 0);
+
+    if (!currencyToken && largest < 1000 && period !== 'hour' && period !== 'day') continue;
+    if (largest <= 0) continue;
+
+    candidates.push({
+      salary: buildSalary({
+        min: maxOnly ? null : first,
+        max: second !== null ? second : first,
+        currency: currencyToken,
+        period,
+        text: match[0].trim(),
+        source: 'text'
+      }),
+      score: (currencyToken ? 2 : 0) + (hasKeyword ? 1 : 0) + (second !== null ? 1 : 0) + (period ? 1 : 0)
+    });
+  }
+
+  if (candidates.length === 0) return null;
+
+  candidates.sort((a, b) => b.score - a.score);
+  return candidates[0].salary;
+};
+
+const salaryFromStructured = (baseSalary) => {
+  if (!baseSalary || typeof baseSalary !== 'object') return null;
+  if (baseSalary.raw) return parseSalaryText(baseSalary.raw);
+
+  const value = baseSalary.value && typeof baseSalary.value === 'object' ? baseSalary.value : baseSalary;
+  const min = parseAmount(value.minValue ?? value.min ?? value.value ?? null);
+  const max = parseAmount(value.maxValue ?? value.max ?? value.value ?? null);
+
+  if (min === null && max === null) return null;
+
+  return buildSalary({
+    min,
+    max,
+    currency: baseSalary.currency || value.currency,
+    period: normalizePeriod(value.unitText || baseSalary.unitText || value.period || baseSalary.period),
+    source: 'structured'
+  });
+};
+
+const salaryFromGreenhouse = (payRanges) => {
+  const ranges = Array.isArray(payRanges) ? payRanges : [];
+  const range = ranges.find(entry => entry && (entry.min_cents || entry.max_cents));
+  if (!range) return null;
+
+  return buildSalary({
+    min: range.min_cents ? range.min_cents / 100 : null,
+    max: range.max_cents ? range.max_cents / 100 : null,
+    currency: range.currency_type,
+    period: normalizePeriod(range.title) || normalizePeriod(range.blurb),
+    text: range.title || null,
+    source: 'greenhouse'
+  });
+};
+
+const salaryFromSmartRecruiters = (compensation) => {
+  if (!compensation || typeof compensation !== 'object') return null;
+
+  const min = parseAmount(compensation.min ?? compensation.minValue ?? null);
+  const max = parseAmount(compensation.max ?? compensation.maxValue ?? null);
+  if (min === null && max === null) return null;
+
+  return buildSalary({
+    min,
+    max,
+    currency: compensation.currency || compensation.currencyCode,
+    period: normalizePeriod(compensation.period || compensation.frequency || compensation.unit),
+    source: 'smartrecruiters'
+  });
+};
+
+const normalizeSalary = (input) => {
+  if (!input) return null;
+
+  if (typeof input === 'string') {
+    return parseSalaryText(input);
+  }
+
+  if (Array.isArray(input)) {
+    return input.some(entry => entry && (entry.min_cents || entry.max_cents))
+      ? salaryFromGreenhouse(input)
+      : null;
+  }
+
+  if (typeof input === 'object') {
+    if (input.annualMin !== undefined && input.baseCurrency) return input;
+    if (input.min_cents !== undefined || input.max_cents !== undefined) return salaryFromGreenhouse([input]);
+    if (input.minValue !== undefined || input.maxValue !== undefined || input.value !== undefined || input.raw) {
+      return salaryFromStructured(input);
+    }
+    if (input.min !== undefined || input.max !== undefined) return salaryFromSmartRecruiters(input);
+    if (input.text) return parseSalaryText(input.text);
+  }
+
+  return null;
+};
+
+const getAnnualRange = (salary, currency = getBaseCurrency()) => {
+  if (!salary || !salary.currency) return null;
+
+  const min = convertCurrency(salary.annualMin, salary.currency, currency);
+  const max = convertCurrency(salary.annualMax, salary.currency, currency);
+  if (max === null || (min === null && salary.annualMin !== null)) return null;
+
+  return { min: min !== null ? Math.round(min) : null, max: Math.round(max), currency: normalizeCurrency(currency) };
+};
+
+const meetsMinimumSalary = (salary, minSalary, currency = getBaseCurrency()) => {
+  if (!minSalary) return true;
+  const range = getAnnualRange(normalizeSalary(salary), currency);
+  if (!range) return null;
+  return range.max >= minSalary;
+};
+
+module.exports = {
+  parseSalaryText,
+  normalizeSalary,
+  salaryFromStructured,
+  salaryFromGreenhouse,
+  salaryFromSmartRecruiters,
+  normalizeCurrency,
+  normalizePeriod,
+  convertCurrency,
+  toAnnual,
+  getAnnualRange,
+  meetsMinimumSalary,
+  RATE_TABLE_DATE
+};
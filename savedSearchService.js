@@ -0,0 +1,372 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const config = require('../config');
+const { safeWriteJson } = require('../utils/atomicFS');
+const JobFilterService = require('./JobFilterService');
+const { attachJobPostings, canonicalizeJobUrl } = require('./jobPostingNormalizer');
+const { createSink } = require('./notificationSinks');
+
+class SavedSearchService extends EventEmitter {
+  constructor() {
+    super();
+    this.searchesFile = path.join(__dirname, '../profiles/saved-searches.json');
+    this.jobFilterService = new JobFilterService();
+    this.searches = new Map();
+    this.loaded = false;
+    this.saveChain = Promise.resolve();
+    this.pendingDeliveries = new Set();
+    this.inFlightKeys = new Set();
+    this.MAX_DELIVERED_KEYS = 2000;
+  }
+
+  async loadSearches() {
+    if (this.loaded) return;
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.searchesFile, 'utf8'));
+      for (const search of data.searches || []) {
+        this.searches.set(search.id, search);
+      }
+      config.smartLog('service', `Loaded ${this.searches.size} saved searches`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        config.smartLog('fail', `Could not load saved searches: ${error.message}`);
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  async saveSearches() {
+    const snapshot = {
+      searches: Array.from(this.searches.values()),
+      _lastUpdate: new Date().toISOString()
+    };
+
+    this.saveChain = this.saveChain.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.searchesFile), { recursive: true });
+      await safeWriteJson(this.searchesFile, snapshot);
+    });
+
+    return this.saveChain;
+  }
+
+  validateSearch(definition) {
+    if (!Array.isArray(definition.companies) || definition.companies.length === 0) {
+      throw new Error('Saved search requires at least one company');
+    }
+
+    if (!Array.isArray(definition.jobTitles) || definition.jobTitles.length === 0) {
+      throw new Error('Saved search requires at least one job title');
+    }
+
+    if (!Array.isArray(definition.sinks) || definition.sinks.length === 0) {
+      throw new Error('Saved search requires at least one notification sink');
+    }
+
+    for (const sinkConfig of definition.sinks) {
+      createSink(sinkConfig);
+    }
+  }
+
+  async createSavedSearch(definition) {
+    await this.loadSearches();
+    this.validateSearch(definition);
+
+    const now = new Date().toISOString();
+    const search = {
+      id: definition.id || crypto.randomBytes(8).toString('hex'),
+      name: definition.name || definition.jobTitles.join(', '),
+      companies: definition.companies,
+      jobTitles: definition.jobTitles,
+      locations: definition.locations || [],
+      options: definition.options || {},
+      sinks: definition.sinks,
+      enabled: definition.enabled !== false,
+      createdAt: now,
+      updatedAt: now,
+      lastEvaluatedAt: null,
+      lastDeliveryAt: null,
+      deliveredKeys: [],
+      sinkDeliveredKeys: {}
+    };
+
+    this.searches.set(search.id, search);
+    await this.saveSearches();
+
+    config.smartLog('service', `Saved search created: ${search.id} (${search.name})`);
+    return search;
+  }
+
+  async updateSavedSearch(id, updates = {}) {
+    await this.loadSearches();
+    const existing = this.searches.get(id);
+
+    if (!existing) {
+      throw new Error(`Saved search not found: ${id}`);
+    }
+
+    const updated = {
+      ...existing,
+      ...updates,
+      id,
+      createdAt: existing.createdAt,
+      deliveredKeys: existing.deliveredKeys,
+      sinkDeliveredKeys: existing.sinkDeliveredKeys,
+      updatedAt: new Date().toISOString()
+    };
+
+    this.validateSearch(updated);
+    this.searches.set(id, updated);
+    await this.saveSearches();
+
+    return updated;
+  }
+
+  async deleteSavedSearch(id) {
+    await this.loadSearches();
+    const removed = this.searches.delete(id);
+
+    if (removed) {
+      await this.saveSearches();
+    }
+
+    return removed;
+  }
+
+  async listSavedSearches() {
+    await this.loadSearches();
+    return Array.from(this.searches.values());
+  }
+
+  getHostname(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  findCompanyForUrl(search, url) {
+    const hostname = this.getHostname(url);
+    if (!hostname) return null;
+
+    return search.companies.find(company => company.website && this.getHostname(company.website) === hostname) || null;
+  }
+
+  getDeliveryKey(company, job) {
+    const identity = job.jobId || job.id || canonicalizeJobUrl(job.url) || job.title;
+    return `${this.getHostname(company.website) || company.name}|${identity}`;
+  }
+
+  collectMatchedJobs(matches) {
+    if (Array.isArray(matches.jobs) && matches.jobs.length > 0) {
+      return matches.jobs.map(job => ({
+        id: job.id,
+        title: job.title,
+        url: job.url,
+        location: job.location || null,
+        department: job.department || null,
+        employmentType: job.employmentType || null,
+        remote: job.remote === undefined ? null : job.remote,
+        postedAt: job.postedAt || null,
+        matchedJobTitle: job.matchedJobTitle || null
+      }));
+    }
+
+    return (matches.links || []).map(link => ({
+      id: link.jobId || null,
+      title: link.text || link.title || '',
+      url: link.url,
+      location: link.location || null,
+      department: link.department || null,
+      employmentType: link.employmentType || null,
+      remote: link.remote === undefined ? null : link.remote,
+      postedAt: link.postedAt || null,
+      matchedJobTitle: link.matchedJobTitle || null
+    }));
+  }
+
+  async evaluateAfterScrape(url, pageData) {
+    await this.loadSearches();
+
+    if (!pageData || this.searches.size === 0) {
+      return [];
+    }
+
+    attachJobPostings(pageData);
+    const deliveries = [];
+
+    for (const search of this.searches.values()) {
+      if (!search.enabled) continue;
+
+      const company = this.findCompanyForUrl(search, url);
+      if (!company) continue;
+
+      try {
+        deliveries.push(...this.evaluateSearchForCompany(search, company, pageData));
+      } catch (error) {
+        config.smartLog('fail', `Saved search ${search.id} evaluation failed for ${url}: ${error.message}`);
+      }
+    }
+
+    if (deliveries.length > 0) {
+      await this.saveSearches();
+    }
+
+    return deliveries;
+  }
+
+  getSinkKey(sinkConfig) {
+    const recipients = [].concat(sinkConfig.to || []).join(',');
+    const target = sinkConfig.url || sinkConfig.file || [sinkConfig.host, recipients].filter(Boolean).join('|') || 'default';
+    return `${sinkConfig.type}:${target}`;
+  }
+
+  getSinkDeliveredKeys(search, sinkKey) {
+    search.sinkDeliveredKeys = search.sinkDeliveredKeys || {};
+    if (!search.sinkDeliveredKeys[sinkKey]) {
+      search.sinkDeliveredKeys[sinkKey] = [...(search.deliveredKeys || [])];
+    }
+    return search.sinkDeliveredKeys[sinkKey];
+  }
+
+  recordSinkDelivery(search, sinkKey, keys) {
+    const delivered = new Set(this.getSinkDeliveredKeys(search, sinkKey));
+    keys.forEach(key => delivered.add(key));
+    search.sinkDeliveredKeys[sinkKey] = Array.from(delivered).slice(-this.MAX_DELIVERED_KEYS);
+
+    const sinkSets = search.sinks.map(sinkConfig => new Set(this.getSinkDeliveredKeys(search, this.getSinkKey(sinkConfig))));
+    search.deliveredKeys = Array.from(sinkSets[0] || [])
+      .filter(key => sinkSets.every(set => set.has(key)))
+      .slice(-this.MAX_DELIVERED_KEYS);
+  }
+
+  getInFlightKey(search, sinkKey, deliveryKey) {
+    return `${search.id}|${sinkKey}|${deliveryKey}`;
+  }
+
+  evaluateSearchForCompany(search, company, pageData) {
+    const matches = this.jobFilterService.applyJobFilters(pageData, search.jobTitles, search.locations, search.options);
+    search.lastEvaluatedAt = new Date().toISOString();
+
+    const matchedJobs = this.collectMatchedJobs(matches).filter(job => job.url);
+    const groups = new Map();
+
+    for (const sinkConfig of search.sinks) {
+      const sinkKey = this.getSinkKey(sinkConfig);
+      const delivered = new Set(this.getSinkDeliveredKeys(search, sinkKey));
+      const jobs = matchedJobs.filter(job => {
+        const deliveryKey = this.getDeliveryKey(company, job);
+        return !delivered.has(deliveryKey) && !this.inFlightKeys.has(this.getInFlightKey(search, sinkKey, deliveryKey));
+      });
+
+      if (jobs.length === 0) continue;
+
+      const keys = jobs.map(job => this.getDeliveryKey(company, job));
+      const signature = keys.join('\n');
+      if (!groups.has(signature)) {
+        groups.set(signature, { jobs, keys, sinks: [] });
+      }
+      groups.get(signature).sinks.push({ sinkConfig, sinkKey });
+    }
+
+    const deliveries = [];
+
+    for (const group of groups.values()) {
+      const payload = {
+        event: 'saved_search.matches',
+        deliveryId: crypto.randomBytes(12).toString('hex'),
+        searchId: search.id,
+        searchName: search.name,
+        company: { name: company.name || null, website: company.website || null },
+        jobTitles: search.jobTitles,
+        locations: search.locations,
+        matchedAt: new Date().toISOString(),
+        jobs: group.jobs
+      };
+
+      for (const { sinkKey } of group.sinks) {
+        group.keys.forEach(key => this.inFlightKeys.add(this.getInFlightKey(search, sinkKey, key)));
+      }
+
+      this.trackDelivery(this.deliverGroup(search.id, company, payload, group));
+      deliveries.push({
+        searchId: search.id,
+        deliveryId: payload.deliveryId,
+        jobsCount: group.jobs.length,
+        sinks: group.sinks.map(({ sinkConfig }) => sinkConfig.type),
+        queued: true
+      });
+
+      config.smartLog('win', `Saved search ${search.name}: ${group.jobs.length} new matches at ${company.name || company.website} queued for ${group.sinks.length} sink(s)`);
+    }
+
+    return deliveries;
+  }
+
+  trackDelivery(promise) {
+    const tracked = promise
+      .catch(error => config.smartLog('fail', `Saved search delivery failed: ${error.message}`))
+      .finally(() => this.pendingDeliveries.delete(tracked));
+    this.pendingDeliveries.add(tracked);
+    return tracked;
+  }
+
+  async flushDeliveries() {
+    while (this.pendingDeliveries.size > 0) {
+      await Promise.allSettled(Array.from(this.pendingDeliveries));
+    }
+  }
+
+  async deliverGroup(searchId, company, payload, group) {
+    try {
+      const search = this.searches.get(searchId);
+      if (!search) return;
+
+      const results = await this.deliver(search, payload, group.sinks.map(({ sinkConfig }) => sinkConfig));
+      const current = this.searches.get(searchId);
+      if (!current) return;
+
+      results.forEach((result, index) => {
+        if (result.delivered) {
+          this.recordSinkDelivery(current, group.sinks[index].sinkKey, group.keys);
+        }
+      });
+
+      if (results.some(result => result.delivered)) {
+        current.lastDeliveryAt = payload.matchedAt;
+        await this.saveSearches();
+      }
+
+      this.emit('savedSearchMatches', { searchId, company, jobs: payload.jobs, results });
+    } finally {
+      for (const { sinkKey } of group.sinks) {
+        group.keys.forEach(key => this.inFlightKeys.delete(this.getInFlightKey({ id: searchId }, sinkKey, key)));
+      }
+    }
+  }
+
+  async deliver(search, payload, sinkConfigs = search.sinks) {
+    const settled = await Promise.allSettled(sinkConfigs.map(async sinkConfig => {
+      const sink = createSink(sinkConfig);
+      return sink.send(payload);
+    }));
+
+    return settled.map((outcome, index) => {
+      const sinkType = sinkConfigs[index].type;
+
+      if (outcome.status === 'fulfilled') {
+        return outcome.value;
+      }
+
+      config.smartLog('fail', `Saved search ${search.id}: ${sinkType} delivery failed: ${outcome.reason.message}`);
+      this.emit('deliveryFailed', { searchId: search.id, sink: sinkType, error: outcome.reason.message });
+      return { delivered: false, sink: sinkType, error: outcome.reason.message };
+    });
+  }
+}
+
+module.exports = new SavedSearchService();
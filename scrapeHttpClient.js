@@ -0,0 +1,14 @@
+const axios = require('axios');
+const domainLockService = require('./domainLockService');
+
+const scrapeHttpClient = axios.create();
+
+scrapeHttpClient.interceptors.request.use(requestConfig => {
+  if (!requestConfig.signal) {
+    const signal = domainLockService.getActiveSignal();
+    if (signal) requestConfig.signal = signal;
+  }
+  return requestConfig;
+});
+
+module.exports = scrapeHttpClient;
@@ -0,0 +1,342 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { safeWriteJson } = require('../utils/atomicFS');
+
+class ScrapeTraceService {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.tracesDir = path.join(config.DEBUG_DIR, 'scrape-traces');
+    this.latest = new Map();
+    this.writeQueues = new Map();
+    this.MAX_IN_MEMORY = config.SCRAPE_TRACE_MAX_IN_MEMORY || 200;
+    this.MAX_PERSISTED_PER_URL = config.SCRAPE_TRACE_HISTORY || 5;
+  }
+
+  getActive() {
+    return this.storage.getStore() || null;
+  }
+
+  getTracePath(url) {
+    let slug;
+    try {
+      const urlObj = new URL(url);
+      slug = `${urlObj.hostname}${urlObj.pathname}`;
+    } catch (error) {
+      slug = String(url);
+    }
+
+    const hash = crypto.createHash('sha1').update(String(url)).digest('hex').substring(0, 10);
+    const safeSlug = slug.toLowerCase().replace(/[^a-z0-9.-]+/g, '_').replace(/_+$/, '').substring(0, 120);
+    return path.join(this.tracesDir, `${safeSlug}-${hash}.json`);
+  }
+
+  createTrace(url) {
+    return {
+      id: `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+      url,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: 0,
+      outcome: null,
+      error: null,
+      cache: [],
+      profile: null,
+      platform: {
+        detected: null,
+        source: null,
+        evidence: []
+      },
+      language: null,
+      stepFilter: null,
+      plan: [],
+      steps: [],
+      validations: [],
+      pipeline: null,
+      events: [],
+      currentStep: null
+    };
+  }
+
+  async withTrace(url, task) {
+    const active = this.getActive();
+    if (active && active.url === url) {
+      return task(active);
+    }
+
+    const trace = this.createTrace(url);
+    const startTime = Date.now();
+
+    try {
+      const result = await this.storage.run(trace, () => task(trace));
+      trace.outcome = trace.outcome || this.inferOutcome(result);
+      return result;
+    } catch (error) {
+      trace.outcome = 'error';
+      trace.error = error.message;
+      throw error;
+    } finally {
+      trace.finishedAt = new Date().toISOString();
+      trace.durationMs = Date.now() - startTime;
+      trace.currentStep = null;
+      this.remember(trace);
+      this.persist(trace).catch(error => {
+        config.smartLog('fail', `Could not persist scrape trace for ${url}: ${error.message}`);
+      });
+    }
+  }
+
+  inferOutcome(result) {
+    if (!result) return 'failed';
+    if (result._scrapeStatus) return result._scrapeStatus;
+    return 'success';
+  }
+
+  remember(trace) {
+    this.latest.delete(trace.url);
+    this.latest.set(trace.url, trace);
+
+    if (this.latest.size > this.MAX_IN_MEMORY) {
+      this.latest.delete(this.latest.keys().next().value);
+    }
+  }
+
+  async persist(trace) {
+    const filepath = this.getTracePath(trace.url);
+    const previous = this.writeQueues.get(filepath) || Promise.resolve();
+
+    const write = previous.catch(() => null).then(async () => {
+      await fs.mkdir(this.tracesDir, { recursive: true });
+
+      let existing = null;
+      try {
+        existing = JSON.parse(await fs.readFile(filepath, 'utf8'));
+      } catch (error) {
+        existing = null;
+      }
+
+      const history = (existing && Array.isArray(existing.traces) ? existing.traces : [])
+        .filter(entry => entry.id !== trace.id);
+      history.unshift(this.serialize(trace));
+
+      await safeWriteJson(filepath, {
+        url: trace.url,
+        updatedAt: new Date().toISOString(),
+        traces: history.slice(0, this.MAX_PERSISTED_PER_URL)
+      });
+    });
+
+    this.writeQueues.set(filepath, write);
+
+    try {
+      await write;
+    } finally {
+      if (this.writeQueues.get(filepath) === write) {
+        this.writeQueues.delete(filepath);
+      }
+    }
+  }
+
+  serialize(trace) {
+    const { currentStep, ...rest } = trace;
+    return rest;
+  }
+
+  recordCache(decision, details = {}) {
+    const trace = this.getActive();
+    if (!trace) return;
+
+    trace.cache.push({
+      decision,
+      ...details,
+      at: new Date().toISOString()
+    });
+  }
+
+  recordProfile(profileCheck) {
+    const trace = this.getActive();
+    if (!trace || !profileCheck) return;
+
+    trace.profile = {
+      useProfile: profileCheck.useProfile === true,
+      step: profileCheck.step || null,
+      successRate: typeof profileCheck.successRate === 'number' ? profileCheck.successRate : null,
+      needsReprofiling: profileCheck.needsReprofiling === true,
+      platform: profileCheck.platform || null,
+      language: profileCheck.language || null,
+      reason: profileCheck.reason || null
+    };
+  }
+
+  recordPlatformEvidence(platform, source, detail = null) {
+    const trace = this.getActive();
+    if (!trace) return;
+
+    trace.platform.evidence.push({ platform, source, detail });
+  }
+
+  recordPlatform(platform, source) {
+    const trace = this.getActive();
+    if (!trace) return;
+
+    trace.platform.detected = platform || null;
+    trace.platform.source = source;
+  }
+
+  recordLanguage(language, source) {
+    const trace = this.getActive();
+    if (!trace) return;
+
+    trace.language = { language, source };
+  }
+
+  recordStepFilter(mode, platform, selected, skipped) {
+    const trace = this.getActive();
+    if (!trace) return;
+
+    trace.stepFilter = {
+      mode,
+      platform: platform || null,
+      selected: selected.map(step => step.name),
+      skipped
+    };
+  }
+
+  recordPlan(executionPlan) {
+    const trace = this.getActive();
+    if (!trace) return;
+
+    trace.plan = executionPlan.map(item => item.step.name);
+  }
+
+  startStep(name, meta = {}) {
+    const trace = this.getActive();
+    if (!trace) return null;
+
+    const record = {
+      step: name,
+      ...meta,
+      startedAt: new Date().toISOString(),
+      durationMs: 0,
+      outcome: null,
+      reason: null,
+      error: null,
+      validation: null,
+      _startTime: Date.now()
+    };
+
+    trace.steps.push(record);
+    trace.currentStep = record;
+    return record;
+  }
+
+  finishStep(record, outcome, details = {}) {
+    if (!record || record.outcome) return;
+
+    record.outcome = outcome;
+    record.reason = details.reason || null;
+    record.error = details.error || null;
+    record.durationMs = Date.now() - record._startTime;
+    delete record._startTime;
+
+    const trace = this.getActive();
+    if (trace && trace.currentStep === record) {
+      trace.currentStep = null;
+    }
+  }
+
+  recordValidation(verdict) {
+    const trace = this.getActive();
+    if (!trace) return;
+
+    if (trace.currentStep) {
+      trace.currentStep.validation = verdict;
+    } else {
+      trace.validations.push(verdict);
+    }
+  }
+
+  recordPipeline(pipelineTrace) {
+    const trace = this.getActive();
+    if (!trace) return;
+
+    trace.outcome = pipelineTrace.outcome;
+    trace.pipeline = {
+      plan: pipelineTrace.plan,
+      skipped: pipelineTrace.skipped,
+      attempts: pipelineTrace.attempts,
+      winner: pipelineTrace.winner,
+      outcome: pipelineTrace.outcome
+    };
+  }
+
+  note(category, message) {
+    const trace = this.getActive();
+    if (!trace) return;
+
+    trace.events.push({ category, message, at: new Date().toISOString() });
+  }
+
+  summarize(trace) {
+    const lines = [];
+
+    for (const entry of trace.cache) {
+      lines.push(`cache: ${entry.decision}${entry.reason ? ` (${entry.reason})` : ''}`);
+    }
+
+    if (trace.profile) {
+      lines.push(trace.profile.useProfile
+        ? `profile: using cached profile (step ${trace.profile.step || 'none'}, ${trace.profile.successRate !== null ? trace.profile.successRate.toFixed(1) : '?'}% success)`
+        : `profile: not used (${trace.profile.reason || 'unknown reason'})`);
+    }
+
+    lines.push(trace.platform.detected
+      ? `platform: ${trace.platform.detected} via ${trace.platform.source}${trace.platform.evidence.length > 0 ? ` [${trace.platform.evidence.map(e => e.detail || e.source).join('; ')}]` : ''}`
+      : `platform: none detected (${trace.platform.source || 'no detection ran'})`);
+
+    if (trace.stepFilter) {
+      lines.push(`steps: ${trace.stepFilter.mode} selected ${trace.stepFilter.selected.join(', ') || 'none'}, skipped ${trace.stepFilter.skipped.length}`);
+    }
+
+    for (const step of trace.steps) {
+      const verdict = step.validation ? ` validation=${step.validation.valid ? 'valid' : `invalid:${step.validation.reason}`}` : '';
+      lines.push(`step ${step.step}${step.phase ? ` [${step.phase}]` : ''}: ${step.outcome || 'unfinished'} in ${step.durationMs}ms${step.reason ? ` (${step.reason})` : ''}${step.error ? ` error=${step.error}` : ''}${verdict}`);
+    }
+
+    if (trace.pipeline) {
+      for (const attempt of trace.pipeline.attempts) {
+        lines.push(`pipeline ${attempt.step}: ${attempt.outcome}${attempt.reason ? ` (${attempt.error || attempt.reason})` : ''} in ${attempt.durationMs}ms`);
+      }
+    }
+
+    lines.push(`outcome: ${trace.outcome || 'unknown'}${trace.error ? ` (${trace.error})` : ''} after ${trace.durationMs}ms`);
+    return lines;
+  }
+
+  async explainScrape(url) {
+    let trace = this.latest.get(url) || null;
+
+    if (!trace) {
+      try {
+        const stored = JSON.parse(await fs.readFile(this.getTracePath(url), 'utf8'));
+        trace = stored.traces && stored.traces[0] ? stored.traces[0] : null;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          config.smartLog('fail', `Could not read scrape trace for ${url}: ${error.message}`);
+        }
+        trace = null;
+      }
+    }
+
+    if (!trace) return null;
+
+    return {
+      ...this.serialize(trace),
+      summary: this.summarize(trace)
+    };
+  }
+}
+
+module.exports = new ScrapeTraceService();
@@ -8,7 +8,10 @@ const ProgressiveScraper = require('./progressiveScraper');
 const AdaptiveScraper = require('./adaptiveScraper');
 const RobustScraper = require('./robustScraper');
 const UnifiedScrapingService = require('./unifiedScrapingService');
-const { getCachedData, saveCache } = require('../cacheManager');
+const browserPool = require('./browserPool');
+const profileQueueManager = require('./ProfileQueueManager');
+const ScrapingPipeline = require('./scrapingPipeline');
+const scrapeTraceService = require('./scrapeTraceService');
 const { randomDelay } = require('../utils');
 const dictionaries = require('../dictionaries');
 
@@ -20,118 +23,64 @@ const adaptiveScraper = new AdaptiveScraper();
 const unifiedScrapingService = new UnifiedScrapingService();
 let robustScraper = null;
 
-async function scrapeCareerPage(url, options = {}) {
-  config.smartLog('service', `Starting scrape process for: ${url}`);
-  config.smartLog('service', `scrapeCareerPage called from module instance ${moduleId}`);
-  config.smartLog('service', `DEBUG: StepBasedScraper exists: ${!!stepBasedScraper}`); 
-  
-  const enrichedOptions = enrichOptionsWithDictionaries(options, url);
-  
-  try {
-    const cachedData = await getCachedData(url);
-    if (cachedData) {
-      config.smartLog('service', `Using cached data for ${url} (less than 24h old)`);
-      return cachedData;
-    }
-    config.smartLog('service', `No valid cache found for ${url}, proceeding with scrape`);
-  } catch (error) {
-    config.smartLog('fail', `Error checking cache for ${url}: ${error.message}`);
-  }
-  
-  try {
-    config.smartLog('service', `Attempting scrape with UnifiedScrapingService for ${url}`);
-    const pageData = await unifiedScrapingService.scrape(url, enrichedOptions);
-    
-    if (pageData && isScrapedDataValid(pageData)) {
-      config.smartLog('service', `UnifiedScrapingService successful for ${url} with method: ${pageData.method}`);
-      await saveCache(url, pageData);
-      return pageData;
-    } else {
-      config.smartLog('service', `UnifiedScrapingService failed for ${url}, trying legacy scrapers`);
-    }
-  } catch (error) {
-    config.smartLog('fail', `Error with UnifiedScrapingService for ${url}: ${error.message}`);
-  }
-  
-  let pageData = null;
-  try {
-    config.smartLog('service', `Attempting scrape with StepBasedScraper for ${url}`);
-    pageData = await stepBasedScraper.scrape(url, enrichedOptions);
-    
-    if (pageData && isScrapedDataValid(pageData)) {
-      config.smartLog('service', `StepBasedScraper successful for ${url} with method: ${pageData.method}`);
-      await saveCache(url, pageData);
-      return pageData;
-    } else {
-      config.smartLog('service', `StepBasedScraper failed for ${url}, trying fallback scrapers`);
-      pageData = null;
-    }
-  } catch (error) {
-    config.smartLog('fail', `Error with StepBasedScraper for ${url}: ${error.message}`);
-    pageData = null;
-  }
-  
-  if (!pageData) {
-    try {
-      config.smartLog('service', `Attempting fallback with ProgressiveScraper for ${url}`);
-      pageData = await progressiveScraper.scrape(url, enrichedOptions);
-      
-      if (pageData && isScrapedDataValid(pageData)) {
-        config.smartLog('service', `ProgressiveScraper fallback successful for ${url}`);
-        await saveCache(url, pageData);
-        return pageData;
-      } else {
-        config.smartLog('service', `ProgressiveScraper failed for ${url}`);
-        pageData = null;
-      }
-    } catch (error) {
-      config.smartLog('fail', `Error with ProgressiveScraper for ${url}: ${error.message}`);
-      pageData = null;
-    }
-  }
-  
-  if (!pageData) {
-    try {
-      config.smartLog('service', `Attempting fallback with AdaptiveScraper for ${url}`);
-      pageData = await adaptiveScraper.scrape(url);
-      
-      if (pageData && isScrapedDataValid(pageData)) {
-        config.smartLog('service', `AdaptiveScraper fallback successful for ${url}`);
-        await saveCache(url, pageData);
-        return pageData;
-      } else {
-        config.smartLog('service', `AdaptiveScraper failed or returned invalid data for ${url}`);
-        pageData = null;
-      }
-    } catch (error) {
-      config.smartLog('fail', `Error with AdaptiveScraper for ${url}: ${error.message}`);
-      pageData = null;
-    }
-  }
-  
-  if (!pageData) {
-    try {
+const pipeline = new ScrapingPipeline({
+  prepareOptions: enrichOptionsWithDictionaries,
+  validate: validateScrapedData,
+  gate: checkBlockCooldown
+});
+
+pipeline
+  .register('unified', {
+    label: 'UnifiedScrapingService',
+    run: (url, options) => unifiedScrapingService.scrape(url, options),
+    close: () => unifiedScrapingService.close()
+  })
+  .register('step-based', {
+    label: 'StepBasedScraper',
+    run: (url, options) => stepBasedScraper.scrape(url, options),
+    close: () => stepBasedScraper.close()
+  })
+  .register('progressive', {
+    label: 'ProgressiveScraper',
+    run: (url, options) => progressiveScraper.scrape(url, options)
+  })
+  .register('adaptive', {
+    label: 'AdaptiveScraper',
+    run: (url) => adaptiveScraper.scrape(url)
+  })
+  .register('robust', {
+    label: 'RobustScraper',
+    run: async (url, options) => {
       if (!robustScraper) {
         robustScraper = new RobustScraper();
         await robustScraper.initialize();
       }
-      
-      config.smartLog('service', `Attempting last resort with RobustScraper for ${url}`);
-      pageData = await robustScraper.scrapeCareerPage(url, enrichedOptions);
-      
-      if (pageData && isScrapedDataValid(pageData)) {
-        config.smartLog('service', `RobustScraper successful as last resort for ${url}`);
-        await saveCache(url, pageData);
-        return pageData;
-      } else {
-        config.smartLog('service', `All scrapers failed for ${url}`);
+      return robustScraper.scrapeCareerPage(url, options);
+    },
+    close: async () => {
+      if (robustScraper) {
+        await robustScraper.close();
       }
-    } catch (error) {
-      config.smartLog('fail', `Error with RobustScraper for ${url}: ${error.message}`);
     }
-  }
+  });
+
+async function scrapeCareerPage(url, options = {}) {
+  config.smartLog('service', `Starting scrape process for: ${url}`);
+  config.smartLog('service', `scrapeCareerPage called from module instance ${moduleId}`);
   
-  return pageData;
+  return pipeline.run(url, options);
+}
+
+function getScrapeTrace(url) {
+  return pipeline.getTrace(url);
+}
+
+function getRecentScrapeTraces(limit) {
+  return pipeline.getRecentTraces(limit);
+}
+
+function explainScrape(url) {
+  return scrapeTraceService.explainScrape(url);
 }
 
 function enrichOptionsWithDictionaries(options, url) {
@@ -229,35 +178,41 @@ function detectJobPlatform(url) {
   return null;
 }
 
-function isScrapedDataValid(data) {
-  if (!data) return false;
+function validateScrapedData(data) {
+  if (!data) return { valid: false, reason: 'empty_result' };
   
-  if (!data.url || !data.scrapedAt) return false;
+  if (!data.url || !data.scrapedAt) return { valid: false, reason: 'missing_metadata' };
   
-  if (!data.text || data.text.length < 50) return false;
+  if (!data.text || data.text.length < 50) return { valid: false, reason: 'insufficient_text' };
   
-  if (!data.links || !Array.isArray(data.links) || data.links.length === 0) return false;
+  if (!data.links || !Array.isArray(data.links) || data.links.length === 0) return { valid: false, reason: 'no_links' };
   
-  return true;
+  return { valid: true, reason: null };
+}
+
+function checkBlockCooldown(url) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+
+  const cooldown = profileQueueManager.getBlockCooldown(hostname);
+  if (!cooldown) return null;
+
+  return {
+    outcome: 'cooldown',
+    reason: `${hostname} cooling down after ${cooldown.type} block until ${new Date(cooldown.until).toISOString()}`,
+    blockType: cooldown.type,
+    retryAt: new Date(cooldown.until).toISOString()
+  };
 }
 
 async function closeBrowsers() {
   try {
-    if (unifiedScrapingService) {
-      await unifiedScrapingService.close().catch(e => config.smartLog('fail', `Error closing UnifiedScrapingService: ${e.message}`));
-    }
-    
-    if (stepBasedScraper) {
-      await stepBasedScraper.close().catch(e => config.smartLog('fail', `Error closing StepBasedScraper: ${e.message}`));
-    }
-    
-    if (progressiveScraper) {
-      await progressiveScraper.close().catch(e => config.smartLog('fail', `Error closing ProgressiveScraper: ${e.message}`));
-    }
-    
-    if (robustScraper) {
-      await robustScraper.close().catch(e => config.smartLog('fail', `Error closing RobustScraper: ${e.message}`));
-    }
+    await pipeline.close();
+    await browserPool.shutdown().catch(e => config.smartLog('fail', `Error shutting down browser pool: ${e.message}`));
   } catch (error) {
     config.smartLog('fail', `Error closing browsers: ${error.message}`);
   }
@@ -384,6 +339,9 @@ function hasJobTerms(text) {
 
 module.exports = {
   scrapeCareerPage,
+  getScrapeTrace,
+  getRecentScrapeTraces,
+  explainScrape,
   findJobMatches,
   closeBrowsers,
   detectJobPlatform,
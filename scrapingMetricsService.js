@@ -1,19 +1,22 @@
-const fs = require('fs').promises;
-const path = require('path');
 const config = require('../config');
 const os = require('os');
 const dictionaries = require('../dictionaries');
+const storage = require('./storageService');
 
 class ScrapingMetricsService {
   constructor() {
-    this.metricsFile = path.join(config.DEBUG_DIR, 'scraping_metrics.json');
-    this.errorLogFile = path.join(config.DEBUG_DIR, 'scraping_errors.json');
-    this.resourceMetricsFile = path.join(config.DEBUG_DIR, 'resource_metrics.json');
-    this.cacheMetricsFile = path.join(config.DEBUG_DIR, 'cache_metrics.json');
+    this.metricsKey = 'scraping_metrics';
+    this.errorLogKey = 'scraping_errors';
+    this.resourceMetricsKey = 'resource_metrics';
+    this.cacheMetricsKey = 'cache_metrics';
+    this.crawlPolicyKey = 'crawl_policy_metrics';
+    this.conditionalFetchKey = 'conditional_fetch_metrics';
     this.metrics = {};
     this.errors = {};
     this.resourceMetrics = {};
     this.cacheMetrics = {};
+    this.crawlPolicyMetrics = {};
+    this.conditionalFetchMetrics = {};
     this.loaded = false;
   }
 
@@ -24,78 +27,77 @@ class ScrapingMetricsService {
       this.loadMetrics(),
       this.loadErrors(),
       this.loadResourceMetrics(),
-      this.loadCacheMetrics()
+      this.loadCacheMetrics(),
+      this.loadCrawlPolicyMetrics(),
+      this.loadConditionalFetchMetrics()
     ]);
     
     this.loaded = true;
   }
 
-  async loadMetrics() {
+  async loadEntries(key) {
     try {
-      const data = await fs.readFile(this.metricsFile, 'utf8');
-      this.metrics = JSON.parse(data);
+      return await storage.loadEntries('metrics', key);
     } catch (error) {
-      this.metrics = {};
+      config.smartLog('fail', `Error loading ${key}: ${error.message}`);
+      return {};
     }
   }
-  
-  async loadErrors() {
+
+  async saveEntries(key, entries, label, domain) {
     try {
-      const data = await fs.readFile(this.errorLogFile, 'utf8');
-      this.errors = JSON.parse(data);
+      await storage.saveEntries('metrics', key, entries, domain ? [domain] : null);
     } catch (error) {
-      this.errors = {};
+      config.smartLog('fail', `Error saving ${label}: ${error.message}`, { stackTrace: error.stack });
     }
   }
-  
+
+  async loadMetrics() {
+    this.metrics = await this.loadEntries(this.metricsKey);
+  }
+
+  async loadErrors() {
+    this.errors = await this.loadEntries(this.errorLogKey);
+  }
+
   async loadResourceMetrics() {
-    try {
-      const data = await fs.readFile(this.resourceMetricsFile, 'utf8');
-      this.resourceMetrics = JSON.parse(data);
-    } catch (error) {
-      this.resourceMetrics = {};
-    }
+    this.resourceMetrics = await this.loadEntries(this.resourceMetricsKey);
   }
-  
+
   async loadCacheMetrics() {
-    try {
-      const data = await fs.readFile(this.cacheMetricsFile, 'utf8');
-      this.cacheMetrics = JSON.parse(data);
-    } catch (error) {
-      this.cacheMetrics = {};
-    }
+    this.cacheMetrics = await this.loadEntries(this.cacheMetricsKey);
   }
 
-  async saveMetrics() {
-    try {
-      await fs.writeFile(this.metricsFile, JSON.stringify(this.metrics, null, 2));
-    } catch (error) {
-      config.smartLog('fail', `Error saving metrics: ${error.message}`, { stackTrace: error.stack });
-    }
+  async loadCrawlPolicyMetrics() {
+    this.crawlPolicyMetrics = await this.loadEntries(this.crawlPolicyKey);
   }
-  
-  async saveErrors() {
-    try {
-      await fs.writeFile(this.errorLogFile, JSON.stringify(this.errors, null, 2));
-    } catch (error) {
-      config.smartLog('fail', `Error saving error log: ${error.message}`, { stackTrace: error.stack });
-    }
+
+  async loadConditionalFetchMetrics() {
+    this.conditionalFetchMetrics = await this.loadEntries(this.conditionalFetchKey);
   }
-  
-  async saveResourceMetrics() {
-    try {
-      await fs.writeFile(this.resourceMetricsFile, JSON.stringify(this.resourceMetrics, null, 2));
-    } catch (error) {
-      config.smartLog('fail', `Error saving resource metrics: ${error.message}`, { stackTrace: error.stack });
-    }
+
+  async saveMetrics(domain = null) {
+    await this.saveEntries(this.metricsKey, this.metrics, 'metrics', domain);
   }
-  
-  async saveCacheMetrics() {
-    try {
-      await fs.writeFile(this.cacheMetricsFile, JSON.stringify(this.cacheMetrics, null, 2));
-    } catch (error) {
-      config.smartLog('fail', `Error saving cache metrics: ${error.message}`, { stackTrace: error.stack });
-    }
+
+  async saveErrors(domain = null) {
+    await this.saveEntries(this.errorLogKey, this.errors, 'error log', domain);
+  }
+
+  async saveResourceMetrics(domain = null) {
+    await this.saveEntries(this.resourceMetricsKey, this.resourceMetrics, 'resource metrics', domain);
+  }
+
+  async saveCacheMetrics(domain = null) {
+    await this.saveEntries(this.cacheMetricsKey, this.cacheMetrics, 'cache metrics', domain);
+  }
+
+  async saveCrawlPolicyMetrics(domain = null) {
+    await this.saveEntries(this.crawlPolicyKey, this.crawlPolicyMetrics, 'crawl policy metrics', domain);
+  }
+
+  async saveConditionalFetchMetrics(domain = null) {
+    await this.saveEntries(this.conditionalFetchKey, this.conditionalFetchMetrics, 'conditional fetch metrics', domain);
   }
 
   detectJobPlatform(url, domain) {
@@ -205,7 +207,7 @@ class ScrapingMetricsService {
     this.metrics[domain].steps[stepName].lastApplicabilityCheckAt = new Date().toISOString();
     this.metrics[domain].lastAttempt = new Date().toISOString();
     
-    await this.saveMetrics();
+    await this.saveMetrics(domain);
     
     return { domain, startTime, dictionaryAnalysis };
   }
@@ -220,7 +222,7 @@ class ScrapingMetricsService {
       this.updateStepSuccessRates(domain, stepName);
     }
     
-    await this.saveMetrics();
+    await this.saveMetrics(domain);
   }
 
   async recordStepAttempt(url, stepName, startTime = Date.now()) {
@@ -237,7 +239,7 @@ class ScrapingMetricsService {
     this.metrics[domain].steps[stepName].lastAttemptedAt = new Date().toISOString();
     this.metrics[domain].steps[stepName].startTime = startTime;
     
-    await this.saveMetrics();
+    await this.saveMetrics(domain);
     
     return { domain, startTime };
   }
@@ -299,7 +301,7 @@ class ScrapingMetricsService {
       
       this.calculateComplexityScore(domain);
       await this.recordResourceUsage(domain, stepName, executionTime);
-      await this.saveMetrics();
+      await this.saveMetrics(domain);
     }
   }
 
@@ -381,10 +383,98 @@ class ScrapingMetricsService {
       this.errors[domain].errorHistory = this.errors[domain].errorHistory.slice(0, 20);
     }
     
-    await this.saveErrors();
+    await this.saveErrors(domain);
     this.calculateComplexityScore(domain);
   }
   
+  getCrawlPolicyEntry(domain) {
+    if (!this.crawlPolicyMetrics[domain]) {
+      this.crawlPolicyMetrics[domain] = {
+        skips: 0,
+        delayedRequests: 0,
+        totalDelayMs: 0,
+        byReason: {},
+        byFetcher: {},
+        lastSkipAt: null,
+        skipHistory: []
+      };
+    }
+    
+    return this.crawlPolicyMetrics[domain];
+  }
+
+  async recordCrawlPolicySkip(url, fetcher, reason, details = {}) {
+    await this.loadAll();
+    
+    const domain = this.extractDomain(url);
+    const entry = this.getCrawlPolicyEntry(domain);
+    
+    entry.skips++;
+    entry.byReason[reason] = (entry.byReason[reason] || 0) + 1;
+    entry.byFetcher[fetcher] = (entry.byFetcher[fetcher] || 0) + 1;
+    entry.lastSkipAt = new Date().toISOString();
+    
+    entry.skipHistory.unshift({
+      timestamp: entry.lastSkipAt,
+      url,
+      fetcher,
+      reason,
+      ...details
+    });
+    
+    if (entry.skipHistory.length > 20) {
+      entry.skipHistory = entry.skipHistory.slice(0, 20);
+    }
+    
+    await this.saveCrawlPolicyMetrics(domain);
+  }
+
+  async recordCrawlDelay(url, fetcher, waitMs) {
+    await this.loadAll();
+    
+    const domain = this.extractDomain(url);
+    const entry = this.getCrawlPolicyEntry(domain);
+    entry.delayedRequests++;
+    entry.totalDelayMs += waitMs;
+    
+    await this.saveCrawlPolicyMetrics(domain);
+  }
+
+  async recordConditionalFetch(url, fetcher, outcome, { bytes = 0, bytesSaved = 0 } = {}) {
+    await this.loadAll();
+    
+    const domain = this.extractDomain(url);
+    if (!this.conditionalFetchMetrics[domain]) {
+      this.conditionalFetchMetrics[domain] = {
+        requests: 0,
+        notModified: 0,
+        hashUnchanged: 0,
+        modified: 0,
+        bytesDownloaded: 0,
+        bytesSaved: 0,
+        byFetcher: {},
+        lastNotModifiedAt: null
+      };
+    }
+    
+    const entry = this.conditionalFetchMetrics[domain];
+    entry.requests++;
+    entry.bytesDownloaded += bytes;
+    entry.bytesSaved += bytesSaved;
+    entry.byFetcher[fetcher] = (entry.byFetcher[fetcher] || 0) + 1;
+    
+    if (outcome === 'not_modified') {
+      entry.notModified++;
+      entry.lastNotModifiedAt = new Date().toISOString();
+    } else if (outcome === 'hash_unchanged') {
+      entry.hashUnchanged++;
+    } else {
+      entry.modified++;
+    }
+    
+    await this.saveConditionalFetchMetrics(domain);
+  }
+
   async recordCacheHit(url) {
     await this.loadAll();
     
@@ -422,7 +512,7 @@ class ScrapingMetricsService {
       this.cacheMetrics[domain].avgTimeBetweenHits = totalTime / (this.cacheMetrics[domain].lastHits.length - 1);
     }
     
-    await this.saveCacheMetrics();
+    await this.saveCacheMetrics(domain);
   }
   
   async recordCacheMiss(url) {
@@ -448,7 +538,7 @@ class ScrapingMetricsService {
     const total = this.cacheMetrics[domain].hits + this.cacheMetrics[domain].misses;
     this.cacheMetrics[domain].hitRate = total > 0 ? (this.cacheMetrics[domain].hits / total) * 100 : 0;
     
-    await this.saveCacheMetrics();
+    await this.saveCacheMetrics(domain);
   }
   
   async recordResourceUsage(domain, stepName, executionTime) {
@@ -527,7 +617,7 @@ class ScrapingMetricsService {
       this.resourceMetrics[domain].history = this.resourceMetrics[domain].history.slice(-100);
     }
     
-    await this.saveResourceMetrics();
+    await this.saveResourceMetrics(domain);
   }
 
   calculateComplexityScore(domain) {
@@ -674,6 +764,16 @@ class ScrapingMetricsService {
     return this.cacheMetrics;
   }
 
+  async getCrawlPolicyMetrics() {
+    await this.loadAll();
+    return this.crawlPolicyMetrics;
+  }
+
+  async getConditionalFetchMetrics() {
+    await this.loadAll();
+    return this.conditionalFetchMetrics;
+  }
+
   async getDomainMetrics(domain) {
     await this.loadAll();
     return this.metrics[domain] || null;
@@ -718,9 +818,38 @@ class ScrapingMetricsService {
         totalHits: 0,
         totalMisses: 0,
         globalHitRate: 0
+      },
+      crawlPolicyStats: {
+        totalSkips: 0,
+        byReason: {}
+      },
+      conditionalFetchStats: {
+        totalRequests: 0,
+        notModified: 0,
+        hashUnchanged: 0,
+        bytesDownloaded: 0,
+        bytesSaved: 0
       }
     };
     
+    for (const domain in this.conditionalFetchMetrics) {
+      const fetchData = this.conditionalFetchMetrics[domain];
+      stats.conditionalFetchStats.totalRequests += fetchData.requests || 0;
+      stats.conditionalFetchStats.notModified += fetchData.notModified || 0;
+      stats.conditionalFetchStats.hashUnchanged += fetchData.hashUnchanged || 0;
+      stats.conditionalFetchStats.bytesDownloaded += fetchData.bytesDownloaded || 0;
+      stats.conditionalFetchStats.bytesSaved += fetchData.bytesSaved || 0;
+    }
+    
+    for (const domain in this.crawlPolicyMetrics) {
+      const policyData = this.crawlPolicyMetrics[domain];
+      stats.crawlPolicyStats.totalSkips += policyData.skips || 0;
+      
+      for (const reason in policyData.byReason) {
+        stats.crawlPolicyStats.byReason[reason] = (stats.crawlPolicyStats.byReason[reason] || 0) + policyData.byReason[reason];
+      }
+    }
+    
     for (const domain in this.metrics) {
       const domainData = this.metrics[domain];
       stats.totalDomains++;
@@ -0,0 +1,271 @@
+const config = require('../config');
+const { getCachedData, saveCache } = require('../cacheManager');
+const { attachJobPostings } = require('./jobPostingNormalizer');
+const scrapeTraceService = require('./scrapeTraceService');
+
+const DEFAULT_ORDER = ['unified', 'step-based', 'progressive', 'adaptive', 'robust'];
+
+class ScrapingPipeline {
+  constructor({ prepareOptions, validate, gate } = {}) {
+    this.steps = new Map();
+    this.traces = new Map();
+    this.MAX_TRACES = config.PIPELINE_MAX_TRACES || 200;
+    this.prepareOptions = prepareOptions || ((options) => ({ ...options }));
+    this.validate = validate || (() => ({ valid: true, reason: null }));
+    this.gate = gate || (() => null);
+  }
+
+  register(name, step) {
+    if (!step || typeof step.run !== 'function') {
+      throw new Error(`Pipeline step ${name} requires a run() function`);
+    }
+
+    if (this.steps.has(name)) {
+      config.smartLog('service', `Pipeline step ${name} re-registered, replacing previous definition`);
+    }
+
+    this.steps.set(name, { name, ...step });
+    return this;
+  }
+
+  getOrder(options = {}) {
+    const configured = options.pipelineOrder || config.SCRAPER_PIPELINE_ORDER || DEFAULT_ORDER;
+    const names = Array.isArray(configured)
+      ? configured
+      : configured.split(',').map(name => name.trim()).filter(Boolean);
+
+    const order = [];
+    for (const name of names) {
+      if (!this.steps.has(name)) {
+        config.smartLog('service', `Pipeline order references unknown step ${name}, ignoring`);
+        continue;
+      }
+      if (!order.includes(name)) {
+        order.push(name);
+      }
+    }
+
+    return order;
+  }
+
+  async detect(url, options, trace) {
+    const enrichedOptions = this.prepareOptions(options, url);
+    trace.platform = enrichedOptions.detectedPlatform?.name || null;
+    trace.complexDomain = enrichedOptions.isComplexDomain === true;
+
+    if (options.skipCache) {
+      scrapeTraceService.recordCache('bypassed', { layer: 'pipeline', reason: 'skipCache option' });
+      return { enrichedOptions, cachedData: null };
+    }
+
+    try {
+      const cachedData = await getCachedData(url);
+      if (cachedData) {
+        config.smartLog('service', `Using cached data for ${url} (less than 24h old)`);
+        scrapeTraceService.recordCache('hit', { layer: 'pipeline' });
+        return { enrichedOptions, cachedData };
+      }
+      config.smartLog('service', `No valid cache found for ${url}, proceeding with scrape`);
+      scrapeTraceService.recordCache('miss', { layer: 'pipeline' });
+    } catch (error) {
+      config.smartLog('fail', `Error checking cache for ${url}: ${error.message}`);
+      scrapeTraceService.recordCache('error', { layer: 'pipeline', reason: error.message });
+    }
+
+    return { enrichedOptions, cachedData: null };
+  }
+
+  async plan(url, enrichedOptions, trace) {
+    const plan = [];
+
+    for (const name of this.getOrder(enrichedOptions)) {
+      const step = this.steps.get(name);
+
+      if (typeof step.isApplicable === 'function') {
+        try {
+          const applicable = await step.isApplicable(url, enrichedOptions);
+          if (!applicable) {
+            trace.skipped.push({ step: name, reason: 'not_applicable' });
+            continue;
+          }
+        } catch (error) {
+          trace.skipped.push({ step: name, reason: `applicability_error: ${error.message}` });
+          continue;
+        }
+      }
+
+      plan.push(step);
+    }
+
+    trace.plan = plan.map(step => step.name);
+    return plan;
+  }
+
+  async execute(url, step, enrichedOptions, trace) {
+    const attempt = {
+      step: step.name,
+      startedAt: new Date().toISOString(),
+      durationMs: 0,
+      outcome: null,
+      reason: null,
+      method: null,
+      textLength: 0,
+      linksCount: 0,
+      error: null
+    };
+    const startTime = Date.now();
+
+    config.smartLog('service', `Attempting scrape with ${step.label || step.name} for ${url}`);
+
+    let pageData = null;
+    try {
+      pageData = await step.run(url, enrichedOptions);
+      const validation = this.validate(pageData);
+
+      attempt.outcome = validation.valid ? 'success' : 'invalid';
+      attempt.reason = validation.reason;
+      attempt.method = pageData?.method || null;
+      attempt.textLength = pageData?.text?.length || 0;
+      attempt.linksCount = Array.isArray(pageData?.links) ? pageData.links.length : 0;
+    } catch (error) {
+      attempt.outcome = 'error';
+      attempt.reason = 'exception';
+      attempt.error = error.message;
+      config.smartLog('fail', `Error with ${step.label || step.name} for ${url}: ${error.message}`);
+    }
+
+    attempt.durationMs = Date.now() - startTime;
+    trace.attempts.push(attempt);
+
+    if (attempt.outcome === 'invalid') {
+      config.smartLog('service', `${step.label || step.name} returned unusable data for ${url} (${attempt.reason})`);
+    }
+
+    return { pageData, attempt };
+  }
+
+  async persist(url, pageData, trace) {
+    attachJobPostings(pageData);
+
+    try {
+      await saveCache(url, pageData);
+      trace.persisted = true;
+      scrapeTraceService.recordCache('saved', { layer: 'pipeline', reason: `result from ${trace.winner}` });
+    } catch (error) {
+      trace.persisted = false;
+      config.smartLog('fail', `Error saving cache for ${url}: ${error.message}`);
+      scrapeTraceService.recordCache('save-error', { layer: 'pipeline', reason: error.message });
+    }
+
+    return pageData;
+  }
+
+  run(url, options = {}) {
+    return scrapeTraceService.withTrace(url, () => this.runTraced(url, options));
+  }
+
+  async runTraced(url, options) {
+    const trace = {
+      url,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: 0,
+      platform: null,
+      complexDomain: false,
+      plan: [],
+      skipped: [],
+      attempts: [],
+      outcome: null,
+      winner: null,
+      refusal: null,
+      persisted: false
+    };
+    const startTime = Date.now();
+
+    const { enrichedOptions, cachedData } = await this.detect(url, options, trace);
+
+    if (cachedData) {
+      trace.outcome = 'cache';
+      this.finishTrace(trace, startTime);
+      return attachJobPostings(cachedData);
+    }
+
+    const refusal = this.gate(url, enrichedOptions);
+    if (refusal) {
+      config.smartLog('service', `Skipping scrape for ${url}: ${refusal.reason}`);
+      trace.outcome = refusal.outcome || 'refused';
+      trace.refusal = refusal;
+      this.finishTrace(trace, startTime);
+      return null;
+    }
+
+    const plan = await this.plan(url, enrichedOptions, trace);
+    let lastData = null;
+
+    for (const step of plan) {
+      const { pageData, attempt } = await this.execute(url, step, enrichedOptions, trace);
+      lastData = pageData;
+
+      if (attempt.outcome === 'success') {
+        config.smartLog('service', `${step.label || step.name} successful for ${url} with method: ${pageData.method}`);
+        trace.outcome = 'success';
+        trace.winner = step.name;
+        await this.persist(url, pageData, trace);
+        this.finishTrace(trace, startTime);
+        return pageData;
+      }
+    }
+
+    trace.outcome = 'failed';
+    this.finishTrace(trace, startTime);
+    config.smartLog('service', `All scrapers failed for ${url}: ${this.summarizeAttempts(trace)}`);
+
+    return lastData;
+  }
+
+  summarizeAttempts(trace) {
+    if (trace.attempts.length === 0) {
+      return 'no applicable steps';
+    }
+
+    return trace.attempts
+      .map(attempt => `${attempt.step}=${attempt.outcome}${attempt.reason ? `(${attempt.error || attempt.reason})` : ''}`)
+      .join(', ');
+  }
+
+  finishTrace(trace, startTime) {
+    trace.finishedAt = new Date().toISOString();
+    trace.durationMs = Date.now() - startTime;
+
+    this.traces.delete(trace.url);
+    this.traces.set(trace.url, trace);
+
+    if (this.traces.size > this.MAX_TRACES) {
+      this.traces.delete(this.traces.keys().next().value);
+    }
+
+    scrapeTraceService.recordPipeline(trace);
+  }
+
+  getTrace(url) {
+    return this.traces.get(url) || null;
+  }
+
+  getRecentTraces(limit = 20) {
+    return Array.from(this.traces.values()).slice(-limit).reverse();
+  }
+
+  async close() {
+    for (const step of this.steps.values()) {
+      if (typeof step.close !== 'function') continue;
+
+      await step.close().catch(error => {
+        config.smartLog('fail', `Error closing ${step.label || step.name}: ${error.message}`);
+      });
+    }
+  }
+}
+
+ScrapingPipeline.DEFAULT_ORDER = DEFAULT_ORDER;
+
+module.exports = ScrapingPipeline;
@@ -0,0 +1,268 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const config = require('../config');
+const profilingConfig = require('../config/profiling');
+const storage = require('./storageService');
+const FileMutex = require('./locks/FileMutex');
+
+const COUNTER_KEYS = ['totalAttempts', 'successCount', 'failureCount', 'errorCount', 'totalTime'];
+const TIMESTAMP_KEYS = ['lastSuccessTime', 'lastFailureTime', 'lastSuccess', 'createdAt', 'time', 'timestamp'];
+const MAX_PATTERNS = 10;
+const COLLECTION = 'step-intelligence';
+
+class StepIntelligenceStore {
+  constructor() {
+    this.lockDir = config.STEP_INTELLIGENCE_DIR || path.join(profilingConfig.PROFILES_DIR, 'step-intelligence');
+    this.baselines = new Map();
+    this.writerId = `${os.hostname()}:${process.pid}`;
+    this.mutex = new FileMutex({
+      ownerId: this.writerId,
+      label: 'intelligence lock',
+      logCategory: 'domain-profile',
+      staleMs: 30000,
+      timeoutMs: 5000,
+      retryMs: 50
+    });
+  }
+
+  getKey(domain) {
+    return domain.toLowerCase().replace(/[^a-z0-9.-]/g, '_');
+  }
+
+  getLockPath(domain) {
+    return path.join(this.lockDir, this.getKey(domain));
+  }
+
+  serialize(value) {
+    if (value instanceof Map) {
+      return { __map: Array.from(value.entries()).map(([key, entry]) => [key, this.serialize(entry)]) };
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(entry => this.serialize(entry));
+    }
+
+    if (value && typeof value === 'object') {
+      const result = {};
+      for (const [key, entry] of Object.entries(value)) {
+        result[key] = this.serialize(entry);
+      }
+      return result;
+    }
+
+    return value;
+  }
+
+  deserialize(value) {
+    if (Array.isArray(value)) {
+      return value.map(entry => this.deserialize(entry));
+    }
+
+    if (value && typeof value === 'object') {
+      if (Array.isArray(value.__map)) {
+        return new Map(value.__map.map(([key, entry]) => [key, this.deserialize(entry)]));
+      }
+
+      const result = {};
+      for (const [key, entry] of Object.entries(value)) {
+        result[key] = this.deserialize(entry);
+      }
+      return result;
+    }
+
+    return value;
+  }
+
+  isMapValue(value) {
+    return value && typeof value === 'object' && Array.isArray(value.__map);
+  }
+
+  isPlainObject(value) {
+    return value && typeof value === 'object' && !Array.isArray(value) && !this.isMapValue(value);
+  }
+
+  mergeValue(theirs, mine, base, key = '', counterContext = false) {
+    if (mine === undefined) return theirs;
+    if (theirs === undefined || theirs === null) return mine;
+
+    if (this.isMapValue(mine) || this.isMapValue(theirs)) {
+      const theirsMap = new Map(this.isMapValue(theirs) ? theirs.__map : []);
+      const mineMap = new Map(this.isMapValue(mine) ? mine.__map : []);
+      const baseMap = new Map(this.isMapValue(base) ? base.__map : []);
+      const keys = new Set([...theirsMap.keys(), ...mineMap.keys()]);
+
+      return {
+        __map: Array.from(keys).map(entryKey => [
+          entryKey,
+          this.mergeValue(theirsMap.get(entryKey), mineMap.get(entryKey), baseMap.get(entryKey), entryKey, true)
+        ])
+      };
+    }
+
+    if (this.isPlainObject(mine) && this.isPlainObject(theirs)) {
+      const baseObject = this.isPlainObject(base) ? base : {};
+      const result = {};
+
+      for (const entryKey of new Set([...Object.keys(theirs), ...Object.keys(mine)])) {
+        result[entryKey] = this.mergeValue(theirs[entryKey], mine[entryKey], baseObject[entryKey], entryKey);
+      }
+
+      return result;
+    }
+
+    if (typeof mine === 'number' && typeof theirs === 'number') {
+      if (COUNTER_KEYS.includes(key) || counterContext) {
+        const baseNumber = typeof base === 'number' ? base : 0;
+        return theirs + Math.max(0, mine - baseNumber);
+      }
+
+      if (TIMESTAMP_KEYS.includes(key)) {
+        return Math.max(theirs, mine);
+      }
+    }
+
+    return JSON.stringify(mine) !== JSON.stringify(base) ? mine : theirs;
+  }
+
+  mergePatterns(theirs = [], mine = []) {
+    const seen = new Set();
+    const merged = [];
+
+    for (const pattern of [...theirs, ...mine]) {
+      const key = `${pattern.stepName}|${pattern.timestamp}|${pattern.errorType || ''}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      merged.push(pattern);
+    }
+
+    return merged
+      .sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0))
+      .slice(-MAX_PATTERNS);
+  }
+
+  recomputeRates(record) {
+    const history = record.history;
+    if (!history) return record;
+
+    if (history.totalAttempts > 0) {
+      history.successRate = (history.successCount / history.totalAttempts) * 100;
+    }
+
+    for (const [, stats] of history.successfulSteps?.__map || []) {
+      if (stats.totalAttempts > 0) {
+        stats.successRate = (stats.successCount / stats.totalAttempts) * 100;
+      }
+    }
+
+    for (const [, stats] of history.failedSteps?.__map || []) {
+      if (stats.totalAttempts > 0) {
+        stats.failureRate = (stats.failureCount / stats.totalAttempts) * 100;
+      }
+    }
+
+    for (const [, stats] of history.errorMetrics?.__map || []) {
+      if (stats.errorCount > 0) {
+        stats.avgErrorTime = stats.totalTime / stats.errorCount;
+      }
+    }
+
+    return record;
+  }
+
+  mergeRecords(theirs, mine, base) {
+    if (!theirs) return mine;
+
+    return this.recomputeRates({
+      domain: mine.domain,
+      history: this.mergeValue(theirs.history, mine.history, base?.history),
+      successPatterns: this.mergePatterns(theirs.successPatterns, mine.successPatterns),
+      failurePatterns: this.mergePatterns(theirs.failurePatterns, mine.failurePatterns)
+    });
+  }
+
+  async readRecord(key) {
+    try {
+      return await storage.get(COLLECTION, key);
+    } catch (error) {
+      config.smartLog('fail', `Unreadable step intelligence record ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async loadAll(limit = 1000) {
+    let stored;
+    try {
+      stored = await storage.list(COLLECTION);
+    } catch (error) {
+      config.smartLog('fail', `Could not list step intelligence: ${error.message}`);
+      return [];
+    }
+
+    const selected = stored
+      .filter(record => record && record.domain && record.history)
+      .sort((a, b) => new Date(a._lastUpdate || 0).getTime() - new Date(b._lastUpdate || 0).getTime())
+      .slice(-limit);
+
+    const records = [];
+    for (const record of selected) {
+      this.baselines.set(record.domain, record);
+      records.push(this.deserializeRecord(record));
+    }
+
+    config.smartLog('domain-profile', `Loaded step intelligence for ${records.length} domains`);
+    return records;
+  }
+
+  deserializeRecord(record) {
+    return {
+      domain: record.domain,
+      history: this.deserialize(record.history),
+      successPatterns: record.successPatterns || [],
+      failurePatterns: record.failurePatterns || []
+    };
+  }
+
+  snapshot(domain, history, successPatterns = [], failurePatterns = []) {
+    return {
+      domain,
+      history: this.serialize(history),
+      successPatterns: this.serialize(successPatterns),
+      failurePatterns: this.serialize(failurePatterns)
+    };
+  }
+
+  async saveDomain(domain, snapshot) {
+    const key = this.getKey(domain);
+    await fs.mkdir(this.lockDir, { recursive: true });
+
+    return this.mutex.run(this.getLockPath(domain), async () => {
+      const stored = await this.readRecord(key);
+      const merged = this.mergeRecords(stored, snapshot, this.baselines.get(domain));
+
+      await storage.set(COLLECTION, key, {
+        ...merged,
+        _lastUpdate: new Date().toISOString(),
+        _writer: this.writerId
+      });
+
+      this.baselines.set(domain, merged);
+      return merged;
+    });
+  }
+
+  rebase(merged, current, snapshot) {
+    return this.deserializeRecord(this.mergeRecords(merged, current, snapshot));
+  }
+
+  forget(domain) {
+    this.baselines.delete(domain);
+  }
+
+  async deleteDomain(domain) {
+    this.baselines.delete(domain);
+    await storage.delete(COLLECTION, this.getKey(domain));
+  }
+}
+
+module.exports = new StepIntelligenceStore();
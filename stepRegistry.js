@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+class StepRegistry {
+  constructor() {
+    this.entries = new Map();
+    this.sortedSteps = null;
+    this.builtInLoaded = false;
+    this.loadedPluginDirs = new Set();
+    this.BUILT_IN_STEPS_DIR = path.join(__dirname, 'steps');
+    this.EXCLUDED_MODULES = ['BaseScraperStep.js'];
+  }
+
+  normalizePlatform(platform) {
+    return (platform || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  createStepInstance(definition) {
+    if (typeof definition === 'function') {
+      return new definition();
+    }
+
+    if (definition && typeof definition.create === 'function') {
+      return definition.create();
+    }
+
+    if (definition && definition.step) {
+      return this.createStepInstance(definition.step);
+    }
+
+    return definition;
+  }
+
+  register(definition, descriptor = {}) {
+    const mergedDescriptor = {
+      ...(definition && definition.step ? definition : {}),
+      ...descriptor
+    };
+    const step = this.createStepInstance(definition);
+
+    if (!step || typeof step.scrape !== 'function') {
+      throw new Error('Step registration requires an object implementing scrape()');
+    }
+
+    if (mergedDescriptor.name) step.name = mergedDescriptor.name;
+    if (mergedDescriptor.priority !== undefined) step.priority = mergedDescriptor.priority;
+    if (mergedDescriptor.platforms) step.platforms = mergedDescriptor.platforms;
+    if (mergedDescriptor.recommendedFor) step.recommendedFor = mergedDescriptor.recommendedFor;
+    if (mergedDescriptor.excludedPlatforms) step.excludedPlatforms = mergedDescriptor.excludedPlatforms;
+    if (mergedDescriptor.headless !== undefined) step.headless = mergedDescriptor.headless;
+
+    if (typeof mergedDescriptor.isApplicable === 'function') {
+      step.isApplicable = mergedDescriptor.isApplicable.bind(step);
+    }
+
+    if (!step.name) {
+      throw new Error('Step registration requires a name');
+    }
+
+    if (typeof step.isApplicable !== 'function') {
+      step.isApplicable = async () => true;
+    }
+
+    const entry = {
+      name: step.name,
+      priority: typeof step.priority === 'number' ? step.priority : 0,
+      platforms: step.platforms || [],
+      recommendedFor: step.recommendedFor || [],
+      excludedPlatforms: step.excludedPlatforms || [],
+      headless: step.headless === true,
+      source: mergedDescriptor.source || 'runtime',
+      step
+    };
+
+    if (this.entries.has(entry.name)) {
+      config.smartLog('steps', `Step ${entry.name} re-registered from ${entry.source}, replacing previous definition`);
+    }
+
+    this.entries.set(entry.name, entry);
+    this.sortedSteps = null;
+
+    config.smartLog('steps', `Registered step ${entry.name} (priority ${entry.priority}, platforms: ${entry.platforms.join(', ') || 'generic'})`);
+
+    return step;
+  }
+
+  unregister(stepName) {
+    const removed = this.entries.delete(stepName);
+    if (removed) {
+      this.sortedSteps = null;
+    }
+    return removed;
+  }
+
+  loadModulesFromDirectory(directory, source) {
+    if (!fs.existsSync(directory)) {
+      return 0;
+    }
+
+    const files = fs.readdirSync(directory)
+      .filter(file => file.endsWith('.js') && !this.EXCLUDED_MODULES.includes(file))
+      .sort();
+
+    let registered = 0;
+
+    for (const file of files) {
+      const modulePath = path.join(directory, file);
+
+      try {
+        const definition = require(modulePath);
+        const definitions = Array.isArray(definition) ? definition : [definition];
+
+        for (const item of definitions) {
+          this.register(item, { source });
+          registered++;
+        }
+      } catch (error) {
+        config.smartLog('fail', `Could not register step module ${modulePath}: ${error.message}`);
+      }
+    }
+
+    return registered;
+  }
+
+  loadBuiltInSteps() {
+    if (this.builtInLoaded) return;
+    this.builtInLoaded = true;
+
+    const count = this.loadModulesFromDirectory(this.BUILT_IN_STEPS_DIR, 'built-in');
+    config.smartLog('steps', `Loaded ${count} built-in steps`);
+
+    this.loadPluginDirectory();
+  }
+
+  loadPluginDirectory(directory = null) {
+    const pluginDir = path.resolve(directory || config.STEP_PLUGINS_DIR || path.join(__dirname, 'plugins', 'steps'));
+
+    if (this.loadedPluginDirs.has(pluginDir)) {
+      return 0;
+    }
+
+    this.loadedPluginDirs.add(pluginDir);
+    const count = this.loadModulesFromDirectory(pluginDir, 'plugin');
+
+    if (count > 0) {
+      config.smartLog('steps', `Loaded ${count} plugin steps from ${pluginDir}`);
+    }
+
+    return count;
+  }
+
+  ensureLoaded() {
+    if (!this.builtInLoaded) {
+      this.loadBuiltInSteps();
+    }
+  }
+
+  getSteps() {
+    this.ensureLoaded();
+
+    if (!this.sortedSteps) {
+      this.sortedSteps = Array.from(this.entries.values())
+        .sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name))
+        .map(entry => entry.step);
+    }
+
+    return this.sortedSteps;
+  }
+
+  getStep(stepName) {
+    this.ensureLoaded();
+    const entry = this.entries.get(stepName);
+    return entry ? entry.step : null;
+  }
+
+  getEntry(stepName) {
+    this.ensureLoaded();
+    return this.entries.get(stepName) || null;
+  }
+
+  matchesPlatform(platforms, platform) {
+    const target = this.normalizePlatform(platform);
+    if (!target) return false;
+    return platforms.some(candidate => this.normalizePlatform(candidate) === target);
+  }
+
+  findEntriesForPlatform(platform, field = 'platforms') {
+    this.ensureLoaded();
+
+    return Array.from(this.entries.values())
+      .filter(entry => this.matchesPlatform(entry[field], platform))
+      .sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name));
+  }
+
+  getStepForPlatform(platform) {
+    const [entry] = this.findEntriesForPlatform(platform);
+    return entry ? entry.step : null;
+  }
+
+  getStepNameForPlatform(platform) {
+    const step = this.getStepForPlatform(platform);
+    if (step) return step.name;
+
+    const target = this.normalizePlatform(platform);
+    if (!target) return null;
+
+    const partialMatch = Array.from(this.entries.values())
+      .filter(entry => entry.platforms.some(candidate => {
+        const normalized = this.normalizePlatform(candidate);
+        return normalized && (target.includes(normalized) || normalized.includes(target));
+      }))
+      .sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name))[0];
+
+    return partialMatch ? partialMatch.name : null;
+  }
+
+  getRecommendedStep(platform) {
+    const dedicated = this.getStepForPlatform(platform);
+    if (dedicated) return dedicated.name;
+
+    const [recommended] = this.findEntriesForPlatform(platform, 'recommendedFor');
+    return recommended ? recommended.name : null;
+  }
+
+  isKnownPlatform(platform) {
+    return this.findEntriesForPlatform(platform).length > 0 ||
+           this.findEntriesForPlatform(platform, 'recommendedFor').length > 0;
+  }
+
+  isStepBlocked(platform, stepName) {
+    if (!platform) return false;
+
+    const entry = this.getEntry(stepName);
+    if (!entry) return false;
+
+    if (this.matchesPlatform(entry.excludedPlatforms, platform)) {
+      return true;
+    }
+
+    if (!this.isKnownPlatform(platform)) {
+      return false;
+    }
+
+    return entry.platforms.length > 0 && !this.matchesPlatform(entry.platforms, platform);
+  }
+
+  isStepHeadless(stepName) {
+    const entry = this.getEntry(stepName);
+    return entry ? entry.headless : null;
+  }
+
+  getRegistryStats() {
+    this.ensureLoaded();
+
+    return {
+      totalSteps: this.entries.size,
+      pluginDirectories: Array.from(this.loadedPluginDirs),
+      steps: Array.from(this.entries.values()).map(entry => ({
+        name: entry.name,
+        priority: entry.priority,
+        platforms: entry.platforms,
+        recommendedFor: entry.recommendedFor,
+        excludedPlatforms: entry.excludedPlatforms,
+        headless: entry.headless,
+        source: entry.source
+      }))
+    };
+  }
+}
+
+module.exports = new StepRegistry();
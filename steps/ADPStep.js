@@ -1,6 +1,7 @@
 const BaseScraperStep = require('./BaseScraperStep');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const { chromium } = require('playwright');
+const egressService = require('../egressService');
 const cheerio = require('cheerio');
 const { extractContentFromCheerio } = require('../helpers');
 const config = require('../../config');
@@ -10,7 +11,7 @@ const fs = require('fs').promises;
 
 class ADPStep extends BaseScraperStep {
   constructor() {
-    super('adp-step', 4);
+    super('adp-step', 4, { platforms: ['ADP'], headless: true });
     this.browser = null;
     this.platformConfig = null;
   }
@@ -321,15 +322,16 @@ class ADPStep extends BaseScraperStep {
       
       if (!this.browser) {
         this.browser = await chromium.launch({
+          ...egressService.getLaunchOptions(),
           headless: true,
           args: config.playwrightArgs || []
         });
       }
 
-      context = await this.browser.newContext({
+      context = await this.browser.newContext(await egressService.applyToContextOptions(url, {
         userAgent: getRandomUserAgent(),
         viewport: { width: 1920, height: 1080 }
-      });
+      }));
       
       page = await context.newPage();
       
@@ -494,15 +496,16 @@ class ADPStep extends BaseScraperStep {
       
       if (!this.browser) {
         this.browser = await chromium.launch({
+          ...egressService.getLaunchOptions(),
           headless: true,
           args: config.playwrightArgs || []
         });
       }
 
-      context = await this.browser.newContext({
+      context = await this.browser.newContext(await egressService.applyToContextOptions(url, {
         userAgent: getRandomUserAgent(),
         viewport: { width: 1920, height: 1080 }
-      });
+      }));
       
       page = await context.newPage();
       
@@ -1,42 +1,19 @@
-const { chromium } = require('playwright');
 const cheerio = require('cheerio');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const path = require('path');
 const fs = require('fs').promises;
 const BaseScraperStep = require('./BaseScraperStep');
+const browserPool = require('../browserPool');
 const { randomDelay, getRandomUserAgent } = require('../../utils');
 const { extractContentFromCheerio } = require('../helpers');
 const config = require('../../config');
 
 class BambooHRStep extends BaseScraperStep {
   constructor() {
-    super('bamboohr-step', 2);
-    this.browser = null;
+    super('bamboohr-step', 2, { platforms: ['BambooHR'], headless: true });
     this.bambooHRPlatform = null;
   }
   
-  async initialize() {
-    if (!this.browser) {
-      this.browser = await chromium.launch({
-        headless: true,
-        args: [
-          ...config.playwrightArgs,
-          '--disable-blink-features=AutomationControlled',
-          '--disable-background-timer-throttling',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-renderer-backgrounding'
-        ]
-      });
-    }
-    return this.browser;
-  }
-
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
-  }
 
   async isApplicable(url, context = {}) {
     config.smartLog('steps', `Checking applicability for ${url}`);
@@ -228,15 +205,13 @@ class BambooHRStep extends BaseScraperStep {
     let scrapingError = null;
     
     try {
-      await this.initialize();
-      
-      const context = await this.browser.newContext({
+      const context = await browserPool.acquireContext({
         userAgent: getRandomUserAgent(),
         viewport: { width: 1920, height: 1080 },
         ignoreHTTPSErrors: true,
         javaScriptEnabled: true,
         bypassCSP: true
-      });
+      }, { owner: this.name, url });
       
       await context.route('**/*.{png,jpg,jpeg,gif,svg,webp,ico,woff,woff2,ttf,eot}', route => route.abort());
       
@@ -293,7 +268,7 @@ class BambooHRStep extends BaseScraperStep {
         scrapingError = error;
       } finally {
         await page.close();
-        await context.close();
+        await browserPool.releaseContext(context);
       }
       
       return result;
@@ -1,9 +1,13 @@
 const config = require('../../config');
 
 class BaseScraperStep {
-  constructor(name, priority = 0) {
+  constructor(name, priority = 0, descriptor = {}) {
     this.name = name;
     this.priority = priority;
+    this.platforms = descriptor.platforms || [];
+    this.recommendedFor = descriptor.recommendedFor || [];
+    this.excludedPlatforms = descriptor.excludedPlatforms || [];
+    this.headless = descriptor.headless === true;
     this.dictionary = null;
   }
 
@@ -170,6 +174,111 @@ class BaseScraperStep {
     return Math.min(score, 100);
   }
 
+  getMaxApiJobs(options = {}) {
+    const cap = parseInt(options.maxJobs || config.MAX_API_JOBS, 10);
+    return cap > 0 ? cap : 1000;
+  }
+
+  appendQueryParams(url, params) {
+    const urlObj = new URL(url);
+    for (const [key, value] of Object.entries(params)) {
+      urlObj.searchParams.set(key, value);
+    }
+    return urlObj.toString();
+  }
+
+  async paginateApi(fetchPage, settings = {}) {
+    const maxJobs = settings.maxJobs || 1000;
+    const pageSize = settings.pageSize || 100;
+    const maxPages = settings.maxPages || Math.ceil(maxJobs / pageSize) + 1;
+    const jobs = [];
+    let page = settings.initialPage || null;
+    let totalAvailable = null;
+    let cursor = null;
+    let offset = 0;
+    let pages = 0;
+    let exhausted = false;
+    let interruptedBy = null;
+
+    while (pages < maxPages) {
+      if (!page) {
+        try {
+          page = await fetchPage({
+            offset,
+            cursor,
+            pageIndex: pages,
+            limit: Math.min(pageSize, maxJobs - jobs.length)
+          });
+        } catch (error) {
+          if (jobs.length === 0) throw error;
+          interruptedBy = error.message;
+          config.smartLog('retry', `Pagination stopped for ${this.name} after ${pages} pages: ${error.message}`);
+          break;
+        }
+      }
+
+      pages++;
+
+      if (!page || !Array.isArray(page.jobs) || page.jobs.length === 0) {
+        exhausted = true;
+        break;
+      }
+
+      if (typeof page.total === 'number' && page.total >= 0) {
+        totalAvailable = page.total;
+      }
+
+      jobs.push(...page.jobs);
+      offset += page.jobs.length;
+      cursor = page.nextCursor || null;
+
+      const hasMore = page.hasMore !== undefined
+        ? page.hasMore
+        : (totalAvailable !== null ? offset < totalAvailable : page.jobs.length >= pageSize);
+
+      page = null;
+
+      if (!hasMore) {
+        exhausted = true;
+        break;
+      }
+
+      if (jobs.length >= maxJobs) {
+        break;
+      }
+    }
+
+    const fetchedJobs = jobs.slice(0, maxJobs);
+    const resolvedTotal = totalAvailable !== null ? totalAvailable : (exhausted ? jobs.length : null);
+    const truncated = !exhausted || jobs.length > maxJobs || (resolvedTotal !== null && fetchedJobs.length < resolvedTotal);
+
+    if (truncated) {
+      config.smartLog('steps', `${this.name} pagination capped: fetched ${fetchedJobs.length}/${resolvedTotal !== null ? resolvedTotal : 'unknown'} jobs (max ${maxJobs})`);
+    }
+
+    return {
+      jobs: fetchedJobs,
+      pagination: {
+        totalAvailable: resolvedTotal,
+        fetched: fetchedJobs.length,
+        pages,
+        maxJobs,
+        truncated,
+        interruptedBy
+      }
+    };
+  }
+
+  applyPaginationInfo(result, pagination) {
+    if (!result || !pagination) return result;
+
+    result.totalAvailable = pagination.totalAvailable;
+    result.fetched = pagination.fetched;
+    result.truncated = pagination.truncated;
+    result.pagination = pagination;
+    return result;
+  }
+
   isResultValid(result) {
     if (!result) return false;
     
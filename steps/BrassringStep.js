@@ -5,7 +5,7 @@ const path = require('path');
 
 class BrassringStep extends BaseScraperStep {
   constructor() {
-    super('brassring-step', 2);
+    super('brassring-step', 2, { platforms: ['Brassring'], headless: true });
     this.maxExecutionTime = 5000;
   }
 
@@ -1,34 +1,23 @@
-const { chromium } = require('playwright');
 const cheerio = require('cheerio');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const path = require('path');
 const fs = require('fs').promises;
 const BaseScraperStep = require('./BaseScraperStep');
+const browserPool = require('../browserPool');
+const conditionalFetch = require('../conditionalFetchService');
 const { randomDelay, getRandomUserAgent } = require('../../utils');
 const { extractContentFromCheerio } = require('../helpers');
+const { createJobPosting, jobsFromLinks } = require('../jobPostingNormalizer');
 const config = require('../../config');
 
 class GreenhouseStep extends BaseScraperStep {
   constructor() {
-    super('greenhouse-step', 2);
-    this.browser = null;
+    super('greenhouse-step', 2, { platforms: ['Greenhouse'], headless: true });
     this.greenhousePlatform = null;
   }
   
   async initialize(page = null) {
     await super.initialize(page);
-    if (!this.browser) {
-      this.browser = await chromium.launch({
-        headless: true,
-        args: [
-          ...config.playwrightArgs,
-          '--disable-blink-features=AutomationControlled',
-          '--disable-background-timer-throttling',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-renderer-backgrounding'
-        ]
-      });
-    }
     
     const dict = this.getDictionary();
     const knownPlatforms = dict.knownJobPlatforms;
@@ -38,14 +27,6 @@ class GreenhouseStep extends BaseScraperStep {
       patterns: ['greenhouse.io', 'boards.greenhouse.io', 'job-boards.greenhouse.io', 'api.greenhouse.io'],
       apiPatterns: ['/embed/job_board', '/api/job_board', '/v1/boards']
     };
-    return this.browser;
-  }
-
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
   }
 
   async isApplicable(url, context = {}) {
@@ -201,13 +182,13 @@ class GreenhouseStep extends BaseScraperStep {
     try {
       await this.initialize();
       
-      const context = await this.browser.newContext({
+      const context = await browserPool.acquireContext({
         userAgent: getRandomUserAgent(),
         viewport: { width: 1920, height: 1080 },
         ignoreHTTPSErrors: true,
         javaScriptEnabled: true,
         bypassCSP: true
-      });
+      }, { owner: this.name, url });
       
       await context.route('**/*.{png,jpg,jpeg,gif,svg,webp,ico,woff,woff2,ttf,eot}', route => route.abort());
       
@@ -234,7 +215,7 @@ class GreenhouseStep extends BaseScraperStep {
         const directResults = await this.extractGreenhouseJobs(page, url);
         
         config.smartLog('steps', `Trying API endpoint discovery`);
-        const apiResults = await this.tryApiEndpoints(page, url);
+        const apiResults = await this.tryApiEndpoints(page, url, options);
         
         const combinedResults = this.mergeMultipleResults(directResults, iframeResults, apiResults);
         
@@ -269,7 +250,7 @@ class GreenhouseStep extends BaseScraperStep {
         scrapingError = error;
       } finally {
         await page.close();
-        await context.close();
+        await browserPool.releaseContext(context);
       }
       
       return result;
@@ -437,6 +418,8 @@ class GreenhouseStep extends BaseScraperStep {
           title: 'Greenhouse Jobs (Iframe)',
           text: aggregatedText,
           links: aggregatedLinks,
+          jobs: jobsFromLinks(aggregatedLinks, 'Greenhouse'),
+          jobsSource: 'structured',
           scrapedAt: new Date().toISOString(),
           method: this.name + '-iframe'
         };
@@ -463,6 +446,8 @@ class GreenhouseStep extends BaseScraperStep {
           title: jobsData.title || 'Greenhouse Jobs',
           text: jobsData.text,
           links: jobsData.links,
+          jobs: jobsFromLinks(jobsData.links, 'Greenhouse'),
+          jobsSource: 'structured',
           scrapedAt: new Date().toISOString(),
           method: this.name + '-direct',
           detectedPlatform: 'Greenhouse'
@@ -476,7 +461,7 @@ class GreenhouseStep extends BaseScraperStep {
     }
   }
   
-  async tryApiEndpoints(page, url) {
+  async tryApiEndpoints(page, url, options = {}) {
     try {
       config.smartLog('steps', `Looking for Greenhouse API endpoints`);
       
@@ -517,21 +502,46 @@ class GreenhouseStep extends BaseScraperStep {
           const possibleApiUrls = [
             ...apiInfo.apiEndpoints,
             apiInfo.boardToken ? `https://boards.greenhouse.io/embed/job_board?token=${apiInfo.boardToken}` : null,
-            apiInfo.companyId ? `https://api.greenhouse.io/v1/boards/${apiInfo.companyId}/jobs` : null
+            apiInfo.companyId ? `https://api.greenhouse.io/v1/boards/${apiInfo.companyId}/jobs?pay_transparency=true` : null
           ].filter(Boolean);
           
           for (const apiUrl of possibleApiUrls) {
             try {
-              const response = await page.evaluate(async (url) => {
-                const resp = await fetch(url);
-                const contentType = resp.headers.get('content-type');
+              const { entry, headers: conditionalHeaders } = await conditionalFetch.prepare(apiUrl);
+              const fetched = await page.evaluate(async ({ url, headers }) => {
+                const resp = await fetch(url, { headers });
+                const responseHeaders = {
+                  'content-type': resp.headers.get('content-type'),
+                  'content-length': resp.headers.get('content-length'),
+                  'etag': resp.headers.get('etag'),
+                  'last-modified': resp.headers.get('last-modified')
+                };
                 
-                if (contentType && contentType.includes('json')) {
-                  return { type: 'json', data: await resp.json() };
-                } else {
-                  return { type: 'html', data: await resp.text() };
+                if (resp.status === 304) {
+                  return { status: 304, headers: responseHeaders, data: null };
                 }
-              }, apiUrl);
+                
+                const contentType = responseHeaders['content-type'];
+                const data = contentType && contentType.includes('json') ? await resp.json() : await resp.text();
+                return { status: resp.status, headers: responseHeaders, data };
+              }, { url: apiUrl, headers: conditionalHeaders });
+              
+              for (const name of Object.keys(fetched.headers)) {
+                if (fetched.headers[name] === null) delete fetched.headers[name];
+              }
+              
+              const resolved = await conditionalFetch.resolve(apiUrl, entry, fetched, this.name);
+              const contentType = resolved.headers['content-type'] || '';
+              const response = {
+                type: contentType.includes('json') ? 'json' : 'html',
+                data: resolved.data
+              };
+              
+              if (response.type === 'json' && response.data && Array.isArray(response.data.jobs)) {
+                const { jobs, pagination } = await this.paginateGreenhouseApi(page, apiUrl, response.data, options);
+                const apiResult = this.formatJobsFromApiResponse({ type: 'json', data: { ...response.data, jobs } }, url);
+                return this.applyPaginationInfo(apiResult, pagination);
+              }
               
               if (response.data) {
                 return this.formatJobsFromApiResponse(response, url);
@@ -550,6 +560,35 @@ class GreenhouseStep extends BaseScraperStep {
     }
   }
   
+  async paginateGreenhouseApi(page, apiUrl, firstPage, options = {}) {
+    const seenIds = new Set(firstPage.jobs.map(job => job.id));
+    const total = parseInt(firstPage.meta?.total, 10);
+    const hasTotal = !isNaN(total);
+    
+    return this.paginateApi(async ({ pageIndex }) => {
+      const pageUrl = this.appendQueryParams(apiUrl, { page: pageIndex + 1 });
+      
+      const data = await page.evaluate(async (url) => {
+        const resp = await fetch(url);
+        if (!resp.ok) return null;
+        return await resp.json();
+      }, pageUrl);
+      
+      const jobs = (data?.jobs || []).filter(job => !seenIds.has(job.id));
+      jobs.forEach(job => seenIds.add(job.id));
+      
+      return { jobs };
+    }, {
+      maxJobs: this.getMaxApiJobs(options),
+      pageSize: firstPage.jobs.length || 100,
+      initialPage: {
+        jobs: firstPage.jobs,
+        total: hasTotal ? total : undefined,
+        hasMore: hasTotal ? undefined : false
+      }
+    });
+  }
+  
   extractJobsFromCheerio($, sourceUrl) {
     const jobs = [];
     const seenUrls = new Set();
@@ -631,9 +670,20 @@ class GreenhouseStep extends BaseScraperStep {
   
   formatJobsFromApiResponse(response, url) {
     let jobs = [];
+    let postings = [];
     
     if (response.type === 'json' && response.data.jobs) {
-      jobs = response.data.jobs.map(job => ({
+      postings = response.data.jobs.map(job => createJobPosting({
+        id: job.id,
+        title: job.title,
+        url: job.absolute_url || job.url || `${url}#job-${job.id}`,
+        location: job.location?.name,
+        department: job.departments?.[0]?.name,
+        employmentType: job.metadata?.find(meta => /employment|type/i.test(meta.name || ''))?.value,
+        postedAt: job.first_published || job.updated_at,
+        salary: job.pay_input_ranges
+      }, 'Greenhouse'));
+      jobs = response.data.jobs.map((job, index) => ({
         url: job.absolute_url || job.url || `${url}#job-${job.id}`,
         title: job.title || '',
         text: `${job.title || ''} - ${job.location?.name || ''}`.trim(),
@@ -641,12 +691,14 @@ class GreenhouseStep extends BaseScraperStep {
         confidence: 0.95,
         source: 'greenhouse-api',
         location: job.location?.name || '',
-        department: job.departments?.[0]?.name || ''
+        department: job.departments?.[0]?.name || '',
+        salary: postings[index].salary
       }));
     } else if (response.type === 'html') {
       const $ = cheerio.load(response.data);
       const frameJobs = this.extractJobsFromCheerio($, url);
       jobs = frameJobs.links;
+      postings = jobsFromLinks(jobs, 'Greenhouse');
     }
     
     if (jobs.length > 0) {
@@ -655,6 +707,8 @@ class GreenhouseStep extends BaseScraperStep {
         title: 'Greenhouse Careers (API)',
         text: jobs.map(j => j.text).join('\n'),
         links: jobs,
+        jobs: postings,
+        jobsSource: 'structured',
         scrapedAt: new Date().toISOString(),
         method: this.name + '-api'
       };
@@ -689,7 +743,9 @@ class GreenhouseStep extends BaseScraperStep {
     if (results.length === 1) return results[0];
     
     const seenUrls = new Set();
+    const seenJobIds = new Set();
     const mergedLinks = [];
+    const mergedJobs = [];
     let mergedText = '';
     
     results.forEach(result => {
@@ -700,6 +756,12 @@ class GreenhouseStep extends BaseScraperStep {
           mergedLinks.push(link);
         }
       });
+      (result.jobs || []).forEach(job => {
+        if (!seenJobIds.has(job.id) && !mergedJobs.some(existing => existing.url === job.url)) {
+          seenJobIds.add(job.id);
+          mergedJobs.push(job);
+        }
+      });
     });
     
     const primaryResult = results[0];
@@ -709,13 +771,19 @@ class GreenhouseStep extends BaseScraperStep {
       title: primaryResult.title,
       text: mergedText.trim(),
       links: mergedLinks,
+      jobs: mergedJobs,
+      jobsSource: 'structured',
       scrapedAt: new Date().toISOString(),
       method: this.name + '-combined',
       detectedPlatform: 'Greenhouse',
       directJobsCount: directResults?.links.length || 0,
       iframeJobsCount: iframeResults?.links.length || 0,
       apiJobsCount: apiResults?.links.length || 0,
-      totalJobsCount: mergedLinks.length
+      totalJobsCount: mergedLinks.length,
+      totalAvailable: apiResults?.pagination ? Math.max(apiResults.totalAvailable || 0, mergedJobs.length) : undefined,
+      fetched: apiResults?.pagination ? mergedJobs.length : undefined,
+      truncated: apiResults?.truncated || false,
+      pagination: apiResults?.pagination
     };
   }
   
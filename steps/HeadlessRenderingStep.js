@@ -1,4 +1,5 @@
 const { chromium } = require('playwright');
+const egressService = require('../egressService');
 const cheerio = require('cheerio');
 const path = require('path');
 const fs = require('fs').promises;
@@ -9,13 +10,14 @@ const config = require('../../config');
 
 class HeadlessRenderingStep extends BaseScraperStep {
   constructor() {
-    super('headless-rendering', 3);
+    super('headless-rendering', 3, { recommendedFor: ['Taleo'], excludedPlatforms: ['Jobvite'], headless: true });
     this.browser = null;
   }
   
   async initialize() {
     if (!this.browser) {
       this.browser = await chromium.launch({
+        ...egressService.getLaunchOptions(),
         headless: true,
         args: config.playwrightArgs
       });
@@ -43,12 +45,12 @@ class HeadlessRenderingStep extends BaseScraperStep {
     try {
       await this.initialize();
       
-      const context = await this.browser.newContext({
+      const context = await this.browser.newContext(await egressService.applyToContextOptions(url, {
         userAgent: getRandomUserAgent(),
         viewport: { width: 1366, height: 768 },
         ignoreHTTPSErrors: true,
         javaScriptEnabled: true
-      });
+      }));
       
       if (!options.specialPlatform) {
         await context.route('**/*.{png,jpg,jpeg,gif,svg,webp,woff,woff2,ttf,eot}', route => {
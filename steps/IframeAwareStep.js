@@ -1,12 +1,13 @@
 const BaseScraperStep = require('./BaseScraperStep');
 const { chromium } = require('playwright');
+const egressService = require('../egressService');
 const IntelligentInteractionMixin = require('../IntelligentInteractionMixin');
 const SmartElementValidator = require('../smartElementValidator');
 const config = require('../../config');
 
 class IframeAwareStep extends BaseScraperStep {
   constructor() {
-    super('iframe-aware-rendering', 7);
+    super('iframe-aware-rendering', 7, { recommendedFor: ['Jobvite'], headless: true });
     this.maxExecutionTime = 45000;
     this.maxIframes = 10;
     this.iframeTimeout = 15000;
@@ -58,6 +59,7 @@ class IframeAwareStep extends BaseScraperStep {
     
     try {
       browser = await chromium.launch({
+        ...egressService.getLaunchOptions(),
         headless: true,
         args: [
           '--no-sandbox',
@@ -69,14 +71,14 @@ class IframeAwareStep extends BaseScraperStep {
         ]
       });
       
-      const context = await browser.newContext({
+      const context = await browser.newContext(await egressService.applyToContextOptions(url, {
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         viewport: { width: 1920, height: 1080 },
         locale: dict.getCurrentLanguage() === 'fr' ? 'fr-FR' : 'en-US',
         extraHTTPHeaders: {
           'Accept-Language': dict.getCurrentLanguage() === 'fr' ? 'fr-FR,fr;q=0.9' : 'en-US,en;q=0.9'
         }
-      });
+      }));
       
       const page = await context.newPage();
       
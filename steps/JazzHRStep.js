@@ -1,5 +1,5 @@
 const BaseScraperStep = require('./BaseScraperStep');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const cheerio = require('cheerio');
 const config = require('../../config');
 const path = require('path');
@@ -7,7 +7,7 @@ const fs = require('fs').promises;
 
 class JazzHRStep extends BaseScraperStep {
   constructor() {
-    super('jazzhr-step', 8);
+    super('jazzhr-step', 8, { platforms: ['JazzHR'], headless: true });
   }
 
   async isApplicable(url, prevStepResult = {}) {
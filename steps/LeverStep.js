@@ -1,12 +1,16 @@
 const BaseScraperStep = require('./BaseScraperStep');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const config = require('../../config');
 const path = require('path');
 const fs = require('fs').promises;
+const { createJobPosting } = require('../jobPostingNormalizer');
+const crawlPolicy = require('../crawlPolicyService');
+const conditionalFetch = require('../conditionalFetchService');
 
 class LeverStep extends BaseScraperStep {
   constructor() {
-    super('lever-step', 8);
+    super('lever-step', 8, { platforms: ['Lever'], headless: true });
+    this.apiPageSize = 100;
   }
 
   async isApplicable(url, context = {}) {
@@ -138,7 +142,12 @@ class LeverStep extends BaseScraperStep {
       try {
         config.smartLog('steps', `Trying API endpoint: ${apiUrl}`);
         
-        const response = await axios.get(apiUrl, {
+        const policy = await crawlPolicy.canFetch(apiUrl, this.name);
+        if (!policy.allowed) {
+          continue;
+        }
+        
+        const response = await conditionalFetch.get(apiUrl, {
           timeout: options.timeout || 15000,
           headers: {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
@@ -148,7 +157,7 @@ class LeverStep extends BaseScraperStep {
             'Cache-Control': 'no-cache',
             'Pragma': 'no-cache'
           }
-        });
+        }, this.name);
 
         if (response.data) {
           let jsonData;
@@ -163,10 +172,11 @@ class LeverStep extends BaseScraperStep {
           }
 
           if (Array.isArray(jsonData) && jsonData.length > 0) {
-            const result = this.processLeverApiData(jsonData, url, companySlug);
+            const { jobs, pagination } = await this.paginateLeverApi(apiUrl, jsonData, options);
+            const result = this.processLeverApiData(jobs, url, companySlug);
             if (result) {
               result.variantType = 'lever-api';
-              return result;
+              return this.applyPaginationInfo(result, pagination);
             }
           }
         }
@@ -179,10 +189,46 @@ class LeverStep extends BaseScraperStep {
     return null;
   }
 
+  async paginateLeverApi(apiUrl, firstPage, options = {}) {
+    const seenIds = new Set(firstPage.map(job => job.id));
+
+    return this.paginateApi(async ({ offset, limit }) => {
+      const pageUrl = this.appendQueryParams(apiUrl, { mode: 'json', skip: offset, limit });
+
+      const policy = await crawlPolicy.canFetch(pageUrl, this.name);
+      if (!policy.allowed) {
+        throw new Error(`Crawl policy blocked ${pageUrl}: ${policy.reason}`);
+      }
+
+      const response = await axios.get(pageUrl, {
+        timeout: options.timeout || 15000,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'Accept': 'application/json'
+        }
+      });
+
+      const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+      const jobs = Array.isArray(data) ? data.filter(job => job.id && !seenIds.has(job.id)) : [];
+      jobs.forEach(job => seenIds.add(job.id));
+
+      return { jobs };
+    }, {
+      maxJobs: this.getMaxApiJobs(options),
+      pageSize: this.apiPageSize,
+      initialPage: { jobs: firstPage }
+    });
+  }
+
   async tryDirectScraping(url, options) {
     try {
       config.smartLog('steps', `Trying direct scraping for ${url}`);
       
+      const policy = await crawlPolicy.canFetch(url, this.name);
+      if (!policy.allowed) {
+        return null;
+      }
+      
       const response = await axios.get(url, {
         timeout: options.timeout || 15000,
         headers: {
@@ -268,6 +314,18 @@ class LeverStep extends BaseScraperStep {
             linkType: 'career_navigation',
             confidence: 0.9
           });
+
+          const categories = job.categories || {};
+          jobs.push(createJobPosting({
+            id: job.id,
+            title: job.text,
+            url: job.hostedUrl || jobUrl,
+            location: categories.location,
+            department: categories.department || categories.team,
+            employmentType: categories.commitment,
+            workType: job.workplaceType,
+            postedAt: job.createdAt
+          }, 'Lever'));
           
           allText += `${job.text} `;
           if (job.categories) {
@@ -285,6 +343,8 @@ class LeverStep extends BaseScraperStep {
           title: this.extractCompanyName(companySlug),
           text: allText.trim(),
           links: links,
+          jobs: jobs,
+          jobsSource: 'structured',
           scrapedAt: new Date().toISOString(),
           detectedPlatform: 'Lever',
           jobTermsFound: this.countJobTerms(allText),
@@ -1,12 +1,13 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const BaseScraperStep = require('./BaseScraperStep');
 const { getRandomUserAgent } = require('../../utils');
+const crawlPolicy = require('../crawlPolicyService');
+const conditionalFetch = require('../conditionalFetchService');
 const config = require('../../config');
 
 class LightweightVariantsStep extends BaseScraperStep {
   constructor() {
-    super('lightweight-variants', 2);
+    super('lightweight-variants', 2, { recommendedFor: ['Ashby', 'Personio'], excludedPlatforms: ['Jobvite'] });
   }
   
   async scrape(url, options = {}) {
@@ -63,8 +64,13 @@ class LightweightVariantsStep extends BaseScraperStep {
   async fetchVariant(variant) {
     config.smartLog('steps', `Fetching ${variant.name} variant: ${variant.url}`);
     
+    const policy = await crawlPolicy.canFetch(variant.url, this.name);
+    if (!policy.allowed) {
+      return null;
+    }
+    
     try {
-      const response = await axios.get(variant.url, {
+      const response = await conditionalFetch.get(variant.url, {
         timeout: 10000,
         maxRedirects: 3,
         headers: {
@@ -76,7 +82,7 @@ class LightweightVariantsStep extends BaseScraperStep {
         validateStatus: function (status) {
           return status >= 200 && status < 400;
         }
-      });
+      }, this.name);
       
       const contentType = response.headers['content-type'] || '';
       
@@ -1,42 +1,19 @@
-const { chromium } = require('playwright');
 const cheerio = require('cheerio');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const path = require('path');
 const fs = require('fs').promises;
 const BaseScraperStep = require('./BaseScraperStep');
+const browserPool = require('../browserPool');
 const { randomDelay, getRandomUserAgent } = require('../../utils');
 const { extractContentFromCheerio } = require('../helpers');
 const config = require('../../config');
 
 class PowershiftStep extends BaseScraperStep {
   constructor() {
-    super('powershift-step', 3);
-    this.browser = null;
+    super('powershift-step', 3, { platforms: ['Powershift'], headless: true });
     this.platformConfig = null;
   }
   
-  async initialize() {
-    if (!this.browser) {
-      this.browser = await chromium.launch({
-        headless: true,
-        args: [
-          ...config.playwrightArgs,
-          '--disable-blink-features=AutomationControlled',
-          '--disable-background-timer-throttling',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-renderer-backgrounding'
-        ]
-      });
-    }
-    return this.browser;
-  }
-
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
-  }
 
   async isApplicable(url, context = {}) {
     config.smartLog('platform', `Checking applicability for ${url}`);
@@ -169,15 +146,13 @@ class PowershiftStep extends BaseScraperStep {
     let context = null;
     
     try {
-      await this.initialize();
-      
-      context = await this.browser.newContext({
+      context = await browserPool.acquireContext({
         userAgent: getRandomUserAgent(),
         viewport: { width: 1920, height: 1080 },
         ignoreHTTPSErrors: true,
         javaScriptEnabled: true,
         bypassCSP: true
-      });
+      }, { owner: this.name, url });
       
       await context.route('**/*.{png,jpg,jpeg,gif,svg,webp,ico,woff,woff2,ttf,eot}', route => route.abort());
       
@@ -241,7 +216,7 @@ class PowershiftStep extends BaseScraperStep {
       return null;
     } finally {
       if (page) await page.close().catch(() => {});
-      if (context) await context.close().catch(() => {});
+      if (context) await browserPool.releaseContext(context);
     }
   }
   
@@ -1,8 +1,8 @@
-const { chromium } = require('playwright');
 const cheerio = require('cheerio');
 const path = require('path');
 const fs = require('fs').promises;
 const BaseScraperStep = require('./BaseScraperStep');
+const browserPool = require('../browserPool');
 const { randomDelay, getRandomUserAgent } = require('../../utils');
 const { extractContentFromCheerio } = require('../helpers');
 const config = require('../../config');
@@ -10,8 +10,7 @@ const platformDetector = require('../platformDetector');
 
 class RecruiteeStep extends BaseScraperStep {
   constructor() {
-    super('recruitee-step', 1);
-    this.browser = null;
+    super('recruitee-step', 1, { platforms: ['Recruitee'] });
     this.domObserver = null;
     this.newJobsDetected = 0;
   }
@@ -23,28 +22,6 @@ class RecruiteeStep extends BaseScraperStep {
     return url.includes('recruitee.com') || url.includes('d10zminp1cyta8.cloudfront.net');
   }
 
-  async initialize() {
-    if (!this.browser) {
-      this.browser = await chromium.launch({
-        headless: true,
-        args: [
-          ...config.playwrightArgs,
-          '--disable-blink-features=AutomationControlled',
-          '--disable-background-timer-throttling',
-          '--disable-backgrounding-occluded-windows',
-          '--disable-renderer-backgrounding'
-        ]
-      });
-    }
-    return this.browser;
-  }
-
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
-  }
 
   async scrape(url, options = {}) {
     config.smartLog('steps', `Starting Recruitee-specific scraping for ${url}`);
@@ -65,15 +42,13 @@ class RecruiteeStep extends BaseScraperStep {
     let scrapingError = null;
 
     try {
-      await this.initialize();
-      
-      const context = await this.browser.newContext({
+      const context = await browserPool.acquireContext({
         userAgent: getRandomUserAgent(),
         viewport: { width: 1920, height: 1080 },
         ignoreHTTPSErrors: true,
         javaScriptEnabled: true,
         bypassCSP: true
-      });
+      }, { owner: this.name, url });
 
       await context.addInitScript(() => {
         Object.defineProperty(navigator, 'webdriver', { get: () => undefined });
@@ -146,7 +121,7 @@ class RecruiteeStep extends BaseScraperStep {
         scrapingError = error;
       } finally {
         await page.close();
-        await context.close();
+        await browserPool.releaseContext(context);
       }
 
       if (this.isResultValid(result)) {
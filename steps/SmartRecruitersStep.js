@@ -1,12 +1,14 @@
 const BaseScraperStep = require('./BaseScraperStep');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const config = require('../../config');
 const path = require('path');
 const fs = require('fs').promises;
+const { createJobPosting } = require('../jobPostingNormalizer');
+const crawlPolicy = require('../crawlPolicyService');
 
 class SmartRecruitersStep extends BaseScraperStep {
   constructor() {
-    super('smartrecruiters-step', 6);
+    super('smartrecruiters-step', 6, { platforms: ['SmartRecruiters'], headless: true });
     this.platformConfig = null;
   }
 
@@ -153,6 +155,11 @@ class SmartRecruitersStep extends BaseScraperStep {
       try {
         config.smartLog('steps', `Trying API endpoint: ${apiUrl}`);
         
+        const policy = await crawlPolicy.canFetch(apiUrl, this.name);
+        if (!policy.allowed) {
+          continue;
+        }
+        
         const response = await axios.get(apiUrl, {
           timeout: options.timeout || 15000,
           headers: {
@@ -180,10 +187,11 @@ class SmartRecruitersStep extends BaseScraperStep {
           }
 
           if (this.isValidSmartRecruitersApiResponse(jsonData)) {
-            const result = this.processSmartRecruitersApiData(jsonData, url, companyIdentifier, dict);
+            const { jobs, pagination } = await this.paginateSmartRecruitersApi(apiUrl, jsonData, url, options);
+            const result = this.processSmartRecruitersApiData(jobs, url, companyIdentifier, dict);
             if (result) {
               result.variantType = 'smartrecruiters-api';
-              return result;
+              return this.applyPaginationInfo(result, pagination);
             }
           }
         }
@@ -200,6 +208,11 @@ class SmartRecruitersStep extends BaseScraperStep {
     try {
       config.smartLog('steps', `Trying direct scraping for ${url}`);
       
+      const policy = await crawlPolicy.canFetch(url, this.name);
+      if (!policy.allowed) {
+        return null;
+      }
+      
       const response = await axios.get(url, {
         timeout: options.timeout || 15000,
         headers: {
@@ -259,6 +272,11 @@ class SmartRecruitersStep extends BaseScraperStep {
       try {
         config.smartLog('steps', `Trying variant: ${variantUrl}`);
         
+        const policy = await crawlPolicy.canFetch(variantUrl, this.name);
+        if (!policy.allowed) {
+          continue;
+        }
+        
         const response = await axios.get(variantUrl, {
           timeout: 10000,
           headers: {
@@ -300,6 +318,50 @@ class SmartRecruitersStep extends BaseScraperStep {
     return null;
   }
 
+  extractSmartRecruitersApiJobs(data) {
+    if (Array.isArray(data)) return data;
+    if (data.content) return data.content;
+    if (data.postings) return data.postings;
+    if (data.jobs) return data.jobs;
+    return [];
+  }
+
+  async paginateSmartRecruitersApi(apiUrl, firstPage, originalUrl, options = {}) {
+    const totalFound = Array.isArray(firstPage) ? null : parseInt(firstPage.totalFound ?? firstPage.total, 10);
+    const hasTotal = !isNaN(totalFound) && totalFound !== null;
+
+    return this.paginateApi(async ({ offset, limit }) => {
+      const pageUrl = this.appendQueryParams(apiUrl, { offset, limit });
+
+      const policy = await crawlPolicy.canFetch(pageUrl, this.name);
+      if (!policy.allowed) {
+        throw new Error(`Crawl policy blocked ${pageUrl}: ${policy.reason}`);
+      }
+
+      const response = await axios.get(pageUrl, {
+        timeout: options.timeout || 15000,
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+          'Accept': 'application/json',
+          'Accept-Language': 'en-US,en;q=0.9,fr;q=0.8',
+          'Origin': new URL(originalUrl).origin,
+          'Referer': originalUrl
+        }
+      });
+
+      const data = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+      return { jobs: this.extractSmartRecruitersApiJobs(data || {}) };
+    }, {
+      maxJobs: this.getMaxApiJobs(options),
+      pageSize: 100,
+      initialPage: {
+        jobs: this.extractSmartRecruitersApiJobs(firstPage),
+        total: hasTotal ? totalFound : undefined,
+        hasMore: hasTotal ? undefined : false
+      }
+    });
+  }
+
   isValidSmartRecruitersApiResponse(data) {
     if (Array.isArray(data)) {
       return data.length > 0 && data[0].id && (data[0].name || data[0].title);
@@ -329,6 +391,7 @@ class SmartRecruitersStep extends BaseScraperStep {
       }
 
       const links = [];
+      const postings = [];
       let allText = '';
       
       for (const job of jobs) {
@@ -346,6 +409,22 @@ class SmartRecruitersStep extends BaseScraperStep {
             location: job.location?.city || job.location || '',
             jobType: job.typeOfEmployment?.label || job.type || ''
           });
+
+          const jobLocation = job.location && typeof job.location === 'object'
+            ? [job.location.city, job.location.region, job.location.country].filter(Boolean).join(', ')
+            : job.location;
+
+          postings.push(createJobPosting({
+            id: job.id,
+            title: jobTitle,
+            url: jobUrl,
+            location: jobLocation,
+            department: job.department,
+            employmentType: job.typeOfEmployment || job.type,
+            remote: typeof job.location?.remote === 'boolean' ? job.location.remote : undefined,
+            postedAt: job.releasedDate || job.createdOn,
+            salary: job.compensation
+          }, 'Smartrecruiters'));
           
           allText += `${jobTitle} `;
           if (job.department) allText += `${job.department.label || job.department} `;
@@ -361,6 +440,8 @@ class SmartRecruitersStep extends BaseScraperStep {
           title: this.extractCompanyName(companyIdentifier),
           text: allText.trim(),
           links: links,
+          jobs: postings,
+          jobsSource: 'structured',
           scrapedAt: new Date().toISOString(),
           detectedPlatform: 'Smartrecruiters',
           jobTermsFound: this.countJobTerms(allText, dict),
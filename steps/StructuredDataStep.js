@@ -0,0 +1,443 @@
+const axios = require('../scrapeHttpClient');
+const cheerio = require('cheerio');
+const path = require('path');
+const fs = require('fs').promises;
+const BaseScraperStep = require('./BaseScraperStep');
+const { getRandomUserAgent } = require('../../utils');
+const { createJobPosting, normalizePostedAt } = require('../jobPostingNormalizer');
+const crawlPolicy = require('../crawlPolicyService');
+const config = require('../../config');
+
+class StructuredDataStep extends BaseScraperStep {
+  constructor() {
+    super('structured-data-lightweight', 1);
+  }
+
+  async isApplicable(url, context = {}) {
+    if (!context.htmlContent) {
+      return true;
+    }
+
+    return this.hasStructuredJobData(context.htmlContent);
+  }
+
+  hasStructuredJobData(html) {
+    if (!html || typeof html !== 'string') return false;
+
+    const htmlLower = html.toLowerCase();
+    return htmlLower.includes('jobposting') &&
+      (htmlLower.includes('application/ld+json') || htmlLower.includes('itemtype'));
+  }
+
+  async scrape(url, options = {}) {
+    config.smartLog('steps', `Starting ${this.name} for ${url}`);
+
+    if (options.dictionary) {
+      this.setDictionary(options.dictionary);
+    }
+
+    let result = null;
+    let scrapingError = null;
+
+    try {
+      let html = options.htmlContent;
+
+      if (!html || !this.hasStructuredJobData(html)) {
+        html = await this.fetchPage(url, options);
+      }
+
+      if (!html || !this.hasStructuredJobData(html)) {
+        config.smartLog('steps', `No JobPosting structured data found on ${url}`);
+        return null;
+      }
+
+      const $ = cheerio.load(html);
+      const postings = [
+        ...this.extractJsonLdPostings($),
+        ...this.extractMicrodataPostings($)
+      ];
+
+      if (postings.length === 0) {
+        config.smartLog('fail', `Structured data markers present but no JobPosting could be parsed`);
+        scrapingError = new Error('No parsable JobPosting entries');
+      } else {
+        result = this.formatResult(url, postings, $);
+        config.smartLog('win', `Extracted ${result.jobs.length} JobPosting entries from structured data`);
+      }
+    } catch (error) {
+      config.smartLog('fail', `Error: ${error.message}`);
+      scrapingError = error;
+    }
+
+    if (config.shouldExportDebug(result, scrapingError, this.name)) {
+      try {
+        const debugData = {
+          url,
+          error: scrapingError ? scrapingError.message : null,
+          timestamp: new Date().toISOString(),
+          jobsFound: result ? result.jobs.length : 0
+        };
+        await fs.writeFile(
+          path.join(config.DEBUG_DIR, `${this.name}-FAIL-${new URL(url).hostname}-${Date.now()}.json`),
+          JSON.stringify(debugData, null, 2)
+        );
+      } catch (e) {}
+    }
+
+    return result;
+  }
+
+  async fetchPage(url, options = {}) {
+    const policy = await crawlPolicy.canFetch(url, this.name);
+    if (!policy.allowed) {
+      return '';
+    }
+
+    const response = await axios.get(url, {
+      timeout: options.timeout || 15000,
+      maxRedirects: 3,
+      headers: {
+        'User-Agent': getRandomUserAgent(),
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'en-US,en;q=0.9,fr;q=0.8',
+        'Accept-Encoding': 'gzip, deflate'
+      },
+      validateStatus: (status) => status >= 200 && status < 400
+    });
+
+    return typeof response.data === 'string' ? response.data : '';
+  }
+
+  extractJsonLdPostings($) {
+    const postings = [];
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      const raw = $(el).contents().text();
+      const data = this.parseJsonLd(raw);
+
+      if (data) {
+        this.collectJobPostingNodes(data, postings);
+      }
+    });
+
+    return postings;
+  }
+
+  parseJsonLd(raw) {
+    if (!raw || !raw.trim()) return null;
+
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      try {
+        const cleaned = raw
+          .replace(/^\s*<!--/, '')
+          .replace(/-->\s*$/, '')
+          .replace(/[\u0000-\u001F]+/g, ' ')
+          .replace(/,\s*([}\]])/g, '$1');
+        return JSON.parse(cleaned);
+      } catch (e) {
+        config.smartLog('fail', `Invalid JSON-LD block skipped: ${e.message}`);
+        return null;
+      }
+    }
+  }
+
+  collectJobPostingNodes(node, postings, depth = 0) {
+    if (!node || depth > 6) return;
+
+    if (Array.isArray(node)) {
+      node.forEach(item => this.collectJobPostingNodes(item, postings, depth + 1));
+      return;
+    }
+
+    if (typeof node !== 'object') return;
+
+    if (this.isJobPostingType(node['@type'])) {
+      postings.push(this.normalizeJsonLdPosting(node));
+      return;
+    }
+
+    if (node['@graph']) {
+      this.collectJobPostingNodes(node['@graph'], postings, depth + 1);
+    }
+
+    if (node.itemListElement) {
+      this.collectJobPostingNodes(node.itemListElement, postings, depth + 1);
+    }
+
+    if (node.item) {
+      this.collectJobPostingNodes(node.item, postings, depth + 1);
+    }
+  }
+
+  isJobPostingType(type) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(t => typeof t === 'string' && /(^|\/)JobPosting$/i.test(t));
+  }
+
+  normalizeJsonLdPosting(node) {
+    const identifier = node.identifier;
+    const identifierValue = identifier && typeof identifier === 'object'
+      ? identifier.value || identifier.name
+      : identifier;
+
+    return {
+      id: identifierValue,
+      title: this.stripHtml(node.title || node.name),
+      url: node.url || node.sameAs || '',
+      description: this.stripHtml(node.description),
+      datePosted: node.datePosted || '',
+      validThrough: node.validThrough || '',
+      employmentType: Array.isArray(node.employmentType) ? node.employmentType.join(', ') : node.employmentType,
+      hiringOrganization: this.readName(node.hiringOrganization),
+      department: this.readName(node.occupationalCategory || node.industry),
+      location: this.formatJobLocation(node.jobLocation),
+      remote: this.isTelecommute(node),
+      baseSalary: this.normalizeSalary(node.baseSalary || node.estimatedSalary),
+      source: 'json-ld'
+    };
+  }
+
+  extractMicrodataPostings($) {
+    const postings = [];
+
+    $('[itemscope][itemtype*="JobPosting"]').each((i, el) => {
+      const $posting = $(el);
+      const prop = (name) => this.readItemProp($, $posting, name);
+
+      const $location = this.findOwnItemProp($, $posting, 'jobLocation');
+      const $address = $location ? this.findOwnItemProp($, $location, 'address') : null;
+      const addressScope = $address || $location;
+
+      let location = '';
+      if (addressScope) {
+        location = ['addressLocality', 'addressRegion', 'addressCountry']
+          .map(name => this.readItemProp($, addressScope, name))
+          .filter(Boolean)
+          .join(', ') || addressScope.text().replace(/\s+/g, ' ').trim();
+      }
+
+      const $salary = this.findOwnItemProp($, $posting, 'baseSalary');
+      let baseSalary = null;
+      if ($salary) {
+        const $value = this.findOwnItemProp($, $salary, 'value');
+        const valueScope = $value || $salary;
+        baseSalary = this.normalizeSalary({
+          currency: this.readItemProp($, $salary, 'currency'),
+          value: {
+            minValue: this.readItemProp($, valueScope, 'minValue'),
+            maxValue: this.readItemProp($, valueScope, 'maxValue'),
+            value: $value ? this.readItemProp($, $value, 'value') : '',
+            unitText: this.readItemProp($, valueScope, 'unitText')
+          }
+        });
+        if (!baseSalary) {
+          baseSalary = { raw: $salary.text().replace(/\s+/g, ' ').trim() };
+        }
+      }
+
+      const $url = this.findOwnItemProp($, $posting, 'url');
+      const $org = this.findOwnItemProp($, $posting, 'hiringOrganization');
+
+      postings.push({
+        id: prop('identifier'),
+        title: prop('title') || prop('name'),
+        url: $url ? ($url.attr('href') || $url.attr('content') || '') : '',
+        description: prop('description'),
+        datePosted: prop('datePosted'),
+        validThrough: prop('validThrough'),
+        employmentType: prop('employmentType'),
+        hiringOrganization: $org ? (this.readItemProp($, $org, 'name') || $org.text().replace(/\s+/g, ' ').trim()) : '',
+        department: prop('occupationalCategory') || prop('industry'),
+        location,
+        remote: /telecommute/i.test(prop('jobLocationType')) ? true : undefined,
+        baseSalary,
+        source: 'microdata'
+      });
+    });
+
+    return postings.filter(posting => posting.title);
+  }
+
+  findOwnItemProp($, $scope, name) {
+    const match = $scope.find(`[itemprop~="${name}"]`).filter((i, el) => {
+      const $closestScope = $(el).parent().closest('[itemscope]');
+      return $closestScope.length === 0 || $closestScope.get(0) === $scope.get(0);
+    }).first();
+
+    return match.length > 0 ? match : null;
+  }
+
+  readItemProp($, $scope, name) {
+    const $el = this.findOwnItemProp($, $scope, name);
+    if (!$el) return '';
+
+    const value = $el.attr('content') || $el.attr('datetime') || $el.attr('value') ||
+      ($el.is('a, link') ? $el.attr('href') : null) || $el.text();
+
+    return (value || '').replace(/\s+/g, ' ').trim();
+  }
+
+  formatJobLocation(jobLocation) {
+    if (!jobLocation) return '';
+
+    const locations = Array.isArray(jobLocation) ? jobLocation : [jobLocation];
+
+    return locations.map(place => {
+      if (typeof place === 'string') return place;
+
+      const address = place.address || place;
+      if (typeof address === 'string') return address;
+
+      const parts = [
+        address.addressLocality,
+        address.addressRegion,
+        this.readName(address.addressCountry)
+      ].filter(Boolean);
+
+      return parts.length > 0 ? parts.join(', ') : this.readName(place);
+    }).filter(Boolean).join(' | ');
+  }
+
+  isTelecommute(node) {
+    const locationType = Array.isArray(node.jobLocationType) ? node.jobLocationType.join(' ') : node.jobLocationType;
+    return /telecommute/i.test(locationType || '') ? true : undefined;
+  }
+
+  normalizeSalary(salary) {
+    if (!salary) return null;
+
+    const entry = Array.isArray(salary) ? salary[0] : salary;
+    if (!entry || typeof entry !== 'object') {
+      return entry ? { raw: String(entry) } : null;
+    }
+
+    const value = entry.value && typeof entry.value === 'object' ? entry.value : { value: entry.value };
+    const toNumber = (v) => {
+      if (v === null || v === undefined || v === '') return null;
+      const parsed = parseFloat(String(v).replace(/[^\d.]/g, ''));
+      return isNaN(parsed) ? null : parsed;
+    };
+
+    const normalized = {
+      currency: entry.currency || value.currency || null,
+      minValue: toNumber(value.minValue),
+      maxValue: toNumber(value.maxValue),
+      value: toNumber(value.value),
+      unitText: (value.unitText || entry.unitText || '').toString().toUpperCase() || null
+    };
+
+    if (normalized.minValue === null && normalized.maxValue === null && normalized.value === null) {
+      return null;
+    }
+
+    return normalized;
+  }
+
+  readName(value) {
+    if (!value) return '';
+    if (Array.isArray(value)) return value.map(v => this.readName(v)).filter(Boolean).join(', ');
+    if (typeof value === 'object') return value.name || value['@id'] || '';
+    return String(value);
+  }
+
+  stripHtml(value) {
+    if (!value || typeof value !== 'string') return '';
+    return cheerio.load(`<div>${value}</div>`)('div').text().replace(/\s+/g, ' ').trim();
+  }
+
+  formatResult(url, postings, $) {
+    const links = [];
+    const jobs = [];
+    const seenIds = new Set();
+    let allText = '';
+
+    postings.forEach((posting, index) => {
+      if (!posting.title) return;
+
+      let jobUrl = posting.url;
+      try {
+        jobUrl = jobUrl ? new URL(jobUrl, url).href : '';
+      } catch (e) {
+        jobUrl = '';
+      }
+      if (!jobUrl) {
+        jobUrl = postings.length === 1 ? url : `${url}#job-${index}`;
+      }
+
+      const job = createJobPosting({
+        id: posting.id,
+        title: posting.title,
+        url: jobUrl,
+        location: posting.location,
+        department: posting.department,
+        employmentType: posting.employmentType,
+        remote: posting.remote,
+        postedAt: posting.datePosted,
+        salary: posting.baseSalary
+      }, posting.source);
+
+      if (seenIds.has(job.id)) return;
+      seenIds.add(job.id);
+
+      job.validThrough = normalizePostedAt(posting.validThrough);
+      job.baseSalary = posting.baseSalary;
+      job.hiringOrganization = posting.hiringOrganization || '';
+      jobs.push(job);
+
+      links.push({
+        url: jobUrl,
+        text: posting.title,
+        isJobPosting: true,
+        linkType: 'job_posting',
+        confidence: 0.95,
+        location: posting.location,
+        department: posting.department,
+        jobType: posting.employmentType || '',
+        postedDate: posting.datePosted,
+        salary: job.salary,
+        source: posting.source
+      });
+
+      allText += `${posting.title} ${posting.location || ''} ${posting.employmentType || ''} ${posting.hiringOrganization || ''}\n`;
+      if (posting.description) {
+        allText += `${posting.description.substring(0, 500)}\n`;
+      }
+    });
+
+    const pageTitle = $('title').text().trim() || (jobs[0] && jobs[0].hiringOrganization) || 'Career Opportunities';
+
+    return {
+      url,
+      title: pageTitle,
+      text: allText.trim(),
+      links,
+      jobs,
+      jobsSource: 'structured',
+      scrapedAt: new Date().toISOString(),
+      method: this.name,
+      variantType: postings.some(p => p.source === 'json-ld') ? 'json-ld' : 'microdata',
+      jobTermsFound: this.countJobTerms(allText),
+      isEmpty: jobs.length === 0
+    };
+  }
+
+  getStepMetadata() {
+    return {
+      name: this.name,
+      description: 'Extracts schema.org JobPosting entries from JSON-LD and microdata without a browser',
+      priority: this.priority,
+      platforms: [],
+      methods: ['json-ld', 'microdata'],
+      features: [
+        'No headless browser required',
+        'Reuses detection HTML when available',
+        'datePosted / validThrough / jobLocation / baseSalary extraction',
+        'ItemList and @graph traversal'
+      ]
+    };
+  }
+}
+
+module.exports = StructuredDataStep;
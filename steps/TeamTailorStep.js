@@ -1,10 +1,10 @@
 const BaseScraperStep = require('./BaseScraperStep');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const cheerio = require('cheerio');
 
 class TeamTailorStep extends BaseScraperStep {
   constructor() {
-    super('teamtailor-step', 9);
+    super('teamtailor-step', 9, { platforms: ['TeamTailor'], headless: true });
   }
 
   async isApplicable(url, prevStepResult = {}) {
@@ -1,4 +1,5 @@
 const { chromium } = require('playwright');
+const egressService = require('../egressService');
 const BaseScraperStep = require('./BaseScraperStep');
 const { randomDelay, getRandomUserAgent } = require('../../utils');
 const config = require('../../config');
@@ -7,7 +8,7 @@ const fs = require('fs').promises;
 
 class WordPressIframeStep extends BaseScraperStep {
   constructor() {
-    super('wordpress-iframe', 4);
+    super('wordpress-iframe', 4, { platforms: ['WordPress'] });
   }
   
   async isApplicable(url, context = {}) {
@@ -41,17 +42,18 @@ class WordPressIframeStep extends BaseScraperStep {
     
     try {
       browser = await chromium.launch({
+        ...egressService.getLaunchOptions(),
         headless: true,
         args: [...config.playwrightArgs, '--disable-web-security', '--disable-features=VizDisplayCompositor']
       });
       
-      context = await browser.newContext({
+      context = await browser.newContext(await egressService.applyToContextOptions(url, {
         userAgent: getRandomUserAgent(),
         viewport: { width: 1920, height: 1080 },
         ignoreHTTPSErrors: true,
         javaScriptEnabled: true,
         locale: 'en-US'
-      });
+      }));
       
       page = await context.newPage();
       
@@ -1,4 +1,4 @@
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const cheerio = require('cheerio');
 const BaseScraperStep = require('./BaseScraperStep');
 const { getRandomUserAgent } = require('../../utils');
@@ -6,7 +6,7 @@ const config = require('../../config');
 
 class WordPressLightweightStep extends BaseScraperStep {
   constructor() {
-    super('wordpress-lightweight', 1);
+    super('wordpress-lightweight', 1, { platforms: ['WordPress'] });
   }
   
   async isApplicable(url, context = {}) {
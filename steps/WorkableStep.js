@@ -1,6 +1,6 @@
-const { chromium } = require('playwright');
 const cheerio = require('cheerio');
 const BaseScraperStep = require('./BaseScraperStep');
+const browserPool = require('../browserPool');
 const { randomDelay, getRandomUserAgent } = require('../../utils');
 const config = require('../../config');
 const path = require('path');
@@ -8,8 +8,7 @@ const fs = require('fs').promises;
 
 class WorkableStep extends BaseScraperStep {
   constructor() {
-    super('workable-step', 2);
-    this.browser = null;
+    super('workable-step', 2, { platforms: ['Workable'], headless: true });
   }
 
   async isApplicable(url, context = {}) {
@@ -31,28 +30,6 @@ class WorkableStep extends BaseScraperStep {
     return false;
   }
 
-  async initialize() {
-    if (!this.browser) {
-      this.browser = await chromium.launch({
-        headless: true,
-        args: [
-          '--disable-blink-features=AutomationControlled',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor',
-          '--no-sandbox',
-          '--disable-setuid-sandbox'
-        ]
-      });
-    }
-    return this.browser;
-  }
-
-  async close() {
-    if (this.browser) {
-      await this.browser.close();
-      this.browser = null;
-    }
-  }
 
   async scrape(url, options = {}) {
     config.smartLog('steps', `Universal scraping for: ${url}`);
@@ -67,14 +44,12 @@ class WorkableStep extends BaseScraperStep {
     let context = null;
     
     try {
-      await this.initialize();
-      
-      context = await this.browser.newContext({
+      context = await browserPool.acquireContext({
         userAgent: getRandomUserAgent(),
         viewport: { width: 1920, height: 1080 },
         ignoreHTTPSErrors: true,
         javaScriptEnabled: true
-      });
+      }, { owner: this.name, url, extraArgs: ['--disable-web-security', '--disable-features=VizDisplayCompositor'] });
 
       await context.route('**/*', (route) => {
         const resourceType = route.request().resourceType();
@@ -129,7 +104,7 @@ class WorkableStep extends BaseScraperStep {
       return null;
     } finally {
       if (page) await page.close().catch(() => {});
-      if (context) await context.close().catch(() => {});
+      if (context) await browserPool.releaseContext(context);
     }
   }
 
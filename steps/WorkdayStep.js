@@ -1,16 +1,19 @@
 const BaseScraperStep = require('./BaseScraperStep');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const cheerio = require('cheerio');
 const { chromium } = require('playwright');
+const egressService = require('../egressService');
 const config = require('../../config');
 const fs = require('fs').promises;
 const path = require('path');
+const { createJobPosting } = require('../jobPostingNormalizer');
 
 class WorkdayStep extends BaseScraperStep {
   constructor() {
-    super('workday-step', 2);
+    super('workday-step', 2, { platforms: ['Workday'], headless: true });
     this.maxExecutionTime = 30000;
     this.apiTimeout = 15000;
+    this.apiPageSize = 20;
   }
 
   async isApplicable(url, context = {}) {
@@ -81,7 +84,7 @@ class WorkdayStep extends BaseScraperStep {
     const tenant = this.extractTenant(urlObj.hostname);
     const locale = this.extractLocale(url, this.getDictionary().getCurrentLanguage());
     
-    const apiResult = await this.tryAPIApproach(url, tenant, locale);
+    const apiResult = await this.tryAPIApproach(url, tenant, locale, options);
     if (apiResult) return apiResult;
     
     const headlessResult = await this.tryHeadlessApproach(url, options);
@@ -94,7 +97,7 @@ class WorkdayStep extends BaseScraperStep {
     return null;
   }
 
-  async tryAPIApproach(url, tenant, locale) {
+  async tryAPIApproach(url, tenant, locale, options = {}) {
     config.smartLog('steps', `Trying API approach for tenant: ${tenant}, locale: ${locale}`);
     
     try {
@@ -111,63 +114,77 @@ class WorkdayStep extends BaseScraperStep {
       
       const baseUrl = `https://${tenant}.wd5.myworkdayjobs.com`;
       
+      const maxJobs = this.getMaxApiJobs(options);
+      
       for (const endpoint of apiEndpoints) {
         const apiUrl = `${baseUrl}${endpoint}`;
         config.smartLog('steps', `Trying API: ${apiUrl}`);
         
         try {
-          const response = await axios.post(apiUrl, {
-            searchText: '',
-            offset: 0,
-            limit: 100,
-            appliedFacets: {},
-            locale: locale
-          }, {
-            headers: {
-              'Accept': 'application/json',
-              'Content-Type': 'application/json',
-              'X-Requested-With': 'XMLHttpRequest',
-              'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
-              'Accept-Language': this.getAcceptLanguageHeader()
-            },
-            timeout: this.apiTimeout
-          });
+          const { jobs, pagination } = await this.paginateApi(async ({ offset, limit }) => {
+            const response = await axios.post(apiUrl, {
+              searchText: '',
+              offset,
+              limit,
+              appliedFacets: {},
+              locale: locale
+            }, {
+              headers: {
+                'Accept': 'application/json',
+                'Content-Type': 'application/json',
+                'X-Requested-With': 'XMLHttpRequest',
+                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+                'Accept-Language': this.getAcceptLanguageHeader()
+              },
+              timeout: this.apiTimeout
+            });
+            
+            if (!response.data) return null;
+            
+            return {
+              jobs: this.extractJobsFromAPIResponse(response.data, url),
+              total: offset === 0 ? this.extractAPITotal(response.data) : undefined
+            };
+          }, { maxJobs, pageSize: this.apiPageSize });
           
-          if (response.data) {
-            const jobs = this.extractJobsFromAPIResponse(response.data, url);
-            if (jobs.length > 0) {
-              return this.formatResult(url, jobs, 'workday-api');
-            }
+          if (jobs.length > 0) {
+            return this.applyPaginationInfo(this.formatResult(url, jobs, 'workday-api'), pagination);
           }
         } catch (apiError) {
           config.smartLog('fail', `API error: ${apiError.message}`);
         }
       }
       
-      const searchParams = new URLSearchParams({
-        q: '',
-        lang: locale,
-        limit: 100,
-        offset: 0
-      });
-      
-      const searchUrl = `${baseUrl}/wday/cxs/${tenant}/workers/search?${searchParams}`;
+      const searchUrl = `${baseUrl}/wday/cxs/${tenant}/workers/search`;
       config.smartLog('steps', `Trying search API: ${searchUrl}`);
       
-      const searchResponse = await axios.get(searchUrl, {
-        headers: {
-          'Accept': 'application/json',
-          'X-Requested-With': 'XMLHttpRequest',
-          'Accept-Language': this.getAcceptLanguageHeader()
-        },
-        timeout: this.apiTimeout
-      });
+      const { jobs, pagination } = await this.paginateApi(async ({ offset, limit }) => {
+        const searchParams = new URLSearchParams({
+          q: '',
+          lang: locale,
+          limit,
+          offset
+        });
+        
+        const searchResponse = await axios.get(`${searchUrl}?${searchParams}`, {
+          headers: {
+            'Accept': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest',
+            'Accept-Language': this.getAcceptLanguageHeader()
+          },
+          timeout: this.apiTimeout
+        });
+        
+        if (!searchResponse.data) return null;
+        
+        return {
+          jobs: this.extractJobsFromAPIResponse(searchResponse.data, url),
+          total: offset === 0 ? this.extractAPITotal(searchResponse.data) : undefined
+        };
+      }, { maxJobs, pageSize: this.apiPageSize });
       
-      if (searchResponse.data) {
-        const jobs = this.extractJobsFromAPIResponse(searchResponse.data, url);
-        if (jobs.length > 0) {
-          return this.formatResult(url, jobs, 'workday-search-api');
-        }
+      if (jobs.length > 0) {
+        return this.applyPaginationInfo(this.formatResult(url, jobs, 'workday-search-api'), pagination);
       }
     } catch (error) {
       config.smartLog('fail', `API approach failed: ${error.message}`);
@@ -182,18 +199,19 @@ class WorkdayStep extends BaseScraperStep {
     
     try {
       browser = await chromium.launch({
+        ...egressService.getLaunchOptions(),
         headless: true,
         args: ['--no-sandbox', '--disable-setuid-sandbox']
       });
       
-      const context = await browser.newContext({
+      const context = await browser.newContext(await egressService.applyToContextOptions(url, {
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
         viewport: { width: 1920, height: 1080 },
         locale: this.getBrowserLocale(),
         extraHTTPHeaders: {
           'Accept-Language': this.getAcceptLanguageHeader()
         }
-      });
+      }));
       
       const page = await context.newPage();
       
@@ -533,10 +551,12 @@ class WorkdayStep extends BaseScraperStep {
         if (title) {
           const jobUrl = jobId ? `${baseUrl}/job/${jobId}` : '';
           jobs.push({
+            id: jobId,
             title,
             url: jobUrl,
             location,
-            postedDate
+            postedDate,
+            employmentType: job.timeType || ''
           });
         }
       }
@@ -547,6 +567,12 @@ class WorkdayStep extends BaseScraperStep {
     return jobs;
   }
 
+  extractAPITotal(data) {
+    const total = data.total ?? data.totalCount ?? data.data?.total ?? data.totalResults;
+    const parsed = parseInt(total, 10);
+    return isNaN(parsed) || parsed <= 0 ? undefined : parsed;
+  }
+
   extractJobsFromHTML($, baseUrl) {
     const jobs = [];
     const jobListingSelectors = this.getJobListingSelectors();
@@ -614,6 +640,11 @@ class WorkdayStep extends BaseScraperStep {
       postedDate: job.postedDate || ''
     }));
     
+    const postings = jobs.map(job => createJobPosting({
+      ...job,
+      url: job.url || url
+    }, 'Workday'));
+    
     const text = jobs.map(job => 
       `${job.title} ${job.location} ${job.postedDate}`.trim()
     ).join('\n');
@@ -623,6 +654,8 @@ class WorkdayStep extends BaseScraperStep {
       title: 'Workday Career Opportunities',
       text,
       links,
+      jobs: postings,
+      jobsSource: 'structured',
       scrapedAt: new Date().toISOString(),
       detectedPlatform: 'Workday',
       variantType: method,
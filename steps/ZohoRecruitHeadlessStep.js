@@ -1,12 +1,13 @@
 const BaseScraperStep = require('./BaseScraperStep');
 const { chromium } = require('playwright');
+const egressService = require('../egressService');
 const config = require('../../config');
 const fs = require('fs').promises;
 const path = require('path');
 
 class ZohoRecruitHeadlessStep extends BaseScraperStep {
   constructor() {
-    super('zoho-recruit-headless-step', 8);
+    super('zoho-recruit-headless-step', 8, { platforms: ['ZohoRecruit'], headless: true });
     this.maxExecutionTime = 30000;
     this.popupWaitTime = 2000;
     this.jobLoadWaitTime = 5000;
@@ -57,6 +58,7 @@ class ZohoRecruitHeadlessStep extends BaseScraperStep {
     
     try {
       browser = await chromium.launch({
+        ...egressService.getLaunchOptions(),
         headless: true,
         args: [
           '--no-sandbox',
@@ -69,14 +71,14 @@ class ZohoRecruitHeadlessStep extends BaseScraperStep {
         ]
       });
       
-      const context = await browser.newContext({
+      const context = await browser.newContext(await egressService.applyToContextOptions(url, {
         userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         viewport: { width: 1920, height: 1080 },
         locale: dict.getCurrentLanguage() === 'fr' ? 'fr-FR' : 'en-US',
         extraHTTPHeaders: {
           'Accept-Language': dict.getCurrentLanguage() === 'fr' ? 'fr-FR,fr;q=0.9' : 'en-US,en;q=0.9'
         }
-      });
+      }));
       
       const page = await context.newPage();
       
@@ -1,13 +1,14 @@
 const BaseScraperStep = require('./BaseScraperStep');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const cheerio = require('cheerio');
 const config = require('../../config');
 const fs = require('fs').promises;
 const path = require('path');
+const { createJobPosting } = require('../jobPostingNormalizer');
 
 class ZohoRecruitStep extends BaseScraperStep {
   constructor() {
-    super('zoho-recruit-step', 7);
+    super('zoho-recruit-step', 7, { platforms: ['ZohoRecruit'], headless: true });
     this.maxExecutionTime = 20000;
     this.apiTimeout = 12000;
     this.directTimeout = 15000;
@@ -600,6 +601,7 @@ class ZohoRecruitStep extends BaseScraperStep {
 
   formatAPIResult(jobsData, originalUrl, variantType) {
     const links = [];
+    const jobs = [];
     let allText = '';
     
     let portalUrl = originalUrl;
@@ -663,6 +665,18 @@ class ZohoRecruitStep extends BaseScraperStep {
         workType: workType,
         publishedDate: publishedDate
       });
+
+      jobs.push(createJobPosting({
+        id: jobId,
+        title,
+        url: jobUrl,
+        location,
+        department,
+        employmentType: job.JOB_TYPE || job.Job_Type,
+        remote: job.Remote_Job === true || job.Remote_Job === 'true' ? true : undefined,
+        workType,
+        postedAt: publishedDate
+      }, 'ZohoRecruit'));
       
       allText += `${title} ${location} ${workType} ${department}\n`;
     }
@@ -672,6 +686,8 @@ class ZohoRecruitStep extends BaseScraperStep {
       title: this.extractCompanyNameFromUrl(originalUrl) || 'Career Opportunities',
       text: allText.trim(),
       links: links,
+      jobs: jobs,
+      jobsSource: 'structured',
       scrapedAt: new Date().toISOString(),
       detectedPlatform: 'ZohoRecruit',
       variantType: variantType,
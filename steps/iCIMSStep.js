@@ -1,8 +1,9 @@
 const BaseScraperStep = require('./BaseScraperStep');
 const errorCaptureMiddleware = require('../../middleware/errorCaptureMiddleware');
-const axios = require('axios');
+const axios = require('../scrapeHttpClient');
 const cheerio = require('cheerio');
 const { chromium } = require('playwright');
+const egressService = require('../egressService');
 const { randomDelay, getRandomUserAgent } = require('../../utils');
 const config = require('../../config');
 const fs = require('fs').promises;
@@ -10,7 +11,7 @@ const path = require('path');
 
 class iCIMSStep extends BaseScraperStep {
   constructor() {
-    super('icims-step', 7);
+    super('icims-step', 7, { platforms: ['iCIMS'], headless: true });
     this.browser = null;
     this.platformConfig = null;
   }
@@ -815,15 +816,16 @@ class iCIMSStep extends BaseScraperStep {
       
       if (!this.browser) {
         this.browser = await chromium.launch({
+          ...egressService.getLaunchOptions(),
           headless: true,
           args: config.playwrightArgs || []
         });
       }
       
-      const context = await this.browser.newContext({
+      const context = await this.browser.newContext(await egressService.applyToContextOptions(url, {
         userAgent: getRandomUserAgent(),
         viewport: { width: 1920, height: 1080 }
-      });
+      }));
       
       const page = await context.newPage();
       
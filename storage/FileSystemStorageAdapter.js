@@ -0,0 +1,142 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const { safeWriteJson } = require('../../utils/atomicFS');
+
+class FileSystemStorageAdapter {
+  constructor(locations = {}) {
+    this.name = 'fs';
+    this.indexed = false;
+    this.locations = locations;
+  }
+
+  async init() {
+    for (const dir of new Set(Object.values(this.locations))) {
+      await fs.mkdir(dir, { recursive: true });
+    }
+  }
+
+  getDir(collection) {
+    const dir = this.locations[collection];
+    if (!dir) {
+      throw new Error(`No storage location configured for collection "${collection}"`);
+    }
+    return dir;
+  }
+
+  getFilePath(collection, key) {
+    return path.join(this.getDir(collection), `${key}.json`);
+  }
+
+  async readJson(filepath) {
+    let data;
+    try {
+      data = await fs.readFile(filepath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    try {
+      return JSON.parse(data);
+    } catch (error) {
+      const backupPath = `${filepath}.corrupted.${Date.now()}`;
+      config.smartLog('fail', `Corrupted JSON in ${filepath}, moving it to ${backupPath}`);
+      await fs.rename(filepath, backupPath).catch(() => {});
+      return null;
+    }
+  }
+
+  async get(collection, key) {
+    return this.readJson(this.getFilePath(collection, key));
+  }
+
+  async set(collection, key, value) {
+    await safeWriteJson(this.getFilePath(collection, key), value);
+    return true;
+  }
+
+  async delete(collection, key) {
+    try {
+      await fs.unlink(this.getFilePath(collection, key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async listKeys(collection) {
+    try {
+      const files = await fs.readdir(this.getDir(collection));
+      return files
+        .filter(file => file.endsWith('.json') && !file.includes('.tmp'))
+        .map(file => file.slice(0, -'.json'.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  matchesWhere(value, where) {
+    return Object.entries(where).every(([field, expected]) => expected === undefined || expected === null || value[field] === expected);
+  }
+
+  async list(collection, options = {}) {
+    const { limit = null, offset = 0, where = {} } = options;
+    const keys = await this.listKeys(collection);
+    const filtered = Object.values(where).some(value => value !== undefined && value !== null);
+    const candidates = filtered ? keys : keys.slice(offset, limit === null ? undefined : offset + limit);
+    const values = [];
+
+    for (const key of candidates) {
+      try {
+        const value = await this.get(collection, key);
+        if (value && (!filtered || this.matchesWhere(value, where))) {
+          values.push(value);
+        }
+      } catch (error) {
+        config.smartLog('fail', `Error reading ${collection}/${key}: ${error.message}`);
+      }
+    }
+
+    return filtered ? values.slice(offset, limit === null ? undefined : offset + limit) : values;
+  }
+
+  async count(collection) {
+    return (await this.listKeys(collection)).length;
+  }
+
+  async deleteOlderThan(collection, cutoffIso) {
+    const cutoffTime = new Date(cutoffIso).getTime();
+    const deletedKeys = [];
+
+    for (const key of await this.listKeys(collection)) {
+      try {
+        const value = await this.get(collection, key);
+        const lastSeen = value && (value.lastSeen || value._lastUpdate);
+
+        if (lastSeen && new Date(lastSeen).getTime() < cutoffTime) {
+          await this.delete(collection, key);
+          deletedKeys.push(key);
+        }
+      } catch (error) {
+        config.smartLog('fail', `Error processing ${collection}/${key}: ${error.message}`);
+      }
+    }
+
+    return deletedKeys;
+  }
+
+  async loadEntries(collection, name) {
+    return (await this.get(collection, name)) || {};
+  }
+
+  async saveEntries(collection, name, entries) {
+    return this.set(collection, name, entries);
+  }
+
+  async close() {}
+}
+
+module.exports = FileSystemStorageAdapter;
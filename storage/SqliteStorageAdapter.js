@@ -0,0 +1,194 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS documents (
+    collection TEXT NOT NULL,
+    key TEXT NOT NULL,
+    data TEXT NOT NULL,
+    domain TEXT,
+    last_seen TEXT,
+    platform TEXT,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (collection, key)
+  );
+  CREATE INDEX IF NOT EXISTS idx_documents_domain ON documents (collection, domain);
+  CREATE INDEX IF NOT EXISTS idx_documents_last_seen ON documents (collection, last_seen);
+  CREATE INDEX IF NOT EXISTS idx_documents_platform ON documents (collection, platform);
+`;
+
+const INDEXED_FIELDS = {
+  domain: 'domain',
+  platform: 'platform',
+  lastSeen: 'last_seen'
+};
+
+class SqliteStorageAdapter {
+  constructor(options = {}) {
+    this.name = 'sqlite';
+    this.indexed = true;
+    this.filePath = options.filePath;
+    this.db = null;
+    this.statements = null;
+  }
+
+  async init() {
+    if (this.db) return;
+
+    const Database = this.loadDriver();
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM documents WHERE collection = ? AND key = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO documents (collection, key, data, domain, last_seen, platform, updated_at)
+        VALUES (@collection, @key, @data, @domain, @lastSeen, @platform, @updatedAt)
+        ON CONFLICT (collection, key) DO UPDATE SET
+          data = excluded.data,
+          domain = excluded.domain,
+          last_seen = excluded.last_seen,
+          platform = excluded.platform,
+          updated_at = excluded.updated_at
+      `),
+      delete: this.db.prepare('DELETE FROM documents WHERE collection = ? AND key = ?'),
+      deleteCollection: this.db.prepare('DELETE FROM documents WHERE collection = ?'),
+      keys: this.db.prepare('SELECT key FROM documents WHERE collection = ? ORDER BY key'),
+      count: this.db.prepare('SELECT COUNT(*) AS total FROM documents WHERE collection = ?'),
+      entries: this.db.prepare('SELECT key, data FROM documents WHERE collection = ?'),
+      staleKeys: this.db.prepare('SELECT key FROM documents WHERE collection = ? AND last_seen IS NOT NULL AND last_seen < ?')
+    };
+  }
+
+  loadDriver() {
+    try {
+      return require('better-sqlite3');
+    } catch (error) {
+      if (error.code !== 'MODULE_NOT_FOUND') throw error;
+      throw new Error('The sqlite storage backend requires the better-sqlite3 package, which is not installed (npm install better-sqlite3)');
+    }
+  }
+
+  normalizeTimestamp(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  toRow(collection, key, value) {
+    const lastSeen = value && (value.lastSeen || value._lastUpdate);
+
+    return {
+      collection,
+      key,
+      data: JSON.stringify(value),
+      domain: value && typeof value.domain === 'string' ? value.domain : null,
+      lastSeen: this.normalizeTimestamp(lastSeen),
+      platform: value && typeof value.platform === 'string' ? value.platform : null,
+      updatedAt: new Date().toISOString()
+    };
+  }
+
+  async get(collection, key) {
+    const row = this.statements.get.get(collection, key);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async set(collection, key, value) {
+    this.statements.upsert.run(this.toRow(collection, key, value));
+    return true;
+  }
+
+  async delete(collection, key) {
+    return this.statements.delete.run(collection, key).changes > 0;
+  }
+
+  async listKeys(collection) {
+    return this.statements.keys.all(collection).map(row => row.key);
+  }
+
+  async list(collection, options = {}) {
+    const { limit = null, offset = 0, where = {} } = options;
+    const clauses = ['collection = ?'];
+    const params = [collection];
+
+    for (const [field, value] of Object.entries(where)) {
+      if (value === undefined || value === null) continue;
+
+      const column = INDEXED_FIELDS[field];
+      if (!column) {
+        throw new Error(`Cannot filter ${collection} on non-indexed field "${field}"`);
+      }
+      clauses.push(`${column} = ?`);
+      params.push(value);
+    }
+
+    const rows = this.db
+      .prepare(`SELECT data FROM documents WHERE ${clauses.join(' AND ')} ORDER BY key LIMIT ? OFFSET ?`)
+      .all(...params, limit === null ? -1 : limit, offset);
+
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async count(collection) {
+    return this.statements.count.get(collection).total;
+  }
+
+  async deleteOlderThan(collection, cutoffIso) {
+    const removeStale = this.db.transaction(() => {
+      const keys = this.statements.staleKeys.all(collection, cutoffIso).map(row => row.key);
+      for (const key of keys) {
+        this.statements.delete.run(collection, key);
+      }
+      return keys;
+    });
+
+    return removeStale();
+  }
+
+  getEntriesCollection(collection, name) {
+    return `${collection}/${name}`;
+  }
+
+  async loadEntries(collection, name) {
+    const entries = {};
+    for (const row of this.statements.entries.all(this.getEntriesCollection(collection, name))) {
+      entries[row.key] = JSON.parse(row.data);
+    }
+    return entries;
+  }
+
+  async saveEntries(collection, name, entries, changedKeys = null) {
+    const entriesCollection = this.getEntriesCollection(collection, name);
+
+    const save = this.db.transaction(() => {
+      if (!changedKeys) {
+        this.statements.deleteCollection.run(entriesCollection);
+      }
+
+      for (const key of changedKeys || Object.keys(entries)) {
+        if (entries[key] === undefined) {
+          this.statements.delete.run(entriesCollection, key);
+        } else {
+          this.statements.upsert.run(this.toRow(entriesCollection, key, entries[key]));
+        }
+      }
+    });
+
+    save();
+    return true;
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = SqliteStorageAdapter;
@@ -0,0 +1,102 @@
+const config = require('../../config');
+const storageService = require('../storageService');
+
+const STATE_KEYS = [
+  'profile-queue-buffer',
+  'global-scraping-queue',
+  'email-queue-buffer',
+  'global-email-queue'
+];
+
+const STATE_ENTRY_KEYS = ['language-buffer'];
+
+const METRICS_KEYS = [
+  'scraping_metrics',
+  'scraping_errors',
+  'resource_metrics',
+  'cache_metrics',
+  'crawl_policy_metrics',
+  'conditional_fetch_metrics'
+];
+
+async function migrateDocuments(source, target, collection, keys, report) {
+  for (const key of keys) {
+    try {
+      const value = await source.get(collection, key);
+      if (!value) continue;
+
+      await target.set(collection, key, value);
+      report.documents++;
+    } catch (error) {
+      report.failed.push(`${collection}/${key}: ${error.message}`);
+    }
+  }
+}
+
+async function migrateEntries(source, target, collection, names, report) {
+  for (const name of names) {
+    try {
+      const entries = await source.loadEntries(collection, name);
+      await target.saveEntries(collection, name, entries);
+      report.entries += Object.keys(entries).length;
+    } catch (error) {
+      report.failed.push(`${collection}/${name}: ${error.message}`);
+    }
+  }
+}
+
+async function migrateJsonToSqlite(options = {}) {
+  const source = storageService.createFileSystemAdapter();
+  const target = storageService.createSqliteAdapter();
+
+  if (options.sqlitePath) {
+    target.filePath = options.sqlitePath;
+  }
+
+  await target.init();
+
+  const report = {
+    sqlitePath: target.filePath,
+    profiles: 0,
+    stepIntelligence: 0,
+    documents: 0,
+    entries: 0,
+    failed: []
+  };
+
+  try {
+    const profileKeys = await source.listKeys('profiles');
+    await migrateDocuments(source, target, 'profiles', profileKeys, report);
+    report.profiles = report.documents;
+
+    const intelligenceKeys = await source.listKeys('step-intelligence');
+    await migrateDocuments(source, target, 'step-intelligence', intelligenceKeys, report);
+    report.stepIntelligence = report.documents - report.profiles;
+
+    await migrateDocuments(source, target, 'state', STATE_KEYS, report);
+    await migrateEntries(source, target, 'state', STATE_ENTRY_KEYS, report);
+    await migrateEntries(source, target, 'metrics', METRICS_KEYS, report);
+  } finally {
+    await target.close();
+  }
+
+  config.smartLog('win', `Storage migration completed: ${report.profiles} profiles, ${report.stepIntelligence} step intelligence records, ${report.documents - report.profiles - report.stepIntelligence} state documents, ${report.entries} entries into ${report.sqlitePath}`);
+  if (report.failed.length > 0) {
+    config.smartLog('fail', `Storage migration skipped ${report.failed.length} items: ${report.failed.join('; ')}`);
+  }
+
+  return report;
+}
+
+if (require.main === module) {
+  migrateJsonToSqlite({ sqlitePath: process.argv[2] })
+    .then(report => {
+      process.exitCode = report.failed.length > 0 ? 1 : 0;
+    })
+    .catch(error => {
+      config.smartLog('fail', `Storage migration failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = migrateJsonToSqlite;
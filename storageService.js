@@ -0,0 +1,128 @@
+const path = require('path');
+const config = require('../config');
+const profilingConfig = require('../config/profiling');
+const FileSystemStorageAdapter = require('./storage/FileSystemStorageAdapter');
+
+class StorageService {
+  constructor() {
+    this.backend = (config.STORAGE_BACKEND || 'fs').toLowerCase();
+    this.sqlitePath = config.STORAGE_SQLITE_PATH || path.join(__dirname, '../profiles/storage.sqlite');
+    this.adapter = null;
+    this.readyPromise = null;
+  }
+
+  getFileSystemLocations() {
+    return {
+      profiles: profilingConfig.PROFILES_DIR,
+      'step-intelligence': config.STEP_INTELLIGENCE_DIR || path.join(profilingConfig.PROFILES_DIR, 'step-intelligence'),
+      state: path.join(__dirname, '../profiles'),
+      metrics: config.DEBUG_DIR
+    };
+  }
+
+  createFileSystemAdapter() {
+    return new FileSystemStorageAdapter(this.getFileSystemLocations());
+  }
+
+  createSqliteAdapter() {
+    const SqliteStorageAdapter = require('./storage/SqliteStorageAdapter');
+    return new SqliteStorageAdapter({ filePath: this.sqlitePath });
+  }
+
+  async initAdapter() {
+    if (this.backend === 'sqlite') {
+      const adapter = this.createSqliteAdapter();
+      try {
+        await adapter.init();
+        config.smartLog('cache', `Storage backend: sqlite (${this.sqlitePath})`);
+        return adapter;
+      } catch (error) {
+        config.smartLog('fail', `SQLite storage unavailable, falling back to filesystem: ${error.message}`);
+      }
+    } else if (this.backend !== 'fs') {
+      config.smartLog('fail', `Unknown storage backend "${this.backend}", using filesystem`);
+    }
+
+    const adapter = this.createFileSystemAdapter();
+    await adapter.init();
+    config.smartLog('cache', 'Storage backend: fs');
+    return adapter;
+  }
+
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.initAdapter().then(adapter => {
+        this.adapter = adapter;
+        return adapter;
+      }).catch(error => {
+        this.readyPromise = null;
+        throw error;
+      });
+    }
+    return this.readyPromise;
+  }
+
+  getFilePath(collection, key) {
+    if (!this.adapter || typeof this.adapter.getFilePath !== 'function') return null;
+    return this.adapter.getFilePath(collection, key);
+  }
+
+  isIndexed() {
+    return !!(this.adapter && this.adapter.indexed);
+  }
+
+  async get(collection, key) {
+    const adapter = await this.ready();
+    return adapter.get(collection, key);
+  }
+
+  async set(collection, key, value) {
+    const adapter = await this.ready();
+    return adapter.set(collection, key, value);
+  }
+
+  async delete(collection, key) {
+    const adapter = await this.ready();
+    return adapter.delete(collection, key);
+  }
+
+  async list(collection, options = {}) {
+    const adapter = await this.ready();
+    return adapter.list(collection, options);
+  }
+
+  async listKeys(collection) {
+    const adapter = await this.ready();
+    return adapter.listKeys(collection);
+  }
+
+  async count(collection) {
+    const adapter = await this.ready();
+    return adapter.count(collection);
+  }
+
+  async deleteOlderThan(collection, cutoffIso) {
+    const adapter = await this.ready();
+    return adapter.deleteOlderThan(collection, cutoffIso);
+  }
+
+  async loadEntries(collection, name) {
+    const adapter = await this.ready();
+    return adapter.loadEntries(collection, name);
+  }
+
+  async saveEntries(collection, name, entries, changedKeys = null) {
+    const adapter = await this.ready();
+    return adapter.saveEntries(collection, name, entries, changedKeys);
+  }
+
+  async close() {
+    if (this.adapter) {
+      await this.adapter.close();
+    }
+    this.adapter = null;
+    this.readyPromise = null;
+  }
+}
+
+module.exports = new StorageService();
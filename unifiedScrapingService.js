@@ -1,4 +1,3 @@
-const { chromium } = require('playwright');
 const PlatformDetector = require('./platformDetector');
 const PlatformSpecificScrapers = require('./PlatformSpecificScrapers');
 const StepBasedScraper = require('./StepBasedScraper');
@@ -7,6 +6,17 @@ const dictionaries = require('../dictionaries');
 const config = require('../config');
 const fs = require('fs').promises;
 const path = require('path');
+const browserPool = require('./browserPool');
+const antiBotClassifier = require('./antiBotClassifier');
+
+const UNIFIED_BROWSER_ARGS = [
+  '--disable-features=site-per-process',
+  '--disable-web-security',
+  '--disable-features=IsolateOrigins',
+  '--disable-site-isolation-trials',
+  '--disable-setuid-sandbox',
+  '--no-sandbox'
+];
 
 class UnifiedScrapingService {
   constructor() {
@@ -34,12 +44,10 @@ class UnifiedScrapingService {
     return false;
   }
 
-  detectBlockingContent(page) {
-    const blockingContentSelectors = dictionaries.blockingContentSelectors;
-    return Promise.race([
-      page.locator(blockingContentSelectors.join(', ')).first().isVisible({ timeout: 2000 }),
-      new Promise(resolve => setTimeout(() => resolve(false), 2000))
-    ]).catch(() => false);
+  detectBlockingContent(page, response = null) {
+    return antiBotClassifier.classifyPage(page, response, {
+      selectors: dictionaries.blockingContentSelectors
+    });
   }
 
   async handleCookiesAndOverlays(page) {
@@ -119,32 +127,28 @@ class UnifiedScrapingService {
         config.smartLog('platform', 'No platform detected from URL, trying to fetch page for detection');
         sessionData.wasHeadless = true;
         
-        const browser = await chromium.launch({
+        const context = await browserPool.acquireContext({}, {
+          owner: 'unified-detection',
+          url,
           headless: false,
-          args: [
-            '--disable-blink-features=AutomationControlled',
-            '--disable-features=site-per-process',
-            '--disable-web-security',
-            '--disable-features=IsolateOrigins',
-            '--disable-site-isolation-trials'
-          ],
-          timeout: 30000
+          extraArgs: UNIFIED_BROWSER_ARGS
         });
         
         try {
-          const page = await browser.newPage();
-          await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+          const page = await context.newPage();
+          const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
           
           await this.handleCookiesAndOverlays(page);
           
-          const isBlocked = await this.detectBlockingContent(page);
-          if (isBlocked) {
-            config.smartLog('fail', 'Blocking content detected (CAPTCHA/Rate limit)');
-            sessionData.errorMessage = 'CAPTCHA or rate limiting detected';
+          const blocking = await this.detectBlockingContent(page, response);
+          if (blocking.blocked) {
+            config.smartLog('fail', `Blocking content detected (${blocking.type})`);
+            sessionData.errorMessage = `Blocked by ${blocking.type}${blocking.provider ? ` (${blocking.provider})` : ''}`;
             sessionData.endTime = Date.now();
             sessionData.stepUsed = 'platform_detection_blocked';
             scrapingError = new Error(sessionData.errorMessage);
             await this.domainProfiler.recordScrapingSession(url, sessionData);
+            const cooldown = await antiBotClassifier.reportBlock(url, blocking);
             
             if (config.shouldExportDebug(result, scrapingError, 'UnifiedScrapingService')) {
               const debugPromises = [
@@ -164,7 +168,13 @@ class UnifiedScrapingService {
               await Promise.all(debugPromises).catch(() => {});
             }
             
-            return { status: 'blocked', reason: sessionData.errorMessage };
+            return {
+              status: 'blocked',
+              reason: sessionData.errorMessage,
+              blockType: blocking.type,
+              blockProvider: blocking.provider,
+              retryAt: cooldown ? new Date(cooldown.until).toISOString() : null
+            };
           }
           
           html = await page.content();
@@ -205,7 +215,7 @@ class UnifiedScrapingService {
           scrapingError = error;
           await this.domainProfiler.recordScrapingSession(url, sessionData);
         } finally {
-          await browser.close();
+          await browserPool.releaseContext(context);
         }
       }
       
@@ -214,22 +224,15 @@ class UnifiedScrapingService {
         sessionData.stepUsed = `PlatformSpecific_${platform}`;
         sessionData.wasHeadless = true;
         
-        const browser = await chromium.launch({
+        const context = await browserPool.acquireContext({}, {
+          owner: `unified-${platform}`,
+          url,
           headless: false,
-          args: [
-            '--disable-blink-features=AutomationControlled',
-            '--disable-features=site-per-process',
-            '--disable-web-security',
-            '--disable-features=IsolateOrigins',
-            '--disable-site-isolation-trials',
-            '--disable-setuid-sandbox',
-            '--no-sandbox'
-          ],
-          timeout: 60000
+          extraArgs: UNIFIED_BROWSER_ARGS
         });
         
         try {
-          result = await this.platformSpecificScrapers.scrape(url, platform, browser, options);
+          result = await this.platformSpecificScrapers.scrape(url, platform, context, options);
           
           if (result && result.links && result.links.length > 0) {
             config.smartLog('win', `Platform-specific scraper (${platform}) successful with ${result.links.length} links`);
@@ -249,7 +252,7 @@ class UnifiedScrapingService {
           sessionData.errorMessage = `Platform scraper error: ${error.message}`;
           scrapingError = error;
         } finally {
-          await browser.close();
+          await browserPool.releaseContext(context);
         }
       }
       